@@ -1,16 +1,20 @@
 import db from '../services/database.js';
-import { authenticate, requireAdmin } from '../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
 import { info, warn, error as logError } from '../../utils/logger.js';
 
 /**
  * GET /api/admin/audit-log
- * Fetch check-in audit trail with filters (Admin only)
+ * Fetch check-in audit trail for the active event with filters (requires audit.read)
  * 
  * Query params:
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 50, max: 200)
  * - guestId: Filter by guest ID
- * - action: Filter by action (Check In, Undo Check In, Bulk Check In)
+ * - action: Filter by action (Check In, Bulk Check In, Offline Check In, Undo Check In,
+ *   Check In Reversed, Check Out, Re-Entry, Plus Ones Added, Plus Ones Removed,
+ *   Duplicate Attempt, Guest Created, Guest Updated, Guest Deleted, Ticket Revoked).
+ *   Failed sign-ins (login_failed) belong to no event; GET /api/admin/lockouts lists them.
  * - usherName: Filter by usher name
  * - startDate: Filter by start date (ISO format)
  * - endDate: Filter by end date (ISO format)
@@ -29,21 +33,31 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication and admin check
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
                 if (err) return reject(err);
-                requireAdmin(req, res, (err) => {
+                requirePermission('audit.read')(req, res, (err) => {
                     if (err) reject(err);
                     else resolve();
                 });
             });
         });
 
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
         // Extract and validate query parameters
         const page = Math.max(1, parseInt(req.query.page) || 1);
         const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
-        const guestId = req.query.guestId ? parseInt(req.query.guestId) : null;
+        const guestId = req.query.guestId ? String(req.query.guestId).trim() : null;
         const action = req.query.action || null;
         const usherName = req.query.usherName || null;
         const startDate = req.query.startDate || null;
@@ -69,9 +83,9 @@ export default async function handler(req, res) {
         }
 
         // Build WHERE clause dynamically
-        const conditions = [];
-        const params = [];
-        let paramIndex = 1;
+        const conditions = ['event_id = $1'];
+        const params = [eventId];
+        let paramIndex = 2;
 
         if (guestId) {
             conditions.push(`guest_id = $${paramIndex}`);
@@ -106,9 +120,7 @@ export default async function handler(req, res) {
             paramIndex++;
         }
 
-        const whereClause = conditions.length > 0
-            ? `WHERE ${conditions.join(' AND ')}`
-            : '';
+        const whereClause = `WHERE ${conditions.join(' AND ')}`;
 
         // Get total count for pagination
         const countQuery = `SELECT COUNT(*) as total FROM check_in_log ${whereClause}`;
@@ -125,13 +137,16 @@ export default async function handler(req, res) {
       SELECT 
         id,
         timestamp,
+        event_id,
         guest_id,
         guest_name,
         action,
         usher_name,
         plus_ones_count,
         notes,
-        confirmation_code
+        confirmation_code,
+        previous_state,
+        new_state
       FROM check_in_log
       ${whereClause}
       ORDER BY timestamp DESC
@@ -162,6 +177,7 @@ export default async function handler(req, res) {
 
         info('Audit log fetched', {
             username: req.user.username,
+            eventId,
             count: logsResult.rows.length,
             page,
             total,
@@ -0,0 +1,151 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { info, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/events
+ * Create new event (requires events.manage)
+ * 
+ * Body params:
+ * - name: Event name (required)
+ * - venue: Venue (optional)
+ * - startsAt: Start date/time (optional, ISO format)
+ * - endsAt: End date/time (optional, ISO format)
+ * - active: Active status (optional, default true)
+ * - undoWindowSeconds: How long ushers may undo a check-in, 0-3600 (optional, default 30)
+ * 
+ * Returns: Created event
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Extract and validate request body
+        const { name, venue = null, startsAt = null, endsAt = null, active = true, undoWindowSeconds = 30 } = req.body;
+
+        // Validation
+        const errors = {};
+
+        if (!name || typeof name !== 'string' || name.trim() === '') {
+            errors.name = 'Event name is required';
+        }
+
+        if (startsAt && isNaN(Date.parse(startsAt))) {
+            errors.startsAt = 'Invalid startsAt format. Use ISO format';
+        }
+
+        if (endsAt && isNaN(Date.parse(endsAt))) {
+            errors.endsAt = 'Invalid endsAt format. Use ISO format';
+        }
+
+        if (startsAt && endsAt && !errors.startsAt && !errors.endsAt && Date.parse(endsAt) < Date.parse(startsAt)) {
+            errors.endsAt = 'endsAt must be after startsAt';
+        }
+
+        if (typeof active !== 'boolean') {
+            errors.active = 'Active must be true or false';
+        }
+
+        if (!Number.isInteger(undoWindowSeconds) || undoWindowSeconds < 0 || undoWindowSeconds > 3600) {
+            errors.undoWindowSeconds = 'Undo window must be a whole number of seconds between 0 and 3600';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        // Generate next event ID
+        const maxIdQuery = `
+      SELECT COALESCE(MAX(CAST(SUBSTRING(event_id FROM 2) AS INTEGER)), 0) as max_num
+      FROM events
+      WHERE event_id ~ '^E[0-9]+$'
+    `;
+
+        const maxIdResult = await db.query(maxIdQuery);
+        const nextNum = parseInt(maxIdResult.rows[0].max_num) + 1;
+        const eventId = `E${String(nextNum).padStart(3, '0')}`;
+
+        // Insert new event
+        const insertQuery = `
+      INSERT INTO events (
+        event_id,
+        name,
+        venue,
+        starts_at,
+        ends_at,
+        active,
+        undo_window_seconds,
+        created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+      RETURNING *
+    `;
+
+        const insertResult = await db.query(insertQuery, [
+            eventId,
+            name.trim(),
+            venue ? String(venue).trim() : null,
+            startsAt,
+            endsAt,
+            active,
+            undoWindowSeconds
+        ]);
+
+        const newEvent = insertResult.rows[0];
+
+        // Invalidate cached event lists
+        cache.clearPattern('events:*');
+
+        info('New event created', {
+            adminUsername: req.user.username,
+            eventId,
+            name: newEvent.name
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: `Event "${newEvent.name}" created successfully`,
+            data: {
+                event: newEvent
+            }
+        });
+
+    } catch (err) {
+        logError('Error creating event', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to create event'
+        });
+    }
+}
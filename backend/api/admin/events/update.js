@@ -0,0 +1,214 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * PUT /api/admin/events/:id
+ * Update event details (requires events.manage)
+ * 
+ * URL params:
+ * - id: Event ID (e.g., E001)
+ * 
+ * Body params (all optional):
+ * - name: Event name
+ * - venue: Venue
+ * - startsAt: Start date/time (ISO format)
+ * - endsAt: End date/time (ISO format)
+ * - active: Active status (true/false)
+ * - undoWindowSeconds: How long ushers may undo a check-in, 0-3600
+ * 
+ * Returns: Updated event
+ */
+
+export default async function handler(req, res) {
+    // Only allow PUT requests
+    if (req.method !== 'PUT') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only PUT requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Extract event ID from URL params
+        const eventId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!eventId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Event ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        // Extract update fields from request body
+        const { name, venue, startsAt, endsAt, active, undoWindowSeconds } = req.body;
+
+        // Check if event exists
+        const currentEvent = await db.getEventById(eventId);
+
+        if (!currentEvent) {
+            warn('Event update failed: Event not found', {
+                username: req.user.username,
+                eventId
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `Event with ID "${eventId}" not found`
+            });
+        }
+
+        // Validation
+        const errors = {};
+
+        if (name !== undefined && (typeof name !== 'string' || name.trim() === '')) {
+            errors.name = 'Event name cannot be empty';
+        }
+
+        if (startsAt && isNaN(Date.parse(startsAt))) {
+            errors.startsAt = 'Invalid startsAt format. Use ISO format';
+        }
+
+        if (endsAt && isNaN(Date.parse(endsAt))) {
+            errors.endsAt = 'Invalid endsAt format. Use ISO format';
+        }
+
+        if (active !== undefined && typeof active !== 'boolean') {
+            errors.active = 'Active must be true or false';
+        }
+
+        if (undoWindowSeconds !== undefined &&
+            (!Number.isInteger(undoWindowSeconds) || undoWindowSeconds < 0 || undoWindowSeconds > 3600)) {
+            errors.undoWindowSeconds = 'Undo window must be a whole number of seconds between 0 and 3600';
+        }
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        // Build dynamic UPDATE query
+        const updates = [];
+        const params = [];
+        let paramIndex = 1;
+
+        if (name !== undefined) {
+            updates.push(`name = $${paramIndex}`);
+            params.push(name.trim());
+            paramIndex++;
+        }
+
+        if (venue !== undefined) {
+            updates.push(`venue = $${paramIndex}`);
+            params.push(venue ? String(venue).trim() : null);
+            paramIndex++;
+        }
+
+        if (startsAt !== undefined) {
+            updates.push(`starts_at = $${paramIndex}`);
+            params.push(startsAt || null);
+            paramIndex++;
+        }
+
+        if (endsAt !== undefined) {
+            updates.push(`ends_at = $${paramIndex}`);
+            params.push(endsAt || null);
+            paramIndex++;
+        }
+
+        if (active !== undefined) {
+            updates.push(`active = $${paramIndex}`);
+            params.push(active);
+            paramIndex++;
+        }
+
+        if (undoWindowSeconds !== undefined) {
+            updates.push(`undo_window_seconds = $${paramIndex}`);
+            params.push(undoWindowSeconds);
+            paramIndex++;
+        }
+
+        // If no updates provided, return error
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'No update fields provided',
+                details: { fields: 'At least one field (name, venue, startsAt, endsAt, active, undoWindowSeconds) is required' }
+            });
+        }
+
+        // Add event ID as last parameter
+        params.push(eventId);
+
+        // Execute update
+        const updateQuery = `
+      UPDATE events
+      SET ${updates.join(', ')}
+      WHERE event_id = $${paramIndex}
+      RETURNING *
+    `;
+
+        const updateResult = await db.query(updateQuery, params);
+        const updatedEvent = updateResult.rows[0];
+
+        // Invalidate cached event lists
+        cache.clearPattern('events:*');
+
+        info('Event updated', {
+            adminUsername: req.user.username,
+            eventId,
+            updates: {
+                name: name !== undefined,
+                venue: venue !== undefined,
+                startsAt: startsAt !== undefined,
+                endsAt: endsAt !== undefined,
+                active: active !== undefined,
+                undoWindowSeconds: undoWindowSeconds !== undefined
+            }
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Event "${updatedEvent.name}" updated successfully`,
+            data: {
+                event: updatedEvent
+            }
+        });
+
+    } catch (err) {
+        logError('Error updating event', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            eventId: req.query.id,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update event'
+        });
+    }
+}
@@ -1,10 +1,13 @@
 import db from '../services/database.js';
-import { authenticate, requireAdmin } from '../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
 import { info, error as logError } from '../../utils/logger.js';
+import { GUEST_CSV_HEADERS, escapeCSV } from '../../utils/csv.js';
+import { buildGuestFilterClause } from '../services/guests.js';
 
 /**
  * POST /api/admin/export
- * Generate CSV export of guests (Admin only)
+ * Generate CSV export of the active event's guests (requires guests.manage)
  * 
  * Body params:
  * - status: Filter by status ('Checked In', 'Not Checked In')
@@ -26,75 +29,46 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication and admin check
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
                 if (err) return reject(err);
-                requireAdmin(req, res, (err) => {
+                requirePermission('guests.manage')(req, res, (err) => {
                     if (err) reject(err);
                     else resolve();
                 });
             });
         });
 
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
         // Extract filters from request body
         const { status, ticketType, startDate, endDate } = req.body;
 
-        // Validate date formats if provided
-        if (startDate && isNaN(Date.parse(startDate))) {
-            return res.status(400).json({
-                success: false,
-                error: 'Validation Error',
-                message: 'Invalid startDate format. Use ISO format (YYYY-MM-DD)',
-                details: { field: 'startDate' }
-            });
-        }
+        const { error: filterError, whereClause, params } = buildGuestFilterClause(eventId, {
+            status,
+            ticketType,
+            startDate,
+            endDate
+        });
 
-        if (endDate && isNaN(Date.parse(endDate))) {
+        if (filterError) {
             return res.status(400).json({
                 success: false,
                 error: 'Validation Error',
-                message: 'Invalid endDate format. Use ISO format (YYYY-MM-DD)',
-                details: { field: 'endDate' }
+                message: filterError.message,
+                details: { field: filterError.field }
             });
         }
 
-        // Build WHERE clause dynamically
-        const conditions = [];
-        const params = [];
-        let paramIndex = 1;
-
-        if (status) {
-            conditions.push(`status = $${paramIndex}`);
-            params.push(status);
-            paramIndex++;
-        }
-
-        if (ticketType) {
-            conditions.push(`ticket_type = $${paramIndex}`);
-            params.push(ticketType);
-            paramIndex++;
-        }
-
-        if (startDate) {
-            conditions.push(`check_in_time >= $${paramIndex}`);
-            params.push(startDate);
-            paramIndex++;
-        }
-
-        if (endDate) {
-            // Add one day to include the entire end date
-            const endDateTime = new Date(endDate);
-            endDateTime.setDate(endDateTime.getDate() + 1);
-            conditions.push(`check_in_time < $${paramIndex}`);
-            params.push(endDateTime.toISOString());
-            paramIndex++;
-        }
-
-        const whereClause = conditions.length > 0
-            ? `WHERE ${conditions.join(' AND ')}`
-            : '';
-
         // Fetch all guests matching filters
         const query = `
       SELECT 
@@ -125,7 +99,7 @@ export default async function handler(req, res) {
 
         // Generate filename with timestamp
         const timestamp = new Date().toISOString().split('T')[0];
-        const filename = `guestlist_export_${timestamp}.csv`;
+        const filename = `guestlist_export_${eventId.toLowerCase()}_${timestamp}.csv`;
 
         // Set response headers for CSV download
         res.setHeader('Content-Type', 'text/csv; charset=utf-8');
@@ -134,6 +108,7 @@ export default async function handler(req, res) {
 
         info('Guest list exported', {
             username: req.user.username,
+            eventId,
             count: guests.length,
             filters: { status, ticketType, startDate, endDate },
             filename
@@ -169,26 +144,8 @@ export default async function handler(req, res) {
  * @returns {string} CSV string
  */
 function generateCSV(guests) {
-    // Define CSV headers
-    const headers = [
-        'ID',
-        'First Name',
-        'Last Name',
-        'Email',
-        'Phone',
-        'Ticket Type',
-        'Plus Ones Allowed',
-        'Status',
-        'Check-In Time',
-        'Plus Ones Checked In',
-        'Confirmation Code',
-        'Checked In By',
-        'Notes',
-        'Created At'
-    ];
-
     // Start with header row
-    const rows = [headers.join(',')];
+    const rows = [GUEST_CSV_HEADERS.join(',')];
 
     // Add data rows
     for (const guest of guests) {
@@ -215,21 +172,3 @@ function generateCSV(guests) {
     // Join all rows with newlines
     return rows.join('\n');
 }
-
-/**
- * Escape CSV field (handle commas, quotes, newlines)
- * @param {string} field - Field value
- * @returns {string} Escaped field
- */
-function escapeCSV(field) {
-    if (field == null) return '';
-
-    const str = String(field);
-
-    // If field contains comma, quote, or newline, wrap in quotes and escape quotes
-    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-        return `"${str.replace(/"/g, '""')}"`;
-    }
-
-    return str;
-}
\ No newline at end of file
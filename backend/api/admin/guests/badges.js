@@ -0,0 +1,158 @@
+import db from '../../services/database.js';
+import ticketService from '../../services/tickets.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { buildGuestFilterClause } from '../../services/guests.js';
+import { generateBadgePdf, BADGE_LAYOUTS } from '../../../utils/badges.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/guests/badges
+ * Generate a printable PDF of badges or tickets for the active event (requires guests.manage)
+ *
+ * Body params:
+ * - status: Filter by status ('Checked In', 'Not Checked In')
+ * - ticketType: Filter by ticket type ('VIP', 'General', 'Premium')
+ * - layout: 'badge' (default, 6 per page) or 'ticket' (4 per page)
+ *
+ * Each card shows name, ticket type, plus-ones allowance and a signed QR ticket.
+ *
+ * Returns: PDF file download
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract filters from request body
+        const { status, ticketType, layout = 'badge' } = req.body || {};
+
+        if (!BADGE_LAYOUTS[layout]) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `Layout must be one of: ${Object.keys(BADGE_LAYOUTS).join(', ')}`,
+                details: { field: 'layout' }
+            });
+        }
+
+        const { error: filterError, whereClause, params } = buildGuestFilterClause(eventId, { status, ticketType });
+
+        if (filterError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: filterError.message,
+                details: { field: filterError.field }
+            });
+        }
+
+        // Fetch all guests matching filters
+        const query = `
+      SELECT
+        id,
+        event_id,
+        first_name,
+        last_name,
+        ticket_type,
+        plus_ones_allowed,
+        ticket_version
+      FROM guests
+      ${whereClause}
+      ORDER BY last_name ASC, first_name ASC
+    `;
+
+        const result = await db.query(query, params);
+        const guests = result.rows;
+
+        if (guests.length === 0) {
+            warn('Badge PDF skipped: No guests match filters', {
+                username: req.user.username,
+                eventId,
+                filters: { status, ticketType }
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: 'No guests match the selected filters'
+            });
+        }
+
+        // Render QR codes one at a time to keep memory flat on large lists
+        const badges = [];
+        for (const guest of guests) {
+            const { code } = ticketService.issueCode(guest);
+            const qrPng = await ticketService.renderQr(code, { format: 'png', size: 300 });
+            badges.push({ guest, qrPng });
+        }
+
+        const pdf = await generateBadgePdf(badges, req.event, layout);
+
+        // Generate filename with timestamp
+        const timestamp = new Date().toISOString().split('T')[0];
+        const filename = `guestlist_${layout}s_${eventId.toLowerCase()}_${timestamp}.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Content-Length', pdf.length);
+
+        info('Guest badges generated', {
+            username: req.user.username,
+            eventId,
+            count: guests.length,
+            layout,
+            filters: { status, ticketType },
+            filename
+        });
+
+        return res.status(200).send(pdf);
+
+    } catch (err) {
+        logError('Error generating guest badges', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        // If headers already sent, can't send JSON error
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to generate badges'
+        });
+    }
+}
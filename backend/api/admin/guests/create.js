@@ -0,0 +1,177 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { validateGuestFields, generateGuestIds } from '../../services/guests.js';
+import { getTicketTypes } from '../../services/ticket-types.js';
+import { info, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/guests
+ * Add a guest to the active event (requires guests.manage)
+ *
+ * Body params:
+ * - firstName: First name (required)
+ * - lastName: Last name (required)
+ * - ticketType: Ticket type (required, one of the event's ticket types)
+ * - plusOnesAllowed: Plus ones allowed (default: the ticket type's default plus ones)
+ * - email: Email address (optional)
+ * - phone: Phone number (optional)
+ * - notes: Notes (optional)
+ *
+ * Returns: Created guest with server-generated ID (G001 format)
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Validation
+        const { errors, values } = validateGuestFields(req.body, {
+            ticketTypes: await getTicketTypes(eventId)
+        });
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        const guestName = `${values.firstName} ${values.lastName}`;
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Block concurrent inserts so the generated ID stays unique
+            await client.query('LOCK TABLE guests IN SHARE ROW EXCLUSIVE MODE');
+
+            const [guestId] = await generateGuestIds(client, 1);
+
+            const insertQuery = `
+        INSERT INTO guests (
+          id,
+          event_id,
+          first_name,
+          last_name,
+          email,
+          phone,
+          ticket_type,
+          plus_ones_allowed,
+          notes,
+          status,
+          created_at,
+          last_modified
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'Not Checked In', NOW(), NOW())
+        RETURNING *
+      `;
+
+            const insertResult = await client.query(insertQuery, [
+                guestId,
+                eventId,
+                values.firstName,
+                values.lastName,
+                values.email,
+                values.phone,
+                values.ticketType,
+                values.plusOnesAllowed,
+                values.notes
+            ]);
+
+            const newGuest = insertResult.rows[0];
+
+            // Add entry to audit log
+            await client.query(`
+        INSERT INTO check_in_log (
+          event_id,
+          guest_id,
+          guest_name,
+          action,
+          usher_name,
+          plus_ones_count,
+          notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+                eventId,
+                guestId,
+                guestName,
+                'Guest Created',
+                req.user.fullName || req.user.username,
+                0,
+                `Added as ${values.ticketType} with ${values.plusOnesAllowed} plus ones allowed`
+            ]);
+
+            await client.query('COMMIT');
+
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            info('Guest created', {
+                adminUsername: req.user.username,
+                eventId,
+                guestId,
+                guestName,
+                ticketType: values.ticketType
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: `${guestName} added successfully`,
+                data: {
+                    guest: newGuest
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error creating guest', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to create guest'
+        });
+    }
+}
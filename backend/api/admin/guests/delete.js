@@ -0,0 +1,176 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * DELETE /api/admin/guests/:id
+ * Remove a guest from the active event (requires guests.manage)
+ *
+ * URL params:
+ * - id: Guest ID (e.g., G001)
+ *
+ * Checked-in guests cannot be deleted; undo the check-in first.
+ * Earlier audit entries keep the guest name but lose the guest ID link.
+ *
+ * Returns: Deleted guest
+ */
+
+export default async function handler(req, res) {
+    // Only allow DELETE requests
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only DELETE requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract guest ID from URL params
+        const guestId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!guestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Guest ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Fetch guest with row lock
+            const guestResult = await client.query(`
+        SELECT *
+        FROM guests
+        WHERE id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [guestId, eventId]);
+
+            if (guestResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Guest delete failed: Guest not found', {
+                    username: req.user.username,
+                    guestId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Guest with ID ${guestId} not found`
+                });
+            }
+
+            const guest = guestResult.rows[0];
+            const guestName = `${guest.first_name} ${guest.last_name}`;
+
+            if (guest.status === 'Checked In') {
+                await client.query('ROLLBACK');
+
+                warn('Guest delete failed: Guest is checked in', {
+                    username: req.user.username,
+                    guestId
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid Operation',
+                    message: `${guestName} is checked in and cannot be deleted`,
+                    details: {
+                        reason: 'Undo the check-in before deleting this guest'
+                    }
+                });
+            }
+
+            await client.query('DELETE FROM guests WHERE id = $1 AND event_id = $2', [guestId, eventId]);
+
+            // Add entry to audit log (guest row is gone, so the ID goes in the notes)
+            await client.query(`
+        INSERT INTO check_in_log (
+          event_id,
+          guest_id,
+          guest_name,
+          action,
+          usher_name,
+          plus_ones_count,
+          notes
+        ) VALUES ($1, NULL, $2, $3, $4, $5, $6)
+      `, [
+                eventId,
+                guestName,
+                'Guest Deleted',
+                req.user.fullName || req.user.username,
+                0,
+                `Deleted guest ${guestId} (${guest.ticket_type}, ${guest.plus_ones_allowed} plus ones allowed)`
+            ]);
+
+            await client.query('COMMIT');
+
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            info('Guest deleted', {
+                adminUsername: req.user.username,
+                eventId,
+                guestId,
+                guestName
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `${guestName} deleted successfully`,
+                data: {
+                    guest
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error deleting guest', {
+            error: err.message,
+            stack: err.stack,
+            guestId: req.query.id,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to delete guest'
+        });
+    }
+}
@@ -0,0 +1,423 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { validateGuestFields, generateGuestIds, GUEST_FIELD_COLUMNS } from '../../services/guests.js';
+import { getTicketTypes } from '../../services/ticket-types.js';
+import { parseCSV } from '../../../utils/csv.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/guests/import
+ * Import guests into the active event from CSV (requires guests.manage)
+ *
+ * Body params:
+ * - csv: CSV content using the export columns (required)
+ *   First Name, Last Name and Ticket Type are required; ID, Email, Phone,
+ *   Plus Ones Allowed and Notes are optional. Check-in columns are ignored.
+ *   Ticket types must be in the event's catalogue; new guests without a
+ *   Plus Ones Allowed value get their ticket type's default.
+ * - mode: 'dry-run' (default) or 'commit'
+ *
+ * Rows are matched to existing guests by ID, then by email within the event.
+ * Matches are updated, everything else is inserted.
+ *
+ * Returns:
+ * - dry-run: per-row errors, duplicates and would-insert/would-update counts
+ * - commit: inserted/updated counts (all rows in one transaction, or none)
+ */
+
+const MAX_IMPORT_ROWS = 5000;
+const VALID_MODES = ['dry-run', 'commit'];
+
+// CSV header -> guest field
+const COLUMN_MAP = {
+    'id': 'id',
+    'first name': 'firstName',
+    'last name': 'lastName',
+    'email': 'email',
+    'phone': 'phone',
+    'ticket type': 'ticketType',
+    'plus ones allowed': 'plusOnesAllowed',
+    'notes': 'notes'
+};
+
+const REQUIRED_COLUMNS = ['First Name', 'Last Name', 'Ticket Type'];
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract and validate request body
+        const { csv, mode = 'dry-run' } = req.body;
+
+        if (typeof csv !== 'string' || csv.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'csv is required',
+                details: { field: 'csv' }
+            });
+        }
+
+        if (!VALID_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `mode must be one of: ${VALID_MODES.join(', ')}`,
+                details: { field: 'mode' }
+            });
+        }
+
+        // Parse CSV
+        let parsed;
+        try {
+            parsed = parseCSV(csv);
+        } catch (err) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `Invalid CSV: ${err.message}`,
+                details: { field: 'csv' }
+            });
+        }
+
+        if (parsed.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'CSV must contain a header row and at least one guest row',
+                details: { field: 'csv' }
+            });
+        }
+
+        const [headerRow, ...dataRows] = parsed;
+
+        if (dataRows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `Cannot import more than ${MAX_IMPORT_ROWS} guests at once`,
+                details: {
+                    requested: dataRows.length,
+                    maximum: MAX_IMPORT_ROWS
+                }
+            });
+        }
+
+        // Map header columns to guest fields
+        const columns = headerRow.fields.map(name => COLUMN_MAP[name.trim().toLowerCase()] || null);
+        const missingColumns = REQUIRED_COLUMNS.filter(name => !columns.includes(COLUMN_MAP[name.toLowerCase()]));
+
+        if (missingColumns.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `CSV is missing required column(s): ${missingColumns.join(', ')}`,
+                details: { missingColumns }
+            });
+        }
+
+        const presentFields = Object.keys(GUEST_FIELD_COLUMNS).filter(field => columns.includes(field));
+        const records = dataRows.map(({ line, fields }) => {
+            const input = {};
+            columns.forEach((field, index) => {
+                if (field) input[field] = fields[index] ?? '';
+            });
+            return { row: line, input };
+        });
+
+        if (mode === 'dry-run') {
+            const plan = await buildImportPlan(db, eventId, records);
+            const report = summarizePlan(plan, records.length);
+
+            info('Guest import dry run', {
+                username: req.user.username,
+                eventId,
+                ...report.summary
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    mode,
+                    eventId,
+                    ...report
+                }
+            });
+        }
+
+        // Commit - plan and apply inside one transaction
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Block concurrent guest writes so the plan and new IDs stay valid
+            await client.query('LOCK TABLE guests IN SHARE ROW EXCLUSIVE MODE');
+
+            const plan = await buildImportPlan(client, eventId, records);
+            const report = summarizePlan(plan, records.length);
+
+            if (report.errors.length > 0 || report.duplicates.length > 0) {
+                await client.query('ROLLBACK');
+
+                warn('Guest import rejected - rolled back', {
+                    username: req.user.username,
+                    eventId,
+                    ...report.summary
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Import Failed',
+                    message: `${report.summary.invalidRows} row(s) could not be imported. Nothing was imported.`,
+                    data: {
+                        mode,
+                        eventId,
+                        ...report
+                    }
+                });
+            }
+
+            const inserts = plan.filter(entry => entry.action === 'insert');
+            const generatedIds = await generateGuestIds(client, inserts.filter(entry => !entry.guestId).length);
+
+            for (const entry of inserts) {
+                if (!entry.guestId) {
+                    entry.guestId = generatedIds.shift();
+                }
+
+                // Always insert plus ones so a missing column still applies the ticket type default
+                const insertFields = [...new Set([...presentFields, 'plusOnesAllowed'])]
+                    .filter(field => field in entry.values);
+                const insertColumns = insertFields.map(field => GUEST_FIELD_COLUMNS[field]);
+                const placeholders = insertFields.map((_, index) => `$${index + 3}`);
+
+                await client.query(`
+          INSERT INTO guests (id, event_id, ${insertColumns.join(', ')}, status, created_at, last_modified)
+          VALUES ($1, $2, ${placeholders.join(', ')}, 'Not Checked In', NOW(), NOW())
+        `, [entry.guestId, eventId, ...insertFields.map(field => entry.values[field])]);
+            }
+
+            for (const entry of plan.filter(e => e.action === 'update')) {
+                const updateFields = presentFields.filter(field => field in entry.values);
+                const assignments = updateFields.map((field, index) => `${GUEST_FIELD_COLUMNS[field]} = $${index + 1}`);
+                const paramIndex = updateFields.length + 1;
+
+                await client.query(`
+          UPDATE guests
+          SET ${assignments.join(', ')}, last_modified = NOW()
+          WHERE id = $${paramIndex} AND event_id = $${paramIndex + 1}
+        `, [...updateFields.map(field => entry.values[field]), entry.guestId, eventId]);
+            }
+
+            await client.query('COMMIT');
+
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            const summary = {
+                totalRows: records.length,
+                inserted: inserts.length,
+                updated: plan.length - inserts.length
+            };
+
+            info('Guest import committed', {
+                username: req.user.username,
+                eventId,
+                ...summary
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Imported ${records.length} guest(s): ${summary.inserted} added, ${summary.updated} updated`,
+                data: {
+                    mode,
+                    eventId,
+                    summary,
+                    rows: plan.map(({ row, action, guestId }) => ({ row, action, guestId }))
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error importing guests', {
+            error: err.message,
+            stack: err.stack,
+            mode: req.body?.mode,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to import guests'
+        });
+    }
+}
+
+/**
+ * Validate rows and decide whether each one inserts or updates
+ * @param {object} client - Database client or pool
+ * @param {string} eventId - Event being imported into
+ * @param {Array} records - [{ row, input }]
+ * @returns {Promise<Array>} One entry per row: { row, action, guestId, values, errors, duplicateOf }
+ */
+async function buildImportPlan(client, eventId, records) {
+    const ticketTypes = await getTicketTypes(eventId);
+    const ids = records
+        .map(({ input }) => (input.id || '').trim().toUpperCase())
+        .filter(Boolean);
+    const emails = records
+        .map(({ input }) => (input.email || '').trim().toLowerCase())
+        .filter(Boolean);
+
+    // Fetch every guest the file could refer to
+    const existingResult = await client.query(`
+      SELECT id, event_id, LOWER(email) as email, plus_ones_checked_in
+      FROM guests
+      WHERE id = ANY($1::varchar[])
+      OR (event_id = $2 AND LOWER(email) = ANY($3::varchar[]))
+    `, [ids, eventId, emails]);
+
+    const existingById = new Map(existingResult.rows.map(guest => [guest.id, guest]));
+    const existingByEmail = new Map(
+        existingResult.rows
+            .filter(guest => guest.event_id === eventId && guest.email)
+            .map(guest => [guest.email, guest])
+    );
+
+    const seenKeys = new Map();
+
+    return records.map(({ row, input }) => {
+        const entry = { row, action: null, guestId: null, values: {}, errors: [], duplicateOf: null };
+        const { errors, values } = validateGuestFields(input, { ticketTypes });
+        entry.values = values;
+
+        for (const [field, message] of Object.entries(errors)) {
+            entry.errors.push({ field, message });
+        }
+
+        const rawId = (input.id || '').trim().toUpperCase();
+        if (rawId && !/^[A-Z0-9_-]{1,10}$/.test(rawId)) {
+            entry.errors.push({ field: 'id', message: 'ID must be 1-10 letters, digits, dashes or underscores' });
+        }
+
+        if (entry.errors.length > 0) {
+            return entry;
+        }
+
+        // Match by ID first, then by email within the event
+        const email = values.email ? values.email.toLowerCase() : null;
+        let existing = null;
+
+        if (rawId) {
+            existing = existingById.get(rawId) || null;
+            if (existing && existing.event_id !== eventId) {
+                entry.errors.push({ field: 'id', message: `Guest ID ${rawId} belongs to another event` });
+                return entry;
+            }
+            entry.guestId = rawId;
+        } else if (email) {
+            existing = existingByEmail.get(email) || null;
+            entry.guestId = existing ? existing.id : null;
+        }
+
+        entry.action = existing ? 'update' : 'insert';
+
+        if (existing && input.plusOnesAllowed !== undefined && values.plusOnesAllowed < existing.plus_ones_checked_in) {
+            entry.errors.push({
+                field: 'plusOnesAllowed',
+                message: `Guest already has ${existing.plus_ones_checked_in} plus ones checked in`
+            });
+            return entry;
+        }
+
+        // Each guest and email may appear only once per file
+        const keys = [];
+        if (entry.guestId) keys.push({ field: 'id', key: `id:${entry.guestId}`, value: entry.guestId });
+        if (email) keys.push({ field: 'email', key: `email:${email}`, value: email });
+
+        const duplicate = keys.find(({ key }) => seenKeys.has(key));
+        if (duplicate) {
+            entry.duplicateOf = {
+                row: seenKeys.get(duplicate.key),
+                field: duplicate.field,
+                value: duplicate.value
+            };
+            return entry;
+        }
+
+        keys.forEach(({ key }) => seenKeys.set(key, row));
+        return entry;
+    });
+}
+
+/**
+ * Turn an import plan into the validation report
+ * @param {Array} plan - Output of buildImportPlan
+ * @param {number} totalRows - Number of data rows in the file
+ * @returns {object} { summary, errors, duplicates, rows }
+ */
+function summarizePlan(plan, totalRows) {
+    const errors = plan.flatMap(entry => entry.errors.map(error => ({ row: entry.row, ...error })));
+    const duplicates = plan
+        .filter(entry => entry.errors.length === 0 && entry.duplicateOf)
+        .map(entry => ({
+            row: entry.row,
+            duplicateOfRow: entry.duplicateOf.row,
+            field: entry.duplicateOf.field,
+            value: entry.duplicateOf.value
+        }));
+    const valid = plan.filter(entry => entry.errors.length === 0 && !entry.duplicateOf);
+
+    return {
+        summary: {
+            totalRows,
+            validRows: valid.length,
+            invalidRows: totalRows - valid.length,
+            errorRows: plan.filter(entry => entry.errors.length > 0).length,
+            duplicateRows: duplicates.length,
+            wouldInsert: valid.filter(entry => entry.action === 'insert').length,
+            wouldUpdate: valid.filter(entry => entry.action === 'update').length
+        },
+        errors,
+        duplicates,
+        rows: valid.map(({ row, action, guestId }) => ({ row, action, guestId }))
+    };
+}
@@ -0,0 +1,144 @@
+import db from '../../services/database.js';
+import ticketService from '../../services/tickets.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+const QR_FORMATS = ['png', 'svg'];
+
+/**
+ * GET /api/admin/guests/:id/qr
+ * Render a guest's signed ticket as a QR image (requires guests.manage)
+ *
+ * URL params:
+ * - id: Guest ID (e.g., G001)
+ *
+ * Query params:
+ * - format: 'png' (default) or 'svg'
+ * - size: Image width in pixels (default: 320, 64-1024)
+ * - download: 'true' to send as an attachment
+ *
+ * Returns: PNG or SVG image
+ */
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract and validate params
+        const guestId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+        const format = req.query.format ? String(req.query.format).toLowerCase() : 'png';
+        const size = req.query.size ? parseInt(req.query.size) : 320;
+
+        if (!guestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Guest ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        if (!QR_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `Format must be one of: ${QR_FORMATS.join(', ')}`,
+                details: { field: 'format' }
+            });
+        }
+
+        if (isNaN(size) || size < 64 || size > 1024) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Size must be between 64 and 1024 pixels',
+                details: { field: 'size' }
+            });
+        }
+
+        const guestResult = await db.query(`
+      SELECT id, event_id, ticket_version
+      FROM guests
+      WHERE id = $1 AND event_id = $2
+    `, [guestId, eventId]);
+
+        if (guestResult.rows.length === 0) {
+            warn('QR render failed: Guest not found', {
+                username: req.user.username,
+                guestId
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `Guest with ID ${guestId} not found`
+            });
+        }
+
+        const { code } = ticketService.issueCode(guestResult.rows[0]);
+        const image = await ticketService.renderQr(code, { format, size });
+
+        const filename = `ticket_${eventId.toLowerCase()}_${guestId.toLowerCase()}.${format}`;
+        const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+        res.setHeader('Content-Type', format === 'svg' ? 'image/svg+xml; charset=utf-8' : 'image/png');
+        res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
+
+        info('Guest QR rendered', {
+            username: req.user.username,
+            eventId,
+            guestId,
+            format
+        });
+
+        return res.status(200).send(image);
+
+    } catch (err) {
+        logError('Error rendering guest QR', {
+            error: err.message,
+            stack: err.stack,
+            guestId: req.query.id,
+            username: req.user?.username
+        });
+
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to render QR code'
+        });
+    }
+}
@@ -0,0 +1,232 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import live from '../../services/live.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/guests/:id/reverse-check-in
+ * Reverse a guest's check-in at any time (requires guests.undo.any)
+ *
+ * URL params:
+ * - id: Guest ID (e.g., G001)
+ *
+ * Body params:
+ * - reason: Why the check-in is being reversed (required)
+ *
+ * Unlike POST /api/guests/undo-check-in this ignores the event's undo window.
+ * The audit log entry records the guest's check-in state before and after.
+ *
+ * Returns: Updated guest object and the check-in state that was reversed
+ */
+
+// Guest columns captured in the audit log before and after a reversal
+const CHECK_IN_STATE_COLUMNS = [
+    'status',
+    'on_site',
+    'check_in_time',
+    'confirmation_code',
+    'plus_ones_checked_in',
+    'checked_in_by'
+];
+
+function pickCheckInState(guest) {
+    return Object.fromEntries(CHECK_IN_STATE_COLUMNS.map(column => [column, guest[column]]));
+}
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.undo.any')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract guest ID from URL params
+        const guestId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+        const reason = req.body?.reason != null ? String(req.body.reason).trim() : '';
+
+        if (!guestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Guest ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'A reason is required to reverse a check-in',
+                details: { field: 'reason' }
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const guestResult = await client.query(`
+        SELECT *
+        FROM guests
+        WHERE id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [guestId, eventId]);
+
+            if (guestResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Check-in reversal failed: Guest not found', {
+                    adminUsername: req.user.username,
+                    guestId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Guest with ID ${guestId} not found`
+                });
+            }
+
+            const guest = guestResult.rows[0];
+            const guestName = `${guest.first_name} ${guest.last_name}`;
+
+            if (guest.status !== 'Checked In') {
+                await client.query('ROLLBACK');
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Not Checked In',
+                    message: `${guestName} is not checked in`,
+                    details: {
+                        currentStatus: guest.status
+                    }
+                });
+            }
+
+            const timestamp = new Date().toISOString();
+
+            const updateResult = await client.query(`
+        UPDATE guests
+        SET
+          status = 'Not Checked In',
+          on_site = false,
+          check_in_time = NULL,
+          confirmation_code = NULL,
+          plus_ones_checked_in = 0,
+          checked_in_by = NULL,
+          checked_in_by_usher_id = NULL,
+          last_modified = $1
+        WHERE id = $2 AND event_id = $3
+        RETURNING *
+      `, [timestamp, guestId, eventId]);
+
+            const updatedGuest = updateResult.rows[0];
+            const previousState = pickCheckInState(guest);
+            const newState = pickCheckInState(updatedGuest);
+
+            // Add entry to audit log
+            await client.query(`
+        INSERT INTO check_in_log (
+          timestamp,
+          event_id,
+          guest_id,
+          guest_name,
+          action,
+          usher_name,
+          plus_ones_count,
+          notes,
+          confirmation_code,
+          previous_state,
+          new_state
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      `, [
+                timestamp,
+                eventId,
+                guestId,
+                guestName,
+                'Check In Reversed',
+                req.user.fullName || req.user.username,
+                guest.plus_ones_checked_in || 0,
+                reason,
+                guest.confirmation_code,
+                JSON.stringify(previousState),
+                JSON.stringify(newState)
+            ]);
+
+            await client.query('COMMIT');
+
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            live.publishGuestChange(eventId, 'undo', { guest: updatedGuest });
+
+            info('Check-in reversed by admin', {
+                adminUsername: req.user.username,
+                eventId,
+                guestId,
+                guestName,
+                previousConfirmationCode: guest.confirmation_code,
+                reason
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Check-in for ${guestName} has been reversed`,
+                data: {
+                    guest: updatedGuest,
+                    previousState
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error reversing check-in', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            guestId: req.query.id,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to reverse check-in'
+        });
+    }
+}
@@ -0,0 +1,161 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/guests/:id/ticket/revoke
+ * Revoke every QR ticket issued so far for a guest (requires guests.manage)
+ *
+ * URL params:
+ * - id: Guest ID (e.g., G001)
+ *
+ * Body params:
+ * - reason: Why the ticket was revoked (optional, e.g. "Reported lost")
+ *
+ * Issue a new ticket afterwards with GET /api/admin/guests/:id/ticket.
+ *
+ * Returns: Guest ID and new ticket version
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract guest ID from URL params
+        const guestId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+        const reason = req.body?.reason != null ? String(req.body.reason).trim() : '';
+
+        if (!guestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Guest ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const updateResult = await client.query(`
+        UPDATE guests
+        SET ticket_version = ticket_version + 1,
+            last_modified = NOW()
+        WHERE id = $1 AND event_id = $2
+        RETURNING id, first_name, last_name, ticket_version, plus_ones_checked_in
+      `, [guestId, eventId]);
+
+            if (updateResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Ticket revoke failed: Guest not found', {
+                    username: req.user.username,
+                    guestId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Guest with ID ${guestId} not found`
+                });
+            }
+
+            const guest = updateResult.rows[0];
+            const guestName = `${guest.first_name} ${guest.last_name}`;
+
+            // Add entry to audit log
+            await client.query(`
+        INSERT INTO check_in_log (
+          event_id,
+          guest_id,
+          guest_name,
+          action,
+          usher_name,
+          plus_ones_count,
+          notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+                eventId,
+                guestId,
+                guestName,
+                'Ticket Revoked',
+                req.user.fullName || req.user.username,
+                guest.plus_ones_checked_in || 0,
+                reason || null
+            ]);
+
+            await client.query('COMMIT');
+
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            info('Ticket revoked', {
+                adminUsername: req.user.username,
+                eventId,
+                guestId,
+                ticketVersion: guest.ticket_version
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Tickets issued to ${guestName} have been revoked`,
+                data: {
+                    guestId,
+                    version: guest.ticket_version
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error revoking ticket', {
+            error: err.message,
+            stack: err.stack,
+            guestId: req.query.id,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to revoke ticket'
+        });
+    }
+}
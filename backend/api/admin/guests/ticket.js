@@ -0,0 +1,118 @@
+import db from '../../services/database.js';
+import ticketService from '../../services/tickets.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * GET /api/admin/guests/:id/ticket
+ * Issue a signed QR ticket code for a guest in the active event (requires guests.manage)
+ *
+ * URL params:
+ * - id: Guest ID (e.g., G001)
+ *
+ * Codes stay valid until the guest's ticket is revoked or the guest is deleted.
+ *
+ * Returns: Ticket code to encode in the guest's QR
+ */
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract guest ID from URL params
+        const guestId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!guestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Guest ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const guestResult = await db.query(`
+      SELECT id, event_id, first_name, last_name, ticket_version
+      FROM guests
+      WHERE id = $1 AND event_id = $2
+    `, [guestId, eventId]);
+
+        if (guestResult.rows.length === 0) {
+            warn('Ticket issue failed: Guest not found', {
+                username: req.user.username,
+                guestId
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `Guest with ID ${guestId} not found`
+            });
+        }
+
+        const guest = guestResult.rows[0];
+        const { code, issuedAt } = ticketService.issueCode(guest);
+
+        info('Ticket issued', {
+            adminUsername: req.user.username,
+            eventId,
+            guestId,
+            ticketVersion: guest.ticket_version
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                guestId,
+                eventId,
+                guestName: `${guest.first_name} ${guest.last_name}`,
+                code,
+                issuedAt,
+                version: guest.ticket_version
+            }
+        });
+
+    } catch (err) {
+        logError('Error issuing ticket', {
+            error: err.message,
+            stack: err.stack,
+            guestId: req.query.id,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to issue ticket'
+        });
+    }
+}
@@ -0,0 +1,232 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { validateGuestFields, GUEST_FIELD_COLUMNS } from '../../services/guests.js';
+import { getTicketTypes } from '../../services/ticket-types.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * PUT /api/admin/guests/:id
+ * Update guest details in the active event (requires guests.manage)
+ *
+ * URL params:
+ * - id: Guest ID (e.g., G001)
+ *
+ * Body params (all optional):
+ * - firstName, lastName, email, phone, ticketType, plusOnesAllowed, notes
+ *
+ * Check-in state is not editable here; use the check-in routes.
+ *
+ * Returns: Updated guest
+ */
+
+export default async function handler(req, res) {
+    // Only allow PUT requests
+    if (req.method !== 'PUT') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only PUT requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract guest ID from URL params
+        const guestId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!guestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Guest ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        // Validation (only fields that were sent)
+        const { errors, values } = validateGuestFields(req.body, {
+            partial: true,
+            ticketTypes: await getTicketTypes(eventId)
+        });
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        const fields = Object.keys(values);
+
+        if (fields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'No update fields provided',
+                details: { fields: `At least one field (${Object.keys(GUEST_FIELD_COLUMNS).join(', ')}) is required` }
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Fetch current guest with row lock
+            const currentResult = await client.query(`
+        SELECT *
+        FROM guests
+        WHERE id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [guestId, eventId]);
+
+            if (currentResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Guest update failed: Guest not found', {
+                    username: req.user.username,
+                    guestId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Guest with ID ${guestId} not found`
+                });
+            }
+
+            const currentGuest = currentResult.rows[0];
+
+            if (values.plusOnesAllowed !== undefined && values.plusOnesAllowed < currentGuest.plus_ones_checked_in) {
+                await client.query('ROLLBACK');
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: `Guest already has ${currentGuest.plus_ones_checked_in} plus ones checked in`,
+                    details: {
+                        plusOnesAllowed: 'Cannot be lower than plus ones already checked in'
+                    }
+                });
+            }
+
+            // Build dynamic UPDATE query
+            const updates = [];
+            const params = [];
+            let paramIndex = 1;
+            const changes = [];
+
+            for (const field of fields) {
+                const column = GUEST_FIELD_COLUMNS[field];
+                const previous = currentGuest[column];
+
+                updates.push(`${column} = $${paramIndex}`);
+                params.push(values[field]);
+                paramIndex++;
+
+                if ((previous ?? null) !== (values[field] ?? null)) {
+                    changes.push(`${column}: ${previous ?? '—'} → ${values[field] ?? '—'}`);
+                }
+            }
+
+            params.push(guestId, eventId);
+
+            const updateQuery = `
+        UPDATE guests
+        SET ${updates.join(', ')}, last_modified = NOW()
+        WHERE id = $${paramIndex} AND event_id = $${paramIndex + 1}
+        RETURNING *
+      `;
+
+            const updateResult = await client.query(updateQuery, params);
+            const updatedGuest = updateResult.rows[0];
+
+            // Add entry to audit log
+            await client.query(`
+        INSERT INTO check_in_log (
+          event_id,
+          guest_id,
+          guest_name,
+          action,
+          usher_name,
+          plus_ones_count,
+          notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [
+                eventId,
+                guestId,
+                `${updatedGuest.first_name} ${updatedGuest.last_name}`,
+                'Guest Updated',
+                req.user.fullName || req.user.username,
+                updatedGuest.plus_ones_checked_in || 0,
+                changes.length > 0 ? changes.join('; ') : 'No changes'
+            ]);
+
+            await client.query('COMMIT');
+
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            info('Guest updated', {
+                adminUsername: req.user.username,
+                eventId,
+                guestId,
+                fields
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `${updatedGuest.first_name} ${updatedGuest.last_name} updated successfully`,
+                data: {
+                    guest: updatedGuest,
+                    changes
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error updating guest', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            guestId: req.query.id,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update guest'
+        });
+    }
+}
@@ -0,0 +1,107 @@
+import loginThrottle from '../../services/login-throttle.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * DELETE /api/admin/lockouts/:scope/:identifier
+ * Clear a sign-in lockout (requires ushers.manage)
+ *
+ * URL params:
+ * - scope: 'username' or 'ip'
+ * - identifier: Username or IP address (URL-encoded)
+ *
+ * Also resets the failure count and backoff, so the next lockout is short again.
+ */
+
+const SCOPES = ['username', 'ip'];
+
+export default async function handler(req, res) {
+    // Only allow DELETE requests
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only DELETE requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('ushers.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        const { scope } = req.query;
+        const identifier = req.query.identifier != null ? String(req.query.identifier).trim() : '';
+
+        if (!SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Scope must be "username" or "ip"',
+                details: { field: 'scope' }
+            });
+        }
+
+        if (!identifier) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Identifier is required',
+                details: { field: 'identifier' }
+            });
+        }
+
+        const cleared = await loginThrottle.clear(scope, identifier);
+
+        if (!cleared) {
+            warn('Lockout clear failed: No record', {
+                username: req.user.username,
+                scope,
+                identifier
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `No failed sign-ins recorded for ${scope} "${identifier}"`
+            });
+        }
+
+        info('Login lockout cleared', {
+            adminUsername: req.user.username,
+            scope,
+            identifier
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Sign-in lockout cleared for ${scope} "${identifier}"`,
+            data: {
+                scope,
+                identifier
+            }
+        });
+
+    } catch (err) {
+        logError('Error clearing login lockout', {
+            error: err.message,
+            stack: err.stack,
+            scope: req.query.scope,
+            identifier: req.query.identifier,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to clear login lockout'
+        });
+    }
+}
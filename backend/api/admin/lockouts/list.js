@@ -0,0 +1,68 @@
+import loginThrottle from '../../services/login-throttle.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { info, error as logError } from '../../../utils/logger.js';
+
+/**
+ * GET /api/admin/lockouts
+ * List usernames and IP addresses currently locked out of sign-in (requires ushers.manage)
+ *
+ * Returns:
+ * - Scope ('username' or 'ip') and identifier of each lock
+ * - How many lockouts it has had and the seconds remaining
+ * - Sorted by longest remaining first
+ * - recentFailures: Latest failed sign-ins (username, IP, reason), newest first
+ */
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('ushers.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        const lockouts = await loginThrottle.listLocks();
+        const recentFailures = await loginThrottle.listRecentFailures();
+
+        info('Login lockouts fetched', {
+            username: req.user.username,
+            count: lockouts.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                lockouts,
+                total: lockouts.length,
+                recentFailures
+            }
+        });
+
+    } catch (err) {
+        logError('Error fetching login lockouts', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to fetch login lockouts'
+        });
+    }
+}
@@ -0,0 +1,156 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { getParty, setPartyMembers, validatePartyFields } from '../../services/parties.js';
+import { info, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/parties
+ * Group guests of the active event who arrive together (requires guests.manage)
+ *
+ * Body params:
+ * - name: Party name (required, e.g. 'Garcia family')
+ * - leadGuestId: Guest who booked (required; always a member)
+ * - memberIds: Other guests in the party (optional)
+ * - notes: Notes for the door (optional)
+ *
+ * Returns: Created party with members
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+        const { errors, values } = validatePartyFields(req.body || {});
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        const memberIds = [...new Set([values.leadGuestId, ...(values.memberIds || [])])];
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Generate next party ID
+            const maxIdResult = await client.query(`
+        SELECT COALESCE(MAX(CAST(SUBSTRING(party_id FROM 2) AS INTEGER)), 0) as max_num
+        FROM parties
+        WHERE party_id ~ '^P[0-9]+$'
+      `);
+
+            const nextNum = parseInt(maxIdResult.rows[0].max_num) + 1;
+            const partyId = `P${String(nextNum).padStart(3, '0')}`;
+
+            // The lead is set once the members are known to exist
+            await client.query(`
+        INSERT INTO parties (party_id, event_id, name, notes, created_at)
+        VALUES ($1, $2, $3, $4, NOW())
+      `, [partyId, eventId, values.name, values.notes ?? null]);
+
+            const { unknown, taken } = await setPartyMembers(partyId, eventId, memberIds, client);
+
+            if (unknown.length > 0) {
+                await client.query('ROLLBACK');
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: `Guest(s) not found in this event: ${unknown.join(', ')}`,
+                    details: { field: 'memberIds', unknown }
+                });
+            }
+
+            if (taken.length > 0) {
+                await client.query('ROLLBACK');
+
+                return res.status(409).json({
+                    success: false,
+                    error: 'Conflict',
+                    message: `Guest(s) already in another party: ${taken.map(member => member.guestId).join(', ')}`,
+                    details: { field: 'memberIds', taken }
+                });
+            }
+
+            await client.query(
+                'UPDATE parties SET lead_guest_id = $1 WHERE party_id = $2',
+                [values.leadGuestId, partyId]
+            );
+
+            await client.query('COMMIT');
+
+            // Guest rows carry their party
+            cache.clearPattern('guests:*');
+
+            const result = await getParty(partyId, eventId, client);
+
+            info('Party created', {
+                adminUsername: req.user.username,
+                eventId,
+                partyId,
+                name: result.party.name,
+                members: memberIds
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: `Party "${result.party.name}" created successfully`,
+                data: result
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error creating party', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to create party'
+        });
+    }
+}
@@ -0,0 +1,115 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { formatParty } from '../../services/parties.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * DELETE /api/admin/parties/:id
+ * Disband a party of the active event (requires guests.manage)
+ * Its members stay on the guest list without a party.
+ *
+ * URL params:
+ * - id: Party ID (e.g., P001)
+ *
+ * Returns: Deleted party
+ */
+
+export default async function handler(req, res) {
+    // Only allow DELETE requests
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only DELETE requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract party ID from URL params
+        const partyId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!partyId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Party ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        // Members' party_id is cleared by the foreign key
+        const deleteResult = await db.query(`
+      DELETE FROM parties
+      WHERE party_id = $1 AND event_id = $2
+      RETURNING *
+    `, [partyId, eventId]);
+
+        if (deleteResult.rows.length === 0) {
+            warn('Party delete failed: Party not found', {
+                username: req.user.username,
+                partyId
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `Party with ID ${partyId} not found`
+            });
+        }
+
+        cache.clearPattern('guests:*');
+
+        const party = formatParty(deleteResult.rows[0]);
+
+        info('Party deleted', {
+            adminUsername: req.user.username,
+            eventId,
+            partyId,
+            name: party.name
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Party "${party.name}" deleted successfully`,
+            data: {
+                party
+            }
+        });
+
+    } catch (err) {
+        logError('Error deleting party', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to delete party'
+        });
+    }
+}
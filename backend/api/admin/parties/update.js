@@ -0,0 +1,202 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { getParty, setPartyMembers, validatePartyFields } from '../../services/parties.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * PUT /api/admin/parties/:id
+ * Update a party of the active event (requires guests.manage)
+ *
+ * URL params:
+ * - id: Party ID (e.g., P001)
+ *
+ * Body params (all optional):
+ * - name: Party name
+ * - leadGuestId: Guest who booked; joins the party if not already a member
+ * - memberIds: Guests in the party; replaces the current list (the lead always stays)
+ * - notes: Notes for the door
+ *
+ * Returns: Updated party with members
+ */
+
+export default async function handler(req, res) {
+    // Only allow PUT requests
+    if (req.method !== 'PUT') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only PUT requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract party ID from URL params
+        const partyId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!partyId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Party ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const { errors, values } = validatePartyFields(req.body || {}, { partial: true });
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'No fields to update'
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const partyResult = await client.query(`
+        SELECT *
+        FROM parties
+        WHERE party_id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [partyId, eventId]);
+
+            if (partyResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Party update failed: Party not found', {
+                    username: req.user.username,
+                    partyId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Party with ID ${partyId} not found`
+                });
+            }
+
+            const leadGuestId = values.leadGuestId ?? partyResult.rows[0].lead_guest_id;
+
+            if (values.memberIds || values.leadGuestId) {
+                let memberIds = values.memberIds;
+
+                if (!memberIds) {
+                    const current = await client.query('SELECT id FROM guests WHERE party_id = $1', [partyId]);
+                    memberIds = current.rows.map(row => row.id);
+                }
+
+                if (leadGuestId) {
+                    memberIds = [...new Set([leadGuestId, ...memberIds])];
+                }
+
+                const { unknown, taken } = await setPartyMembers(partyId, eventId, memberIds, client);
+
+                if (unknown.length > 0) {
+                    await client.query('ROLLBACK');
+
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Validation Error',
+                        message: `Guest(s) not found in this event: ${unknown.join(', ')}`,
+                        details: { field: values.memberIds ? 'memberIds' : 'leadGuestId', unknown }
+                    });
+                }
+
+                if (taken.length > 0) {
+                    await client.query('ROLLBACK');
+
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Conflict',
+                        message: `Guest(s) already in another party: ${taken.map(member => member.guestId).join(', ')}`,
+                        details: { field: values.memberIds ? 'memberIds' : 'leadGuestId', taken }
+                    });
+                }
+            }
+
+            await client.query(`
+        UPDATE parties
+        SET name = COALESCE($1, name),
+            lead_guest_id = $2,
+            notes = CASE WHEN $3 THEN $4 ELSE notes END
+        WHERE party_id = $5
+      `, [values.name ?? null, leadGuestId, values.notes !== undefined, values.notes ?? null, partyId]);
+
+            await client.query('COMMIT');
+
+            // Guest rows carry their party
+            cache.clearPattern('guests:*');
+
+            const result = await getParty(partyId, eventId, client);
+
+            info('Party updated', {
+                adminUsername: req.user.username,
+                eventId,
+                partyId,
+                updatedFields: Object.keys(values)
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Party "${result.party.name}" updated successfully`,
+                data: result
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error updating party', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update party'
+        });
+    }
+}
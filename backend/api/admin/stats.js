@@ -1,11 +1,13 @@
 import db from '../services/database.js';
 import cache from '../services/cache.js';
-import { authenticate, requireAdmin } from '../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { getCapacityUsage } from '../services/ticket-types.js';
 import { info, error as logError } from '../../utils/logger.js';
 
 /**
  * GET /api/admin/stats
- * Real-time dashboard statistics (Admin only)
+ * Real-time dashboard statistics for the active event (requires stats.read)
  * 
  * Returns:
  * - Total guests
@@ -14,6 +16,7 @@ import { info, error as logError } from '../../utils/logger.js';
  * - Total plus ones checked in
  * - Check-ins in last hour
  * - Check-ins by ticket type
+ * - Capacity used and remaining per ticket type
  * - Check-ins by hour (last 24 hours)
  * - Busiest check-in times
  * 
@@ -31,19 +34,29 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication and admin check
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
                 if (err) return reject(err);
-                requireAdmin(req, res, (err) => {
+                requirePermission('stats.read')(req, res, (err) => {
                     if (err) reject(err);
                     else resolve();
                 });
             });
         });
 
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
         // Try to get from cache first (10 second cache)
-        const cacheKey = 'admin:stats';
+        const cacheKey = `admin:stats:${eventId}`;
         const cached = cache.get(cacheKey);
 
         if (cached) {
@@ -64,22 +77,26 @@ export default async function handler(req, res) {
         COUNT(*) as total_guests,
         COUNT(CASE WHEN status = 'Checked In' THEN 1 END) as checked_in,
         COUNT(CASE WHEN status = 'Not Checked In' THEN 1 END) as not_checked_in,
-        COALESCE(SUM(CASE WHEN status = 'Checked In' THEN plus_ones_checked_in ELSE 0 END), 0) as total_plus_ones
+        COALESCE(SUM(CASE WHEN status = 'Checked In' THEN plus_ones_checked_in ELSE 0 END), 0) as total_plus_ones,
+        COUNT(CASE WHEN on_site THEN 1 END) as on_site,
+        COALESCE(SUM(CASE WHEN on_site THEN plus_ones_checked_in ELSE 0 END), 0) as on_site_plus_ones
       FROM guests
+      WHERE event_id = $1
     `;
 
-        const basicStatsResult = await db.query(basicStatsQuery);
+        const basicStatsResult = await db.query(basicStatsQuery, [eventId]);
         const basicStats = basicStatsResult.rows[0];
 
         // Get check-ins in last hour
         const lastHourQuery = `
       SELECT COUNT(*) as count
       FROM guests
-      WHERE check_in_time >= NOW() - INTERVAL '1 hour'
+      WHERE event_id = $1
+      AND check_in_time >= NOW() - INTERVAL '1 hour'
       AND status = 'Checked In'
     `;
 
-        const lastHourResult = await db.query(lastHourQuery);
+        const lastHourResult = await db.query(lastHourQuery, [eventId]);
         const lastHourCheckIns = parseInt(lastHourResult.rows[0].count);
 
         // Get check-ins by ticket type
@@ -89,12 +106,16 @@ export default async function handler(req, res) {
         COUNT(*) as count,
         COALESCE(SUM(plus_ones_checked_in), 0) as plus_ones
       FROM guests
-      WHERE status = 'Checked In'
+      WHERE event_id = $1
+      AND status = 'Checked In'
       GROUP BY ticket_type
       ORDER BY count DESC
     `;
 
-        const ticketTypeResult = await db.query(ticketTypeQuery);
+        const ticketTypeResult = await db.query(ticketTypeQuery, [eventId]);
+
+        // Capacity per catalogue entry (guests plus companions)
+        const capacityUsage = await getCapacityUsage(eventId);
 
         // Get check-ins by hour (last 24 hours)
         const hourlyQuery = `
@@ -102,13 +123,14 @@ export default async function handler(req, res) {
         DATE_TRUNC('hour', check_in_time) as hour,
         COUNT(*) as count
       FROM guests
-      WHERE check_in_time >= NOW() - INTERVAL '24 hours'
+      WHERE event_id = $1
+      AND check_in_time >= NOW() - INTERVAL '24 hours'
       AND status = 'Checked In'
       GROUP BY hour
       ORDER BY hour DESC
     `;
 
-        const hourlyResult = await db.query(hourlyQuery);
+        const hourlyResult = await db.query(hourlyQuery, [eventId]);
 
         // Get busiest hours (all time)
         const busiestQuery = `
@@ -116,14 +138,15 @@ export default async function handler(req, res) {
         EXTRACT(HOUR FROM check_in_time) as hour_of_day,
         COUNT(*) as count
       FROM guests
-      WHERE status = 'Checked In'
+      WHERE event_id = $1
+      AND status = 'Checked In'
       AND check_in_time IS NOT NULL
       GROUP BY hour_of_day
       ORDER BY count DESC
       LIMIT 5
     `;
 
-        const busiestResult = await db.query(busiestQuery);
+        const busiestResult = await db.query(busiestQuery, [eventId]);
 
         // Calculate percentage
         const totalGuests = parseInt(basicStats.total_guests);
@@ -134,13 +157,20 @@ export default async function handler(req, res) {
 
         // Prepare response data
         const statsData = {
+            event: {
+                eventId,
+                name: req.event.name
+            },
             overview: {
                 totalGuests: totalGuests,
                 checkedIn: checkedIn,
                 notCheckedIn: parseInt(basicStats.not_checked_in),
                 checkInPercentage: checkInPercentage,
                 totalPlusOnes: parseInt(basicStats.total_plus_ones),
-                totalAttendees: checkedIn + parseInt(basicStats.total_plus_ones)
+                totalAttendees: checkedIn + parseInt(basicStats.total_plus_ones),
+                // Companions are assumed to leave and return with their guest
+                currentlyInside: parseInt(basicStats.on_site) + parseInt(basicStats.on_site_plus_ones),
+                checkedOut: checkedIn - parseInt(basicStats.on_site)
             },
             recent: {
                 lastHour: lastHourCheckIns
@@ -151,6 +181,16 @@ export default async function handler(req, res) {
                 plusOnes: parseInt(row.plus_ones),
                 total: parseInt(row.count) + parseInt(row.plus_ones)
             })),
+            capacity: capacityUsage.map(type => ({
+                ticketType: type.name,
+                displayName: type.displayName,
+                color: type.color,
+                capacity: type.capacity,
+                capacityAction: type.capacityAction,
+                checkedIn: type.checkedIn,
+                remaining: type.remaining,
+                full: type.full
+            })),
             last24Hours: hourlyResult.rows.map(row => ({
                 hour: row.hour,
                 count: parseInt(row.count)
@@ -168,6 +208,7 @@ export default async function handler(req, res) {
 
         info('Admin stats generated', {
             username: req.user.username,
+            eventId,
             totalGuests,
             checkedIn,
             percentage: checkInPercentage
@@ -0,0 +1,165 @@
+import db from '../../services/database.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { formatTicketType, clearTicketTypeCache, validateTicketTypeFields } from '../../services/ticket-types.js';
+import { info, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/ticket-types
+ * Add a ticket type to the active event (requires events.manage)
+ *
+ * Body params:
+ * - name: Name stored on guests, unique per event (required, e.g. 'VIP')
+ * - displayName: Name shown to staff (optional, default: name)
+ * - color: Hex color (optional, default #64748B)
+ * - defaultPlusOnes: Plus ones for new guests of this type (optional, default 0)
+ * - capacity: People admitted, companions included (optional, empty for unlimited)
+ * - capacityAction: 'block' (default) refuses check-ins past capacity, 'warn' flags them
+ *
+ * Returns: Created ticket type
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+        const { errors, values } = validateTicketTypeFields(req.body || {});
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Block concurrent inserts so the generated ID stays unique
+            await client.query('LOCK TABLE ticket_types IN SHARE ROW EXCLUSIVE MODE');
+
+            const existing = await client.query(
+                'SELECT ticket_type_id FROM ticket_types WHERE event_id = $1 AND LOWER(name) = LOWER($2)',
+                [eventId, values.name]
+            );
+
+            if (existing.rows.length > 0) {
+                await client.query('ROLLBACK');
+
+                return res.status(409).json({
+                    success: false,
+                    error: 'Conflict',
+                    message: `Ticket type "${values.name}" already exists for this event`,
+                    details: { field: 'name' }
+                });
+            }
+
+            // Generate next ticket type ID
+            const maxIdResult = await client.query(`
+        SELECT COALESCE(MAX(CAST(SUBSTRING(ticket_type_id FROM 2) AS INTEGER)), 0) as max_num
+        FROM ticket_types
+        WHERE ticket_type_id ~ '^T[0-9]+$'
+      `);
+
+            const nextNum = parseInt(maxIdResult.rows[0].max_num) + 1;
+            const ticketTypeId = `T${String(nextNum).padStart(3, '0')}`;
+
+            const insertResult = await client.query(`
+        INSERT INTO ticket_types (
+          ticket_type_id,
+          event_id,
+          name,
+          display_name,
+          color,
+          default_plus_ones,
+          capacity,
+          capacity_action,
+          created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+        RETURNING *
+      `, [
+                ticketTypeId,
+                eventId,
+                values.name,
+                values.displayName,
+                values.color,
+                values.defaultPlusOnes,
+                values.capacity,
+                values.capacityAction
+            ]);
+
+            await client.query('COMMIT');
+
+            clearTicketTypeCache();
+
+            const ticketType = formatTicketType(insertResult.rows[0]);
+
+            info('Ticket type created', {
+                adminUsername: req.user.username,
+                eventId,
+                ticketTypeId,
+                name: ticketType.name,
+                capacity: ticketType.capacity
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: `Ticket type "${ticketType.displayName}" created successfully`,
+                data: {
+                    ticketType
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error creating ticket type', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to create ticket type'
+        });
+    }
+}
@@ -0,0 +1,159 @@
+import db from '../../services/database.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { formatTicketType, clearTicketTypeCache } from '../../services/ticket-types.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * DELETE /api/admin/ticket-types/:id
+ * Remove a ticket type from the active event (requires events.manage)
+ *
+ * URL params:
+ * - id: Ticket type ID (e.g., T001)
+ *
+ * Types still held by guests cannot be deleted; move those guests to
+ * another type first. Zones stop admitting the deleted type.
+ *
+ * Returns: Deleted ticket type
+ */
+
+export default async function handler(req, res) {
+    // Only allow DELETE requests
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only DELETE requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract ticket type ID from URL params
+        const ticketTypeId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!ticketTypeId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Ticket type ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const typeResult = await client.query(`
+        SELECT *
+        FROM ticket_types
+        WHERE ticket_type_id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [ticketTypeId, eventId]);
+
+            if (typeResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Ticket type delete failed: Not found', {
+                    username: req.user.username,
+                    ticketTypeId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Ticket type with ID ${ticketTypeId} not found`
+                });
+            }
+
+            const ticketType = formatTicketType(typeResult.rows[0]);
+
+            const usageResult = await client.query(`
+        SELECT COUNT(*) as count
+        FROM guests
+        WHERE event_id = $1 AND LOWER(ticket_type) = LOWER($2)
+      `, [eventId, ticketType.name]);
+
+            const guestCount = parseInt(usageResult.rows[0].count);
+
+            if (guestCount > 0) {
+                await client.query('ROLLBACK');
+
+                return res.status(409).json({
+                    success: false,
+                    error: 'Conflict',
+                    message: `${guestCount} guest(s) still hold ${ticketType.displayName} tickets`,
+                    details: { guestCount }
+                });
+            }
+
+            await client.query('DELETE FROM ticket_types WHERE ticket_type_id = $1', [ticketTypeId]);
+
+            await client.query(`
+        UPDATE zones
+        SET ticket_types = ARRAY_REMOVE(ticket_types, $1)
+        WHERE event_id = $2
+      `, [ticketType.name, eventId]);
+
+            await client.query('COMMIT');
+
+            clearTicketTypeCache();
+
+            info('Ticket type deleted', {
+                adminUsername: req.user.username,
+                eventId,
+                ticketTypeId,
+                name: ticketType.name
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Ticket type "${ticketType.displayName}" deleted successfully`,
+                data: {
+                    ticketType
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error deleting ticket type', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to delete ticket type'
+        });
+    }
+}
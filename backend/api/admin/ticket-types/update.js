@@ -0,0 +1,218 @@
+import db from '../../services/database.js';
+import cache from '../../services/cache.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { formatTicketType, clearTicketTypeCache, validateTicketTypeFields } from '../../services/ticket-types.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * PUT /api/admin/ticket-types/:id
+ * Update a ticket type of the active event (requires events.manage)
+ *
+ * URL params:
+ * - id: Ticket type ID (e.g., T001)
+ *
+ * Body params (all optional):
+ * - name, displayName, color, defaultPlusOnes, capacity, capacityAction
+ *
+ * Renaming updates the guests and zones that use the old name. Lowering
+ * the capacity below the current headcount is allowed and marks the type full.
+ *
+ * Returns: Updated ticket type
+ */
+
+// Ticket type input field -> ticket_types column
+const FIELD_COLUMNS = {
+    name: 'name',
+    displayName: 'display_name',
+    color: 'color',
+    defaultPlusOnes: 'default_plus_ones',
+    capacity: 'capacity',
+    capacityAction: 'capacity_action'
+};
+
+export default async function handler(req, res) {
+    // Only allow PUT requests
+    if (req.method !== 'PUT') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only PUT requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract ticket type ID from URL params
+        const ticketTypeId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!ticketTypeId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Ticket type ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const { errors, values } = validateTicketTypeFields(req.body || {}, { partial: true });
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        const fields = Object.keys(values);
+
+        if (fields.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'No fields to update'
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const typeResult = await client.query(`
+        SELECT *
+        FROM ticket_types
+        WHERE ticket_type_id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [ticketTypeId, eventId]);
+
+            if (typeResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Ticket type update failed: Not found', {
+                    username: req.user.username,
+                    ticketTypeId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Ticket type with ID ${ticketTypeId} not found`
+                });
+            }
+
+            const previous = typeResult.rows[0];
+            const renamed = values.name !== undefined && values.name !== previous.name;
+
+            if (renamed) {
+                const duplicate = await client.query(`
+          SELECT ticket_type_id
+          FROM ticket_types
+          WHERE event_id = $1 AND LOWER(name) = LOWER($2) AND ticket_type_id != $3
+        `, [eventId, values.name, ticketTypeId]);
+
+                if (duplicate.rows.length > 0) {
+                    await client.query('ROLLBACK');
+
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Conflict',
+                        message: `Ticket type "${values.name}" already exists for this event`,
+                        details: { field: 'name' }
+                    });
+                }
+            }
+
+            const assignments = fields.map((field, index) => `${FIELD_COLUMNS[field]} = $${index + 1}`);
+
+            const updateResult = await client.query(`
+        UPDATE ticket_types
+        SET ${assignments.join(', ')}
+        WHERE ticket_type_id = $${fields.length + 1}
+        RETURNING *
+      `, [...fields.map(field => values[field]), ticketTypeId]);
+
+            // Carry the new name over to guests and zone admission lists
+            if (renamed) {
+                await client.query(`
+          UPDATE guests
+          SET ticket_type = $1, last_modified = NOW()
+          WHERE event_id = $2 AND LOWER(ticket_type) = LOWER($3)
+        `, [values.name, eventId, previous.name]);
+
+                await client.query(`
+          UPDATE zones
+          SET ticket_types = ARRAY_REPLACE(ticket_types, $1, $2)
+          WHERE event_id = $3
+        `, [previous.name, values.name, eventId]);
+            }
+
+            await client.query('COMMIT');
+
+            clearTicketTypeCache();
+            if (renamed) {
+                cache.clearPattern('guests:*');
+            }
+
+            const ticketType = formatTicketType(updateResult.rows[0]);
+
+            info('Ticket type updated', {
+                adminUsername: req.user.username,
+                eventId,
+                ticketTypeId,
+                updatedFields: fields,
+                renamedFrom: renamed ? previous.name : undefined
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Ticket type "${ticketType.displayName}" updated successfully`,
+                data: {
+                    ticketType
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error updating ticket type', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update ticket type'
+        });
+    }
+}
@@ -1,17 +1,20 @@
 import db from '../../services/database.js';
+import cache from '../../services/cache.js';
 import authService from '../../services/auth.js';
-import { authenticate, requireAdmin } from '../../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { ROLES } from '../../services/permissions.js';
 import { info, warn, error as logError } from '../../../utils/logger.js';
 
 /**
  * POST /api/admin/ushers
- * Create new usher account (Admin only)
+ * Create new usher account (requires ushers.manage)
  * 
  * Body params:
  * - username: Unique username (required, alphanumeric + underscore)
  * - password: Password (required, min 8 characters)
  * - fullName: Full name (required)
- * - role: Role (required, 'Usher' or 'Admin')
+ * - role: Role (required: 'Viewer', 'Usher', 'Supervisor' or 'Admin')
+ * - eventIds: Event IDs the usher is assigned to (optional)
  * 
  * Returns: Created usher (without password hash)
  */
@@ -27,11 +30,11 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication and admin check
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
                 if (err) return reject(err);
-                requireAdmin(req, res, (err) => {
+                requirePermission('ushers.manage')(req, res, (err) => {
                     if (err) reject(err);
                     else resolve();
                 });
@@ -39,7 +42,7 @@ export default async function handler(req, res) {
         });
 
         // Extract and validate request body
-        const { username, password, fullName, role } = req.body;
+        const { username, password, fullName, role, eventIds } = req.body;
 
         // Validation
         const errors = {};
@@ -58,8 +61,12 @@ export default async function handler(req, res) {
             errors.fullName = 'Full name is required';
         }
 
-        if (!role || !['Usher', 'Admin'].includes(role)) {
-            errors.role = 'Role must be either "Usher" or "Admin"';
+        if (!role || !ROLES.includes(role)) {
+            errors.role = `Role must be one of: ${ROLES.join(', ')}`;
+        }
+
+        if (eventIds !== undefined && (!Array.isArray(eventIds) || eventIds.some(id => typeof id !== 'string'))) {
+            errors.eventIds = 'eventIds must be an array of event IDs';
         }
 
         if (Object.keys(errors).length > 0) {
@@ -71,6 +78,23 @@ export default async function handler(req, res) {
             });
         }
 
+        // Check that every assigned event exists
+        const assignedEventIds = [...new Set((eventIds || []).map(id => id.trim().toUpperCase()))];
+
+        if (assignedEventIds.length > 0) {
+            const knownEvents = await db.getEventsByIds(assignedEventIds);
+            const unknownEventIds = assignedEventIds.filter(id => !knownEvents.some(e => e.event_id === id));
+
+            if (unknownEventIds.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Invalid input data',
+                    details: { eventIds: `Unknown event(s): ${unknownEventIds.join(', ')}` }
+                });
+            }
+        }
+
         // Check if username already exists
         const checkQuery = `
       SELECT usher_id 
@@ -128,15 +152,35 @@ export default async function handler(req, res) {
         created_at
     `;
 
-        const insertResult = await db.query(insertQuery, [
-            usherId,
-            username.trim(),
-            passwordHash,
-            fullName.trim(),
-            role
-        ]);
+        // Insert usher and event assignments atomically
+        const client = await db.pool.connect();
+        let newUsher;
+
+        try {
+            await client.query('BEGIN');
+
+            const insertResult = await client.query(insertQuery, [
+                usherId,
+                username.trim(),
+                passwordHash,
+                fullName.trim(),
+                role
+            ]);
+
+            await db.setUsherEvents(usherId, assignedEventIds, client);
+
+            await client.query('COMMIT');
+
+            newUsher = { ...insertResult.rows[0], event_ids: assignedEventIds };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
 
-        const newUsher = insertResult.rows[0];
+        // Invalidate cached event assignments
+        cache.clearPattern('events:*');
 
         info('New usher created', {
             adminUsername: req.user.username,
@@ -144,7 +188,8 @@ export default async function handler(req, res) {
                 usherId: newUsher.usher_id,
                 username: newUsher.username,
                 fullName: newUsher.full_name,
-                role: newUsher.role
+                role: newUsher.role,
+                eventIds: assignedEventIds
             }
         });
 
@@ -1,10 +1,11 @@
 import db from '../../services/database.js';
-import { authenticate, requireAdmin } from '../../middleware/authenticate.js';
+import sessionService from '../../services/sessions.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
 import { info, warn, error as logError } from '../../../utils/logger.js';
 
 /**
  * DELETE /api/admin/ushers/:id
- * Deactivate usher account (Admin only)
+ * Deactivate usher account (requires ushers.manage)
  * 
  * URL params:
  * - id: Usher ID (e.g., U1, U2)
@@ -28,11 +29,11 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication and admin check
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
                 if (err) return reject(err);
-                requireAdmin(req, res, (err) => {
+                requirePermission('ushers.manage')(req, res, (err) => {
                     if (err) reject(err);
                     else resolve();
                 });
@@ -118,10 +119,10 @@ export default async function handler(req, res) {
             }
         }
 
-        // Deactivate usher (soft delete)
+        // Deactivate usher (soft delete); the version bump ends their live sessions
         const deleteQuery = `
       UPDATE ushers
-      SET active = false
+      SET active = false, token_version = token_version + 1
       WHERE usher_id = $1
       RETURNING usher_id, username, full_name
     `;
@@ -129,6 +130,8 @@ export default async function handler(req, res) {
         const deleteResult = await db.query(deleteQuery, [usherId]);
         const deletedUsher = deleteResult.rows[0];
 
+        sessionService.forgetTokenVersion(usherId);
+
         info('Usher deactivated', {
             adminUsername: req.user.username,
             deactivatedUsher: {
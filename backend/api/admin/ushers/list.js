@@ -1,13 +1,14 @@
 import db from '../../services/database.js';
-import { authenticate, requireAdmin } from '../../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
 import { info, error as logError } from '../../../utils/logger.js';
 
 /**
  * GET /api/admin/ushers
- * List all ushers (Admin only)
+ * List all ushers (requires ushers.manage)
  * 
  * Returns:
  * - All usher accounts (excluding password hashes)
+ * - Event IDs each usher is assigned to
  * - Sorted by full name
  */
 
@@ -22,11 +23,11 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication and admin check
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
                 if (err) return reject(err);
-                requireAdmin(req, res, (err) => {
+                requirePermission('ushers.manage')(req, res, (err) => {
                     if (err) reject(err);
                     else resolve();
                 });
@@ -42,7 +43,13 @@ export default async function handler(req, res) {
         role,
         active,
         created_at,
-        last_login
+        last_login,
+        ARRAY(
+          SELECT ue.event_id
+          FROM usher_events ue
+          WHERE ue.usher_id = ushers.usher_id
+          ORDER BY ue.event_id
+        ) as event_ids
       FROM ushers
       ORDER BY full_name ASC
     `;
@@ -0,0 +1,105 @@
+import db from '../../services/database.js';
+import sessionService from '../../services/sessions.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/ushers/:id/logout-all
+ * Revoke every active session of an usher (requires ushers.manage)
+ *
+ * URL params:
+ * - id: Usher ID (e.g., U1, U2)
+ *
+ * Tokens already issued to the usher stop working; they can log in again
+ * unless their account is also deactivated.
+ *
+ * Returns: Number of sessions revoked
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('ushers.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Extract usher ID from URL params
+        const usherId = req.query.id;
+
+        if (!usherId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Usher ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const usherResult = await db.query(`
+      SELECT usher_id, username
+      FROM ushers
+      WHERE usher_id = $1
+    `, [usherId]);
+
+        if (usherResult.rows.length === 0) {
+            warn('Usher logout failed: Usher not found', {
+                username: req.user.username,
+                usherId
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `Usher with ID "${usherId}" not found`
+            });
+        }
+
+        const targetUsher = usherResult.rows[0];
+        const revokedCount = await sessionService.revokeAllForUsher(usherId, 'admin_logout_all');
+
+        info('Usher logged out everywhere by admin', {
+            adminUsername: req.user.username,
+            usherId,
+            targetUsername: targetUsher.username,
+            revokedCount
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Ended ${revokedCount} session${revokedCount === 1 ? '' : 's'} for "${targetUsher.username}"`,
+            data: {
+                usherId,
+                revokedCount
+            }
+        });
+
+    } catch (err) {
+        logError('Error revoking usher sessions', {
+            error: err.message,
+            stack: err.stack,
+            usherId: req.query.id,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to log out usher'
+        });
+    }
+}
@@ -1,20 +1,27 @@
 import db from '../../services/database.js';
+import cache from '../../services/cache.js';
 import authService from '../../services/auth.js';
-import { authenticate, requireAdmin } from '../../middleware/authenticate.js';
+import sessionService from '../../services/sessions.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { ROLES } from '../../services/permissions.js';
 import { info, warn, error as logError } from '../../../utils/logger.js';
 
 /**
  * PUT /api/admin/ushers/:id
- * Update usher details (Admin only)
+ * Update usher details (requires ushers.manage)
  * 
  * URL params:
  * - id: Usher ID (e.g., U1, U2)
  * 
  * Body params (all optional):
  * - fullName: Full name
- * - role: Role ('Usher' or 'Admin')
+ * - role: Role ('Viewer', 'Usher', 'Supervisor' or 'Admin')
  * - active: Active status (true/false)
  * - password: New password (min 8 characters)
+ * - eventIds: Event IDs the usher is assigned to (replaces existing assignments)
+ * 
+ * Deactivating the usher, changing their role or resetting their password
+ * invalidates every token they already hold.
  * 
  * Returns: Updated usher (without password hash)
  */
@@ -30,11 +37,11 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication and admin check
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
                 if (err) return reject(err);
-                requireAdmin(req, res, (err) => {
+                requirePermission('ushers.manage')(req, res, (err) => {
                     if (err) reject(err);
                     else resolve();
                 });
@@ -54,7 +61,7 @@ export default async function handler(req, res) {
         }
 
         // Extract update fields from request body
-        const { fullName, role, active, password } = req.body;
+        const { fullName, role, active, password, eventIds } = req.body;
 
         // Check if usher exists
         const checkQuery = `
@@ -101,8 +108,8 @@ export default async function handler(req, res) {
             errors.fullName = 'Full name cannot be empty';
         }
 
-        if (role !== undefined && !['Usher', 'Admin'].includes(role)) {
-            errors.role = 'Role must be either "Usher" or "Admin"';
+        if (role !== undefined && !ROLES.includes(role)) {
+            errors.role = `Role must be one of: ${ROLES.join(', ')}`;
         }
 
         if (active !== undefined && typeof active !== 'boolean') {
@@ -113,6 +120,10 @@ export default async function handler(req, res) {
             errors.password = 'Password must be at least 8 characters';
         }
 
+        if (eventIds !== undefined && (!Array.isArray(eventIds) || eventIds.some(id => typeof id !== 'string'))) {
+            errors.eventIds = 'eventIds must be an array of event IDs';
+        }
+
         if (Object.keys(errors).length > 0) {
             return res.status(400).json({
                 success: false,
@@ -122,6 +133,25 @@ export default async function handler(req, res) {
             });
         }
 
+        // Check that every assigned event exists
+        const assignedEventIds = eventIds !== undefined
+            ? [...new Set(eventIds.map(id => id.trim().toUpperCase()))]
+            : null;
+
+        if (assignedEventIds && assignedEventIds.length > 0) {
+            const knownEvents = await db.getEventsByIds(assignedEventIds);
+            const unknownEventIds = assignedEventIds.filter(id => !knownEvents.some(e => e.event_id === id));
+
+            if (unknownEventIds.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: 'Invalid input data',
+                    details: { eventIds: `Unknown event(s): ${unknownEventIds.join(', ')}` }
+                });
+            }
+        }
+
         // Build dynamic UPDATE query
         const updates = [];
         const params = [];
@@ -152,21 +182,31 @@ export default async function handler(req, res) {
             paramIndex++;
         }
 
+        // Tokens carry the role and were issued against the old password
+        const invalidatesTokens = (role !== undefined && role !== currentUsher.role)
+            || (active === false && currentUsher.active)
+            || password !== undefined;
+
+        if (invalidatesTokens) {
+            updates.push('token_version = token_version + 1');
+        }
+
         // If no updates provided, return error
-        if (updates.length === 0) {
+        if (updates.length === 0 && !assignedEventIds) {
             return res.status(400).json({
                 success: false,
                 error: 'Validation Error',
                 message: 'No update fields provided',
-                details: { fields: 'At least one field (fullName, role, active, password) is required' }
+                details: { fields: 'At least one field (fullName, role, active, password, eventIds) is required' }
             });
         }
 
         // Add usher ID as last parameter
         params.push(usherId);
 
-        // Execute update
-        const updateQuery = `
+        // Execute update (only event assignments may be changing)
+        const updateQuery = updates.length > 0
+            ? `
       UPDATE ushers
       SET ${updates.join(', ')}
       WHERE usher_id = $${paramIndex}
@@ -178,10 +218,59 @@ export default async function handler(req, res) {
         active,
         created_at,
         last_login
+    `
+            : `
+      SELECT 
+        usher_id,
+        username,
+        full_name,
+        role,
+        active,
+        created_at,
+        last_login
+      FROM ushers
+      WHERE usher_id = $${paramIndex}
     `;
 
-        const updateResult = await db.query(updateQuery, params);
-        const updatedUsher = updateResult.rows[0];
+        const client = await db.pool.connect();
+        let updatedUsher;
+
+        try {
+            await client.query('BEGIN');
+
+            const updateResult = await client.query(updateQuery, params);
+
+            if (assignedEventIds) {
+                await db.setUsherEvents(usherId, assignedEventIds, client);
+            }
+
+            const eventsResult = await client.query(
+                'SELECT event_id FROM usher_events WHERE usher_id = $1 ORDER BY event_id',
+                [usherId]
+            );
+
+            await client.query('COMMIT');
+
+            updatedUsher = {
+                ...updateResult.rows[0],
+                event_ids: eventsResult.rows.map(row => row.event_id)
+            };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+        // Invalidate cached event assignments
+        if (assignedEventIds) {
+            cache.clearPattern('events:*');
+        }
+
+        // The cached token version also records whether the usher is active
+        if (invalidatesTokens || active !== undefined) {
+            sessionService.forgetTokenVersion(usherId);
+        }
 
         info('Usher updated', {
             adminUsername: req.user.username,
@@ -190,8 +279,10 @@ export default async function handler(req, res) {
                 fullName: fullName !== undefined,
                 role: role !== undefined,
                 active: active !== undefined,
-                password: password !== undefined
-            }
+                password: password !== undefined,
+                eventIds: assignedEventIds !== null
+            },
+            tokensInvalidated: invalidatesTokens
         });
 
         return res.status(200).json({
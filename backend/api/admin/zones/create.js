@@ -0,0 +1,157 @@
+import db from '../../services/database.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { formatZone, setZoneUshers, validateZoneFields } from '../../services/zones.js';
+import { getTicketTypes } from '../../services/ticket-types.js';
+import { info, error as logError } from '../../../utils/logger.js';
+
+/**
+ * POST /api/admin/zones
+ * Create an entrance for the active event (requires events.manage)
+ *
+ * Body params:
+ * - name: Zone name, unique per event (required)
+ * - ticketTypes: Ticket types the zone admits (required, e.g. ['VIP'])
+ * - usherIds: Ushers working the zone (optional; must be assigned to the event)
+ *
+ * Returns: Created zone
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+        const { errors, values } = validateZoneFields(req.body || {}, {
+            ticketTypes: await getTicketTypes(eventId)
+        });
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query(
+                'SELECT zone_id FROM zones WHERE event_id = $1 AND LOWER(name) = LOWER($2)',
+                [eventId, values.name]
+            );
+
+            if (existing.rows.length > 0) {
+                await client.query('ROLLBACK');
+
+                return res.status(409).json({
+                    success: false,
+                    error: 'Conflict',
+                    message: `Zone "${values.name}" already exists for this event`,
+                    details: { field: 'name' }
+                });
+            }
+
+            // Generate next zone ID
+            const maxIdResult = await client.query(`
+        SELECT COALESCE(MAX(CAST(SUBSTRING(zone_id FROM 2) AS INTEGER)), 0) as max_num
+        FROM zones
+        WHERE zone_id ~ '^Z[0-9]+$'
+      `);
+
+            const nextNum = parseInt(maxIdResult.rows[0].max_num) + 1;
+            const zoneId = `Z${String(nextNum).padStart(3, '0')}`;
+
+            const insertResult = await client.query(`
+        INSERT INTO zones (zone_id, event_id, name, ticket_types, created_at)
+        VALUES ($1, $2, $3, $4, NOW())
+        RETURNING *
+      `, [zoneId, eventId, values.name, values.ticketTypes]);
+
+            if (values.usherIds) {
+                const unassigned = await setZoneUshers(zoneId, eventId, values.usherIds, client);
+
+                if (unassigned.length > 0) {
+                    await client.query('ROLLBACK');
+
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Validation Error',
+                        message: `Usher(s) not assigned to this event: ${unassigned.join(', ')}`,
+                        details: { field: 'usherIds' }
+                    });
+                }
+            }
+
+            await client.query('COMMIT');
+
+            const zone = formatZone(insertResult.rows[0]);
+
+            info('Zone created', {
+                adminUsername: req.user.username,
+                eventId,
+                zoneId,
+                name: zone.name,
+                ticketTypes: zone.ticketTypes
+            });
+
+            return res.status(201).json({
+                success: true,
+                message: `Zone "${zone.name}" created successfully`,
+                data: {
+                    zone
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error creating zone', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to create zone'
+        });
+    }
+}
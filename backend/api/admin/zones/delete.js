@@ -0,0 +1,112 @@
+import db from '../../services/database.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { formatZone } from '../../services/zones.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * DELETE /api/admin/zones/:id
+ * Remove an entrance from the active event (requires events.manage)
+ *
+ * URL params:
+ * - id: Zone ID (e.g., Z001)
+ *
+ * Ushers working the zone are left without one and may admit any ticket type.
+ *
+ * Returns: Deleted zone
+ */
+
+export default async function handler(req, res) {
+    // Only allow DELETE requests
+    if (req.method !== 'DELETE') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only DELETE requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract zone ID from URL params
+        const zoneId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!zoneId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Zone ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const deleteResult = await db.query(`
+      DELETE FROM zones
+      WHERE zone_id = $1 AND event_id = $2
+      RETURNING *
+    `, [zoneId, eventId]);
+
+        if (deleteResult.rows.length === 0) {
+            warn('Zone delete failed: Zone not found', {
+                username: req.user.username,
+                zoneId
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `Zone with ID ${zoneId} not found`
+            });
+        }
+
+        const zone = formatZone(deleteResult.rows[0]);
+
+        info('Zone deleted', {
+            adminUsername: req.user.username,
+            eventId,
+            zoneId,
+            name: zone.name
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Zone "${zone.name}" deleted successfully`,
+            data: {
+                zone
+            }
+        });
+
+    } catch (err) {
+        logError('Error deleting zone', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to delete zone'
+        });
+    }
+}
@@ -0,0 +1,74 @@
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { listZones } from '../../services/zones.js';
+import { info, error as logError } from '../../../utils/logger.js';
+
+/**
+ * GET /api/admin/zones
+ * List the entrances of the active event (requires events.manage)
+ *
+ * Returns:
+ * - Zone name and the ticket types it admits
+ * - Ushers working each zone
+ */
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+        const zones = await listZones(eventId);
+
+        info('Zones fetched', {
+            username: req.user.username,
+            eventId,
+            count: zones.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                zones
+            }
+        });
+
+    } catch (err) {
+        logError('Error fetching zones', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to fetch zones'
+        });
+    }
+}
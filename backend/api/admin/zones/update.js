@@ -0,0 +1,197 @@
+import db from '../../services/database.js';
+import { authenticate, requirePermission } from '../../middleware/authenticate.js';
+import { requireEvent } from '../../middleware/event.js';
+import { formatZone, setZoneUshers, validateZoneFields } from '../../services/zones.js';
+import { getTicketTypes } from '../../services/ticket-types.js';
+import { info, warn, error as logError } from '../../../utils/logger.js';
+
+/**
+ * PUT /api/admin/zones/:id
+ * Update an entrance of the active event (requires events.manage)
+ *
+ * URL params:
+ * - id: Zone ID (e.g., Z001)
+ *
+ * Body params (all optional):
+ * - name: Zone name, unique per event
+ * - ticketTypes: Ticket types the zone admits
+ * - usherIds: Ushers working the zone; replaces the current list
+ *
+ * Returns: Updated zone
+ */
+
+export default async function handler(req, res) {
+    // Only allow PUT requests
+    if (req.method !== 'PUT') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only PUT requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('events.manage')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract zone ID from URL params
+        const zoneId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!zoneId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Zone ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const { errors, values } = validateZoneFields(req.body || {}, {
+            partial: true,
+            ticketTypes: await getTicketTypes(eventId)
+        });
+
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid input data',
+                details: errors
+            });
+        }
+
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'No fields to update'
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const zoneResult = await client.query(`
+        SELECT *
+        FROM zones
+        WHERE zone_id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [zoneId, eventId]);
+
+            if (zoneResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Zone update failed: Zone not found', {
+                    username: req.user.username,
+                    zoneId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Zone with ID ${zoneId} not found`
+                });
+            }
+
+            if (values.name !== undefined) {
+                const duplicate = await client.query(
+                    'SELECT zone_id FROM zones WHERE event_id = $1 AND LOWER(name) = LOWER($2) AND zone_id != $3',
+                    [eventId, values.name, zoneId]
+                );
+
+                if (duplicate.rows.length > 0) {
+                    await client.query('ROLLBACK');
+
+                    return res.status(409).json({
+                        success: false,
+                        error: 'Conflict',
+                        message: `Zone "${values.name}" already exists for this event`,
+                        details: { field: 'name' }
+                    });
+                }
+            }
+
+            const updateResult = await client.query(`
+        UPDATE zones
+        SET name = COALESCE($1, name),
+            ticket_types = COALESCE($2, ticket_types)
+        WHERE zone_id = $3
+        RETURNING *
+      `, [values.name ?? null, values.ticketTypes ?? null, zoneId]);
+
+            if (values.usherIds) {
+                const unassigned = await setZoneUshers(zoneId, eventId, values.usherIds, client);
+
+                if (unassigned.length > 0) {
+                    await client.query('ROLLBACK');
+
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Validation Error',
+                        message: `Usher(s) not assigned to this event: ${unassigned.join(', ')}`,
+                        details: { field: 'usherIds' }
+                    });
+                }
+            }
+
+            await client.query('COMMIT');
+
+            const zone = formatZone(updateResult.rows[0]);
+
+            info('Zone updated', {
+                adminUsername: req.user.username,
+                eventId,
+                zoneId,
+                updatedFields: Object.keys(values)
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Zone "${zone.name}" updated successfully`,
+                data: {
+                    zone
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error updating zone', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update zone'
+        });
+    }
+}
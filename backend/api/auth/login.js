@@ -1,5 +1,8 @@
 import db from '../services/database.js';
 import authService from '../services/auth.js';
+import sessionService from '../services/sessions.js';
+import loginThrottle from '../services/login-throttle.js';
+import { permissionsForRole } from '../services/permissions.js';
 import { info, warn, error as logError } from '../../utils/logger.js';
 
 /**
@@ -7,8 +10,32 @@ import { info, warn, error as logError } from '../../utils/logger.js';
  * POST /api/auth/login
  * 
  * Authenticates user and returns JWT token
+ *
+ * Repeated failures lock the username or the client IP for a while
+ * (429 with retryAfter in seconds); every failure is audited as login_failed.
  */
 
+function formatWait(seconds) {
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function lockedResponse(res, lock) {
+    res.setHeader('Retry-After', lock.retryAfter);
+
+    return res.status(429).json({
+        success: false,
+        error: 'Too Many Attempts',
+        message: `Too many failed sign-in attempts. Try again in ${formatWait(lock.retryAfter)}.`,
+        retryAfter: lock.retryAfter,
+        lockedUntil: lock.lockedUntil,
+    });
+}
+
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
         return res.status(405).json({
@@ -31,12 +58,31 @@ export default async function handler(req, res) {
             });
         }
 
+        const ipAddress = req.ip;
+
+        // Refuse locked usernames and IPs before checking the password
+        const activeLock = await loginThrottle.getLock(username, ipAddress);
+
+        if (activeLock) {
+            warn('Login attempt while locked out', {
+                username,
+                ipAddress,
+                scope: activeLock.scope,
+                retryAfter: activeLock.retryAfter
+            });
+            await loginThrottle.recordFailure(username, ipAddress, 'locked');
+            return lockedResponse(res, activeLock);
+        }
+
         // Get usher from database
         const usher = await db.getUsherByUsername(username);
 
         if (!usher) {
             warn('Login attempt for non-existent user', { username });
 
+            const lock = await loginThrottle.recordFailure(username, ipAddress, 'unknown_user');
+            if (lock) return lockedResponse(res, lock);
+
             // Don't reveal if user exists or not
             return res.status(401).json({
                 success: false,
@@ -48,6 +94,11 @@ export default async function handler(req, res) {
         // Check if account is active
         if (!usher.active) {
             warn('Login attempt for inactive account', { username });
+
+            // Counted like a wrong password so deactivated accounts cannot be probed freely
+            const lock = await loginThrottle.recordFailure(username, ipAddress, 'inactive_account');
+            if (lock) return lockedResponse(res, lock);
+
             return res.status(401).json({
                 success: false,
                 error: 'Account Inactive',
@@ -63,6 +114,10 @@ export default async function handler(req, res) {
 
         if (!isValidPassword) {
             warn('Login attempt with incorrect password', { username });
+
+            const lock = await loginThrottle.recordFailure(username, ipAddress, 'invalid_password');
+            if (lock) return lockedResponse(res, lock);
+
             return res.status(401).json({
                 success: false,
                 error: 'Authentication Failed',
@@ -70,19 +125,15 @@ export default async function handler(req, res) {
             });
         }
 
-        // Update last login time
+        // Update last login time and forget earlier failures
         await db.updateUsherLastLogin(usher.usher_id);
+        await loginThrottle.recordSuccess(username);
 
-        // Generate JWT token
-        const tokenPayload = {
-            usherId: usher.usher_id,
-            username: usher.username,
-            fullName: usher.full_name,
-            role: usher.role,
-        };
-
-        const token = authService.generateToken(tokenPayload);
-        const refreshToken = authService.generateRefreshToken(tokenPayload);
+        // Generate JWT tokens and register the session so logout can revoke them
+        const { token, refreshToken } = await sessionService.issueTokens(usher, {
+            ipAddress,
+            userAgent: req.headers['user-agent']
+        });
 
         info('User logged in successfully', {
             username,
@@ -101,6 +152,7 @@ export default async function handler(req, res) {
                     username: usher.username,
                     fullName: usher.full_name,
                     role: usher.role,
+                    permissions: permissionsForRole(usher.role),
                 },
             },
         });
@@ -0,0 +1,46 @@
+import sessionService from '../services/sessions.js';
+import { info, error as logError } from '../../utils/logger.js';
+
+/**
+ * Logout Everywhere API
+ * POST /api/auth/logout-all
+ * 
+ * Revokes every session of the current user, including the one making
+ * this request (e.g. after a lost phone)
+ * Requires authentication middleware
+ */
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            allowedMethods: ['POST'],
+        });
+    }
+
+    try {
+        const revokedCount = await sessionService.revokeAllForUsher(req.user.usherId, 'logout_all');
+
+        info('User logged out everywhere', {
+            username: req.user.username,
+            revokedCount
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Logged out of ${revokedCount} session${revokedCount === 1 ? '' : 's'}`,
+            data: {
+                revokedCount,
+            },
+        });
+
+    } catch (err) {
+        logError('Logout everywhere error', err);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'An error occurred during logout',
+        });
+    }
+}
@@ -1,10 +1,12 @@
-import { info } from '../../utils/logger.js';
+import sessionService from '../services/sessions.js';
+import { info, error as logError } from '../../utils/logger.js';
 
 /**
  * Logout API
  * POST /api/auth/logout
  * 
- * Logs out user (client-side token removal)
+ * Revokes the session of the token used for this request, so the token
+ * stops working immediately instead of at expiry
  * Requires authentication middleware
  */
 
@@ -18,28 +20,23 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Log the logout
+        await sessionService.revoke(req.user.jti, 'logout');
+
         info('User logged out', {
-            username: req.user?.username || 'unknown'
+            username: req.user.username
         });
 
-        // Note: With JWT, we don't maintain server-side sessions
-        // The client must remove the token from storage
-        // For token blacklisting, we would add the token to a blacklist here
-
         return res.status(200).json({
             success: true,
             message: 'Logout successful',
-            data: {
-                instruction: 'Remove token from client storage',
-            },
         });
 
     } catch (err) {
+        logError('Logout error', err);
         return res.status(500).json({
             success: false,
             error: 'Internal Server Error',
             message: 'An error occurred during logout',
         });
     }
-}
\ No newline at end of file
+}
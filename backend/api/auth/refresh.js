@@ -0,0 +1,176 @@
+import db from '../services/database.js';
+import authService from '../services/auth.js';
+import sessionService from '../services/sessions.js';
+import { permissionsForRole } from '../services/permissions.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * Refresh API
+ * POST /api/auth/refresh
+ *
+ * Exchanges a refresh token for a new access and refresh token pair.
+ * Refresh tokens are single use: presenting one that was already rotated
+ * means it was copied, so every token from that login is revoked.
+ */
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            allowedMethods: ['POST'],
+        });
+    }
+
+    try {
+        const { refreshToken } = req.body || {};
+
+        // Validation
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Refresh token is required',
+                details: { field: 'refreshToken' }
+            });
+        }
+
+        const decoded = authService.verifyRefreshToken(refreshToken);
+
+        if (!decoded || !decoded.jti) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid Token',
+                message: 'Refresh token is invalid or expired. Please log in again',
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Lock the token so two refreshes racing with it cannot both rotate it
+            const tokenResult = await client.query(`
+        SELECT
+          rt.family_id,
+          rt.used_at,
+          rt.revoked_at,
+          u.usher_id,
+          u.username,
+          u.full_name,
+          u.role,
+          u.active,
+          u.token_version
+        FROM refresh_tokens rt
+        JOIN ushers u ON u.usher_id = rt.usher_id
+        WHERE rt.jti = $1
+        FOR UPDATE OF rt
+      `, [decoded.jti]);
+
+            const stored = tokenResult.rows[0];
+
+            if (!stored || stored.revoked_at) {
+                await client.query('ROLLBACK');
+                warn('Refresh attempt with ended session', { username: decoded.username });
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid Token',
+                    message: 'Session has ended. Please log in again',
+                });
+            }
+
+            if (stored.used_at) {
+                const revokedCount = await sessionService.revokeFamily(stored.family_id, 'refresh_reuse', client);
+                await client.query('COMMIT');
+
+                warn('Refresh token reuse detected; login revoked', {
+                    username: stored.username,
+                    familyId: stored.family_id,
+                    revokedCount
+                });
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Refresh Token Reused',
+                    message: 'This refresh token was already used. The session has been ended; please log in again',
+                });
+            }
+
+            if (!stored.active) {
+                await sessionService.revokeFamily(stored.family_id, 'account_inactive', client);
+                await client.query('COMMIT');
+
+                warn('Refresh attempt for inactive account', { username: stored.username });
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Account Inactive',
+                    message: 'Your account has been deactivated',
+                });
+            }
+
+            // A role change or password reset since this login ends it
+            if (decoded.tokenVersion !== stored.token_version) {
+                await sessionService.revokeFamily(stored.family_id, 'token_version', client);
+                await client.query('COMMIT');
+
+                warn('Refresh attempt with outdated token version', { username: stored.username });
+
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid Token',
+                    message: 'Your account was changed. Please log in again',
+                });
+            }
+
+            // Issue the next pair in the same login, picking up any name change
+            const tokens = await sessionService.issueTokens(stored, {
+                familyId: stored.family_id,
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent']
+            }, client);
+
+            await client.query(`
+        UPDATE refresh_tokens
+        SET used_at = NOW(), replaced_by = $2
+        WHERE jti = $1
+      `, [decoded.jti, tokens.refreshJti]);
+
+            await client.query('COMMIT');
+
+            info('Token refreshed', { username: stored.username });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Token refreshed',
+                data: {
+                    token: tokens.token,
+                    refreshToken: tokens.refreshToken,
+                    user: {
+                        usherId: stored.usher_id,
+                        username: stored.username,
+                        fullName: stored.full_name,
+                        role: stored.role,
+                        permissions: permissionsForRole(stored.role),
+                    },
+                },
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Refresh error', err);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'An error occurred while refreshing the session',
+        });
+    }
+}
@@ -1,3 +1,4 @@
+import { permissionsForRole } from '../services/permissions.js';
 import { info } from '../../utils/logger.js';
 
 /**
@@ -32,6 +33,7 @@ export default async function handler(req, res) {
                     username: req.user.username,
                     fullName: req.user.fullName,
                     role: req.user.role,
+                    permissions: permissionsForRole(req.user.role),
                 },
             },
         });
@@ -0,0 +1,63 @@
+import { authenticate } from '../middleware/authenticate.js';
+import { getUserEvents } from '../middleware/event.js';
+import { info, error as logError } from '../../utils/logger.js';
+
+/**
+ * GET /api/events
+ * List events the current user may work
+ * 
+ * Admins receive every event. Ushers receive only the events they are
+ * assigned to; inactive events are included so the UI can show them greyed out.
+ * 
+ * Returns:
+ * - events: Array of events (newest first)
+ */
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication middleware
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const events = await getUserEvents(req.user);
+
+        info('Events list fetched', {
+            username: req.user.username,
+            count: events.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                events,
+                total: events.length
+            }
+        });
+
+    } catch (err) {
+        logError('Error fetching events list', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to fetch events list'
+        });
+    }
+}
@@ -1,20 +1,35 @@
 import db from '../services/database.js';
 import cache from '../services/cache.js';
-import { authenticate } from '../middleware/authenticate.js';
+import live from '../services/live.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { generateUniqueConfirmationCode } from '../services/confirmation-codes.js';
+import { checkEntrance, wrongEntranceResponse } from '../services/zones.js';
+import { checkCapacity, capacityWarning, capacityReachedResponse } from '../services/ticket-types.js';
+import { recordDuplicateAttempt, isDuplicateAttempt, alreadyCheckedInResponse, steppedOutResponse } from '../services/duplicate-attempts.js';
 import { info, warn, error as logError } from '../../utils/logger.js';
 
 /**
  * POST /api/guests/check-in
- * Check in a guest with plus ones
+ * Check in a guest of the active event with plus ones
  * 
  * Body params:
  * - guestId: Guest ID (required)
  * - plusOnes: Number of plus ones (default: 0)
  * - notes: Optional check-in notes
  * 
+ * Refused with 400 ALREADY_CHECKED_IN when the guest is already in; the
+ * attempt is logged as a Duplicate Attempt and supervisors are alerted.
+ * Refused with 400 STEPPED_OUT, without an alert, when the guest checked in
+ * and stepped out (POST /api/guests/re-entry lets them back in).
+ * Refused with 409 CAPACITY_REACHED when the guest and plus ones would take
+ * a blocking ticket type past its capacity.
+ *
  * Returns:
  * - Updated guest object
  * - Generated confirmation code
+ * - Seconds the usher has to undo the check-in
+ * - capacityWarning once the ticket type is full (null otherwise)
  */
 export default async function handler(req, res) {
     // Only allow POST requests
@@ -27,14 +42,27 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication middleware
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.checkin')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
                 if (err) reject(err);
                 else resolve();
             });
         });
 
+        const eventId = req.event.event_id;
+
         // Extract and validate request body
         const { guestId, plusOnes = 0, notes = '' } = req.body;
         const trimmedGuestId = guestId != null ? String(guestId).trim() : '';
@@ -74,13 +102,14 @@ export default async function handler(req, res) {
         check_in_time,
         plus_ones_checked_in,
         status,
+        on_site,
         notes,
         checked_in_by
       FROM guests
-      WHERE id = $1
+      WHERE id = $1 AND event_id = $2
     `;
 
-        const guestResult = await db.query(guestQuery, [trimmedGuestId]);
+        const guestResult = await db.query(guestQuery, [trimmedGuestId, eventId]);
 
         // Check if guest exists
         if (guestResult.rows.length === 0) {
@@ -98,25 +127,39 @@ export default async function handler(req, res) {
 
         const guest = guestResult.rows[0];
 
-        // Check if guest is already checked in
+        // Check if guest is already checked in; record the attempt and alert supervisors
         if (guest.status === 'Checked In') {
-            warn('Check-in failed: Guest already checked in', {
+            // Stepped out: a re-entry, not a duplicate
+            if (!isDuplicateAttempt(guest)) {
+                return res.status(400).json(steppedOutResponse(guest));
+            }
+
+            const attempt = await recordDuplicateAttempt({
+                eventId,
+                guest,
+                usherName: req.user.fullName || req.user.username,
+                source: 'check-in'
+            });
+
+            return res.status(400).json(alreadyCheckedInResponse(guest, attempt));
+        }
+
+        // Check the usher's entrance admits this ticket type
+        const entrance = await checkEntrance({
+            usherId: req.user.usherId,
+            eventId,
+            ticketType: guest.ticket_type
+        });
+
+        if (!entrance.allowed) {
+            warn('Check-in refused: Wrong entrance', {
                 username: req.user.username,
                 guestId: trimmedGuestId,
-                guestName: `${guest.first_name} ${guest.last_name}`,
-                previousCheckIn: guest.check_in_time
+                ticketType: guest.ticket_type,
+                zone: entrance.zone.name
             });
 
-            return res.status(400).json({
-                success: false,
-                error: 'Already Checked In',
-                message: `${guest.first_name} ${guest.last_name} is already checked in`,
-                details: {
-                    checkInTime: guest.check_in_time,
-                    checkedInBy: guest.checked_in_by,
-                    confirmationCode: guest.confirmation_code
-                }
-            });
+            return res.status(403).json(wrongEntranceResponse(guest, entrance));
         }
 
         // Validate plus ones don't exceed allowed
@@ -139,9 +182,6 @@ export default async function handler(req, res) {
             });
         }
 
-        // Generate confirmation code: {username}-{firstName}{lastName}-{timestamp}
-        const timestamp = Date.now();
-        const confirmationCode = `${req.user.username}-${guest.first_name}${guest.last_name}-${timestamp}`.toUpperCase();
         const checkInTime = new Date().toISOString();
 
         // Update guest record - use transaction for atomicity
@@ -150,21 +190,73 @@ export default async function handler(req, res) {
         try {
             await client.query('BEGIN');
 
+            // Another door may have admitted the guest since the lookup above
+            const lockedResult = await client.query(`
+        SELECT status, on_site, check_in_time, checked_in_by, confirmation_code
+        FROM guests
+        WHERE id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [trimmedGuestId, eventId]);
+
+            if (lockedResult.rows[0]?.status === 'Checked In') {
+                await client.query('ROLLBACK');
+
+                const current = { ...guest, ...lockedResult.rows[0] };
+                if (!isDuplicateAttempt(current)) {
+                    return res.status(400).json(steppedOutResponse(current));
+                }
+
+                const attempt = await recordDuplicateAttempt({
+                    eventId,
+                    guest: current,
+                    usherName: req.user.fullName || req.user.username,
+                    source: 'check-in'
+                }, client);
+
+                return res.status(400).json(alreadyCheckedInResponse(current, attempt));
+            }
+
+            // The guest and their plus ones count against the ticket type's capacity
+            const capacity = await checkCapacity({
+                eventId,
+                ticketType: guest.ticket_type,
+                additional: 1 + plusOnesInt
+            }, client);
+
+            if (capacity?.blocked) {
+                await client.query('ROLLBACK');
+
+                warn('Check-in refused: Capacity reached', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId,
+                    ticketType: capacity.ticketType,
+                    capacity: capacity.capacity,
+                    checkedIn: capacity.used
+                });
+
+                return res.status(409).json(capacityReachedResponse(capacity));
+            }
+
+            // Short code staff can read back to verify this check-in
+            const confirmationCode = await generateUniqueConfirmationCode(client);
+
             // Update guest
             const updateQuery = `
         UPDATE guests
         SET 
           status = 'Checked In',
+          on_site = true,
           check_in_time = $1,
           confirmation_code = $2,
           plus_ones_checked_in = $3,
           checked_in_by = $4,
+          checked_in_by_usher_id = $8,
           notes = CASE 
             WHEN $5 != '' THEN $5
             ELSE notes
           END,
           last_modified = $1
-        WHERE id = $6
+        WHERE id = $6 AND event_id = $7
         RETURNING *
       `;
 
@@ -174,7 +266,9 @@ export default async function handler(req, res) {
                 plusOnesInt,
                 req.user.fullName || req.user.username,
                 notes,
-                trimmedGuestId
+                trimmedGuestId,
+                eventId,
+                req.user.usherId
             ]);
 
             const updatedGuest = updateResult.rows[0];
@@ -183,6 +277,7 @@ export default async function handler(req, res) {
             const logQuery = `
         INSERT INTO check_in_log (
           timestamp,
+          event_id,
           guest_id,
           guest_name,
           action,
@@ -190,12 +285,13 @@ export default async function handler(req, res) {
           plus_ones_count,
           notes,
           confirmation_code
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING id
       `;
 
             await client.query(logQuery, [
                 checkInTime,
+                eventId,
                 trimmedGuestId,
                 `${guest.first_name} ${guest.last_name}`,
                 'Check In',
@@ -210,8 +306,15 @@ export default async function handler(req, res) {
             // Invalidate all guest-related caches
             cache.clearPattern('guests:*');
 
+            live.publishGuestChange(eventId, 'check-in', {
+                guest: updatedGuest,
+                plusOnes: plusOnesInt,
+                checkedInBy: updatedGuest.checked_in_by
+            });
+
             info('Guest checked in successfully', {
                 username: req.user.username,
+                eventId,
                 guestId: trimmedGuestId,
                 guestName: `${guest.first_name} ${guest.last_name}`,
                 plusOnes: plusOnesInt,
@@ -226,7 +329,9 @@ export default async function handler(req, res) {
                     guest: updatedGuest,
                     confirmationCode,
                     checkInTime,
-                    plusOnesCheckedIn: plusOnesInt
+                    plusOnesCheckedIn: plusOnesInt,
+                    undoWindowSeconds: req.event.undo_window_seconds,
+                    capacityWarning: capacityWarning(capacity)
                 }
             });
 
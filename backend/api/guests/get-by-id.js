@@ -1,11 +1,12 @@
 import db from '../services/database.js';
 import cache from '../services/cache.js';
-import { authenticate } from '../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
 import { info, warn, error as logError } from '../../utils/logger.js';
 
 /**
  * GET /api/guests/:id
- * Fetch single guest by ID with check-in history
+ * Fetch single guest in the active event by ID with check-in history
  * 
  * Params:
  * - id: Guest ID (integer)
@@ -26,14 +27,27 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication middleware
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
                 if (err) reject(err);
                 else resolve();
             });
         });
 
+        const eventId = req.event.event_id;
+
         // Extract and validate guest ID
         const rawGuestId = req.query.id;
         const guestId = rawGuestId != null ? String(rawGuestId).trim() : '';
@@ -52,7 +66,7 @@ export default async function handler(req, res) {
         }
 
         // Try to get from cache first
-        const cacheKey = `guests:id:${guestId}`;
+        const cacheKey = `guests:id:${eventId}:${guestId}`;
         const cached = cache.get(cacheKey);
 
         if (cached) {
@@ -73,6 +87,7 @@ export default async function handler(req, res) {
         const guestQuery = `
       SELECT 
         id,
+        event_id,
         first_name,
         last_name,
         email,
@@ -83,15 +98,17 @@ export default async function handler(req, res) {
         check_in_time,
         plus_ones_checked_in,
         status,
+        on_site,
         notes,
         checked_in_by,
+        party_id,
         created_at,
         last_modified
       FROM guests
-      WHERE id = $1
+      WHERE id = $1 AND event_id = $2
     `;
 
-        const guestResult = await db.query(guestQuery, [guestId]);
+        const guestResult = await db.query(guestQuery, [guestId, eventId]);
 
         // Check if guest exists
         if (guestResult.rows.length === 0) {
@@ -120,12 +137,12 @@ export default async function handler(req, res) {
         notes,
         confirmation_code
       FROM check_in_log
-      WHERE guest_id = $1
+      WHERE guest_id = $1 AND event_id = $2
       ORDER BY timestamp DESC
       LIMIT 50
     `;
 
-        const historyResult = await db.query(historyQuery, [guestId]);
+        const historyResult = await db.query(historyQuery, [guestId, eventId]);
 
         // Prepare response data
         const responseData = {
@@ -1,17 +1,33 @@
 import db from '../services/database.js';
 import cache from '../services/cache.js';
-import { authenticate } from '../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import {
+    GUEST_SORTS,
+    resolveSort,
+    orderByClause,
+    sortKeySelect,
+    keysetCondition,
+    decodeCursor,
+    paginate
+} from '../services/guest-pagination.js';
 import { info, error as logError } from '../../utils/logger.js';
 
 /**
  * GET /api/guests
- * Fetch paginated list of guests with optional filters
+ * Fetch a page of guests for the active event with optional filters
  * 
  * Query params:
- * - page: Page number (default: 1)
+ * - cursor: nextCursor of the previous page (omit for the first page)
  * - limit: Items per page (default: 50, max: 100)
+ * - sortBy: Sort field (name, checkInTime, ticketType, lastModified; default: name)
+ * - sortOrder: Sort direction (asc, desc; default: asc)
  * - status: Filter by status ('Checked In', 'Not Checked In')
  * - ticketType: Filter by ticket type ('VIP', 'General', 'Premium')
+ * 
+ * Pages are keyset-paginated: a cursor only works with the sort it came
+ * from, and guests added or changed meanwhile are neither skipped nor
+ * repeated the way offsets would.
  */
 
 export default async function handler(req, res) {
@@ -25,29 +41,61 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication middleware
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
                 if (err) reject(err);
                 else resolve();
             });
         });
 
+        const eventId = req.event.event_id;
+
         // Extract and validate query parameters
-        const page = Math.max(1, parseInt(req.query.page) || 1);
         const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
         const status = req.query.status || null;
         const ticketType = req.query.ticketType || null;
+        const cursor = req.query.cursor || null;
+
+        const sort = resolveSort(req.query.sortBy || 'name', req.query.sortOrder);
+        if (!sort) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `sortBy must be one of: ${Object.keys(GUEST_SORTS).join(', ')}`,
+                details: { field: 'sortBy' }
+            });
+        }
+
+        const cursorValues = cursor ? decodeCursor(cursor, sort) : null;
+        if (cursor && !cursorValues) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid cursor; start again from the first page',
+                details: { field: 'cursor' }
+            });
+        }
 
         // Create cache key based on parameters
-        const cacheKey = `guests:list:page${page}:limit${limit}:status${status}:ticket${ticketType}`;
+        const cacheKey = `guests:list:${eventId}:cursor${cursor}:limit${limit}:sort${sort.sortBy}.${sort.order}:status${status}:ticket${ticketType}`;
 
         // Try to get from cache first
         const cached = cache.get(cacheKey);
         if (cached) {
             info('Guest list served from cache', {
                 username: req.user.username,
-                page,
                 limit,
                 cacheKey
             });
@@ -60,9 +108,9 @@ export default async function handler(req, res) {
         }
 
         // Build WHERE clause for filters
-        const conditions = [];
-        const params = [];
-        let paramIndex = 1;
+        const conditions = ['event_id = $1'];
+        const params = [eventId];
+        let paramIndex = 2;
 
         if (status) {
             conditions.push(`status = $${paramIndex}`);
@@ -76,24 +124,23 @@ export default async function handler(req, res) {
             paramIndex++;
         }
 
-        const whereClause = conditions.length > 0
-            ? `WHERE ${conditions.join(' AND ')}`
-            : '';
-
-        // Get total count for pagination
-        const countQuery = `SELECT COUNT(*) as total FROM guests ${whereClause}`;
+        // Get total count for the filters (the cursor only moves through them)
+        const countQuery = `SELECT COUNT(*) as total FROM guests WHERE ${conditions.join(' AND ')}`;
         const countResult = await db.query(countQuery, params);
         const total = parseInt(countResult.rows[0].total);
 
-        // Calculate pagination
-        const offset = (page - 1) * limit;
-        const totalPages = Math.ceil(total / limit);
-        const hasMore = page < totalPages;
+        if (cursorValues) {
+            const keyset = keysetCondition(sort, cursorValues, paramIndex);
+            conditions.push(keyset.sql);
+            params.push(...keyset.params);
+            paramIndex += keyset.params.length;
+        }
 
-        // Fetch guests with pagination
+        // Fetch one extra row to learn whether another page follows
         const guestsQuery = `
       SELECT 
         id,
+        event_id,
         first_name,
         last_name,
         email,
@@ -104,28 +151,35 @@ export default async function handler(req, res) {
         check_in_time,
         plus_ones_checked_in,
         status,
+        on_site,
         notes,
         checked_in_by,
+        party_id,
         created_at,
-        last_modified
+        last_modified,
+        ${sortKeySelect(sort)}
       FROM guests
-      ${whereClause}
-      ORDER BY last_name ASC, first_name ASC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${orderByClause(sort)}
+      LIMIT $${paramIndex}
     `;
 
-        const guestsResult = await db.query(guestsQuery, [...params, limit, offset]);
+        const guestsResult = await db.query(guestsQuery, [...params, limit + 1]);
+        const page = paginate(guestsResult.rows, limit, sort);
 
         // Prepare response data
         const responseData = {
-            guests: guestsResult.rows,
+            guests: page.rows,
             pagination: {
                 total,
-                page,
                 limit,
-                totalPages,
-                hasMore,
-                showing: guestsResult.rows.length
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor,
+                showing: page.rows.length
+            },
+            sort: {
+                field: sort.sortBy,
+                order: sort.order.toLowerCase()
             }
         };
 
@@ -134,9 +188,10 @@ export default async function handler(req, res) {
 
         info('Guest list fetched', {
             username: req.user.username,
-            count: guestsResult.rows.length,
-            page,
+            eventId,
+            count: page.rows.length,
             total,
+            sort: `${sort.sortBy} ${sort.order}`,
             filters: { status, ticketType }
         });
 
@@ -0,0 +1,283 @@
+import db from '../services/database.js';
+import cache from '../services/cache.js';
+import live from '../services/live.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { checkEntrance, wrongEntranceResponse } from '../services/zones.js';
+import { checkCapacity, capacityWarning, capacityReachedResponse } from '../services/ticket-types.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * POST /api/guests/plus-ones
+ * Add or remove companions on a guest of the active event who is already checked in
+ *
+ * Body params:
+ * - guestId: Guest ID (required)
+ * - delta: Companions arriving (positive) or removed (negative), non-zero integer (required)
+ * - notes: Optional notes for the audit log
+ *
+ * Refused with 403 WRONG_ENTRANCE when the usher's zone does not admit the
+ * guest's ticket type, as for check-in. The new total must stay between 0 and
+ * the guest's plus_ones_allowed.
+ * Arriving companions are refused with 409 CAPACITY_REACHED when they would
+ * take a blocking ticket type past its capacity.
+ *
+ * Returns:
+ * - Updated guest object
+ * - Previous and new plus ones checked in
+ * - capacityWarning once the ticket type is full (null otherwise)
+ */
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.checkin')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract and validate request body
+        const { guestId, delta, notes = '' } = req.body;
+        const trimmedGuestId = guestId != null ? String(guestId).trim() : '';
+        const deltaInt = Number(delta);
+
+        if (!trimmedGuestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Guest ID is required',
+                details: { field: 'guestId' }
+            });
+        }
+
+        if (!Number.isInteger(deltaInt) || deltaInt === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Delta must be a non-zero whole number',
+                details: { field: 'delta' }
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            // Lock the guest row so concurrent arrivals at two doors add up
+            const guestResult = await client.query(`
+        SELECT *
+        FROM guests
+        WHERE id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [trimmedGuestId, eventId]);
+
+            if (guestResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Plus ones update failed: Guest not found', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Guest with ID ${trimmedGuestId} not found`
+                });
+            }
+
+            const guest = guestResult.rows[0];
+            const guestName = `${guest.first_name} ${guest.last_name}`;
+
+            if (guest.status !== 'Checked In') {
+                await client.query('ROLLBACK');
+
+                warn('Plus ones update failed: Guest not checked in', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Not Checked In',
+                    message: `${guestName} must be checked in before companions can be added`
+                });
+            }
+
+            // Companions come in through the guest's entrance
+            const entrance = await checkEntrance({
+                usherId: req.user.usherId,
+                eventId,
+                ticketType: guest.ticket_type
+            }, client);
+
+            if (!entrance.allowed) {
+                await client.query('ROLLBACK');
+
+                warn('Plus ones update refused: Wrong entrance', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId,
+                    ticketType: guest.ticket_type,
+                    zone: entrance.zone.name
+                });
+
+                return res.status(403).json(wrongEntranceResponse(guest, entrance));
+            }
+
+            const previousCount = guest.plus_ones_checked_in || 0;
+            const newCount = previousCount + deltaInt;
+
+            if (newCount < 0 || newCount > guest.plus_ones_allowed) {
+                await client.query('ROLLBACK');
+
+                warn('Plus ones update failed: Out of range', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId,
+                    current: previousCount,
+                    delta: deltaInt,
+                    allowed: guest.plus_ones_allowed
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation Error',
+                    message: newCount < 0
+                        ? `${guestName} only has ${previousCount} plus ones checked in`
+                        : `${guestName} is only allowed ${guest.plus_ones_allowed} plus ones (${previousCount} already checked in)`,
+                    details: {
+                        current: previousCount,
+                        requested: deltaInt,
+                        allowed: guest.plus_ones_allowed
+                    }
+                });
+            }
+
+            // Arriving companions count against the ticket type's capacity
+            const capacity = deltaInt > 0
+                ? await checkCapacity({ eventId, ticketType: guest.ticket_type, additional: deltaInt }, client)
+                : null;
+
+            if (capacity?.blocked) {
+                await client.query('ROLLBACK');
+
+                warn('Plus ones update refused: Capacity reached', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId,
+                    ticketType: capacity.ticketType,
+                    capacity: capacity.capacity,
+                    checkedIn: capacity.used
+                });
+
+                return res.status(409).json(capacityReachedResponse(capacity));
+            }
+
+            const updateResult = await client.query(`
+        UPDATE guests
+        SET plus_ones_checked_in = $1,
+            last_modified = NOW()
+        WHERE id = $2 AND event_id = $3
+        RETURNING *
+      `, [newCount, trimmedGuestId, eventId]);
+
+            const updatedGuest = updateResult.rows[0];
+            const action = deltaInt > 0 ? 'Plus Ones Added' : 'Plus Ones Removed';
+            const countNote = `${previousCount} → ${newCount} of ${guest.plus_ones_allowed}`;
+
+            // Add entry to check-in log
+            await client.query(`
+        INSERT INTO check_in_log (
+          event_id,
+          guest_id,
+          guest_name,
+          action,
+          usher_name,
+          plus_ones_count,
+          notes,
+          confirmation_code
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [
+                eventId,
+                trimmedGuestId,
+                guestName,
+                action,
+                req.user.fullName || req.user.username,
+                Math.abs(deltaInt),
+                notes ? `${countNote}; ${notes}` : countNote,
+                guest.confirmation_code
+            ]);
+
+            await client.query('COMMIT');
+
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            live.publishGuestChange(eventId, 'guest-updated', { guest: updatedGuest });
+
+            info('Guest plus ones updated', {
+                username: req.user.username,
+                eventId,
+                guestId: trimmedGuestId,
+                guestName,
+                delta: deltaInt,
+                plusOnesCheckedIn: newCount
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: deltaInt > 0
+                    ? `${deltaInt} companion${deltaInt === 1 ? '' : 's'} of ${guestName} checked in`
+                    : `${Math.abs(deltaInt)} companion${deltaInt === -1 ? '' : 's'} of ${guestName} removed`,
+                data: {
+                    guest: updatedGuest,
+                    previousPlusOnesCheckedIn: previousCount,
+                    plusOnesCheckedIn: newCount,
+                    capacityWarning: capacityWarning(capacity)
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error updating plus ones', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to update plus ones'
+        });
+    }
+}
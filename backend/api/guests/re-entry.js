@@ -0,0 +1,223 @@
+import db from '../services/database.js';
+import cache from '../services/cache.js';
+import live from '../services/live.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { checkEntrance, wrongEntranceResponse } from '../services/zones.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * POST /api/guests/re-entry
+ * Let a checked-out guest of the active event back into the venue
+ *
+ * Body params:
+ * - guestId: Guest ID (required)
+ * - notes: Optional notes for the audit log
+ *
+ * Only guests who checked in and then checked out can re-enter; first
+ * arrivals go through POST /api/guests/check-in.
+ *
+ * Returns: Updated guest object
+ */
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.checkin')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract and validate request body
+        const { guestId, notes = '' } = req.body;
+        const trimmedGuestId = guestId != null ? String(guestId).trim() : '';
+
+        if (!trimmedGuestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Guest ID is required',
+                details: { field: 'guestId' }
+            });
+        }
+
+        const client = await db.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const guestResult = await client.query(`
+        SELECT *
+        FROM guests
+        WHERE id = $1 AND event_id = $2
+        FOR UPDATE
+      `, [trimmedGuestId, eventId]);
+
+            if (guestResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Re-entry failed: Guest not found', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId
+                });
+
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Guest with ID ${trimmedGuestId} not found`
+                });
+            }
+
+            const guest = guestResult.rows[0];
+            const guestName = `${guest.first_name} ${guest.last_name}`;
+
+            if (guest.status !== 'Checked In') {
+                await client.query('ROLLBACK');
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Not Checked In',
+                    message: `${guestName} has not checked in yet; use check-in for first arrival`
+                });
+            }
+
+            if (guest.on_site) {
+                await client.query('ROLLBACK');
+
+                warn('Re-entry failed: Guest already inside', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId
+                });
+
+                return res.status(400).json({
+                    success: false,
+                    error: 'Already Inside',
+                    message: `${guestName} is already inside`
+                });
+            }
+
+            // Check the usher's entrance admits this ticket type
+            const entrance = await checkEntrance({
+                usherId: req.user.usherId,
+                eventId,
+                ticketType: guest.ticket_type
+            }, client);
+
+            if (!entrance.allowed) {
+                await client.query('ROLLBACK');
+
+                warn('Re-entry refused: Wrong entrance', {
+                    username: req.user.username,
+                    guestId: trimmedGuestId,
+                    ticketType: guest.ticket_type,
+                    zone: entrance.zone.name
+                });
+
+                return res.status(403).json(wrongEntranceResponse(guest, entrance));
+            }
+
+            const timestamp = new Date().toISOString();
+
+            const updateResult = await client.query(`
+        UPDATE guests
+        SET on_site = true,
+            last_modified = $1
+        WHERE id = $2 AND event_id = $3
+        RETURNING *
+      `, [timestamp, trimmedGuestId, eventId]);
+
+            const updatedGuest = updateResult.rows[0];
+
+            // Add entry to check-in log
+            await client.query(`
+        INSERT INTO check_in_log (
+          timestamp,
+          event_id,
+          guest_id,
+          guest_name,
+          action,
+          usher_name,
+          plus_ones_count,
+          notes,
+          confirmation_code
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      `, [
+                timestamp,
+                eventId,
+                trimmedGuestId,
+                guestName,
+                'Re-Entry',
+                req.user.fullName || req.user.username,
+                guest.plus_ones_checked_in || 0,
+                notes,
+                guest.confirmation_code
+            ]);
+
+            await client.query('COMMIT');
+
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            live.publishGuestChange(eventId, 'guest-updated', { guest: updatedGuest });
+
+            info('Guest re-entered', {
+                username: req.user.username,
+                eventId,
+                guestId: trimmedGuestId,
+                guestName
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `${guestName} is back inside`,
+                data: {
+                    guest: updatedGuest,
+                    reEntryTime: timestamp
+                }
+            });
+
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+
+    } catch (err) {
+        logError('Error recording guest re-entry', {
+            error: err.message,
+            stack: err.stack,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to record re-entry'
+        });
+    }
+}
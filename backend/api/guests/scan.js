@@ -0,0 +1,200 @@
+import db from '../services/database.js';
+import ticketService from '../services/tickets.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { checkEntrance } from '../services/zones.js';
+import { hasPermission } from '../services/permissions.js';
+import { recordDuplicateAttempt, isDuplicateAttempt } from '../services/duplicate-attempts.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * POST /api/guests/scan
+ * Resolve a scanned QR ticket code to the exact guest in the active event
+ *
+ * Body params:
+ * - code: Signed ticket code read from the QR (required)
+ *
+ * Rejects forged or malformed codes, codes for another event, and codes
+ * revoked by a later re-issue or by deleting the guest.
+ *
+ * Returns:
+ * - Guest the ticket was issued to
+ * - Whether the scanning usher's entrance admits the guest's ticket type
+ * - duplicateAttempt when the guest is already inside: who checked them in
+ *   and when. The scan is logged as a Duplicate Attempt and supervisors are
+ *   alerted. Guests who stepped out are re-entering, not duplicates.
+ *   Only staff who can check guests in (guests.checkin) are working the door,
+ *   so a read-only scan (e.g. a door display) records nothing and gets null.
+ */
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract and validate request body
+        const code = req.body?.code != null ? String(req.body.code).trim() : '';
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Ticket code is required',
+                details: { field: 'code' }
+            });
+        }
+
+        const rejectTicket = (reason, message, logDetails = {}) => {
+            warn('Ticket scan rejected', {
+                username: req.user.username,
+                eventId,
+                reason,
+                ...logDetails
+            });
+
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid Ticket',
+                message,
+                details: { reason }
+            });
+        };
+
+        const ticket = ticketService.verifyCode(code);
+
+        if (!ticket) {
+            return rejectTicket('INVALID_SIGNATURE', 'This QR code is not a valid ticket');
+        }
+
+        if (ticket.eventId !== eventId) {
+            return rejectTicket('WRONG_EVENT', 'This ticket is for a different event', {
+                guestId: ticket.guestId,
+                ticketEventId: ticket.eventId
+            });
+        }
+
+        // Fetch guest details
+        const guestQuery = `
+      SELECT
+        id,
+        event_id,
+        first_name,
+        last_name,
+        email,
+        phone,
+        ticket_type,
+        plus_ones_allowed,
+        confirmation_code,
+        check_in_time,
+        plus_ones_checked_in,
+        status,
+        on_site,
+        notes,
+        checked_in_by,
+        party_id,
+        ticket_version,
+        created_at,
+        last_modified
+      FROM guests
+      WHERE id = $1 AND event_id = $2
+    `;
+
+        const guestResult = await db.query(guestQuery, [ticket.guestId, eventId]);
+        const guest = guestResult.rows[0];
+
+        if (!guest || guest.ticket_version !== ticket.version) {
+            return rejectTicket('REVOKED', 'This ticket has been revoked', {
+                guestId: ticket.guestId,
+                ticketVersion: ticket.version
+            });
+        }
+
+        const entrance = await checkEntrance({
+            usherId: req.user.usherId,
+            eventId,
+            ticketType: guest.ticket_type
+        });
+
+        // A ticket presented again at the door while its guest is still inside
+        const duplicateAttempt = isDuplicateAttempt(guest)
+            && hasPermission(req.user.role, 'guests.checkin')
+            ? await recordDuplicateAttempt({
+                eventId,
+                guest,
+                usherName: req.user.fullName || req.user.username,
+                source: 'scan'
+            })
+            : null;
+
+        info('Ticket scanned', {
+            username: req.user.username,
+            eventId,
+            guestId: guest.id,
+            status: guest.status,
+            entranceAllowed: entrance.allowed
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                guest,
+                ticket: {
+                    issuedAt: ticket.issuedAt,
+                    version: ticket.version
+                },
+                entrance: {
+                    allowed: entrance.allowed,
+                    zone: entrance.zone ? entrance.zone.name : null,
+                    admittedTicketTypes: entrance.zone ? entrance.zone.ticketTypes : null,
+                    admittingZones: entrance.admittingZones
+                },
+                duplicateAttempt: duplicateAttempt
+                    ? {
+                        checkedInBy: duplicateAttempt.original.usherName,
+                        checkInTime: duplicateAttempt.original.at,
+                        attemptCount: duplicateAttempt.attemptCount
+                    }
+                    : null
+            }
+        });
+
+    } catch (err) {
+        logError('Error scanning ticket', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to scan ticket'
+        });
+    }
+}
@@ -1,21 +1,89 @@
 import db from '../services/database.js';
-import { authenticate } from '../middleware/authenticate.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import {
+    GUEST_SORTS,
+    resolveSort,
+    orderByClause,
+    sortKeySelect,
+    keysetCondition,
+    decodeCursor,
+    paginate
+} from '../services/guest-pagination.js';
 import { info, error as logError } from '../../utils/logger.js';
 
 /**
  * POST /api/guests/search
- * Fuzzy search for guests with filters and sorting
+ * Ranked search for guests in the active event with filters and sorting
  * 
  * Body params:
- * - query: Search string (searches name, email, phone, ID)
+ * - query: Search string (searches name, email, phone, ID, confirmation code)
  * - status: Filter by status ('Checked In', 'Not Checked In')
  * - ticketType: Filter by ticket type ('VIP', 'General', 'Premium')
- * - sortBy: Sort field (name, checkInTime, ticketType)
- * - sortOrder: Sort direction (asc, desc)
+ * - sortBy: Sort field (relevance, name, checkInTime, ticketType, lastModified);
+ *   defaults to relevance with a query and name without one
+ * - sortOrder: Sort direction (asc, desc), ignored for relevance
+ * - cursor: nextCursor of the previous page (omit for the first page)
+ * - limit: Results per page (default and max: 100)
  * 
- * Returns first 100 results (no caching - real-time search)
+ * Matching ignores case and accents ("jose" finds "José"), tolerates typos
+ * in names ("Jon Smyth" finds "John Smith") and compares phone numbers by
+ * digits only. An exact guest ID or confirmation code ranks first.
+ * 
+ * With a query, each guest also carries:
+ * - score: Relevance from 0 to 1
+ * - matched_fields: Which of id, confirmation_code, name, email, phone matched
+ * 
+ * Results are keyset-paginated like GET /api/guests (no caching - real-time search)
  */
 
+const MAX_RESULTS = 100;
+
+// Exact ID / code matches first, then by score, then alphabetically
+const SEARCH_SORTS = {
+    relevance: [
+        { sql: 'exact_match', type: 'boolean', direction: 'DESC' },
+        { sql: 'relevance', type: 'float8', direction: 'DESC' },
+        { sql: 'last_name', type: 'text', direction: 'ASC' },
+        { sql: 'first_name', type: 'text', direction: 'ASC' },
+        { sql: 'id', type: 'text', direction: 'ASC' }
+    ],
+    ...GUEST_SORTS
+};
+
+// Queries made only of digits and phone punctuation are also tried as phone numbers
+const PHONE_QUERY = /^[\d\s()+.-]+$/;
+const MIN_PHONE_DIGITS = 3;
+
+const GUEST_COLUMNS = `
+        id,
+        event_id,
+        first_name,
+        last_name,
+        email,
+        phone,
+        ticket_type,
+        plus_ones_allowed,
+        confirmation_code,
+        check_in_time,
+        plus_ones_checked_in,
+        status,
+        on_site,
+        notes,
+        checked_in_by,
+        party_id,
+        created_at,
+        last_modified`;
+
+/**
+ * Escape LIKE wildcards so user input matches literally
+ * @param {string} value - Raw input
+ * @returns {string} Escaped input
+ */
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, '\\$&');
+}
+
 export default async function handler(req, res) {
     // Only allow POST requests
     if (req.method !== 'POST') {
@@ -27,56 +95,58 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication middleware
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
                 if (err) reject(err);
                 else resolve();
             });
         });
 
+        const eventId = req.event.event_id;
+
         // Extract and validate search parameters
         const {
             query = '',
             status = null,
             ticketType = null,
-            sortBy = 'name',
             sortOrder = 'asc'
         } = req.body;
 
-        // Validate sort parameters
-        const validSortFields = {
-            'name': 'last_name',
-            'checkInTime': 'check_in_time',
-            'ticketType': 'ticket_type'
-        };
+        const term = typeof query === 'string' ? query.trim() : '';
+        const limit = Math.min(MAX_RESULTS, Math.max(1, parseInt(req.body.limit) || MAX_RESULTS));
+        const cursor = req.body.cursor || null;
 
-        const validSortOrders = ['asc', 'desc'];
+        // Relevance needs a query; unknown sorts fall back to the default
+        const sorts = term ? SEARCH_SORTS : GUEST_SORTS;
+        const sort = resolveSort(req.body.sortBy, sortOrder, sorts)
+            || resolveSort(term ? 'relevance' : 'name', sortOrder, sorts);
 
-        const sortField = validSortFields[sortBy] || 'last_name';
-        const sortDirection = validSortOrders.includes(sortOrder?.toLowerCase())
-            ? sortOrder.toUpperCase()
-            : 'ASC';
+        const cursorValues = cursor ? decodeCursor(cursor, sort) : null;
+        if (cursor && !cursorValues) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Invalid cursor; start again from the first page',
+                details: { field: 'cursor' }
+            });
+        }
 
         // Build dynamic WHERE clause
-        const conditions = [];
-        const params = [];
-        let paramIndex = 1;
-
-        // Add search query conditions (fuzzy search across multiple fields)
-        if (query && query.trim()) {
-            const searchTerm = `%${query.trim()}%`;
-            conditions.push(`(
-        LOWER(first_name) LIKE LOWER($${paramIndex}) OR
-        LOWER(last_name) LIKE LOWER($${paramIndex}) OR
-        LOWER(email) LIKE LOWER($${paramIndex}) OR
-        LOWER(phone) LIKE LOWER($${paramIndex}) OR
-        CAST(id AS TEXT) LIKE $${paramIndex} OR
-        LOWER(CONCAT(first_name, ' ', last_name)) LIKE LOWER($${paramIndex})
-      )`);
-            params.push(searchTerm);
-            paramIndex++;
-        }
+        const conditions = ['event_id = $1'];
+        const params = [eventId];
+        let paramIndex = 2;
 
         // Add status filter
         if (status) {
@@ -92,57 +162,138 @@ export default async function handler(req, res) {
             paramIndex++;
         }
 
-        const whereClause = conditions.length > 0
-            ? `WHERE ${conditions.join(' AND ')}`
-            : '';
+        let searchQuery;
 
-        // Build and execute search query
-        const searchQuery = `
-      SELECT 
-        id,
-        first_name,
-        last_name,
-        email,
-        phone,
-        ticket_type,
-        plus_ones_allowed,
-        confirmation_code,
-        check_in_time,
-        plus_ones_checked_in,
-        status,
-        notes,
-        checked_in_by,
-        created_at,
-        last_modified
+        if (term) {
+            const digits = PHONE_QUERY.test(term) ? term.replace(/\D/g, '') : '';
+
+            const termParam = `$${paramIndex}`;
+            const patternParam = `$${paramIndex + 1}`;
+            const exactParam = `$${paramIndex + 2}`;
+            const codeParam = `$${paramIndex + 3}`;
+            const digitsParam = `$${paramIndex + 4}`;
+            params.push(
+                term,
+                `%${escapeLike(term)}%`,
+                term.toUpperCase(),
+                term.toUpperCase().replace(/[^0-9A-Z]/g, ''),
+                digits.length >= MIN_PHONE_DIGITS ? digits : null
+            );
+            paramIndex += 5;
+
+            // Same expressions as the migration 0002 indexes, so they are used
+            const nameKey = `search_normalize(first_name || ' ' || last_name)`;
+            const termKey = `search_normalize(${termParam})`;
+
+            const matches = {
+                id_exact: `UPPER(id) = ${exactParam}`,
+                code_exact: `(${codeParam} <> '' AND COALESCE(REPLACE(confirmation_code, '-', '') = ${codeParam}, false))`,
+                id_like: `UPPER(id) LIKE UPPER(${patternParam})`,
+                name_like: `${nameKey} LIKE search_normalize(${patternParam})`,
+                name_fuzzy: `(${nameKey} % ${termKey} OR ${termKey} <% ${nameKey})`,
+                email_like: `search_normalize(email) LIKE search_normalize(${patternParam})`,
+                phone_like: `(${digitsParam}::text IS NOT NULL AND phone_digits(phone) LIKE '%' || ${digitsParam} || '%')`
+            };
+
+            conditions.push(`(${Object.values(matches).join(' OR ')})`);
+
+            // Scores only exist once ranked, so the cursor applies to the ranked rows
+            let keysetClause = '';
+            if (cursorValues) {
+                const keyset = keysetCondition(sort, cursorValues, paramIndex);
+                keysetClause = `WHERE ${keyset.sql}`;
+                params.push(...keyset.params);
+                paramIndex += keyset.params.length;
+            }
+
+            // Exact ID / code matches score 1, substring matches 0.6-1 by
+            // closeness, typo matches on the name up to 0.6
+            searchQuery = `
+      SELECT
+        ${GUEST_COLUMNS},
+        ROUND(relevance::numeric, 3)::float8 AS score,
+        matched_fields,
+        ${sortKeySelect(sort)}
+      FROM (
+        SELECT
+          *,
+          id_exact OR code_exact AS exact_match,
+          COALESCE(GREATEST(
+            CASE WHEN id_exact OR code_exact THEN 1 END,
+            CASE WHEN id_like THEN 0.6 + 0.4 * similarity(UPPER(id), ${exactParam}) END,
+            CASE WHEN name_like THEN 0.6 + 0.4 * similarity(${nameKey}, ${termKey}) END,
+            CASE WHEN email_like THEN 0.6 + 0.4 * similarity(search_normalize(email), ${termKey}) END,
+            CASE WHEN phone_like THEN 0.6 + 0.4 * LENGTH(${digitsParam}) / LENGTH(phone_digits(phone)) END,
+            CASE WHEN name_fuzzy THEN 0.6 * GREATEST(similarity(${nameKey}, ${termKey}), word_similarity(${termKey}, ${nameKey})) END
+          ), 0)::float8 AS relevance,
+          array_remove(ARRAY[
+            CASE WHEN id_exact OR id_like THEN 'id' END,
+            CASE WHEN code_exact THEN 'confirmation_code' END,
+            CASE WHEN name_like OR name_fuzzy THEN 'name' END,
+            CASE WHEN email_like THEN 'email' END,
+            CASE WHEN phone_like THEN 'phone' END
+          ], NULL) AS matched_fields
+        FROM (
+          SELECT
+            ${GUEST_COLUMNS},
+            ${Object.entries(matches).map(([name, sql]) => `${sql} AS ${name}`).join(',\n            ')}
+          FROM guests
+          WHERE ${conditions.join(' AND ')}
+        ) matches
+      ) ranked
+      ${keysetClause}
+      ORDER BY ${orderByClause(sort)}
+      LIMIT $${paramIndex}
+    `;
+        } else {
+            if (cursorValues) {
+                const keyset = keysetCondition(sort, cursorValues, paramIndex);
+                conditions.push(keyset.sql);
+                params.push(...keyset.params);
+                paramIndex += keyset.params.length;
+            }
+
+            searchQuery = `
+      SELECT
+        ${GUEST_COLUMNS},
+        ${sortKeySelect(sort)}
       FROM guests
-      ${whereClause}
-      ORDER BY ${sortField} ${sortDirection}, first_name ASC
-      LIMIT 100
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY ${orderByClause(sort)}
+      LIMIT $${paramIndex}
     `;
+        }
+
+        // Fetch one extra row to learn whether another page follows
+        params.push(limit + 1);
 
         const result = await db.query(searchQuery, params);
+        const page = paginate(result.rows, limit, sort);
 
         info('Guest search performed', {
             username: req.user.username,
+            eventId,
             query: query || 'none',
-            resultsFound: result.rows.length,
+            resultsFound: page.rows.length,
             filters: { status, ticketType },
-            sort: { sortBy, sortOrder }
+            sort: `${sort.sortBy} ${sort.order}`
         });
 
         return res.status(200).json({
             success: true,
             data: {
-                guests: result.rows,
-                total: result.rows.length,
+                guests: page.rows,
+                total: page.rows.length,
+                hasMore: page.hasMore,
+                nextCursor: page.nextCursor,
                 query: query || '',
                 filters: {
                     status,
                     ticketType
                 },
                 sort: {
-                    field: sortBy,
-                    order: sortOrder
+                    field: sort.sortBy,
+                    order: sort.order.toLowerCase()
                 }
             }
         });
@@ -1,22 +1,32 @@
 import db from '../services/database.js';
 import cache from '../services/cache.js';
-import { authenticate } from '../middleware/authenticate.js';
+import live from '../services/live.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { hasPermission } from '../services/permissions.js';
+import { normalizeConfirmationCode } from '../services/confirmation-codes.js';
 import { info, warn, error as logError } from '../../utils/logger.js';
 
 /**
  * POST /api/guests/undo-check-in
- * Undo a guest check-in within 30 seconds
+ * Undo a guest check-in within the active event's undo window
  * 
  * Body params:
- * - guestId: Guest ID (required)
+ * - confirmationCode: Confirmation code returned by check-in
+ * - guestId: Guest ID (either this or confirmationCode is required)
  * - reason: Optional reason for undo
  * 
+ * A confirmation code from an earlier check-in that has since been undone or
+ * replaced is rejected with 409 so a stale undo cannot clear a newer check-in.
+ * The window is the event's undo_window_seconds (30 by default). Staff may only
+ * undo their own check-ins unless their role grants guests.undo.any, which
+ * also allows reversing a check-in after the window closes via
+ * POST /api/admin/guests/:id/reverse-check-in.
+ * 
  * Returns:
  * - Updated guest object (reverted to Not Checked In)
  */
 
-const UNDO_TIME_WINDOW = 30000; // 30 seconds in milliseconds
-
 export default async function handler(req, res) {
     // Only allow POST requests
     if (req.method !== 'POST') {
@@ -28,30 +38,51 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Apply authentication middleware
+        // Apply authentication and permission check
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.checkin')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
                 if (err) reject(err);
                 else resolve();
             });
         });
 
+        const eventId = req.event.event_id;
+        const undoWindowSeconds = req.event.undo_window_seconds;
+
         // Extract and validate request body
-        const { guestId, reason = '' } = req.body;
+        const { guestId, confirmationCode, reason = '' } = req.body;
 
         const trimmedGuestId = guestId != null ? String(guestId).trim() : '';
+        // Accept codes as read out (any case, spaces, O for 0); keep legacy codes as given
+        const trimmedCode = confirmationCode != null
+            ? normalizeConfirmationCode(confirmationCode) || String(confirmationCode).trim()
+            : '';
 
         // Validation
-        if (!trimmedGuestId) {
+        if (!trimmedGuestId && !trimmedCode) {
             return res.status(400).json({
                 success: false,
                 error: 'Validation Error',
-                message: 'Guest ID is required',
-                details: { field: 'guestId' }
+                message: 'Confirmation code or guest ID is required',
+                details: { field: 'confirmationCode' }
             });
         }
 
-        // Fetch guest details
+        // Fetch guest details, preferring the confirmation code when given
+        const lookupColumn = trimmedCode ? 'confirmation_code' : 'id';
+        const lookupValue = trimmedCode || trimmedGuestId;
+
         const guestQuery = `
       SELECT 
         id,
@@ -66,12 +97,56 @@ export default async function handler(req, res) {
         plus_ones_checked_in,
         status,
         notes,
-        checked_in_by
+        checked_in_by,
+        checked_in_by_usher_id
       FROM guests
-            WHERE id = $1
+            WHERE ${lookupColumn} = $1 AND event_id = $2
     `;
 
-        const guestResult = await db.query(guestQuery, [trimmedGuestId]);
+        const guestResult = await db.query(guestQuery, [lookupValue, eventId]);
+
+        // A code no guest currently holds is either stale or unknown
+        if (guestResult.rows.length === 0 && trimmedCode) {
+            const historyResult = await db.query(`
+        SELECT guest_id, guest_name
+        FROM check_in_log
+        WHERE confirmation_code = $1
+          AND event_id = $2
+          AND action IN ('Check In', 'Bulk Check In', 'Offline Check In')
+        ORDER BY timestamp DESC
+        LIMIT 1
+      `, [trimmedCode, eventId]);
+
+            const previousCheckIn = historyResult.rows[0];
+
+            if (previousCheckIn) {
+                warn('Undo check-in failed: Confirmation code superseded', {
+                    username: req.user.username,
+                    guestId: previousCheckIn.guest_id,
+                    confirmationCode: trimmedCode
+                });
+
+                return res.status(409).json({
+                    success: false,
+                    error: 'Superseded Check-In',
+                    message: `Confirmation code ${trimmedCode} belongs to an earlier check-in of ${previousCheckIn.guest_name} that has already been undone or replaced`,
+                    details: {
+                        guestId: previousCheckIn.guest_id
+                    }
+                });
+            }
+
+            warn('Undo check-in failed: Confirmation code not found', {
+                username: req.user.username,
+                confirmationCode: trimmedCode
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `No check-in found for confirmation code ${trimmedCode}`
+            });
+        }
 
         // Check if guest exists
         if (guestResult.rows.length === 0) {
@@ -89,11 +164,20 @@ export default async function handler(req, res) {
 
         const guest = guestResult.rows[0];
 
+        if (trimmedGuestId && guest.id !== trimmedGuestId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `Confirmation code ${trimmedCode} does not belong to guest ${trimmedGuestId}`,
+                details: { field: 'confirmationCode' }
+            });
+        }
+
         // Check if guest is checked in
         if (guest.status !== 'Checked In') {
             warn('Undo check-in failed: Guest not checked in', {
                 username: req.user.username,
-                guestId: trimmedGuestId,
+                guestId: guest.id,
                 guestName: `${guest.first_name} ${guest.last_name}`,
                 currentStatus: guest.status
             });
@@ -108,11 +192,30 @@ export default async function handler(req, res) {
             });
         }
 
-        // Validate time window (must be within 30 seconds of check-in)
+        // Without guests.undo.any staff may only undo check-ins they made
+        if (!hasPermission(req.user.role, 'guests.undo.any') && guest.checked_in_by_usher_id !== req.user.usherId) {
+            warn('Undo check-in failed: Checked in by someone else', {
+                username: req.user.username,
+                guestId: guest.id,
+                checkedInBy: guest.checked_in_by
+            });
+
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: `Only ${guest.checked_in_by || 'the usher who checked this guest in'} or a supervisor can undo this check-in`,
+                details: {
+                    permission: 'guests.undo.any',
+                    checkedInBy: guest.checked_in_by
+                }
+            });
+        }
+
+        // Validate time window (must be within the event's undo window)
         if (!guest.check_in_time) {
             warn('Undo check-in failed: No check-in time recorded', {
                 username: req.user.username,
-                guestId: trimmedGuestId
+                guestId: guest.id
             });
 
             return res.status(400).json({
@@ -126,25 +229,25 @@ export default async function handler(req, res) {
         const now = Date.now();
         const timeSinceCheckIn = now - checkInTime;
 
-        if (timeSinceCheckIn > UNDO_TIME_WINDOW) {
+        if (timeSinceCheckIn > undoWindowSeconds * 1000) {
             const secondsElapsed = Math.floor(timeSinceCheckIn / 1000);
 
             warn('Undo check-in failed: Time window expired', {
                 username: req.user.username,
-                guestId: trimmedGuestId,
+                guestId: guest.id,
                 guestName: `${guest.first_name} ${guest.last_name}`,
                 secondsElapsed,
-                allowedSeconds: UNDO_TIME_WINDOW / 1000
+                allowedSeconds: undoWindowSeconds
             });
 
             return res.status(400).json({
                 success: false,
                 error: 'Time Window Expired',
-                message: `Cannot undo check-in after 30 seconds. ${secondsElapsed} seconds have elapsed.`,
+                message: `Cannot undo check-in after ${undoWindowSeconds} seconds. ${secondsElapsed} seconds have elapsed.`,
                 details: {
                     checkInTime: guest.check_in_time,
                     secondsElapsed,
-                    maxAllowedSeconds: 30
+                    maxAllowedSeconds: undoWindowSeconds
                 }
             });
         }
@@ -159,31 +262,57 @@ export default async function handler(req, res) {
         try {
             await client.query('BEGIN');
 
-            // Reset guest check-in status
+            // Reset guest check-in status, unless another check-in replaced it meanwhile
             const updateQuery = `
         UPDATE guests
         SET 
           status = 'Not Checked In',
+          on_site = false,
           check_in_time = NULL,
           confirmation_code = NULL,
           plus_ones_checked_in = 0,
           checked_in_by = NULL,
+          checked_in_by_usher_id = NULL,
           last_modified = $1
-        WHERE id = $2
+        WHERE id = $2 AND event_id = $3
+          AND status = 'Checked In'
+          AND confirmation_code IS NOT DISTINCT FROM $4
         RETURNING *
       `;
 
             const updateResult = await client.query(updateQuery, [
                 timestamp,
-                trimmedGuestId
+                guest.id,
+                eventId,
+                previousConfirmationCode
             ]);
 
+            if (updateResult.rows.length === 0) {
+                await client.query('ROLLBACK');
+
+                warn('Undo check-in failed: Check-in changed during undo', {
+                    username: req.user.username,
+                    guestId: guest.id,
+                    confirmationCode: previousConfirmationCode
+                });
+
+                return res.status(409).json({
+                    success: false,
+                    error: 'Superseded Check-In',
+                    message: `The check-in for ${guest.first_name} ${guest.last_name} changed before it could be undone`,
+                    details: {
+                        guestId: guest.id
+                    }
+                });
+            }
+
             const updatedGuest = updateResult.rows[0];
 
             // Add undo entry to check-in log
             const logQuery = `
         INSERT INTO check_in_log (
           timestamp,
+          event_id,
           guest_id,
           guest_name,
           action,
@@ -191,7 +320,7 @@ export default async function handler(req, res) {
           plus_ones_count,
           notes,
           confirmation_code
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING id
       `;
 
@@ -201,7 +330,8 @@ export default async function handler(req, res) {
 
             await client.query(logQuery, [
                 timestamp,
-                trimmedGuestId,
+                eventId,
+                guest.id,
                 `${guest.first_name} ${guest.last_name}`,
                 'Undo Check In',
                 req.user.fullName || req.user.username,
@@ -215,9 +345,12 @@ export default async function handler(req, res) {
             // Invalidate all guest-related caches
             cache.clearPattern('guests:*');
 
+            live.publishGuestChange(eventId, 'undo', { guest: updatedGuest });
+
             info('Check-in undone successfully', {
                 username: req.user.username,
-                guestId: trimmedGuestId,
+                eventId,
+                guestId: guest.id,
                 guestName: `${guest.first_name} ${guest.last_name}`,
                 previousConfirmationCode,
                 previousPlusOnes,
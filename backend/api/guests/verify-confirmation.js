@@ -0,0 +1,177 @@
+import db from '../services/database.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { normalizeConfirmationCode } from '../services/confirmation-codes.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * GET /api/guests/confirmations/:code
+ * Verify a confirmation code read out by staff or a guest in the active event
+ *
+ * URL params:
+ * - code: Confirmation code (case, spaces and dashes are ignored)
+ *
+ * A code held by a guest is valid. A code from a check-in that has since been
+ * undone or replaced returns valid: false with reason 'SUPERSEDED'.
+ *
+ * Returns:
+ * - Canonical code and whether it is valid
+ * - Guest holding the code, or the check-in it came from
+ */
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract and validate code from URL params
+        const rawCode = req.query.code != null ? String(req.query.code).trim() : '';
+
+        if (!rawCode) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Confirmation code is required',
+                details: { field: 'code' }
+            });
+        }
+
+        // Codes issued before the short format are still looked up as given
+        const normalizedCode = normalizeConfirmationCode(rawCode);
+        const confirmationCode = normalizedCode || rawCode;
+
+        const guestResult = await db.query(`
+      SELECT
+        id,
+        first_name,
+        last_name,
+        ticket_type,
+        plus_ones_allowed,
+        plus_ones_checked_in,
+        status,
+        on_site,
+        check_in_time,
+        checked_in_by
+      FROM guests
+      WHERE confirmation_code = $1 AND event_id = $2
+    `, [confirmationCode, eventId]);
+
+        const guest = guestResult.rows[0];
+
+        if (guest) {
+            info('Confirmation code verified', {
+                username: req.user.username,
+                eventId,
+                confirmationCode,
+                guestId: guest.id
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    confirmationCode,
+                    valid: true,
+                    guest
+                }
+            });
+        }
+
+        const historyResult = await db.query(`
+      SELECT guest_id, guest_name, usher_name, timestamp
+      FROM check_in_log
+      WHERE confirmation_code = $1
+        AND event_id = $2
+        AND action IN ('Check In', 'Bulk Check In', 'Offline Check In')
+      ORDER BY timestamp DESC
+      LIMIT 1
+    `, [confirmationCode, eventId]);
+
+        const previousCheckIn = historyResult.rows[0];
+
+        if (previousCheckIn) {
+            info('Confirmation code superseded', {
+                username: req.user.username,
+                eventId,
+                confirmationCode,
+                guestId: previousCheckIn.guest_id
+            });
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    confirmationCode,
+                    valid: false,
+                    reason: 'SUPERSEDED',
+                    checkIn: {
+                        guestId: previousCheckIn.guest_id,
+                        guestName: previousCheckIn.guest_name,
+                        checkedInBy: previousCheckIn.usher_name,
+                        checkInTime: previousCheckIn.timestamp
+                    }
+                }
+            });
+        }
+
+        warn('Confirmation code not found', {
+            username: req.user.username,
+            eventId,
+            confirmationCode: rawCode
+        });
+
+        // A code that fails its check symbol was most likely misheard
+        if (!normalizedCode) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid Code',
+                message: `${rawCode} is not a valid confirmation code; check for a misheard character`,
+                details: { field: 'code' }
+            });
+        }
+
+        return res.status(404).json({
+            success: false,
+            error: 'Not Found',
+            message: `No check-in found for confirmation code ${confirmationCode}`
+        });
+
+    } catch (err) {
+        logError('Error verifying confirmation code', {
+            error: err.message,
+            stack: err.stack,
+            code: req.query.code,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to verify confirmation code'
+        });
+    }
+}
@@ -38,17 +38,53 @@ export default async function handler(req, res) {
                 available: [
                     'GET /api/health',
                     'POST /api/auth/login',
+                    'POST /api/auth/refresh',
                     'GET /api/auth/verify',
                     'POST /api/auth/logout',
+                    'POST /api/auth/logout-all',
+                    'GET /api/events',
+                    'GET /api/ticket-types',
+                    'GET /api/live',
                     'GET /api/guests',
                     'POST /api/guests/search',
+                    'POST /api/guests/scan',
+                    'GET /api/guests/confirmations/:code',
                     'POST /api/guests/check-in',
                     'POST /api/guests/undo-check-in',
                     'POST /api/guests/bulk-check-in',
+                    'POST /api/guests/plus-ones',
+                    'POST /api/guests/check-out',
+                    'POST /api/guests/re-entry',
+                    'GET /api/parties/:id',
+                    'POST /api/parties/:id/check-in',
                     'GET /api/admin/stats',
                     'GET /api/admin/audit-log',
+                    'POST /api/admin/guests/import',
+                    'POST /api/admin/guests',
+                    'PUT /api/admin/guests/:id',
+                    'DELETE /api/admin/guests/:id',
+                    'GET /api/admin/guests/:id/ticket',
+                    'POST /api/admin/guests/:id/ticket/revoke',
+                    'POST /api/admin/guests/:id/reverse-check-in',
+                    'GET /api/admin/guests/:id/qr',
+                    'POST /api/admin/guests/badges',
+                    'POST /api/admin/parties',
+                    'PUT /api/admin/parties/:id',
+                    'DELETE /api/admin/parties/:id',
                     'GET /api/admin/ushers',
                     'PUT /api/admin/ushers/:id',
+                    'POST /api/admin/ushers/:id/logout-all',
+                    'GET /api/admin/lockouts',
+                    'DELETE /api/admin/lockouts/:scope/:identifier',
+                    'POST /api/admin/events',
+                    'PUT /api/admin/events/:id',
+                    'GET /api/admin/zones',
+                    'POST /api/admin/zones',
+                    'PUT /api/admin/zones/:id',
+                    'DELETE /api/admin/zones/:id',
+                    'POST /api/admin/ticket-types',
+                    'PUT /api/admin/ticket-types/:id',
+                    'DELETE /api/admin/ticket-types/:id',
                     'POST /api/sync/queue',
                     'GET /api/sync/status',
                 ],
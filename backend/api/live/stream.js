@@ -0,0 +1,164 @@
+import live from '../services/live.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { hasPermission } from '../services/permissions.js';
+import sessionService from '../services/sessions.js';
+import { info, error as logError } from '../../utils/logger.js';
+
+/**
+ * GET /api/live
+ * Server-Sent Events stream of check-in activity in the active event (requires guests.read)
+ *
+ * Headers:
+ * - Last-Event-ID: ID of the last message received, to replay what was missed (optional)
+ *
+ * Messages:
+ * - ready: Stream is open; its ID marks the current position
+ * - resync: Missed messages could not be replayed; reload the data
+ * - check-in, undo, bulk-check-in, guest-updated: Guest changes with the guest rows
+ * - stats-changed: Dashboard numbers changed
+ * - duplicate-attempt: A checked-in guest was presented again (guests.undo.any only)
+ *
+ * The stream closes when the access token expires so the client reconnects
+ * with a fresh one. A comment line is sent every 25 seconds to keep proxies
+ * from timing out the connection; each heartbeat re-checks the token, so a
+ * logout, deactivation or token version bump also closes the stream.
+ */
+
+const HEARTBEAT_MS = Number(process.env.LIVE_HEARTBEAT_MS) || 25000;
+const RETRY_MS = 3000;
+
+function writeMessage(res, { id, type, data }) {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+        const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || null;
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        // Replay and subscribe in the same tick so no message falls in between
+        const position = () => `${live.bootId}-${live.sequence}`;
+        const send = (message) => {
+            if (!message.permission || hasPermission(req.user.role, message.permission)) {
+                writeMessage(res, message);
+            }
+        };
+
+        if (lastEventId) {
+            const missed = live.since(eventId, lastEventId);
+
+            if (missed === null) {
+                writeMessage(res, { id: position(), type: 'resync', data: { eventId } });
+            } else {
+                missed.forEach(send);
+            }
+        }
+
+        writeMessage(res, { id: position(), type: 'ready', data: { eventId } });
+
+        const unsubscribe = live.subscribe(eventId, send);
+
+        // The token was only checked when the stream opened; stop pushing guest data once it is revoked
+        const heartbeat = setInterval(async () => {
+            try {
+                const active = await sessionService.isActive(req.user.jti)
+                    && await sessionService.getTokenVersion(req.user.usherId) === req.user.tokenVersion;
+
+                if (!active) {
+                    info('Live stream ended: session no longer valid', {
+                        username: req.user.username,
+                        eventId
+                    });
+                    res.end();
+                    return;
+                }
+
+                res.write(': heartbeat\n\n');
+            } catch (err) {
+                logError('Live stream session check failed', {
+                    error: err.message,
+                    username: req.user.username
+                });
+                res.end();
+            }
+        }, HEARTBEAT_MS);
+
+        // End the stream when the access token expires; the client reconnects with a fresh one
+        const expiresInMs = req.user.expiresAt ? req.user.expiresAt * 1000 - Date.now() : null;
+        const expiry = expiresInMs !== null
+            ? setTimeout(() => res.end(), Math.max(0, expiresInMs))
+            : null;
+
+        info('Live stream opened', {
+            username: req.user.username,
+            eventId,
+            lastEventId
+        });
+
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            if (expiry) clearTimeout(expiry);
+            unsubscribe();
+
+            info('Live stream closed', {
+                username: req.user.username,
+                eventId
+            });
+        });
+
+    } catch (err) {
+        logError('Error opening live stream', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        if (res.headersSent) {
+            return res.end();
+        }
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to open live stream'
+        });
+    }
+}
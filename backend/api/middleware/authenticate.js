@@ -1,12 +1,15 @@
 import authService from '../services/auth.js';
-import { info, warn } from '../../utils/logger.js';
+import sessionService from '../services/sessions.js';
+import { hasPermission } from '../services/permissions.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
 
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token, rejects tokens whose session was revoked or whose
+ * usher has since changed, and attaches user to request
  */
 
-export function authenticate(req, res, next) {
+export async function authenticate(req, res, next) {
     try {
         // Extract token from Authorization header
         const authHeader = req.headers.authorization;
@@ -33,12 +36,56 @@ export function authenticate(req, res, next) {
             });
         }
 
+        // Logout and "log out everywhere" revoke the token's session;
+        // deactivation, role changes and password resets bump the token version
+        let sessionActive;
+        let tokenVersion;
+        try {
+            sessionActive = await sessionService.isActive(decoded.jti);
+            tokenVersion = await sessionService.getTokenVersion(decoded.usherId);
+        } catch (err) {
+            logError('Session lookup failed', { error: err.message, username: decoded.username });
+            return res.status(500).json({
+                success: false,
+                error: 'Internal Server Error',
+                message: 'Unable to verify session',
+            });
+        }
+
+        if (!sessionActive) {
+            warn('Authentication failed: Session revoked', {
+                username: decoded.username,
+                jti: decoded.jti
+            });
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Session has ended. Please log in again',
+            });
+        }
+
+        if (tokenVersion === null || decoded.tokenVersion !== tokenVersion) {
+            warn('Authentication failed: Token version outdated', {
+                username: decoded.username,
+                tokenVersion: decoded.tokenVersion,
+                currentVersion: tokenVersion
+            });
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Your account was changed. Please log in again',
+            });
+        }
+
         // Attach user to request
         req.user = {
             usherId: decoded.usherId,
             username: decoded.username,
             fullName: decoded.fullName,
             role: decoded.role,
+            jti: decoded.jti,
+            tokenVersion: decoded.tokenVersion,
+            expiresAt: decoded.exp,
         };
 
         info('User authenticated', {
@@ -59,40 +106,45 @@ export function authenticate(req, res, next) {
 }
 
 /**
- * Require Admin Role Middleware
+ * Require Permission Middleware
  * Must be used after authenticate middleware
+ * @param {string} permission - Permission the user's role must grant (e.g. 'guests.checkin')
+ * @returns {Function} Middleware
  */
-export function requireAdmin(req, res, next) {
-    if (!req.user) {
-        return res.status(401).json({
-            success: false,
-            error: 'Unauthorized',
-            message: 'Authentication required',
-        });
-    }
+export function requirePermission(permission) {
+    return function checkPermission(req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Unauthorized',
+                message: 'Authentication required',
+            });
+        }
 
-    if (req.user.role !== 'Admin') {
-        warn('Admin access denied', {
-            username: req.user.username,
-            role: req.user.role
-        });
+        if (!hasPermission(req.user.role, permission)) {
+            warn('Permission denied', {
+                username: req.user.username,
+                role: req.user.role,
+                permission
+            });
 
-        return res.status(403).json({
-            success: false,
-            error: 'Forbidden',
-            message: 'Admin access required',
-        });
-    }
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: `Your role (${req.user.role}) does not allow this action`,
+                details: { permission }
+            });
+        }
 
-    info('Admin access granted', { username: req.user.username });
-    next();
+        next();
+    };
 }
 
 /**
  * Optional Authentication Middleware
  * Attaches user if token is valid, but doesn't require it
  */
-export function optionalAuth(req, res, next) {
+export async function optionalAuth(req, res, next) {
     try {
         const authHeader = req.headers.authorization;
         const token = authService.extractToken(authHeader);
@@ -100,12 +152,17 @@ export function optionalAuth(req, res, next) {
         if (token) {
             const decoded = authService.verifyToken(token);
 
-            if (decoded) {
+            if (
+                decoded
+                && await sessionService.isActive(decoded.jti)
+                && decoded.tokenVersion === await sessionService.getTokenVersion(decoded.usherId)
+            ) {
                 req.user = {
                     usherId: decoded.usherId,
                     username: decoded.username,
                     fullName: decoded.fullName,
                     role: decoded.role,
+                    jti: decoded.jti,
                 };
             }
         }
@@ -0,0 +1,128 @@
+import db from '../services/database.js';
+import cache from '../services/cache.js';
+import { hasPermission } from '../services/permissions.js';
+import { debug, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * Event Scoping Middleware
+ * Resolves the event a request operates on and attaches it to req.event
+ *
+ * The event is read from (in order):
+ * - X-Event-Id header
+ * - eventId query parameter
+ * - eventId body field
+ *
+ * Staff with events.all (Admins) may work any event. Everyone else may only
+ * work active events they are assigned to. When no event is requested and the user has exactly one
+ * active event available, that event is used.
+ */
+
+/**
+ * Get events available to a user (cached per user)
+ * @param {object} user - Authenticated user ({ usherId, role })
+ * @returns {Array} Array of event objects
+ */
+export async function getUserEvents(user) {
+    const cacheKey = `events:user:${user.usherId}:${user.role}`;
+
+    const cached = cache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const events = await db.getEventsForUser(user);
+    cache.set(cacheKey, events, 30000);
+
+    return events;
+}
+
+export async function requireEvent(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized',
+            message: 'Authentication required',
+        });
+    }
+
+    try {
+        const requestedId = req.headers['x-event-id'] || req.query?.eventId || req.body?.eventId || null;
+        const events = await getUserEvents(req.user);
+        const canWorkAnyEvent = hasPermission(req.user.role, 'events.all');
+
+        if (!requestedId) {
+            const available = events.filter(event => event.active);
+
+            if (available.length === 1) {
+                req.event = available[0];
+                return next();
+            }
+
+            return res.status(400).json({
+                success: false,
+                error: 'Event Required',
+                message: 'Select an event using the X-Event-Id header',
+                events: available.map(event => ({
+                    eventId: event.event_id,
+                    name: event.name,
+                })),
+            });
+        }
+
+        const eventId = String(requestedId).trim().toUpperCase();
+        const event = events.find(e => e.event_id === eventId);
+
+        if (!event) {
+            // These users see every event, so a miss means it does not exist
+            if (canWorkAnyEvent) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Not Found',
+                    message: `Event with ID '${eventId}' not found`,
+                });
+            }
+
+            warn('Event access denied', {
+                username: req.user.username,
+                eventId,
+            });
+
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: 'You are not assigned to this event',
+            });
+        }
+
+        if (!event.active && !canWorkAnyEvent) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: 'This event is not active',
+            });
+        }
+
+        req.event = event;
+
+        debug('Event resolved', {
+            username: req.user.username,
+            eventId: event.event_id,
+        });
+
+        next();
+
+    } catch (err) {
+        logError('Event resolution error', {
+            error: err.message,
+            stack: err.stack,
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to resolve event',
+        });
+    }
+}
+
+export default requireEvent;
@@ -11,8 +11,8 @@ class RateLimiter {
         this.maxRequests = parseInt(process.env.RATE_LIMIT_MAX) || 100;
         this.windowMs = parseInt(process.env.RATE_LIMIT_WINDOW) || 60000; // 1 minute
 
-        // Clean up old entries every minute
-        setInterval(() => this.cleanup(), 60000);
+        // Clean up old entries every minute (without keeping the process alive on its own)
+        setInterval(() => this.cleanup(), 60000).unref();
     }
 
     /**
@@ -0,0 +1,205 @@
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { getParty } from '../services/parties.js';
+import { bulkCheckIn, validateBulkEntries } from '../services/bulk-check-in.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * POST /api/parties/:id/check-in
+ * Check in members of a party of the active event at once (atomic operation)
+ *
+ * URL params:
+ * - id: Party ID (e.g., P001)
+ *
+ * Body params:
+ * - guests: Array of { guestId, plusOnes, notes } (optional; members only,
+ *   defaults to every member who has not arrived, without plus ones)
+ *
+ * Returns:
+ * - checkedIn: Successfully checked in guests
+ * - failed: Failed check-ins with reasons
+ * - capacityWarnings: Ticket types that are now full
+ * - summary: Party arrivals after the check-in
+ */
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.checkin')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract party ID from URL params
+        const partyId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!partyId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Party ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const current = await getParty(partyId, eventId);
+
+        if (!current) {
+            warn('Party check-in failed: Party not found', {
+                username: req.user.username,
+                partyId
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `Party with ID ${partyId} not found`
+            });
+        }
+
+        const requested = req.body?.guests;
+        let guests;
+
+        if (requested === undefined) {
+            // Default: everyone who has not arrived yet
+            guests = current.members
+                .filter(member => member.status !== 'Checked In')
+                .map(member => ({ guestId: member.id }));
+
+            if (guests.length === 0) {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Conflict',
+                    message: `Everyone in ${current.party.name} has already arrived`,
+                    data: { summary: current.summary }
+                });
+            }
+        } else if (Array.isArray(requested)) {
+            // Normalize IDs first so 'g009' and 'G009' count as the same guest
+            guests = requested.map(guest => (guest?.guestId != null
+                ? { ...guest, guestId: String(guest.guestId).trim().toUpperCase() }
+                : guest));
+        } else {
+            guests = requested;
+        }
+
+        const invalid = validateBulkEntries(guests);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: invalid.message,
+                details: invalid.details
+            });
+        }
+
+        const memberIds = new Set(current.members.map(member => member.id));
+        const notInParty = guests
+            .map(guest => guest.guestId)
+            .filter(guestId => !memberIds.has(guestId));
+
+        if (notInParty.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `Guest(s) not in ${current.party.name}: ${notInParty.join(', ')}`,
+                details: { field: 'guests', notInParty }
+            });
+        }
+
+        const { checkedIn, failed, capacityWarnings } = await bulkCheckIn({
+            eventId,
+            user: req.user,
+            guests,
+            source: 'party-check-in',
+            partyId
+        });
+
+        // Any failure rolled back the entire batch (all or nothing)
+        if (failed.length > 0) {
+            warn('Party check-in failed - rolled back', {
+                username: req.user.username,
+                partyId,
+                totalRequested: guests.length,
+                failedCount: failed.length,
+                failed
+            });
+
+            return res.status(400).json({
+                success: false,
+                error: 'Party Check-In Failed',
+                message: `${failed.length} guest(s) could not be checked in. Transaction rolled back.`,
+                data: {
+                    partyId,
+                    checkedIn: [],
+                    failed,
+                    totalRequested: guests.length,
+                    summary: current.summary
+                }
+            });
+        }
+
+        const updated = await getParty(partyId, eventId);
+
+        info('Party check-in completed successfully', {
+            username: req.user.username,
+            eventId,
+            partyId,
+            totalCheckedIn: checkedIn.length,
+            guestIds: checkedIn.map(g => g.guestId)
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Successfully checked in ${checkedIn.length} guest(s) of ${current.party.name}`,
+            data: {
+                partyId,
+                checkedIn,
+                failed: [],
+                totalRequested: guests.length,
+                totalSuccessful: checkedIn.length,
+                capacityWarnings,
+                summary: updated.summary
+            }
+        });
+
+    } catch (err) {
+        logError('Error in party check-in', {
+            error: err.message,
+            stack: err.stack,
+            partyId: req.query.id,
+            body: req.body,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to process party check-in'
+        });
+    }
+}
@@ -0,0 +1,105 @@
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { getParty } from '../services/parties.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * GET /api/parties/:id
+ * Fetch a party of the active event with its members
+ *
+ * URL params:
+ * - id: Party ID (e.g., P001)
+ *
+ * Returns:
+ * - party: Party details
+ * - members: Member guests, lead first
+ * - summary: { total, arrived, remaining }
+ */
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract party ID from URL params
+        const partyId = req.query.id ? String(req.query.id).trim().toUpperCase() : '';
+
+        if (!partyId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Party ID is required',
+                details: { field: 'id' }
+            });
+        }
+
+        const result = await getParty(partyId, eventId);
+
+        if (!result) {
+            warn('Party not found', {
+                username: req.user.username,
+                partyId
+            });
+
+            return res.status(404).json({
+                success: false,
+                error: 'Not Found',
+                message: `Party with ID ${partyId} not found`
+            });
+        }
+
+        info('Party details fetched', {
+            username: req.user.username,
+            eventId,
+            partyId,
+            members: result.summary.total,
+            arrived: result.summary.arrived
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (err) {
+        logError('Error fetching party details', {
+            error: err.message,
+            stack: err.stack,
+            partyId: req.query.id,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to fetch party details'
+        });
+    }
+}
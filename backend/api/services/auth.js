@@ -74,6 +74,7 @@ class AuthService {
 
     /**
      * Generate JWT token
+     * Each token gets a unique jti so its session can be revoked.
      * @param {object} payload - Token payload (user data)
      * @returns {string} JWT token
      */
@@ -82,6 +83,7 @@ class AuthService {
             const token = jwt.sign(payload, this.jwtSecret, {
                 expiresIn: this.jwtExpiry,
                 issuer: 'guestlist-pro',
+                jwtid: crypto.randomUUID(),
             });
 
             info('JWT token generated', {
@@ -146,6 +148,7 @@ class AuthService {
             const token = jwt.sign(payload, this.jwtSecret, {
                 expiresIn: '7d',
                 issuer: 'guestlist-pro-refresh',
+                jwtid: crypto.randomUUID(),
             });
 
             info('Refresh token generated', { userId: payload.usherId });
@@ -156,6 +159,29 @@ class AuthService {
         }
     }
 
+    /**
+     * Verify refresh token
+     * @param {string} token - Refresh token
+     * @returns {object|null} Decoded payload or null
+     */
+    verifyRefreshToken(token) {
+        try {
+            return jwt.verify(token, this.jwtSecret, {
+                issuer: 'guestlist-pro-refresh',
+            });
+        } catch (err) {
+            if (err.name === 'TokenExpiredError') {
+                warn('Refresh token expired', { expiredAt: err.expiredAt });
+            } else if (err.name === 'JsonWebTokenError') {
+                warn('Invalid refresh token', { message: err.message });
+            } else {
+                logError('Refresh token verification error', err);
+            }
+
+            return null;
+        }
+    }
+
     /**
      * Extract token from Authorization header
      * @param {string} authHeader - Authorization header value
@@ -0,0 +1,372 @@
+import db from './database.js';
+import cache from './cache.js';
+import live from './live.js';
+import { recordDuplicateAttempt, isDuplicateAttempt, ALREADY_CHECKED_IN, STEPPED_OUT } from './duplicate-attempts.js';
+import { generateUniqueConfirmationCode } from './confirmation-codes.js';
+import { checkEntrance, WRONG_ENTRANCE } from './zones.js';
+import { checkCapacity, capacityWarning, CAPACITY_REACHED } from './ticket-types.js';
+
+/**
+ * Bulk Check-In Service
+ * All-or-nothing check-in of several guests, shared by the bulk check-in
+ * and party check-in endpoints
+ *
+ * Every guest gets the same checks as a single check-in (entrance, plus-ones,
+ * capacity). If any guest fails, the whole batch is rolled back and nobody
+ * is admitted, so the usher can fix the request and send it again.
+ */
+
+export const MAX_BULK_SIZE = 50;
+
+/**
+ * Validate the guest entries of a bulk request
+ * @param {Array} guests - Array of { guestId, plusOnes, notes }
+ * @returns {object|null} { message, details } describing the first problem, or null if valid
+ */
+export function validateBulkEntries(guests) {
+    if (!guests || !Array.isArray(guests)) {
+        return { message: 'guests array is required', details: { field: 'guests' } };
+    }
+
+    if (guests.length === 0) {
+        return { message: 'guests array cannot be empty', details: { field: 'guests' } };
+    }
+
+    if (guests.length > MAX_BULK_SIZE) {
+        return {
+            message: `Cannot check in more than ${MAX_BULK_SIZE} guests at once`,
+            details: {
+                requested: guests.length,
+                maximum: MAX_BULK_SIZE
+            }
+        };
+    }
+
+    const seen = new Set();
+
+    for (let i = 0; i < guests.length; i++) {
+        const guest = guests[i];
+        const trimmedGuestId = guest?.guestId != null ? String(guest.guestId).trim() : '';
+
+        if (!trimmedGuestId) {
+            return { message: `Guest at index ${i} is missing guestId`, details: { index: i } };
+        }
+
+        // A second entry would find the guest already checked in by the first
+        if (seen.has(trimmedGuestId)) {
+            return {
+                message: `Guest ${trimmedGuestId} is listed more than once`,
+                details: { index: i, guestId: trimmedGuestId }
+            };
+        }
+        seen.add(trimmedGuestId);
+
+        if (guest.plusOnes !== undefined) {
+            const parsedPlusOnes = Number.parseInt(guest.plusOnes, 10);
+            if (Number.isNaN(parsedPlusOnes) || parsedPlusOnes < 0) {
+                return {
+                    message: `Guest at index ${i} has invalid plusOnes value`,
+                    details: { index: i, value: guest.plusOnes }
+                };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check in validated guest entries in one transaction
+ * On success the guest caches are cleared and a 'bulk-check-in' live update
+ * is published; on failure nothing is written except duplicate attempts.
+ * @param {object} params - { eventId, user: req.user, guests: entries passing validateBulkEntries, source: 'bulk-check-in' | 'party-check-in', partyId }
+ * @returns {Promise<object>} { checkedIn, failed, capacityWarnings } (checkedIn is empty if anything failed)
+ */
+export async function bulkCheckIn({ eventId, user, guests, source = 'bulk-check-in', partyId = null }) {
+    const usherName = user.fullName || user.username;
+    const timestamp = new Date().toISOString();
+    const checkedIn = [];
+    const failed = [];
+    const capacityWarnings = new Set();
+    const updatedGuests = [];
+    const duplicates = [];
+
+    // Use transaction for atomicity (all or nothing)
+    const client = await db.pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const guestIds = guests.map(guest => String(guest.guestId).trim());
+
+        // Lock the whole batch up front in ID order, so two overlapping batches
+        // queue behind each other instead of deadlocking
+        await client.query(`
+      SELECT id
+      FROM guests
+      WHERE id = ANY($1) AND event_id = $2
+      ORDER BY id
+      FOR UPDATE
+    `, [guestIds, eventId]);
+
+        // Then the batch's ticket types in ID order; checkCapacity would otherwise
+        // take them in guest order, and two batches could take them crosswise
+        await client.query(`
+      SELECT ticket_type_id
+      FROM ticket_types
+      WHERE event_id = $2
+        AND LOWER(name) IN (
+          SELECT DISTINCT LOWER(ticket_type)
+          FROM guests
+          WHERE id = ANY($1) AND event_id = $2
+        )
+      ORDER BY ticket_type_id
+      FOR UPDATE
+    `, [guestIds, eventId]);
+
+        // Process each guest
+        for (const guestRequest of guests) {
+            const guestId = guestRequest?.guestId != null ? String(guestRequest.guestId).trim() : '';
+            const parsedPlusOnes = Number.parseInt(guestRequest.plusOnes, 10);
+            const plusOnesInt = Number.isNaN(parsedPlusOnes) ? 0 : parsedPlusOnes;
+            const notes = guestRequest.notes || '';
+
+            if (!guestId) {
+                failed.push({
+                    guestId,
+                    reason: 'Guest ID missing',
+                    error: 'INVALID_GUEST_ID'
+                });
+                continue;
+            }
+
+            try {
+                // Fetch guest details (the row is already locked above)
+                const guestQuery = `
+          SELECT
+            id,
+            first_name,
+            last_name,
+            email,
+            phone,
+            ticket_type,
+            plus_ones_allowed,
+            confirmation_code,
+            check_in_time,
+            plus_ones_checked_in,
+            status,
+            on_site,
+            checked_in_by
+          FROM guests
+          WHERE id = $1 AND event_id = $2
+        `;
+
+                const guestResult = await client.query(guestQuery, [guestId, eventId]);
+
+                // Check if guest exists
+                if (guestResult.rows.length === 0) {
+                    failed.push({
+                        guestId,
+                        reason: 'Guest not found',
+                        error: 'NOT_FOUND'
+                    });
+                    continue;
+                }
+
+                const guest = guestResult.rows[0];
+
+                // Check if already checked in; the attempt is recorded after the rollback releases the row lock.
+                // A guest who stepped out is re-entering, which is no duplicate
+                if (guest.status === 'Checked In') {
+                    const duplicate = isDuplicateAttempt(guest);
+                    if (duplicate) duplicates.push(guest);
+                    failed.push({
+                        guestId,
+                        guestName: `${guest.first_name} ${guest.last_name}`,
+                        reason: duplicate ? 'Already checked in' : 'Stepped out; record a re-entry instead',
+                        error: duplicate ? ALREADY_CHECKED_IN : STEPPED_OUT,
+                        details: {
+                            checkInTime: guest.check_in_time,
+                            checkedInBy: guest.checked_in_by,
+                            confirmationCode: guest.confirmation_code
+                        }
+                    });
+                    continue;
+                }
+
+                // Check the usher's entrance admits this ticket type
+                const entrance = await checkEntrance({
+                    usherId: user.usherId,
+                    eventId,
+                    ticketType: guest.ticket_type
+                }, client);
+
+                if (!entrance.allowed) {
+                    failed.push({
+                        guestId,
+                        guestName: `${guest.first_name} ${guest.last_name}`,
+                        reason: `${entrance.zone.name} does not admit ${guest.ticket_type} tickets`,
+                        error: WRONG_ENTRANCE,
+                        details: {
+                            zone: entrance.zone.name,
+                            ticketType: guest.ticket_type,
+                            admittingZones: entrance.admittingZones
+                        }
+                    });
+                    continue;
+                }
+
+                // Validate plus ones
+                if (plusOnesInt > guest.plus_ones_allowed) {
+                    failed.push({
+                        guestId,
+                        guestName: `${guest.first_name} ${guest.last_name}`,
+                        reason: `Requested ${plusOnesInt} plus ones but only ${guest.plus_ones_allowed} allowed`,
+                        error: 'PLUS_ONES_EXCEEDED',
+                        details: {
+                            requested: plusOnesInt,
+                            allowed: guest.plus_ones_allowed
+                        }
+                    });
+                    continue;
+                }
+
+                // Earlier guests of this batch already count towards capacity
+                const capacity = await checkCapacity({
+                    eventId,
+                    ticketType: guest.ticket_type,
+                    additional: 1 + plusOnesInt
+                }, client);
+
+                if (capacity?.blocked) {
+                    failed.push({
+                        guestId,
+                        guestName: `${guest.first_name} ${guest.last_name}`,
+                        reason: `${capacity.displayName} is full (${capacity.used} of ${capacity.capacity} places used)`,
+                        error: CAPACITY_REACHED,
+                        details: {
+                            capacity: capacity.capacity,
+                            checkedIn: capacity.used,
+                            requested: capacity.requested
+                        }
+                    });
+                    continue;
+                }
+
+                const warning = capacityWarning(capacity);
+                if (warning) capacityWarnings.add(warning);
+
+                // Generate confirmation code
+                const confirmationCode = await generateUniqueConfirmationCode(client);
+
+                // Update guest
+                const updateQuery = `
+          UPDATE guests
+          SET
+            status = 'Checked In',
+            on_site = true,
+            check_in_time = $1,
+            confirmation_code = $2,
+            plus_ones_checked_in = $3,
+            checked_in_by = $4,
+            checked_in_by_usher_id = $8,
+            notes = CASE
+              WHEN $5 != '' THEN $5
+              ELSE notes
+            END,
+            last_modified = $1
+          WHERE id = $6 AND event_id = $7
+          RETURNING *
+        `;
+
+                const updateResult = await client.query(updateQuery, [
+                    timestamp,
+                    confirmationCode,
+                    plusOnesInt,
+                    usherName,
+                    notes,
+                    guestId,
+                    eventId,
+                    user.usherId
+                ]);
+
+                updatedGuests.push(updateResult.rows[0]);
+
+                // Add to check-in log
+                const logQuery = `
+          INSERT INTO check_in_log (
+            timestamp,
+            event_id,
+            guest_id,
+            guest_name,
+            action,
+            usher_name,
+            plus_ones_count,
+            notes,
+            confirmation_code
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `;
+
+                await client.query(logQuery, [
+                    timestamp,
+                    eventId,
+                    guestId,
+                    `${guest.first_name} ${guest.last_name}`,
+                    'Bulk Check In',
+                    usherName,
+                    plusOnesInt,
+                    notes,
+                    confirmationCode
+                ]);
+
+                // Add to success list
+                checkedIn.push({
+                    guestId,
+                    guestName: `${guest.first_name} ${guest.last_name}`,
+                    confirmationCode,
+                    plusOnes: plusOnesInt,
+                    ticketType: guest.ticket_type
+                });
+
+            } catch (err) {
+                // Handle individual guest errors
+                failed.push({
+                    guestId,
+                    reason: err.message,
+                    error: 'PROCESSING_ERROR'
+                });
+            }
+        }
+
+        // If any guest failed, rollback entire transaction (all or nothing)
+        if (failed.length > 0) {
+            await client.query('ROLLBACK');
+
+            for (const guest of duplicates) {
+                await recordDuplicateAttempt({ eventId, guest, usherName, source }, client);
+            }
+
+            return { checkedIn: [], failed, capacityWarnings: [] };
+        }
+
+        // All successful - commit transaction
+        await client.query('COMMIT');
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    // Invalidate all guest-related caches
+    cache.clearPattern('guests:*');
+
+    live.publishGuestChange(eventId, 'bulk-check-in', {
+        guests: updatedGuests,
+        count: updatedGuests.length,
+        ...(partyId ? { partyId } : {})
+    });
+
+    return { checkedIn, failed: [], capacityWarnings: [...capacityWarnings] };
+}
@@ -144,9 +144,9 @@ class CacheService {
 // Export singleton instance
 const cache = new CacheService();
 
-// Auto-clean expired entries every 60 seconds
+// Auto-clean expired entries every 60 seconds (without keeping the process alive on its own)
 setInterval(() => {
     cache.cleanExpired();
-}, 60000);
+}, 60000).unref();
 
 export default cache;
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { randomInt } from 'crypto';
+
+/**
+ * Confirmation Code Service
+ * Short check-in codes staff can read out over a radio
+ *
+ * Codes are 7 random Crockford base32 symbols plus a Luhn mod 32 check
+ * symbol, shown as two groups of four (e.g. 7KQ2-M9X1). The alphabet has no
+ * I, L, O or U, and the check symbol catches any single misheard character
+ * and most swapped neighbours.
+ */
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const DATA_LENGTH = 7;
+const MAX_GENERATE_ATTEMPTS = 5;
+
+// Characters commonly read or typed in place of a Crockford symbol
+const LOOKALIKES = { O: '0', I: '1', L: '1' };
+
+function checkSymbol(values) {
+    let sum = 0;
+    let factor = 2;
+
+    for (let i = values.length - 1; i >= 0; i--) {
+        const addend = factor * values[i];
+        sum += Math.floor(addend / ALPHABET.length) + (addend % ALPHABET.length);
+        factor = factor === 2 ? 1 : 2;
+    }
+
+    return (ALPHABET.length - (sum % ALPHABET.length)) % ALPHABET.length;
+}
+
+function format(symbols) {
+    return `${symbols.slice(0, 4)}-${symbols.slice(4)}`;
+}
+
+/**
+ * Generate a random confirmation code
+ * @returns {string} Code in canonical form (XXXX-XXXX)
+ */
+export function generateConfirmationCode() {
+    const values = Array.from({ length: DATA_LENGTH }, () => randomInt(ALPHABET.length));
+    values.push(checkSymbol(values));
+
+    return format(values.map(value => ALPHABET[value]).join(''));
+}
+
+/**
+ * Normalize a confirmation code as typed or read out
+ * Ignores case, spaces and dashes and maps O/I/L to 0/1/1.
+ * @param {string} input - Code as entered
+ * @returns {string|null} Canonical code, or null if malformed or the check symbol does not match
+ */
+export function normalizeConfirmationCode(input) {
+    if (input == null) return null;
+
+    const symbols = String(input)
+        .toUpperCase()
+        .replace(/[\s-]/g, '')
+        .replace(/[OIL]/g, char => LOOKALIKES[char]);
+
+    if (symbols.length !== DATA_LENGTH + 1) return null;
+
+    const values = [...symbols].map(char => ALPHABET.indexOf(char));
+    if (values.includes(-1)) return null;
+
+    if (checkSymbol(values.slice(0, DATA_LENGTH)) !== values[DATA_LENGTH]) return null;
+
+    return format(symbols);
+}
+
+/**
+ * Generate a confirmation code that no guest holds and no past check-in used,
+ * so a code always identifies exactly one check-in
+ * @param {object} client - Database client (inside the caller's transaction)
+ * @returns {Promise<string>} Unused code in canonical form
+ */
+export async function generateUniqueConfirmationCode(client) {
+    for (let attempt = 0; attempt < MAX_GENERATE_ATTEMPTS; attempt++) {
+        const code = generateConfirmationCode();
+
+        const result = await client.query(`
+      SELECT 1 FROM guests WHERE confirmation_code = $1
+      UNION ALL
+      SELECT 1 FROM check_in_log WHERE confirmation_code = $1
+      LIMIT 1
+    `, [code]);
+
+        if (result.rows.length === 0) {
+            return code;
+        }
+    }
+
+    throw new Error('Could not generate an unused confirmation code');
+}
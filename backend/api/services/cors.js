@@ -28,7 +28,7 @@ export function corsMiddleware(req, res, next) {
     // Allowed headers
     res.setHeader(
         'Access-Control-Allow-Headers',
-        'Content-Type, Authorization, X-Requested-With'
+        'Content-Type, Authorization, X-Requested-With, X-Event-Id, Last-Event-ID'
     );
 
     // Cache preflight requests for 1 hour
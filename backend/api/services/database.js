@@ -1,5 +1,6 @@
 import pg from 'pg';
 import { info, warn, error as logError } from '../../utils/logger.js';
+import { hasPermission } from './permissions.js';
 
 const { Pool } = pg;
 
@@ -105,14 +106,96 @@ class DatabaseService {
     }
 
     /**
-     * Get all guests
+     * Get event by ID
+     * @param {string} eventId - Event ID
+     * @returns {object|null} Event object or null
+     */
+    async getEventById(eventId) {
+        const result = await this.query(
+            'SELECT * FROM events WHERE event_id = $1',
+            [eventId]
+        );
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Get events by ID
+     * @param {Array<string>} eventIds - Event IDs
+     * @returns {Array} Array of event objects that exist
+     */
+    async getEventsByIds(eventIds) {
+        const result = await this.query(
+            'SELECT * FROM events WHERE event_id = ANY($1::varchar[])',
+            [eventIds]
+        );
+
+        return result.rows;
+    }
+
+    /**
+     * Get events a user may work
+     * Roles with events.all see every event, everyone else only the events they are assigned to
+     * @param {object} user - Authenticated user ({ usherId, role })
+     * @returns {Array} Array of event objects
+     */
+    async getEventsForUser(user) {
+        if (hasPermission(user.role, 'events.all')) {
+            const result = await this.query(`
+      SELECT * FROM events
+      ORDER BY starts_at DESC NULLS LAST, name
+    `);
+            return result.rows;
+        }
+
+        const result = await this.query(`
+      SELECT e.*
+      FROM events e
+      JOIN usher_events ue ON ue.event_id = e.event_id
+      WHERE ue.usher_id = $1
+      ORDER BY e.starts_at DESC NULLS LAST, e.name
+    `, [user.usherId]);
+
+        return result.rows;
+    }
+
+    /**
+     * Replace the events an usher is assigned to
+     * Events the usher keeps also keep their zone assignment.
+     * @param {string} usherId - Usher ID
+     * @param {Array<string>} eventIds - Event IDs
+     * @param {object} client - Optional transaction client
+     */
+    async setUsherEvents(usherId, eventIds, client = null) {
+        const runner = client || this;
+
+        await runner.query(`
+      DELETE FROM usher_events
+      WHERE usher_id = $1 AND NOT (event_id = ANY($2::varchar[]))
+    `, [usherId, eventIds]);
+
+        if (eventIds.length > 0) {
+            await runner.query(`
+      INSERT INTO usher_events (usher_id, event_id)
+      SELECT $1, UNNEST($2::varchar[])
+      ON CONFLICT (usher_id, event_id) DO NOTHING
+    `, [usherId, eventIds]);
+        }
+
+        info(`Assigned usher ${usherId} to ${eventIds.length} event(s)`);
+    }
+
+    /**
+     * Get all guests for an event
+     * @param {string} eventId - Event ID
      * @returns {Array} Array of guest objects
      */
-    async getGuests() {
+    async getGuests(eventId) {
         const result = await this.query(`
       SELECT * FROM guests 
+      WHERE event_id = $1
       ORDER BY last_name, first_name
-    `);
+    `, [eventId]);
 
         info(`Retrieved ${result.rows.length} guests`);
         return result.rows;
@@ -133,25 +216,26 @@ class DatabaseService {
     }
 
     /**
-     * Search guests
+     * Search guests within an event
+     * @param {string} eventId - Event ID
      * @param {string} searchTerm - Search term
      * @param {object} filters - Additional filters
      * @returns {Array} Matching guests
      */
-    async searchGuests(searchTerm = '', filters = {}) {
+    async searchGuests(eventId, searchTerm = '', filters = {}) {
         let query = `
       SELECT * FROM guests 
-      WHERE (
-        LOWER(first_name) LIKE LOWER($1) OR
-        LOWER(last_name) LIKE LOWER($1) OR
-        LOWER(email) LIKE LOWER($1) OR
-        LOWER(phone) LIKE LOWER($1) OR
-        LOWER(id) LIKE LOWER($1)
+      WHERE event_id = $1 AND (
+        LOWER(first_name) LIKE LOWER($2) OR
+        LOWER(last_name) LIKE LOWER($2) OR
+        LOWER(email) LIKE LOWER($2) OR
+        LOWER(phone) LIKE LOWER($2) OR
+        LOWER(id) LIKE LOWER($2)
       )
     `;
 
-        const params = [`%${searchTerm}%`];
-        let paramIndex = 2;
+        const params = [eventId, `%${searchTerm}%`];
+        let paramIndex = 3;
 
         // Add status filter
         if (filters.status) {
@@ -265,11 +349,12 @@ class DatabaseService {
     async addCheckInLog(logData) {
         const result = await this.query(`
       INSERT INTO check_in_log (
-        guest_id, guest_name, action, usher_name, 
+        event_id, guest_id, guest_name, action, usher_name, 
         plus_ones_count, notes, confirmation_code
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
     `, [
+            logData.eventId,
             logData.guestId,
             logData.guestName,
             logData.action,
@@ -280,6 +365,7 @@ class DatabaseService {
         ]);
 
         info('Added check-in log entry', {
+            eventId: logData.eventId,
             guestId: logData.guestId,
             action: logData.action
         });
@@ -298,6 +384,13 @@ class DatabaseService {
         const params = [];
         let paramIndex = 1;
 
+        // Filter by event
+        if (filters.eventId) {
+            query += ` AND event_id = $${paramIndex}`;
+            params.push(filters.eventId);
+            paramIndex++;
+        }
+
         // Filter by guest ID
         if (filters.guestId) {
             query += ` AND guest_id = $${paramIndex}`;
@@ -320,10 +413,11 @@ class DatabaseService {
     }
 
     /**
-     * Get dashboard statistics
+     * Get dashboard statistics for an event
+     * @param {string} eventId - Event ID
      * @returns {object} Statistics object
      */
-    async getStats() {
+    async getStats(eventId) {
         const result = await this.query(`
       SELECT 
         COUNT(*) as total_guests,
@@ -333,7 +427,8 @@ class DatabaseService {
         COUNT(DISTINCT ticket_type) as ticket_types,
         COUNT(*) FILTER (WHERE check_in_time >= NOW() - INTERVAL '1 hour') as checked_in_last_hour
       FROM guests
-    `);
+      WHERE event_id = $1
+    `, [eventId]);
 
         const stats = result.rows[0];
 
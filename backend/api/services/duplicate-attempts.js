@@ -0,0 +1,141 @@
+import db from './database.js';
+import live from './live.js';
+import { warn } from '../../utils/logger.js';
+
+/**
+ * Duplicate Attempt Service
+ * Records a checked-in guest being presented again
+ *
+ * Two ushers scanning the same ticket at different doors usually means a
+ * copied ticket or a guest trying to bring someone in on their pass. Each
+ * attempt gets its own 'Duplicate Attempt' row in check_in_log, and
+ * supervisors watching the live stream are alerted with both ushers' names.
+ */
+
+export const ALREADY_CHECKED_IN = 'ALREADY_CHECKED_IN';
+export const STEPPED_OUT = 'STEPPED_OUT';
+export const DUPLICATE_ATTEMPT_ACTION = 'Duplicate Attempt';
+
+// Who gets the real-time alert
+const ALERT_PERMISSION = 'guests.undo.any';
+
+/**
+ * Whether admitting this guest again is a duplicate attempt
+ * Guests who checked in and stepped out are re-entering, not duplicates.
+ * @param {object} guest - guests row (with status and on_site)
+ * @returns {boolean}
+ */
+export function isDuplicateAttempt(guest) {
+    return guest.status === 'Checked In' && Boolean(guest.on_site);
+}
+
+/**
+ * Record an attempt to admit a guest who is already checked in
+ * Call outside any check-in transaction (e.g. after its ROLLBACK) so the
+ * record survives and the guest row is not locked.
+ * @param {object} params - { eventId, guest: guests row, usherName, source: 'check-in' | 'bulk-check-in' | 'party-check-in' | 'scan' }
+ * @param {object} client - Optional database client
+ * @returns {Promise<object>} Attempt ({ guestId, guestName, ticketType, original, attempt, attemptCount })
+ */
+export async function recordDuplicateAttempt({ eventId, guest, usherName, source }, client = db) {
+    const guestName = `${guest.first_name} ${guest.last_name}`;
+    const attemptedAt = new Date().toISOString();
+    const original = {
+        usherName: guest.checked_in_by,
+        at: guest.check_in_time
+    };
+
+    await client.query(`
+    INSERT INTO check_in_log (
+      timestamp,
+      event_id,
+      guest_id,
+      guest_name,
+      action,
+      usher_name,
+      notes,
+      confirmation_code,
+      previous_state
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+        attemptedAt,
+        eventId,
+        guest.id,
+        guestName,
+        DUPLICATE_ATTEMPT_ACTION,
+        usherName,
+        `Presented again via ${source}; checked in by ${original.usherName || 'unknown'}`,
+        guest.confirmation_code,
+        JSON.stringify({ checkedInBy: original.usherName, checkInTime: original.at })
+    ]);
+
+    const countResult = await client.query(`
+    SELECT COUNT(*) AS count
+    FROM check_in_log
+    WHERE event_id = $1 AND guest_id = $2 AND action = $3
+  `, [eventId, guest.id, DUPLICATE_ATTEMPT_ACTION]);
+
+    const attempt = {
+        guestId: guest.id,
+        guestName,
+        ticketType: guest.ticket_type,
+        original,
+        attempt: { usherName, at: attemptedAt, source },
+        attemptCount: parseInt(countResult.rows[0].count)
+    };
+
+    warn('Duplicate check-in attempt', {
+        eventId,
+        guestId: guest.id,
+        usherName,
+        originalUsher: original.usherName,
+        source,
+        attemptCount: attempt.attemptCount
+    });
+
+    live.publish(eventId, 'duplicate-attempt', attempt, { permission: ALERT_PERMISSION });
+
+    return attempt;
+}
+
+/**
+ * Build the 400 body for a check-in of a guest who is already in
+ * @param {object} guest - guests row
+ * @param {object} attempt - Result of recordDuplicateAttempt
+ * @returns {object} Error response body
+ */
+export function alreadyCheckedInResponse(guest, attempt) {
+    const by = attempt.original.usherName ? ` by ${attempt.original.usherName}` : '';
+
+    return {
+        success: false,
+        error: 'Already Checked In',
+        code: ALREADY_CHECKED_IN,
+        message: `${attempt.guestName} is already checked in${by}`,
+        details: {
+            checkInTime: guest.check_in_time,
+            checkedInBy: guest.checked_in_by,
+            confirmationCode: guest.confirmation_code,
+            attemptCount: attempt.attemptCount
+        }
+    };
+}
+
+/**
+ * Build the 400 body for a check-in of a guest who checked in and stepped out
+ * @param {object} guest - guests row
+ * @returns {object} Error response body
+ */
+export function steppedOutResponse(guest) {
+    return {
+        success: false,
+        error: 'Stepped Out',
+        code: STEPPED_OUT,
+        message: `${guest.first_name} ${guest.last_name} checked in earlier and stepped out; record a re-entry instead`,
+        details: {
+            checkInTime: guest.check_in_time,
+            checkedInBy: guest.checked_in_by,
+            confirmationCode: guest.confirmation_code
+        }
+    };
+}
@@ -0,0 +1,162 @@
+/**
+ * Guest Pagination Service
+ * Keyset (cursor) pagination for the guest list and guest search
+ *
+ * Every sort is a list of keys ending in the guest ID, so the order is total
+ * and a page starts strictly after the last row of the previous one. Rows
+ * carry their key values as text (sort_key) and the cursor hands them back
+ * verbatim: timestamps keep the microseconds a JavaScript Date would drop.
+ *
+ * Keys are SQL expressions over guest columns and must never be NULL.
+ * A key with a fixed direction ignores the requested sort order.
+ */
+
+export const SORT_KEY_COLUMN = 'sort_key';
+
+export const GUEST_SORTS = {
+    name: [
+        { sql: 'last_name', type: 'text' },
+        { sql: 'first_name', type: 'text' },
+        { sql: 'id', type: 'text' }
+    ],
+    checkInTime: [
+        // Guests who have not arrived come last whichever way the list runs
+        { sql: 'check_in_time IS NULL', type: 'boolean', direction: 'ASC' },
+        { sql: `COALESCE(check_in_time, 'epoch'::timestamp)`, type: 'timestamp' },
+        { sql: 'id', type: 'text' }
+    ],
+    ticketType: [
+        { sql: 'ticket_type', type: 'text' },
+        { sql: 'last_name', type: 'text' },
+        { sql: 'first_name', type: 'text' },
+        { sql: 'id', type: 'text' }
+    ],
+    lastModified: [
+        { sql: 'last_modified IS NULL', type: 'boolean', direction: 'ASC' },
+        { sql: `COALESCE(last_modified, 'epoch'::timestamp)`, type: 'timestamp' },
+        { sql: 'id', type: 'text' }
+    ]
+};
+
+/**
+ * Resolve the requested sort
+ * @param {string} sortBy - Sort name
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @param {object} sorts - Available sorts (default: GUEST_SORTS)
+ * @returns {object|null} { sortBy, order, keys } with each key's direction set, or null if unknown
+ */
+export function resolveSort(sortBy, sortOrder, sorts = GUEST_SORTS) {
+    const keys = Object.hasOwn(sorts, sortBy) ? sorts[sortBy] : null;
+    if (!keys) return null;
+
+    const order = String(sortOrder || 'asc').toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+
+    return {
+        sortBy,
+        order,
+        keys: keys.map(key => ({ ...key, direction: key.direction || order }))
+    };
+}
+
+/**
+ * ORDER BY list for a resolved sort
+ * @param {object} sort - From resolveSort
+ * @returns {string} SQL
+ */
+export function orderByClause(sort) {
+    return sort.keys.map(key => `${key.sql} ${key.direction}`).join(', ');
+}
+
+/**
+ * Select-list entry exposing the row's key values for its cursor
+ * @param {object} sort - From resolveSort
+ * @returns {string} SQL
+ */
+export function sortKeySelect(sort) {
+    return `ARRAY[${sort.keys.map(key => `(${key.sql})::text`).join(', ')}] AS ${SORT_KEY_COLUMN}`;
+}
+
+/**
+ * Condition selecting the rows after a cursor position
+ * @param {object} sort - From resolveSort
+ * @param {string[]} values - Key values from decodeCursor
+ * @param {number} startIndex - Number of the first query parameter to use
+ * @returns {{ sql: string, params: string[] }} Condition and its parameters
+ */
+export function keysetCondition(sort, values, startIndex) {
+    const placeholders = sort.keys.map((key, index) => `$${startIndex + index}::${key.type}`);
+
+    // One direction throughout: a row comparison, which an index can seek to
+    if (sort.keys.every(key => key.direction === sort.keys[0].direction)) {
+        const operator = sort.keys[0].direction === 'ASC' ? '>' : '<';
+        return {
+            sql: `(${sort.keys.map(key => key.sql).join(', ')}) ${operator} (${placeholders.join(', ')})`,
+            params: values
+        };
+    }
+
+    // Mixed directions: after on the first key, or tied on it and after on the next, ...
+    const branches = sort.keys.map((key, index) => {
+        const ties = sort.keys.slice(0, index).map((tied, tiedIndex) => `${tied.sql} = ${placeholders[tiedIndex]}`);
+        const operator = key.direction === 'ASC' ? '>' : '<';
+        return [...ties, `${key.sql} ${operator} ${placeholders[index]}`].join(' AND ');
+    });
+
+    return {
+        sql: `(${branches.map(branch => `(${branch})`).join(' OR ')})`,
+        params: values
+    };
+}
+
+/**
+ * Encode a cursor pointing after a row
+ * @param {object} sort - From resolveSort
+ * @param {string[]} values - The row's sort_key
+ * @returns {string} Opaque cursor token
+ */
+export function encodeCursor(sort, values) {
+    const payload = { s: sort.sortBy, o: sort.order, v: values };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made for the same sort
+ * @param {string} token - Cursor from a previous page
+ * @param {object} sort - From resolveSort
+ * @returns {string[]|null} Key values, or null if the token is malformed or for another sort
+ */
+export function decodeCursor(token, sort) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+
+        const valid = payload
+            && payload.s === sort.sortBy
+            && payload.o === sort.order
+            && Array.isArray(payload.v)
+            && payload.v.length === sort.keys.length
+            && payload.v.every(value => typeof value === 'string');
+
+        return valid ? payload.v : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Split a page fetched with limit + 1 rows into the page and its next cursor
+ * @param {Array} rows - Rows including sort_key, at most limit + 1
+ * @param {number} limit - Page size
+ * @param {object} sort - From resolveSort
+ * @returns {{ rows: Array, hasMore: boolean, nextCursor: string|null }} Rows without sort_key
+ */
+export function paginate(rows, limit, sort) {
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+        rows: page.map(({ [SORT_KEY_COLUMN]: _sortKey, ...row }) => row),
+        hasMore,
+        nextCursor: hasMore && last ? encodeCursor(sort, last[SORT_KEY_COLUMN]) : null
+    };
+}
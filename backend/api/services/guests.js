@@ -0,0 +1,176 @@
+import { findTicketType } from './ticket-types.js';
+
+/**
+ * Guest Service
+ * Validation and ID helpers shared by guest write operations
+ */
+
+// Guest input field -> guests column, for fields admins may edit
+export const GUEST_FIELD_COLUMNS = {
+    firstName: 'first_name',
+    lastName: 'last_name',
+    email: 'email',
+    phone: 'phone',
+    ticketType: 'ticket_type',
+    plusOnesAllowed: 'plus_ones_allowed',
+    notes: 'notes'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate and normalize guest fields
+ * @param {object} input - { firstName, lastName, email, phone, ticketType, plusOnesAllowed, notes }
+ * @param {object} options - { partial: only validate fields that are present, ticketTypes: event catalogue }
+ * @returns {{ errors: object, values: object }} Field errors and normalized values
+ */
+export function validateGuestFields(input, { partial = false, ticketTypes = [] } = {}) {
+    const errors = {};
+    const values = {};
+    const has = (key) => input[key] !== undefined;
+    const text = (value) => (value == null ? '' : String(value).trim());
+
+    if (!partial || has('firstName')) {
+        values.firstName = text(input.firstName);
+        if (!values.firstName) {
+            errors.firstName = 'First name is required';
+        } else if (values.firstName.length > 100) {
+            errors.firstName = 'First name must be 100 characters or fewer';
+        }
+    }
+
+    if (!partial || has('lastName')) {
+        values.lastName = text(input.lastName);
+        if (!values.lastName) {
+            errors.lastName = 'Last name is required';
+        } else if (values.lastName.length > 100) {
+            errors.lastName = 'Last name must be 100 characters or fewer';
+        }
+    }
+
+    let ticketType = null;
+
+    if (!partial || has('ticketType')) {
+        ticketType = findTicketType(ticketTypes, input.ticketType);
+        values.ticketType = ticketType ? ticketType.name : null;
+        if (!ticketType) {
+            errors.ticketType = ticketTypes.length > 0
+                ? `Ticket type must be one of: ${ticketTypes.map(type => type.name).join(', ')}`
+                : 'This event has no ticket types yet';
+        }
+    }
+
+    if (!partial || has('plusOnesAllowed')) {
+        // New guests without a number get their ticket type's default
+        const raw = text(input.plusOnesAllowed);
+        const fallback = !partial && ticketType ? ticketType.defaultPlusOnes : 0;
+        const parsed = raw === '' ? fallback : Number(raw);
+
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            errors.plusOnesAllowed = 'Plus ones allowed must be a whole number of 0 or more';
+        } else {
+            values.plusOnesAllowed = parsed;
+        }
+    }
+
+    if (!partial || has('email')) {
+        values.email = text(input.email) || null;
+        if (values.email && (!EMAIL_PATTERN.test(values.email) || values.email.length > 255)) {
+            errors.email = 'Email address is invalid';
+        }
+    }
+
+    if (!partial || has('phone')) {
+        values.phone = text(input.phone) || null;
+        if (values.phone && values.phone.length > 20) {
+            errors.phone = 'Phone must be 20 characters or fewer';
+        }
+    }
+
+    if (!partial || has('notes')) {
+        values.notes = text(input.notes) || null;
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Generate the next guest IDs (G001, G002, ...)
+ * Callers inserting inside a transaction should lock the guests table first.
+ * @param {object} client - Database client or pool
+ * @param {number} count - Number of IDs to generate
+ * @returns {Promise<Array<string>>} New guest IDs
+ */
+export async function generateGuestIds(client, count = 1) {
+    const result = await client.query(`
+      SELECT COALESCE(MAX(CAST(SUBSTRING(id FROM 2) AS INTEGER)), 0) as max_num
+      FROM guests
+      WHERE id ~ '^G[0-9]+$'
+    `);
+
+    const start = parseInt(result.rows[0].max_num) + 1;
+    return Array.from({ length: count }, (_, i) => `G${String(start + i).padStart(3, '0')}`);
+}
+
+/**
+ * Build the WHERE clause for guest list filters (export, badges)
+ * @param {string} eventId - Active event ID
+ * @param {object} filters - { status, ticketType, startDate, endDate }
+ * @returns {{ error: object|null, whereClause: string, params: Array }} error is { field, message } on invalid input
+ */
+export function buildGuestFilterClause(eventId, { status, ticketType, startDate, endDate } = {}) {
+    // Validate date formats if provided
+    if (startDate && isNaN(Date.parse(startDate))) {
+        return {
+            error: { field: 'startDate', message: 'Invalid startDate format. Use ISO format (YYYY-MM-DD)' },
+            whereClause: '',
+            params: []
+        };
+    }
+
+    if (endDate && isNaN(Date.parse(endDate))) {
+        return {
+            error: { field: 'endDate', message: 'Invalid endDate format. Use ISO format (YYYY-MM-DD)' },
+            whereClause: '',
+            params: []
+        };
+    }
+
+    // Build WHERE clause dynamically
+    const conditions = ['event_id = $1'];
+    const params = [eventId];
+    let paramIndex = 2;
+
+    if (status) {
+        conditions.push(`status = $${paramIndex}`);
+        params.push(status);
+        paramIndex++;
+    }
+
+    if (ticketType) {
+        conditions.push(`ticket_type = $${paramIndex}`);
+        params.push(ticketType);
+        paramIndex++;
+    }
+
+    if (startDate) {
+        conditions.push(`check_in_time >= $${paramIndex}`);
+        params.push(startDate);
+        paramIndex++;
+    }
+
+    if (endDate) {
+        // Add one day to include the entire end date
+        const endDateTime = new Date(endDate);
+        endDateTime.setDate(endDateTime.getDate() + 1);
+        conditions.push(`check_in_time < $${paramIndex}`);
+        params.push(endDateTime.toISOString());
+        paramIndex++;
+    }
+
+    return {
+        error: null,
+        whereClause: `WHERE ${conditions.join(' AND ')}`,
+        params
+    };
+}
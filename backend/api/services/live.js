@@ -0,0 +1,132 @@
+import { randomBytes } from 'crypto';
+import cache from './cache.js';
+import { info } from '../../utils/logger.js';
+
+/**
+ * Live Update Service
+ * Fans check-in activity out to Server-Sent Event subscribers per event
+ *
+ * Every published message gets an ID of the form <boot>-<sequence>. The last
+ * BUFFER_SIZE messages of each event are kept so a reconnecting client can
+ * send Last-Event-ID and receive what it missed. IDs from another process
+ * boot or older than the buffer cannot be replayed; the client is told to
+ * resync instead.
+ *
+ * Messages published with a permission only reach subscribers whose role
+ * grants it (e.g. duplicate-attempt alerts for supervisors).
+ *
+ * State lives in this process only, like the cache service.
+ */
+
+const BUFFER_SIZE = parseInt(process.env.LIVE_BUFFER_SIZE) || 500;
+
+class LiveService {
+    constructor() {
+        this.bootId = randomBytes(4).toString('hex');
+        this.sequence = 0;
+        this.buffers = new Map();      // eventId -> { messages: [{ id, seq, type, permission, data }], evictedSeq }
+        this.subscribers = new Map();  // eventId -> Set<listener>
+    }
+
+    /**
+     * Publish a message to everyone watching an event
+     * @param {string} eventId - Event ID
+     * @param {string} type - Message type (check-in, undo, bulk-check-in, guest-updated, stats-changed, duplicate-attempt)
+     * @param {object} data - JSON payload
+     * @param {object} options - { permission: only deliver to roles granting it }
+     * @returns {object} Published message
+     */
+    publish(eventId, type, data = {}, { permission = null } = {}) {
+        this.sequence += 1;
+
+        const message = {
+            id: `${this.bootId}-${this.sequence}`,
+            seq: this.sequence,
+            type,
+            permission,
+            data: { ...data, eventId, at: new Date().toISOString() }
+        };
+
+        const buffer = this.buffers.get(eventId) || { messages: [], evictedSeq: 0 };
+        buffer.messages.push(message);
+        if (buffer.messages.length > BUFFER_SIZE) {
+            const evicted = buffer.messages.splice(0, buffer.messages.length - BUFFER_SIZE);
+            buffer.evictedSeq = evicted[evicted.length - 1].seq;
+        }
+        this.buffers.set(eventId, buffer);
+
+        for (const listener of this.subscribers.get(eventId) || []) {
+            listener(message);
+        }
+
+        return message;
+    }
+
+    /**
+     * Publish a guest change followed by stats-changed
+     * Call after the transaction commits. Drops the cached dashboard stats
+     * so the refetch that stats-changed triggers sees the new numbers.
+     * @param {string} eventId - Event ID
+     * @param {string} type - Message type
+     * @param {object} data - JSON payload
+     */
+    publishGuestChange(eventId, type, data) {
+        cache.delete(`admin:stats:${eventId}`);
+
+        this.publish(eventId, type, data);
+        this.publish(eventId, 'stats-changed', { cause: type });
+    }
+
+    /**
+     * Listen for messages of an event
+     * @param {string} eventId - Event ID
+     * @param {function} listener - Called with each message
+     * @returns {function} Unsubscribe
+     */
+    subscribe(eventId, listener) {
+        if (!this.subscribers.has(eventId)) {
+            this.subscribers.set(eventId, new Set());
+        }
+        this.subscribers.get(eventId).add(listener);
+
+        return () => {
+            const listeners = this.subscribers.get(eventId);
+            if (!listeners) return;
+
+            listeners.delete(listener);
+            if (listeners.size === 0) {
+                this.subscribers.delete(eventId);
+            }
+        };
+    }
+
+    /**
+     * Messages published after a given ID
+     * @param {string} eventId - Event ID
+     * @param {string} lastEventId - Last-Event-ID sent by the client
+     * @returns {Array|null} Missed messages, or null if they cannot be replayed
+     */
+    since(eventId, lastEventId) {
+        const [bootId, rawSeq] = String(lastEventId).split('-');
+        const seq = Number(rawSeq);
+
+        if (bootId !== this.bootId || !Number.isInteger(seq) || seq > this.sequence) {
+            return null;
+        }
+
+        const buffer = this.buffers.get(eventId) || { messages: [], evictedSeq: 0 };
+
+        // Messages after the client's ID have already been dropped from the buffer
+        if (seq < buffer.evictedSeq) {
+            info('Live replay out of range', { eventId, lastEventId });
+            return null;
+        }
+
+        return buffer.messages.filter(message => message.seq > seq);
+    }
+}
+
+// Export singleton instance
+const live = new LiveService();
+
+export default live;
@@ -0,0 +1,266 @@
+import db from './database.js';
+import { info, warn } from '../../utils/logger.js';
+
+/**
+ * Login Throttle Service
+ * Tracks failed sign-ins per username and per IP and locks out either one
+ * after too many failures
+ *
+ * Each lockout lasts twice as long as the one before (1 min, 2 min, 4 min,
+ * ... up to 1 hour). Failure counts reset after a quiet window, the backoff
+ * after a quiet day, and a username's record is cleared by a successful login.
+ * The IP limit is higher because a venue's staff often share one address.
+ * IPs are only counted once TRUST_PROXY says how to find the client address:
+ * behind an untrusted proxy req.ip is the proxy, and one shared counter would
+ * let anyone lock every account out.
+ */
+
+const FAILURE_WINDOW_SECONDS = 15 * 60; // 15 minutes
+const BACKOFF_RESET_SECONDS = 24 * 60 * 60; // 24 hours
+const BASE_LOCKOUT_SECONDS = 60; // 1 minute
+const MAX_LOCKOUT_SECONDS = 60 * 60; // 1 hour
+const PRUNE_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+class LoginThrottleService {
+    constructor() {
+        this.maxUsernameFailures = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+        this.maxIpFailures = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+        this.lastPrunedAt = 0;
+    }
+
+    /**
+     * Whether req.ip identifies the client (TRUST_PROXY configured, or Vercel)
+     * @returns {boolean}
+     */
+    ipLockoutEnabled() {
+        return Boolean(process.env.TRUST_PROXY || process.env.VERCEL);
+    }
+
+    normalizeUsername(username) {
+        return String(username).trim().toLowerCase().slice(0, 100);
+    }
+
+    /**
+     * Find an active lockout on the username or the IP
+     * @param {string} username - Username as entered
+     * @param {string} ipAddress - Client IP
+     * @returns {Promise<object|null>} { scope, identifier, lockedUntil, retryAfter (seconds) } or null
+     */
+    async getLock(username, ipAddress) {
+        const result = await db.query(`
+      SELECT
+        scope,
+        identifier,
+        locked_until,
+        CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS retry_after
+      FROM login_lockouts
+      WHERE ((scope = 'username' AND identifier = $1) OR (scope = 'ip' AND identifier = $2))
+        AND locked_until > NOW()
+      ORDER BY locked_until DESC
+      LIMIT 1
+    `, [this.normalizeUsername(username), this.ipLockoutEnabled() ? ipAddress : null]);
+
+        const lock = result.rows[0];
+        if (!lock) return null;
+
+        return {
+            scope: lock.scope,
+            identifier: lock.identifier,
+            lockedUntil: lock.locked_until,
+            retryAfter: Math.max(1, lock.retry_after)
+        };
+    }
+
+    /**
+     * Count a failed sign-in against the username and the IP, locking either
+     * one that reaches its limit, and write a login_failed audit record
+     * @param {string} username - Username as entered
+     * @param {string} ipAddress - Client IP
+     * @param {string} reason - Why the attempt failed (e.g. 'invalid_password', 'locked')
+     * @returns {Promise<object|null>} Lock started by this failure, as in getLock, or null
+     */
+    async recordFailure(username, ipAddress, reason) {
+        const normalizedUsername = this.normalizeUsername(username);
+        let lock = null;
+
+        // Attempts made while locked are audited but do not extend the lockout
+        if (reason !== 'locked') {
+            const usernameLock = await this.countFailure('username', normalizedUsername, this.maxUsernameFailures);
+            const ipLock = ipAddress && this.ipLockoutEnabled()
+                ? await this.countFailure('ip', ipAddress, this.maxIpFailures)
+                : null;
+
+            lock = [usernameLock, ipLock]
+                .filter(Boolean)
+                .sort((a, b) => b.retryAfter - a.retryAfter)[0] || null;
+        }
+
+        await db.query(`
+      INSERT INTO check_in_log (action, usher_name, notes, new_state)
+      VALUES ('login_failed', $1, $2, $3)
+    `, [
+            normalizedUsername,
+            `Failed sign-in from ${ipAddress || 'unknown IP'}: ${reason}`,
+            JSON.stringify({
+                ipAddress,
+                reason,
+                lockedScope: lock?.scope || null,
+                lockedUntil: lock?.lockedUntil || null
+            })
+        ]);
+
+        await this.pruneStale();
+
+        return lock;
+    }
+
+    /**
+     * Increment one failure counter and lock it once it reaches the limit
+     * @returns {Promise<object|null>} Lock started, or null
+     */
+    async countFailure(scope, identifier, maxFailures) {
+        const result = await db.query(`
+      INSERT INTO login_lockouts (scope, identifier, failed_count, last_failed_at)
+      VALUES ($1, $2, 1, NOW())
+      ON CONFLICT (scope, identifier) DO UPDATE SET
+        failed_count = CASE
+          WHEN login_lockouts.last_failed_at < NOW() - $3 * INTERVAL '1 second' THEN 1
+          ELSE login_lockouts.failed_count + 1
+        END,
+        lockout_count = CASE
+          WHEN login_lockouts.last_failed_at < NOW() - $4 * INTERVAL '1 second' THEN 0
+          ELSE login_lockouts.lockout_count
+        END,
+        last_failed_at = NOW()
+      RETURNING failed_count, lockout_count
+    `, [scope, identifier, FAILURE_WINDOW_SECONDS, BACKOFF_RESET_SECONDS]);
+
+        const { failed_count: failedCount, lockout_count: lockoutCount } = result.rows[0];
+
+        if (failedCount < maxFailures) {
+            return null;
+        }
+
+        const lockoutSeconds = Math.min(BASE_LOCKOUT_SECONDS * 2 ** lockoutCount, MAX_LOCKOUT_SECONDS);
+
+        const lockResult = await db.query(`
+      UPDATE login_lockouts
+      SET failed_count = 0,
+          lockout_count = lockout_count + 1,
+          locked_until = NOW() + $3 * INTERVAL '1 second'
+      WHERE scope = $1 AND identifier = $2
+      RETURNING locked_until
+    `, [scope, identifier, lockoutSeconds]);
+
+        warn('Sign-in locked out', {
+            scope,
+            identifier,
+            lockoutSeconds,
+            lockoutCount: lockoutCount + 1
+        });
+
+        return {
+            scope,
+            identifier,
+            lockedUntil: lockResult.rows[0].locked_until,
+            retryAfter: lockoutSeconds
+        };
+    }
+
+    /**
+     * Forget a username's failures after it signs in
+     * @param {string} username - Username as entered
+     */
+    async recordSuccess(username) {
+        await db.query(`
+      DELETE FROM login_lockouts
+      WHERE scope = 'username' AND identifier = $1
+    `, [this.normalizeUsername(username)]);
+    }
+
+    /**
+     * Active lockouts, longest first
+     * @returns {Promise<Array>} Lockout rows with seconds remaining
+     */
+    async listLocks() {
+        const result = await db.query(`
+      SELECT
+        scope,
+        identifier,
+        lockout_count,
+        last_failed_at,
+        locked_until,
+        CEIL(EXTRACT(EPOCH FROM (locked_until - NOW())))::int AS retry_after
+      FROM login_lockouts
+      WHERE locked_until > NOW()
+      ORDER BY locked_until DESC
+    `);
+
+        return result.rows;
+    }
+
+    /**
+     * Latest failed sign-ins, newest first
+     * These audit rows belong to no event, so the event audit log never shows them
+     * @param {number} limit - Maximum rows to return
+     * @returns {Promise<Array>} { timestamp, username, ipAddress, reason, lockedScope, lockedUntil }
+     */
+    async listRecentFailures(limit = 50) {
+        const result = await db.query(`
+      SELECT
+        timestamp,
+        usher_name AS username,
+        new_state->>'ipAddress' AS "ipAddress",
+        new_state->>'reason' AS reason,
+        new_state->>'lockedScope' AS "lockedScope",
+        new_state->>'lockedUntil' AS "lockedUntil"
+      FROM check_in_log
+      WHERE action = 'login_failed'
+      ORDER BY timestamp DESC, id DESC
+      LIMIT $1
+    `, [limit]);
+
+        return result.rows;
+    }
+
+    /**
+     * Remove a lockout together with its failure count and backoff
+     * @param {string} scope - 'username' or 'ip'
+     * @param {string} identifier - Username or IP address
+     * @returns {Promise<boolean>} True if a record was removed
+     */
+    async clear(scope, identifier) {
+        const result = await db.query(`
+      DELETE FROM login_lockouts
+      WHERE scope = $1 AND identifier = $2
+    `, [scope, scope === 'username' ? this.normalizeUsername(identifier) : identifier]);
+
+        return result.rowCount > 0;
+    }
+
+    /**
+     * Delete records with no lock and no recent failure (at most once per interval)
+     */
+    async pruneStale() {
+        if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL) return;
+        this.lastPrunedAt = Date.now();
+
+        try {
+            const result = await db.query(`
+        DELETE FROM login_lockouts
+        WHERE (locked_until IS NULL OR locked_until < NOW())
+          AND last_failed_at < NOW() - $1 * INTERVAL '1 second'
+      `, [BACKOFF_RESET_SECONDS]);
+
+            if (result.rowCount > 0) {
+                info('Stale login lockouts pruned', { count: result.rowCount });
+            }
+        } catch (err) {
+            // Pruning is housekeeping; never fail the request that triggered it
+            warn('Login lockout prune failed', { error: err.message });
+        }
+    }
+}
+
+const loginThrottle = new LoginThrottleService();
+export default loginThrottle;
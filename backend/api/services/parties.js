@@ -0,0 +1,170 @@
+import db from './database.js';
+
+/**
+ * Party Service
+ * Guests who arrive together: a family, a corporate table
+ *
+ * A party groups guests of one event under a lead guest (usually whoever
+ * booked). Members keep their own tickets and are still checked in as
+ * individual guests; the party only lets an usher see who is missing and
+ * admit the rest with one bulk check-in.
+ */
+
+/**
+ * Shape a parties row for API responses
+ * @param {object} row - parties row
+ * @returns {object} Party
+ */
+export function formatParty(row) {
+    return {
+        partyId: row.party_id,
+        eventId: row.event_id,
+        name: row.name,
+        leadGuestId: row.lead_guest_id,
+        notes: row.notes,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Validate and normalize party fields
+ * @param {object} input - { name, leadGuestId, memberIds, notes }
+ * @param {object} options - { partial: only validate fields that are present }
+ * @returns {{ errors: object, values: object }} Field errors and normalized values
+ */
+export function validatePartyFields(input, { partial = false } = {}) {
+    const errors = {};
+    const values = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (!partial || has('name')) {
+        values.name = input.name == null ? '' : String(input.name).trim();
+        if (!values.name) {
+            errors.name = 'Party name is required';
+        } else if (values.name.length > 100) {
+            errors.name = 'Party name must be 100 characters or fewer';
+        }
+    }
+
+    if (!partial || has('leadGuestId')) {
+        values.leadGuestId = input.leadGuestId == null ? '' : String(input.leadGuestId).trim().toUpperCase();
+        if (!values.leadGuestId) {
+            errors.leadGuestId = 'Lead guest is required';
+        }
+    }
+
+    if (has('memberIds')) {
+        if (!Array.isArray(input.memberIds)) {
+            errors.memberIds = 'memberIds must be an array of guest IDs';
+        } else {
+            values.memberIds = [...new Set(input.memberIds.map(id => String(id).trim().toUpperCase()))];
+        }
+    }
+
+    if (has('notes')) {
+        values.notes = input.notes == null ? null : String(input.notes).trim() || null;
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Fetch a party of an event with its members
+ * Members are guests rows, lead first; the summary counts arrivals.
+ * @param {string} partyId - Party ID
+ * @param {string} eventId - Event ID
+ * @param {object} client - Optional transaction client
+ * @returns {Promise<object|null>} { party, members, summary: { total, arrived, remaining } }, or null if not found
+ */
+export async function getParty(partyId, eventId, client = db) {
+    const partyResult = await client.query(
+        'SELECT * FROM parties WHERE party_id = $1 AND event_id = $2',
+        [partyId, eventId]
+    );
+
+    if (partyResult.rows.length === 0) {
+        return null;
+    }
+
+    const party = formatParty(partyResult.rows[0]);
+
+    const membersResult = await client.query(`
+    SELECT
+      id,
+      event_id,
+      first_name,
+      last_name,
+      email,
+      phone,
+      ticket_type,
+      plus_ones_allowed,
+      confirmation_code,
+      check_in_time,
+      plus_ones_checked_in,
+      status,
+      on_site,
+      notes,
+      checked_in_by,
+      party_id,
+      created_at,
+      last_modified
+    FROM guests
+    WHERE party_id = $1 AND event_id = $2
+    ORDER BY id = $3 DESC, last_name, first_name, id
+  `, [partyId, eventId, party.leadGuestId]);
+
+    const members = membersResult.rows;
+    const arrived = members.filter(member => member.status === 'Checked In').length;
+
+    return {
+        party,
+        members,
+        summary: {
+            total: members.length,
+            arrived,
+            remaining: members.length - arrived
+        }
+    };
+}
+
+/**
+ * Replace the members of a party
+ * Guests must belong to the party's event and to no other party. Guests no
+ * longer listed leave the party.
+ * @param {string} partyId - Party ID
+ * @param {string} eventId - Event ID
+ * @param {Array<string>} guestIds - Guest IDs, including the lead
+ * @param {object} client - Transaction client
+ * @returns {Promise<object>} { unknown, taken: [{ guestId, partyId }] } (nothing is changed if either is non-empty)
+ */
+export async function setPartyMembers(partyId, eventId, guestIds, client) {
+    const found = await client.query(`
+    SELECT id, party_id
+    FROM guests
+    WHERE event_id = $1 AND id = ANY($2::varchar[])
+  `, [eventId, guestIds]);
+
+    const foundIds = new Set(found.rows.map(row => row.id));
+    const unknown = guestIds.filter(id => !foundIds.has(id));
+    const taken = found.rows
+        .filter(row => row.party_id && row.party_id !== partyId)
+        .map(row => ({ guestId: row.id, partyId: row.party_id }));
+
+    if (unknown.length > 0 || taken.length > 0) {
+        return { unknown, taken };
+    }
+
+    await client.query(`
+    UPDATE guests
+    SET party_id = NULL, last_modified = NOW()
+    WHERE party_id = $1 AND NOT (id = ANY($2::varchar[]))
+  `, [partyId, guestIds]);
+
+    await client.query(`
+    UPDATE guests
+    SET party_id = $1, last_modified = NOW()
+    WHERE event_id = $2 AND id = ANY($3::varchar[]) AND party_id IS DISTINCT FROM $1
+  `, [partyId, eventId, guestIds]);
+
+    return { unknown: [], taken: [] };
+}
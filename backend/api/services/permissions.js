@@ -0,0 +1,48 @@
+/**
+ * Permission Model
+ * Maps each staff role to the permissions it grants
+ *
+ * Handlers check permissions, never role names, via requirePermission.
+ * To change what a role may do, edit ROLE_PERMISSIONS.
+ */
+
+export const PERMISSIONS = {
+    'guests.read': 'Search, list and look up guests',
+    'guests.checkin': 'Check guests in and out, adjust plus-ones, undo own check-ins',
+    'guests.undo.any': 'Undo or reverse any check-in',
+    'guests.manage': 'Create, edit, import and export guests and tickets',
+    'stats.read': 'View event statistics',
+    'audit.read': 'View the audit log',
+    'events.manage': 'Create and edit events',
+    'events.all': 'Work any event without being assigned to it',
+    'ushers.manage': 'Manage staff accounts, sessions and sign-in lockouts',
+};
+
+export const ROLE_PERMISSIONS = {
+    // Read-only door display
+    Viewer: ['guests.read', 'stats.read'],
+    Usher: ['guests.read', 'guests.checkin'],
+    Supervisor: ['guests.read', 'guests.checkin', 'guests.undo.any', 'stats.read', 'audit.read'],
+    Admin: Object.keys(PERMISSIONS),
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - Role name (e.g. 'Supervisor')
+ * @returns {Array<string>} Permissions, empty for an unknown role
+ */
+export function permissionsForRole(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission (e.g. 'guests.checkin')
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+    return permissionsForRole(role).includes(permission);
+}
@@ -0,0 +1,264 @@
+import crypto from 'node:crypto';
+import db from './database.js';
+import cache from './cache.js';
+import authService from './auth.js';
+import { info, warn } from '../../utils/logger.js';
+
+/**
+ * Session Service
+ * Tracks issued login tokens by JWT jti so they can be revoked before expiry
+ *
+ * Every login starts a family: the access tokens and single-use refresh
+ * tokens issued by that login and its refreshes share a family_id, so a
+ * logout or a replayed refresh token ends all of them together.
+ *
+ * Tokens also carry the usher's token_version. Deactivation, role changes and
+ * password resets bump it, which invalidates every token issued before.
+ *
+ * Session and token version lookups are cached per instance for a short time
+ * to keep a database round-trip off every request. The instance that revokes a
+ * session or bumps a version updates its cache immediately; other instances
+ * see it once their entry expires.
+ */
+
+const SESSION_CACHE_TTL = 30000; // 30 seconds
+const PRUNE_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+class SessionService {
+    constructor() {
+        this.lastPrunedAt = 0;
+    }
+
+    cacheKey(jti) {
+        return `auth:session:${jti}`;
+    }
+
+    versionCacheKey(usherId) {
+        return `auth:token-version:${usherId}`;
+    }
+
+    /**
+     * Issue an access and refresh token pair for an usher and record both
+     * @param {object} usher - Usher row (usher_id, username, full_name, role, token_version)
+     * @param {object} options - { familyId, ipAddress, userAgent }; omit familyId to start a new login
+     * @param {object} client - Database client (defaults to the pool; pass a transaction client to join it)
+     * @returns {Promise<object>} { token, refreshToken, refreshJti, familyId }
+     */
+    async issueTokens(usher, { familyId = crypto.randomUUID(), ipAddress = null, userAgent = null } = {}, client = db) {
+        const tokenPayload = {
+            usherId: usher.usher_id,
+            username: usher.username,
+            fullName: usher.full_name,
+            role: usher.role,
+            tokenVersion: usher.token_version,
+        };
+
+        const token = authService.generateToken(tokenPayload);
+        const refreshToken = authService.generateRefreshToken(tokenPayload);
+
+        const { jti, exp } = authService.decodeToken(token);
+        await this.createSession({
+            jti,
+            usherId: usher.usher_id,
+            familyId,
+            expiresAt: exp,
+            ipAddress,
+            userAgent
+        }, client);
+
+        const refresh = authService.decodeToken(refreshToken);
+        await client.query(`
+      INSERT INTO refresh_tokens (jti, usher_id, family_id, expires_at)
+      VALUES ($1, $2, $3, to_timestamp($4))
+    `, [refresh.jti, usher.usher_id, familyId, refresh.exp]);
+
+        return { token, refreshToken, refreshJti: refresh.jti, familyId };
+    }
+
+    /**
+     * Record a newly issued access token
+     * @param {object} session - { jti, usherId, familyId, expiresAt (seconds since epoch), ipAddress, userAgent }
+     * @param {object} client - Database client (defaults to the pool)
+     */
+    async createSession({ jti, usherId, familyId, expiresAt, ipAddress = null, userAgent = null }, client = db) {
+        await client.query(`
+      INSERT INTO auth_sessions (jti, usher_id, family_id, expires_at, ip_address, user_agent)
+      VALUES ($1, $2, $3, to_timestamp($4), $5, $6)
+    `, [
+            jti,
+            usherId,
+            familyId,
+            expiresAt,
+            ipAddress ? String(ipAddress).slice(0, 64) : null,
+            userAgent ? String(userAgent).slice(0, 255) : null
+        ]);
+
+        cache.set(this.cacheKey(jti), true, SESSION_CACHE_TTL);
+
+        await this.pruneExpired();
+    }
+
+    /**
+     * Check that a token's session exists, is unexpired and has not been revoked
+     * @param {string} jti - Token ID
+     * @returns {Promise<boolean>} True if the token may be used
+     */
+    async isActive(jti) {
+        if (!jti) return false;
+
+        const cached = cache.get(this.cacheKey(jti));
+        if (cached !== null) {
+            return cached;
+        }
+
+        const result = await db.query(`
+      SELECT 1
+      FROM auth_sessions
+      WHERE jti = $1 AND revoked_at IS NULL AND expires_at > NOW()
+    `, [jti]);
+
+        const active = result.rows.length > 0;
+        cache.set(this.cacheKey(jti), active, SESSION_CACHE_TTL);
+
+        return active;
+    }
+
+    /**
+     * Current token version of an active usher
+     * @param {string} usherId - Usher ID
+     * @returns {Promise<number|null>} Token version, or null if the usher is missing or inactive
+     */
+    async getTokenVersion(usherId) {
+        const cached = cache.get(this.versionCacheKey(usherId));
+        if (cached !== null) {
+            return cached.version;
+        }
+
+        const result = await db.query(`
+      SELECT token_version
+      FROM ushers
+      WHERE usher_id = $1 AND active = true
+    `, [usherId]);
+
+        const version = result.rows[0]?.token_version ?? null;
+        cache.set(this.versionCacheKey(usherId), { version }, SESSION_CACHE_TTL);
+
+        return version;
+    }
+
+    /**
+     * Drop a cached token version after the caller bumped it
+     * @param {string} usherId - Usher ID
+     */
+    forgetTokenVersion(usherId) {
+        cache.delete(this.versionCacheKey(usherId));
+    }
+
+    /**
+     * Revoke the login a token belongs to, including tokens issued by its refreshes
+     * @param {string} jti - Access token ID
+     * @param {string} reason - Why the session ended (e.g. 'logout')
+     * @returns {Promise<boolean>} True if an active session was revoked
+     */
+    async revoke(jti, reason) {
+        const result = await db.query(`
+      SELECT family_id
+      FROM auth_sessions
+      WHERE jti = $1
+    `, [jti]);
+
+        cache.set(this.cacheKey(jti), false, SESSION_CACHE_TTL);
+
+        if (result.rows.length === 0) return false;
+
+        const revokedCount = await this.revokeFamily(result.rows[0].family_id, reason);
+        return revokedCount > 0;
+    }
+
+    /**
+     * Revoke every access and refresh token of one login
+     * @param {string} familyId - Login family ID
+     * @param {string} reason - Why the session ended
+     * @param {object} client - Database client (defaults to the pool)
+     * @returns {Promise<number>} Number of access tokens revoked
+     */
+    async revokeFamily(familyId, reason, client = db) {
+        const result = await client.query(`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_reason = $2
+      WHERE family_id = $1 AND revoked_at IS NULL
+      RETURNING jti
+    `, [familyId, reason]);
+
+        await client.query(`
+      UPDATE refresh_tokens
+      SET revoked_at = NOW()
+      WHERE family_id = $1 AND revoked_at IS NULL
+    `, [familyId]);
+
+        for (const row of result.rows) {
+            cache.set(this.cacheKey(row.jti), false, SESSION_CACHE_TTL);
+        }
+
+        return result.rows.length;
+    }
+
+    /**
+     * Revoke every active session of one usher
+     * @param {string} usherId - Usher ID
+     * @param {string} reason - Why the sessions ended
+     * @returns {Promise<number>} Number of sessions revoked
+     */
+    async revokeAllForUsher(usherId, reason) {
+        const result = await db.query(`
+      UPDATE auth_sessions
+      SET revoked_at = NOW(), revoked_reason = $2
+      WHERE usher_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING jti
+    `, [usherId, reason]);
+
+        await db.query(`
+      UPDATE refresh_tokens
+      SET revoked_at = NOW()
+      WHERE usher_id = $1 AND revoked_at IS NULL
+    `, [usherId]);
+
+        for (const row of result.rows) {
+            cache.set(this.cacheKey(row.jti), false, SESSION_CACHE_TTL);
+        }
+
+        info('Usher sessions revoked', {
+            usherId,
+            reason,
+            count: result.rows.length
+        });
+
+        return result.rows.length;
+    }
+
+    /**
+     * Delete sessions whose tokens have expired (at most once per interval)
+     */
+    async pruneExpired() {
+        if (Date.now() - this.lastPrunedAt < PRUNE_INTERVAL) return;
+        this.lastPrunedAt = Date.now();
+
+        try {
+            const result = await db.query('DELETE FROM auth_sessions WHERE expires_at < NOW()');
+            const refreshResult = await db.query('DELETE FROM refresh_tokens WHERE expires_at < NOW()');
+
+            if (result.rowCount > 0 || refreshResult.rowCount > 0) {
+                info('Expired sessions pruned', {
+                    count: result.rowCount,
+                    refreshTokens: refreshResult.rowCount
+                });
+            }
+        } catch (err) {
+            // Pruning is housekeeping; never fail the request that triggered it
+            warn('Session prune failed', { error: err.message });
+        }
+    }
+}
+
+const sessionService = new SessionService();
+export default sessionService;
@@ -0,0 +1,330 @@
+import ticketService from './tickets.js';
+import { generateUniqueConfirmationCode } from './confirmation-codes.js';
+import { checkEntrance, wrongEntranceResponse } from './zones.js';
+import { checkCapacity, capacityWarning, capacityReachedResponse } from './ticket-types.js';
+
+/**
+ * Sync Queue Service
+ * Applies check-ins an usher's device queued while offline
+ *
+ * Each queued item carries an idempotency key generated on the device. The
+ * first time a key is seen its result is stored in sync_operations with the
+ * change itself, so a device that retries after a lost response gets the
+ * same result back instead of a second check-in.
+ *
+ * Queued items get the same entrance, plus-ones and capacity checks as an
+ * online check-in and are rejected with the same codes (WRONG_ENTRANCE,
+ * TOO_MANY_PLUS_ONES, CAPACITY_REACHED); the queue is not a way around any of
+ * them. Items queued longer ago than the offline window
+ * (SYNC_OFFLINE_WINDOW_HOURS, default 24) are rejected as STALE_ITEM rather
+ * than backdating a check-in by days. A guest who
+ * was checked in on another device first is a conflict: the earlier server
+ * record stands and the queued item is logged as a duplicate attempt.
+ */
+
+export const SYNC_ACTIONS = ['check-in'];
+export const OFFLINE_CHECK_IN_ACTION = 'Offline Check In';
+
+export const TOO_MANY_PLUS_ONES = 'TOO_MANY_PLUS_ONES';
+export const STALE_ITEM = 'STALE_ITEM';
+
+// Device clocks drift; allow this much before treating a timestamp as future
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const DEFAULT_OFFLINE_WINDOW_HOURS = 24;
+
+/**
+ * How long a device may hold a queued item before the server refuses it
+ * @returns {number} Milliseconds
+ */
+export function offlineWindowMs() {
+    const hours = Number(process.env.SYNC_OFFLINE_WINDOW_HOURS);
+    return (hours > 0 ? hours : DEFAULT_OFFLINE_WINDOW_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Validate and normalize a queued item
+ * @param {object} item - { idempotencyKey, action, guestId, plusOnes, notes, clientTimestamp, ticketCode }
+ * @returns {{ errors: object, values: object }} Field errors and normalized values
+ */
+export function validateSyncItem(item) {
+    const errors = {};
+    const values = {};
+
+    if (!item || typeof item !== 'object') {
+        return { errors: { item: 'Queue item must be an object' }, values };
+    }
+
+    values.idempotencyKey = item.idempotencyKey != null ? String(item.idempotencyKey).trim() : '';
+    if (!values.idempotencyKey) {
+        errors.idempotencyKey = 'Idempotency key is required';
+    } else if (values.idempotencyKey.length > 100) {
+        errors.idempotencyKey = 'Idempotency key must be 100 characters or fewer';
+    }
+
+    values.action = item.action != null ? String(item.action).trim() : '';
+    if (!SYNC_ACTIONS.includes(values.action)) {
+        errors.action = `Action must be one of: ${SYNC_ACTIONS.join(', ')}`;
+    }
+
+    values.guestId = item.guestId != null ? String(item.guestId).trim() : '';
+    if (!values.guestId) {
+        errors.guestId = 'Guest ID is required';
+    }
+
+    const plusOnes = item.plusOnes == null || item.plusOnes === '' ? 0 : Number(item.plusOnes);
+    if (!Number.isInteger(plusOnes) || plusOnes < 0) {
+        errors.plusOnes = 'Plus ones must be a whole number of 0 or more';
+    } else {
+        values.plusOnes = plusOnes;
+    }
+
+    values.notes = item.notes != null ? String(item.notes) : '';
+    values.ticketCode = item.ticketCode ? String(item.ticketCode).trim() : null;
+
+    const clientTime = new Date(item.clientTimestamp);
+    if (!item.clientTimestamp || Number.isNaN(clientTime.getTime())) {
+        errors.clientTimestamp = 'Client timestamp must be an ISO date';
+    } else {
+        values.clientTimestamp = clientTime;
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Look up the stored result of an item already processed
+ * @param {string} usherId - Usher ID
+ * @param {string} idempotencyKey - Item key
+ * @param {object} client - Database client
+ * @returns {Promise<object|null>} Stored result or null if the key is new
+ */
+export async function getProcessedResult(usherId, idempotencyKey, client) {
+    const result = await client.query(`
+    SELECT result
+    FROM sync_operations
+    WHERE usher_id = $1 AND idempotency_key = $2
+  `, [usherId, idempotencyKey]);
+
+    return result.rows.length > 0 ? result.rows[0].result : null;
+}
+
+/**
+ * Store the result of an item in the transaction that applied it
+ * @param {object} params - { usherId, eventId, deviceId, item, result }
+ * @param {object} client - Transaction client
+ * @returns {Promise<boolean>} False if another request stored the key first
+ */
+export async function saveProcessedResult({ usherId, eventId, deviceId, item, result }, client) {
+    const inserted = await client.query(`
+    INSERT INTO sync_operations (
+      usher_id, idempotency_key, event_id, device_id, action, guest_id, client_timestamp, result
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (usher_id, idempotency_key) DO NOTHING
+  `, [
+        usherId,
+        item.idempotencyKey,
+        eventId,
+        deviceId,
+        item.action,
+        item.guestId,
+        item.clientTimestamp,
+        JSON.stringify(result)
+    ]);
+
+    return inserted.rowCount > 0;
+}
+
+/**
+ * Apply a queued check-in
+ * Call inside a transaction; the guest row is locked until it ends.
+ * @param {object} item - Normalized item from validateSyncItem
+ * @param {object} context - { eventId, usherId, usherName, deviceId }
+ * @param {object} client - Transaction client
+ * @returns {Promise<object>} Item result ({ status: applied | conflict | rejected, code, message, warnings, guest, ... })
+ */
+export async function applyQueuedCheckIn(item, { eventId, usherId, usherName, deviceId }, client) {
+    const base = {
+        idempotencyKey: item.idempotencyKey,
+        action: item.action,
+        guestId: item.guestId,
+        warnings: []
+    };
+
+    const now = Date.now();
+    const windowMs = offlineWindowMs();
+
+    if (item.clientTimestamp.getTime() < now - windowMs) {
+        const hours = windowMs / (60 * 60 * 1000);
+        return {
+            ...base,
+            status: 'rejected',
+            code: STALE_ITEM,
+            message: `This check-in was queued more than ${hours} hour${hours === 1 ? '' : 's'} ago and was not applied. Check the guest in again if they are here.`,
+            details: {
+                queuedAt: item.clientTimestamp.toISOString(),
+                offlineWindowHours: hours
+            }
+        };
+    }
+
+    const guestResult = await client.query(`
+    SELECT *
+    FROM guests
+    WHERE id = $1 AND event_id = $2
+    FOR UPDATE
+  `, [item.guestId, eventId]);
+
+    const guest = guestResult.rows[0];
+
+    if (!guest) {
+        return {
+            ...base,
+            status: 'rejected',
+            code: 'NOT_FOUND',
+            message: `Guest with ID ${item.guestId} not found`
+        };
+    }
+
+    const guestName = `${guest.first_name} ${guest.last_name}`;
+
+    // A scanned ticket could not be verified offline; check it now
+    if (item.ticketCode) {
+        const ticket = ticketService.verifyCode(item.ticketCode);
+
+        if (!ticket || ticket.eventId !== eventId || ticket.guestId !== guest.id || ticket.version !== guest.ticket_version) {
+            return {
+                ...base,
+                status: 'rejected',
+                code: 'INVALID_TICKET',
+                message: `The ticket scanned offline for ${guestName} is not valid. Find the guest and check with a supervisor.`
+            };
+        }
+    }
+
+    if (guest.status === 'Checked In') {
+        return {
+            ...base,
+            status: 'conflict',
+            code: 'ALREADY_CHECKED_IN',
+            message: `${guestName} was already checked in by ${guest.checked_in_by || 'another usher'}`,
+            guest,
+            checkedInBy: guest.checked_in_by,
+            checkInTime: guest.check_in_time,
+            queuedAt: item.clientTimestamp.toISOString()
+        };
+    }
+
+    const entrance = await checkEntrance({ usherId, eventId, ticketType: guest.ticket_type }, client);
+    if (!entrance.allowed) {
+        const refusal = wrongEntranceResponse(guest, entrance);
+        return {
+            ...base,
+            status: 'rejected',
+            code: refusal.code,
+            message: refusal.message,
+            details: refusal.details
+        };
+    }
+
+    if (item.plusOnes > guest.plus_ones_allowed) {
+        return {
+            ...base,
+            status: 'rejected',
+            code: TOO_MANY_PLUS_ONES,
+            message: `${guestName} is only allowed ${guest.plus_ones_allowed} plus ones, but ${item.plusOnes} were queued`,
+            details: {
+                requested: item.plusOnes,
+                allowed: guest.plus_ones_allowed
+            }
+        };
+    }
+
+    const warnings = [];
+
+    // The time the usher acted, unless the device clock is ahead of ours
+    let checkInTime = item.clientTimestamp;
+    if (checkInTime.getTime() > now + CLOCK_SKEW_MS) {
+        warnings.push('Device clock is ahead of the server; the sync time was recorded instead');
+        checkInTime = new Date(now);
+    } else if (checkInTime.getTime() > now) {
+        checkInTime = new Date(now);
+    }
+
+    const capacity = await checkCapacity({
+        eventId,
+        ticketType: guest.ticket_type,
+        additional: 1 + item.plusOnes
+    }, client);
+    if (capacity?.blocked) {
+        const refusal = capacityReachedResponse(capacity);
+        return {
+            ...base,
+            status: 'rejected',
+            code: refusal.code,
+            message: refusal.message,
+            details: refusal.details
+        };
+    }
+
+    const capacityMessage = capacityWarning(capacity);
+    if (capacityMessage) {
+        warnings.push(capacityMessage);
+    }
+
+    const confirmationCode = await generateUniqueConfirmationCode(client);
+    const syncNote = `Checked in offline${deviceId ? ` on ${deviceId}` : ''}, synced ${new Date(now).toISOString()}`;
+
+    const updateResult = await client.query(`
+    UPDATE guests
+    SET
+      status = 'Checked In',
+      on_site = true,
+      check_in_time = $1,
+      confirmation_code = $2,
+      plus_ones_checked_in = $3,
+      checked_in_by = $4,
+      checked_in_by_usher_id = $8,
+      notes = CASE
+        WHEN $5 != '' THEN $5
+        ELSE notes
+      END,
+      last_modified = NOW()
+    WHERE id = $6 AND event_id = $7
+    RETURNING *
+  `, [checkInTime, confirmationCode, item.plusOnes, usherName, item.notes, guest.id, eventId, usherId]);
+
+    await client.query(`
+    INSERT INTO check_in_log (
+      timestamp,
+      event_id,
+      guest_id,
+      guest_name,
+      action,
+      usher_name,
+      plus_ones_count,
+      notes,
+      confirmation_code
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+        checkInTime,
+        eventId,
+        guest.id,
+        guestName,
+        OFFLINE_CHECK_IN_ACTION,
+        usherName,
+        item.plusOnes,
+        [item.notes, syncNote].filter(Boolean).join(' · '),
+        confirmationCode
+    ]);
+
+    return {
+        ...base,
+        status: 'applied',
+        message: `${guestName} checked in`,
+        warnings,
+        guest: updateResult.rows[0],
+        confirmationCode,
+        checkInTime: checkInTime.toISOString(),
+        plusOnesCheckedIn: item.plusOnes
+    };
+}
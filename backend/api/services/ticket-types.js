@@ -0,0 +1,260 @@
+import db from './database.js';
+import cache from './cache.js';
+
+/**
+ * Ticket Type Service
+ * Per-event ticket type catalogue and capacity checks
+ *
+ * Capacity counts people: every checked-in guest of a type plus the
+ * companions checked in with them. Types without a capacity are unlimited.
+ * A full type either refuses further check-ins ('block') or lets them
+ * through with a warning ('warn').
+ */
+
+export const CAPACITY_ACTIONS = ['warn', 'block'];
+export const CAPACITY_REACHED = 'CAPACITY_REACHED';
+
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+const DEFAULT_COLOR = '#64748B';
+const CACHE_TTL = 30000;
+
+/**
+ * Shape a ticket_types row for API responses
+ * @param {object} row - ticket_types row
+ * @returns {object} Ticket type
+ */
+export function formatTicketType(row) {
+    return {
+        ticketTypeId: row.ticket_type_id,
+        eventId: row.event_id,
+        name: row.name,
+        displayName: row.display_name,
+        color: row.color,
+        defaultPlusOnes: row.default_plus_ones,
+        capacity: row.capacity,
+        capacityAction: row.capacity_action
+    };
+}
+
+/**
+ * Get the ticket type catalogue of an event (cached)
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Ticket types ordered by name
+ */
+export async function getTicketTypes(eventId) {
+    const cacheKey = `ticket-types:${eventId}`;
+
+    const cached = cache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+
+    const result = await db.query(
+        'SELECT * FROM ticket_types WHERE event_id = $1 ORDER BY name',
+        [eventId]
+    );
+
+    const ticketTypes = result.rows.map(formatTicketType);
+    cache.set(cacheKey, ticketTypes, CACHE_TTL);
+
+    return ticketTypes;
+}
+
+/**
+ * Forget cached catalogues after a ticket type changes
+ */
+export function clearTicketTypeCache() {
+    cache.clearPattern('ticket-types:*');
+}
+
+/**
+ * Find a catalogue entry by name
+ * @param {Array} ticketTypes - Catalogue from getTicketTypes
+ * @param {string} value - Ticket type as entered (case-insensitive)
+ * @returns {object|null} Ticket type or null if unknown
+ */
+export function findTicketType(ticketTypes, value) {
+    if (value == null) return null;
+
+    const lower = String(value).trim().toLowerCase();
+    return ticketTypes.find(type => type.name.toLowerCase() === lower) || null;
+}
+
+/**
+ * Validate and normalize ticket type fields
+ * @param {object} input - { name, displayName, color, defaultPlusOnes, capacity, capacityAction }
+ * @param {object} options - { partial: only validate fields that are present }
+ * @returns {{ errors: object, values: object }} Field errors and normalized values
+ */
+export function validateTicketTypeFields(input, { partial = false } = {}) {
+    const errors = {};
+    const values = {};
+    const has = (key) => input[key] !== undefined;
+    const text = (value) => (value == null ? '' : String(value).trim());
+
+    if (!partial || has('name')) {
+        values.name = text(input.name);
+        if (!values.name) {
+            errors.name = 'Name is required';
+        } else if (values.name.length > 50) {
+            errors.name = 'Name must be 50 characters or fewer';
+        }
+    }
+
+    if (!partial || has('displayName')) {
+        values.displayName = text(input.displayName) || values.name || '';
+        if (partial && !values.displayName) {
+            errors.displayName = 'Display name cannot be empty';
+        } else if (values.displayName.length > 100) {
+            errors.displayName = 'Display name must be 100 characters or fewer';
+        }
+    }
+
+    if (!partial || has('color')) {
+        values.color = text(input.color) || DEFAULT_COLOR;
+        if (!COLOR_PATTERN.test(values.color)) {
+            errors.color = 'Color must be a hex value such as #F59E0B';
+        } else {
+            values.color = values.color.toUpperCase();
+        }
+    }
+
+    if (!partial || has('defaultPlusOnes')) {
+        const parsed = text(input.defaultPlusOnes) === '' ? 0 : Number(input.defaultPlusOnes);
+        if (!Number.isInteger(parsed) || parsed < 0) {
+            errors.defaultPlusOnes = 'Default plus ones must be a whole number of 0 or more';
+        } else {
+            values.defaultPlusOnes = parsed;
+        }
+    }
+
+    if (!partial || has('capacity')) {
+        if (input.capacity == null || text(input.capacity) === '') {
+            values.capacity = null;
+        } else {
+            const parsed = Number(input.capacity);
+            if (!Number.isInteger(parsed) || parsed < 1) {
+                errors.capacity = 'Capacity must be a whole number of 1 or more, or empty for unlimited';
+            } else {
+                values.capacity = parsed;
+            }
+        }
+    }
+
+    if (!partial || has('capacityAction')) {
+        values.capacityAction = text(input.capacityAction).toLowerCase() || 'block';
+        if (!CAPACITY_ACTIONS.includes(values.capacityAction)) {
+            errors.capacityAction = `Capacity action must be one of: ${CAPACITY_ACTIONS.join(', ')}`;
+        }
+    }
+
+    return { errors, values };
+}
+
+/**
+ * Check whether admitting more people of a ticket type fits its capacity
+ * Locks the ticket type row so concurrent check-ins are counted in turn;
+ * call inside the transaction that performs the check-in.
+ * @param {object} params - { eventId, ticketType, additional: people being admitted }
+ * @param {object} client - Transaction client
+ * @returns {Promise<object|null>} Capacity status, or null if the type is unlimited or not in the catalogue
+ */
+export async function checkCapacity({ eventId, ticketType, additional }, client) {
+    const typeResult = await client.query(`
+    SELECT *
+    FROM ticket_types
+    WHERE event_id = $1 AND LOWER(name) = LOWER($2)
+    FOR UPDATE
+  `, [eventId, ticketType]);
+
+    const type = typeResult.rows[0];
+    if (!type || type.capacity == null) {
+        return null;
+    }
+
+    const usedResult = await client.query(`
+    SELECT COALESCE(SUM(1 + COALESCE(plus_ones_checked_in, 0)), 0) AS used
+    FROM guests
+    WHERE event_id = $1 AND LOWER(ticket_type) = LOWER($2) AND status = 'Checked In'
+  `, [eventId, type.name]);
+
+    const used = parseInt(usedResult.rows[0].used);
+    const exceeded = used + additional > type.capacity;
+
+    return {
+        ticketType: type.name,
+        displayName: type.display_name,
+        capacity: type.capacity,
+        capacityAction: type.capacity_action,
+        used,
+        requested: additional,
+        remaining: Math.max(0, type.capacity - used),
+        exceeded,
+        blocked: exceeded && type.capacity_action === 'block',
+        reached: used + additional >= type.capacity
+    };
+}
+
+/**
+ * Describe a capacity status for staff
+ * @param {object|null} status - Result of checkCapacity
+ * @returns {string|null} Warning once the type is full, otherwise null
+ */
+export function capacityWarning(status) {
+    if (!status || !status.reached) return null;
+
+    const after = status.used + status.requested;
+    return status.exceeded
+        ? `${status.displayName} is over capacity: ${after} of ${status.capacity} places used`
+        : `${status.displayName} is now at capacity (${status.capacity} places)`;
+}
+
+/**
+ * Build the 409 body for a check-in refused by capacity
+ * @param {object} status - Result of checkCapacity
+ * @returns {object} Error response body
+ */
+export function capacityReachedResponse(status) {
+    return {
+        success: false,
+        error: 'Capacity Reached',
+        code: CAPACITY_REACHED,
+        message: `${status.displayName} is full: ${status.used} of ${status.capacity} places used, ${status.requested} requested`,
+        details: {
+            ticketType: status.ticketType,
+            capacity: status.capacity,
+            checkedIn: status.used,
+            requested: status.requested,
+            remaining: status.remaining
+        }
+    };
+}
+
+/**
+ * Capacity use per catalogue entry for the stats dashboard
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Ticket types with checkedIn and remaining (null when unlimited)
+ */
+export async function getCapacityUsage(eventId) {
+    const result = await db.query(`
+    SELECT
+      tt.*,
+      COALESCE(SUM(1 + COALESCE(g.plus_ones_checked_in, 0)) FILTER (WHERE g.status = 'Checked In'), 0) AS checked_in
+    FROM ticket_types tt
+    LEFT JOIN guests g ON g.event_id = tt.event_id AND LOWER(g.ticket_type) = LOWER(tt.name)
+    WHERE tt.event_id = $1
+    GROUP BY tt.ticket_type_id
+    ORDER BY tt.name
+  `, [eventId]);
+
+    return result.rows.map(row => {
+        const checkedIn = parseInt(row.checked_in);
+
+        return {
+            ...formatTicketType(row),
+            checkedIn,
+            remaining: row.capacity == null ? null : Math.max(0, row.capacity - checkedIn),
+            full: row.capacity != null && checkedIn >= row.capacity
+        };
+    });
+}
@@ -0,0 +1,128 @@
+import crypto from 'node:crypto';
+import QRCode from 'qrcode';
+import { warn } from '../../utils/logger.js';
+
+const CODE_PREFIX = 'GLP1';
+
+/**
+ * Ticket Service
+ * Issues and verifies signed QR ticket codes
+ *
+ * Code format: GLP1.<payload>.<signature>
+ * - payload: base64url JSON { g: guest ID, e: event ID, i: issued at (unix seconds), v: ticket version }
+ * - signature: base64url HMAC-SHA256 of "GLP1.<payload>"
+ *
+ * Bumping guests.ticket_version revokes every code issued before it.
+ */
+class TicketService {
+    constructor() {
+        this.secret = process.env.TICKET_SECRET;
+
+        if (!this.secret) {
+            if (process.env.NODE_ENV !== 'production') {
+                warn('TICKET_SECRET missing. Using ephemeral development secret; issued tickets stop working on restart.');
+                this.secret = crypto.randomBytes(48).toString('hex');
+            } else {
+                throw new Error('TICKET_SECRET is required in production');
+            }
+        } else if (this.secret.length < 32) {
+            if (process.env.NODE_ENV !== 'production') {
+                warn('TICKET_SECRET too short (<32). Deriving stronger secret for development.');
+                this.secret = crypto.createHash('sha256').update(this.secret).digest('hex');
+            } else {
+                throw new Error('TICKET_SECRET must be at least 32 characters long');
+            }
+        }
+    }
+
+    /**
+     * Sign a string with the ticket secret
+     * @param {string} data - Data to sign
+     * @returns {Buffer} HMAC digest
+     */
+    sign(data) {
+        return crypto.createHmac('sha256', this.secret).update(data).digest();
+    }
+
+    /**
+     * Issue a signed ticket code for a guest
+     * @param {object} guest - Guest row (id, event_id, ticket_version)
+     * @returns {{ code: string, issuedAt: string }} Ticket code and issue time
+     */
+    issueCode(guest) {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        const payload = Buffer.from(JSON.stringify({
+            g: guest.id,
+            e: guest.event_id,
+            i: issuedAt,
+            v: guest.ticket_version
+        })).toString('base64url');
+
+        const body = `${CODE_PREFIX}.${payload}`;
+        const signature = this.sign(body).toString('base64url');
+
+        return {
+            code: `${body}.${signature}`,
+            issuedAt: new Date(issuedAt * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Render a ticket code as a QR image
+     * @param {string} code - Ticket code from issueCode
+     * @param {object} options - { format: 'png' | 'svg', size: width in pixels }
+     * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+     */
+    async renderQr(code, { format = 'png', size = 320 } = {}) {
+        const qrOptions = { errorCorrectionLevel: 'M', margin: 2, width: size };
+
+        if (format === 'svg') {
+            return QRCode.toString(code, { ...qrOptions, type: 'svg' });
+        }
+
+        return QRCode.toBuffer(code, { ...qrOptions, type: 'png' });
+    }
+
+    /**
+     * Verify a ticket code's signature and decode it
+     * Does not check revocation; compare version against the guest row.
+     * @param {string} code - Scanned ticket code
+     * @returns {object|null} { guestId, eventId, issuedAt, version } or null if forged/malformed
+     */
+    verifyCode(code) {
+        const parts = typeof code === 'string' ? code.trim().split('.') : [];
+
+        if (parts.length !== 3 || parts[0] !== CODE_PREFIX) {
+            return null;
+        }
+
+        const [prefix, payload, signature] = parts;
+        const expected = this.sign(`${prefix}.${payload}`);
+        const provided = Buffer.from(signature, 'base64url');
+
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            warn('Ticket signature mismatch');
+            return null;
+        }
+
+        try {
+            const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+            if (typeof decoded.g !== 'string' || typeof decoded.e !== 'string' || !Number.isInteger(decoded.v)) {
+                return null;
+            }
+
+            return {
+                guestId: decoded.g,
+                eventId: decoded.e,
+                issuedAt: new Date(decoded.i * 1000).toISOString(),
+                version: decoded.v
+            };
+        } catch {
+            return null;
+        }
+    }
+}
+
+const ticketService = new TicketService();
+export default ticketService;
@@ -0,0 +1,227 @@
+import db from './database.js';
+import { findTicketType } from './ticket-types.js';
+
+/**
+ * Zone Service
+ * Entrance access control: which ticket types each zone of an event admits
+ *
+ * An usher assigned to a zone (usher_events.zone_id) may only admit guests
+ * whose ticket type the zone lists. Ushers without a zone work every door.
+ */
+
+export const WRONG_ENTRANCE = 'WRONG_ENTRANCE';
+
+/**
+ * Shape a zones row for API responses
+ * @param {object} row - zones row
+ * @returns {object} Zone
+ */
+export function formatZone(row) {
+    return {
+        zoneId: row.zone_id,
+        eventId: row.event_id,
+        name: row.name,
+        ticketTypes: row.ticket_types || [],
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Validate and normalize zone fields
+ * @param {object} input - { name, ticketTypes, usherIds }
+ * @param {object} options - { partial: only validate fields that are present, ticketTypes: event catalogue }
+ * @returns {{ errors: object, values: object }} Field errors and normalized values
+ */
+export function validateZoneFields(input, { partial = false, ticketTypes = [] } = {}) {
+    const errors = {};
+    const values = {};
+    const has = (key) => input[key] !== undefined;
+
+    if (!partial || has('name')) {
+        values.name = input.name == null ? '' : String(input.name).trim();
+        if (!values.name) {
+            errors.name = 'Zone name is required';
+        } else if (values.name.length > 100) {
+            errors.name = 'Zone name must be 100 characters or fewer';
+        }
+    }
+
+    if (!partial || has('ticketTypes')) {
+        if (!Array.isArray(input.ticketTypes) || input.ticketTypes.length === 0) {
+            errors.ticketTypes = 'At least one admitted ticket type is required';
+        } else {
+            const normalized = input.ticketTypes.map(value => findTicketType(ticketTypes, value)?.name);
+            const unknown = input.ticketTypes.filter((_, i) => !normalized[i]);
+
+            if (unknown.length > 0) {
+                errors.ticketTypes = `Unknown ticket type(s): ${unknown.join(', ')}`;
+            } else {
+                values.ticketTypes = [...new Set(normalized)];
+            }
+        }
+    }
+
+    if (has('usherIds')) {
+        if (!Array.isArray(input.usherIds)) {
+            errors.usherIds = 'usherIds must be an array of usher IDs';
+        } else {
+            values.usherIds = [...new Set(input.usherIds.map(id => String(id).trim().toUpperCase()))];
+        }
+    }
+
+    return { errors, values };
+}
+
+/**
+ * List the zones of an event with the ushers working each
+ * @param {string} eventId - Event ID
+ * @param {object} client - Optional transaction client
+ * @returns {Promise<Array>} Zones with ushers ({ usherId, username, fullName })
+ */
+export async function listZones(eventId, client = db) {
+    const result = await client.query(`
+    SELECT
+      z.*,
+      COALESCE(
+        JSON_AGG(
+          JSON_BUILD_OBJECT('usherId', u.usher_id, 'username', u.username, 'fullName', u.full_name)
+          ORDER BY u.full_name
+        ) FILTER (WHERE u.usher_id IS NOT NULL),
+        '[]'
+      ) AS ushers
+    FROM zones z
+    LEFT JOIN usher_events ue ON ue.zone_id = z.zone_id
+    LEFT JOIN ushers u ON u.usher_id = ue.usher_id
+    WHERE z.event_id = $1
+    GROUP BY z.zone_id
+    ORDER BY z.name
+  `, [eventId]);
+
+    return result.rows.map(row => ({ ...formatZone(row), ushers: row.ushers }));
+}
+
+/**
+ * Replace the ushers working a zone
+ * Ushers must already be assigned to the zone's event. Ushers moved here
+ * leave their previous zone; ushers no longer listed are left without one.
+ * @param {string} zoneId - Zone ID
+ * @param {string} eventId - Event ID
+ * @param {Array<string>} usherIds - Usher IDs
+ * @param {object} client - Transaction client
+ * @returns {Promise<Array<string>>} Usher IDs not assigned to the event (nothing is changed if any)
+ */
+export async function setZoneUshers(zoneId, eventId, usherIds, client) {
+    const assigned = await client.query(`
+    SELECT usher_id
+    FROM usher_events
+    WHERE event_id = $1 AND usher_id = ANY($2::varchar[])
+  `, [eventId, usherIds]);
+
+    const assignedIds = new Set(assigned.rows.map(row => row.usher_id));
+    const unassigned = usherIds.filter(id => !assignedIds.has(id));
+
+    if (unassigned.length > 0) {
+        return unassigned;
+    }
+
+    await client.query(`
+    UPDATE usher_events
+    SET zone_id = NULL
+    WHERE zone_id = $1 AND NOT (usher_id = ANY($2::varchar[]))
+  `, [zoneId, usherIds]);
+
+    await client.query(`
+    UPDATE usher_events
+    SET zone_id = $1
+    WHERE event_id = $2 AND usher_id = ANY($3::varchar[])
+  `, [zoneId, eventId, usherIds]);
+
+    return [];
+}
+
+/**
+ * Check whether a zone admits a ticket type
+ * @param {object} zone - Zone ({ ticketTypes })
+ * @param {string} ticketType - Guest ticket type
+ * @returns {boolean} True if admitted
+ */
+export function admitsTicketType(zone, ticketType) {
+    const wanted = String(ticketType || '').trim().toLowerCase();
+    return zone.ticketTypes.some(type => type.toLowerCase() === wanted);
+}
+
+/**
+ * Get the zone an usher works at an event
+ * @param {string} usherId - Usher ID
+ * @param {string} eventId - Event ID
+ * @param {object} client - Optional transaction client
+ * @returns {Promise<object|null>} Zone or null if the usher has none
+ */
+export async function getUsherZone(usherId, eventId, client = db) {
+    const result = await client.query(`
+    SELECT z.*
+    FROM usher_events ue
+    JOIN zones z ON z.zone_id = ue.zone_id
+    WHERE ue.usher_id = $1 AND ue.event_id = $2
+  `, [usherId, eventId]);
+
+    return result.rows.length > 0 ? formatZone(result.rows[0]) : null;
+}
+
+/**
+ * Check whether an usher's entrance admits a ticket type
+ * @param {object} params - { usherId, eventId, ticketType }
+ * @param {object} client - Optional transaction client
+ * @returns {Promise<object>} { allowed, zone, admittingZones }
+ */
+export async function checkEntrance({ usherId, eventId, ticketType }, client = db) {
+    const zone = await getUsherZone(usherId, eventId, client);
+
+    if (!zone || admitsTicketType(zone, ticketType)) {
+        return { allowed: true, zone, admittingZones: [] };
+    }
+
+    // Tell the usher where to send the guest instead
+    const result = await client.query(`
+    SELECT name
+    FROM zones
+    WHERE event_id = $1
+      AND EXISTS (
+        SELECT 1 FROM UNNEST(ticket_types) AS t(type)
+        WHERE LOWER(t.type) = LOWER($2)
+      )
+    ORDER BY name
+  `, [eventId, ticketType]);
+
+    return {
+        allowed: false,
+        zone,
+        admittingZones: result.rows.map(row => row.name)
+    };
+}
+
+/**
+ * Build the 403 body for a guest at the wrong entrance
+ * @param {object} guest - guests row
+ * @param {object} entrance - Result of checkEntrance
+ * @returns {object} Error response body
+ */
+export function wrongEntranceResponse(guest, entrance) {
+    const guestName = `${guest.first_name} ${guest.last_name}`;
+    const redirect = entrance.admittingZones.length > 0
+        ? ` Send them to ${entrance.admittingZones.join(' or ')}.`
+        : '';
+
+    return {
+        success: false,
+        error: 'Wrong Entrance',
+        code: WRONG_ENTRANCE,
+        message: `${guestName} has a ${guest.ticket_type} ticket, which ${entrance.zone.name} does not admit.${redirect}`,
+        details: {
+            zone: entrance.zone.name,
+            ticketType: guest.ticket_type,
+            admittedTicketTypes: entrance.zone.ticketTypes,
+            admittingZones: entrance.admittingZones
+        }
+    };
+}
@@ -0,0 +1,246 @@
+import db from '../services/database.js';
+import cache from '../services/cache.js';
+import live from '../services/live.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { recordDuplicateAttempt, isDuplicateAttempt } from '../services/duplicate-attempts.js';
+import {
+    validateSyncItem,
+    getProcessedResult,
+    saveProcessedResult,
+    applyQueuedCheckIn
+} from '../services/sync-queue.js';
+import { info, warn, error as logError } from '../../utils/logger.js';
+
+/**
+ * POST /api/sync/queue
+ * Replay check-ins queued on an usher's device while it was offline
+ *
+ * Body params:
+ * - deviceId: Identifier of the device (optional, recorded in the audit log)
+ * - items: Queued actions in the order they happened (required, max 200)
+ *   - idempotencyKey: Unique key generated when the item was queued
+ *   - action: 'check-in'
+ *   - guestId: Guest ID
+ *   - plusOnes: Plus ones admitted (default: 0)
+ *   - notes: Optional check-in notes
+ *   - clientTimestamp: When the usher checked the guest in (ISO date); items
+ *     older than the offline window are rejected as STALE_ITEM
+ *   - ticketCode: QR code scanned offline, verified now (optional)
+ *
+ * Items are applied one at a time, each in its own transaction, so one bad
+ * item does not hold back the rest. A key already processed returns its
+ * stored result with replayed: true.
+ *
+ * Returns:
+ * - results: One per item, in request order, with status
+ *   applied | conflict (checked in elsewhere first) | rejected | invalid
+ * - summary: Count per status
+ */
+
+const MAX_QUEUE_SIZE = 200;
+
+export default async function handler(req, res) {
+    // Only allow POST requests
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only POST requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.checkin')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+
+        // Extract and validate request body
+        const { items } = req.body || {};
+        const deviceId = req.body?.deviceId ? String(req.body.deviceId).trim().slice(0, 100) : null;
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: 'Items must be a non-empty array',
+                details: { field: 'items' }
+            });
+        }
+
+        if (items.length > MAX_QUEUE_SIZE) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `Cannot sync more than ${MAX_QUEUE_SIZE} items at once`,
+                details: {
+                    field: 'items',
+                    maximum: MAX_QUEUE_SIZE,
+                    received: items.length
+                }
+            });
+        }
+
+        const context = {
+            eventId,
+            usherId: req.user.usherId,
+            usherName: req.user.fullName || req.user.username,
+            deviceId
+        };
+
+        const results = [];
+        const appliedGuests = [];
+        const conflicts = [];
+
+        const client = await db.pool.connect();
+
+        try {
+            for (const rawItem of items) {
+                const { errors, values: item } = validateSyncItem(rawItem);
+
+                if (Object.keys(errors).length > 0) {
+                    results.push({
+                        idempotencyKey: rawItem?.idempotencyKey ?? null,
+                        guestId: rawItem?.guestId ?? null,
+                        status: 'invalid',
+                        code: 'VALIDATION_ERROR',
+                        message: 'Queue item is invalid',
+                        details: errors,
+                        warnings: [],
+                        replayed: false
+                    });
+                    continue;
+                }
+
+                const stored = await getProcessedResult(context.usherId, item.idempotencyKey, client);
+                if (stored) {
+                    results.push({ ...stored, replayed: true });
+                    continue;
+                }
+
+                try {
+                    await client.query('BEGIN');
+
+                    const result = await applyQueuedCheckIn(item, context, client);
+
+                    // Another request with the same key got there first; use its result
+                    if (!await saveProcessedResult({ ...context, item, result }, client)) {
+                        await client.query('ROLLBACK');
+                        const winner = await getProcessedResult(context.usherId, item.idempotencyKey, client);
+                        results.push({ ...winner, replayed: true });
+                        continue;
+                    }
+
+                    await client.query('COMMIT');
+
+                    if (result.status === 'applied') {
+                        appliedGuests.push(result.guest);
+                    } else if (result.status === 'conflict') {
+                        conflicts.push(result);
+                    }
+
+                    results.push({ ...result, replayed: false });
+
+                } catch (err) {
+                    await client.query('ROLLBACK');
+
+                    logError('Error applying queued item', {
+                        error: err.message,
+                        idempotencyKey: item.idempotencyKey,
+                        guestId: item.guestId,
+                        username: req.user.username
+                    });
+
+                    // Not stored, so the device can retry the same key later
+                    results.push({
+                        idempotencyKey: item.idempotencyKey,
+                        action: item.action,
+                        guestId: item.guestId,
+                        status: 'rejected',
+                        code: 'PROCESSING_ERROR',
+                        message: 'Could not apply this item; it will be retried',
+                        retryable: true,
+                        warnings: [],
+                        replayed: false
+                    });
+                }
+            }
+
+            // The guest was admitted twice; tell supervisors as for any duplicate
+            for (const conflict of conflicts.filter(({ guest }) => isDuplicateAttempt(guest))) {
+                await recordDuplicateAttempt({
+                    eventId,
+                    guest: conflict.guest,
+                    usherName: context.usherName,
+                    source: 'offline-sync'
+                }, client);
+            }
+        } finally {
+            client.release();
+        }
+
+        if (appliedGuests.length > 0) {
+            // Invalidate all guest-related caches
+            cache.clearPattern('guests:*');
+
+            live.publishGuestChange(eventId, 'bulk-check-in', {
+                guests: appliedGuests,
+                count: appliedGuests.length
+            });
+        }
+
+        const summary = results.reduce((counts, result) => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+            return counts;
+        }, { applied: 0, conflict: 0, rejected: 0, invalid: 0 });
+        summary.replayed = results.filter(result => result.replayed).length;
+
+        const log = conflicts.length > 0 || summary.rejected > 0 ? warn : info;
+        log('Offline queue synced', {
+            username: req.user.username,
+            eventId,
+            deviceId,
+            ...summary
+        });
+
+        return res.status(200).json({
+            success: true,
+            message: `Synced ${items.length} queued item(s): ${summary.applied} applied, ${summary.conflict} conflict(s), ${summary.rejected + summary.invalid} rejected`,
+            data: {
+                results,
+                summary,
+                serverTime: new Date().toISOString()
+            }
+        });
+
+    } catch (err) {
+        logError('Error syncing offline queue', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to sync offline queue'
+        });
+    }
+}
@@ -0,0 +1,134 @@
+import db from '../services/database.js';
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { info, error as logError } from '../../utils/logger.js';
+
+/**
+ * GET /api/sync/status
+ * What a device needs to decide whether its offline copy is current (requires guests.read)
+ *
+ * Query params:
+ * - keys: Comma-separated idempotency keys to check (optional, max 200). Lets a
+ *   device drop queued items whose sync response it never received.
+ *
+ * Returns:
+ * - serverTime: For the device to spot a wrong clock
+ * - guests: { total, checkedIn, lastModified } for the active event; a newer
+ *   lastModified than the cached copy means the guest list should be reloaded
+ * - sync: { processed, lastProcessedAt } for this usher in the active event
+ * - processedKeys: Which of the given keys have already been applied
+ */
+
+const MAX_KEYS = 200;
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+        const keys = req.query.keys
+            ? String(req.query.keys).split(',').map(key => key.trim()).filter(Boolean)
+            : [];
+
+        if (keys.length > MAX_KEYS) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation Error',
+                message: `Cannot check more than ${MAX_KEYS} keys at once`,
+                details: { field: 'keys', maximum: MAX_KEYS }
+            });
+        }
+
+        const guestsResult = await db.query(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE status = 'Checked In') AS checked_in,
+        MAX(last_modified) AS last_modified
+      FROM guests
+      WHERE event_id = $1
+    `, [eventId]);
+
+        const syncResult = await db.query(`
+      SELECT COUNT(*) AS processed, MAX(processed_at) AS last_processed_at
+      FROM sync_operations
+      WHERE event_id = $1 AND usher_id = $2
+    `, [eventId, req.user.usherId]);
+
+        let processedKeys = [];
+        if (keys.length > 0) {
+            const keysResult = await db.query(`
+        SELECT idempotency_key
+        FROM sync_operations
+        WHERE usher_id = $1 AND idempotency_key = ANY($2::varchar[])
+      `, [req.user.usherId, keys]);
+
+            processedKeys = keysResult.rows.map(row => row.idempotency_key);
+        }
+
+        const guests = guestsResult.rows[0];
+        const sync = syncResult.rows[0];
+
+        info('Sync status checked', {
+            username: req.user.username,
+            eventId,
+            keysChecked: keys.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                eventId,
+                serverTime: new Date().toISOString(),
+                guests: {
+                    total: parseInt(guests.total),
+                    checkedIn: parseInt(guests.checked_in),
+                    lastModified: guests.last_modified
+                },
+                sync: {
+                    processed: parseInt(sync.processed),
+                    lastProcessedAt: sync.last_processed_at
+                },
+                processedKeys
+            }
+        });
+
+    } catch (err) {
+        logError('Error checking sync status', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to check sync status'
+        });
+    }
+}
@@ -0,0 +1,73 @@
+import { authenticate, requirePermission } from '../middleware/authenticate.js';
+import { requireEvent } from '../middleware/event.js';
+import { getTicketTypes } from '../services/ticket-types.js';
+import { info, error as logError } from '../../utils/logger.js';
+
+/**
+ * GET /api/ticket-types
+ * List the ticket types of the active event (requires guests.read)
+ *
+ * Returns:
+ * - ticketTypes: Name, display name, color, default plus ones and capacity
+ */
+
+export default async function handler(req, res) {
+    // Only allow GET requests
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method Not Allowed',
+            message: 'Only GET requests are allowed'
+        });
+    }
+
+    try {
+        // Apply authentication and permission check
+        await new Promise((resolve, reject) => {
+            authenticate(req, res, (err) => {
+                if (err) return reject(err);
+                requirePermission('guests.read')(req, res, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        });
+
+        // Resolve the event being worked
+        await new Promise((resolve, reject) => {
+            requireEvent(req, res, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        const eventId = req.event.event_id;
+        const ticketTypes = await getTicketTypes(eventId);
+
+        info('Ticket types fetched', {
+            username: req.user.username,
+            eventId,
+            count: ticketTypes.length
+        });
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ticketTypes
+            }
+        });
+
+    } catch (err) {
+        logError('Error fetching ticket types', {
+            error: err.message,
+            stack: err.stack,
+            username: req.user?.username
+        });
+
+        return res.status(500).json({
+            success: false,
+            error: 'Internal Server Error',
+            message: 'Failed to fetch ticket types'
+        });
+    }
+}
@@ -0,0 +1,123 @@
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { getMigrationStatus, migrateUp } from './migrator.js';
+
+dotenv.config();
+
+const { Client } = pg;
+
+/**
+ * Database Migration Script
+ *
+ * Usage:
+ *   node db/migrate.js up [--allow-destructive] [--baseline]
+ *   node db/migrate.js status
+ *
+ * up       Apply pending migrations from db/migrations in order
+ * status   List each migration as applied, pending or modified
+ *
+ * --allow-destructive  Run DROP/TRUNCATE/DELETE migrations even though the
+ *                      database holds data (back it up first)
+ * --baseline           Mark the baseline migration as applied on a database
+ *                      created from the last schema.sql, then apply the rest.
+ *                      A database from the schema.sql before events is first
+ *                      upgraded into a default event (back it up first)
+ */
+
+const COMMANDS = ['up', 'status'];
+
+async function printStatus(client) {
+    const status = await getMigrationStatus(client);
+
+    console.log('\n📋 Migrations:\n');
+
+    if (status.migrations.length === 0) {
+        console.log('  (no migration files found)');
+    }
+
+    for (const migration of status.migrations) {
+        if (migration.state === 'applied') {
+            const when = new Date(migration.appliedAt).toISOString();
+            console.log(`  ✅ ${migration.filename}  applied ${when}${migration.baselined ? ' (baseline)' : ''}`);
+        } else if (migration.state === 'modified') {
+            console.log(`  ❌ ${migration.filename}  MODIFIED since it was applied (checksum mismatch)`);
+        } else {
+            console.log(`  ⏳ ${migration.filename}  pending`);
+        }
+    }
+
+    for (const row of status.missing) {
+        console.log(`  ⚠️  ${row.version}_${row.name}.sql  applied but the file is missing`);
+    }
+
+    console.log(`\n${status.pending.length} pending, ${status.modified.length} modified, ${status.missing.length} missing\n`);
+
+    return status;
+}
+
+async function runMigrations() {
+    const [command = 'status', ...flags] = process.argv.slice(2);
+
+    console.log('\n🗄️  GuestList Pro Database Migrations\n');
+    console.log('='.repeat(50));
+
+    if (!COMMANDS.includes(command)) {
+        console.error(`\n❌ ERROR: Unknown command "${command}". Use one of: ${COMMANDS.join(', ')}\n`);
+        process.exit(1);
+    }
+
+    if (!process.env.DATABASE_URL) {
+        console.error('\n❌ ERROR: DATABASE_URL not found in .env file\n');
+        process.exit(1);
+    }
+
+    const client = new Client({
+        connectionString: process.env.DATABASE_URL,
+        ssl: { rejectUnauthorized: false },
+    });
+
+    try {
+        await client.connect();
+        console.log('✅ Connected to database');
+
+        if (command === 'status') {
+            const status = await printStatus(client);
+            // Non-zero so deploy checks can tell the schema is out of date
+            if (status.pending.length > 0 || status.modified.length > 0) {
+                process.exitCode = 1;
+            }
+            return;
+        }
+
+        const result = await migrateUp(client, {
+            allowDestructive: flags.includes('--allow-destructive'),
+            baseline: flags.includes('--baseline'),
+            onApply: (migration) => console.log(`🏗️  Applying ${migration.filename}...`)
+        });
+
+        if (result.upgraded) {
+            console.log('⬆️  Upgraded the pre-events schema; existing data is in event E001 (Main Event)');
+        }
+        if (result.baselined) {
+            console.log('📌 Baseline recorded as applied');
+        }
+
+        if (result.applied.length === 0) {
+            console.log('\n✅ Database is up to date\n');
+        } else {
+            for (const migration of result.applied) {
+                console.log(`✅ ${migration.filename} (${migration.executionMs}ms)`);
+            }
+            console.log(`\n🎉 Applied ${result.applied.length} migration(s)\n`);
+        }
+
+    } catch (err) {
+        console.error('\n❌ Migration failed:', err.message, '\n');
+        process.exitCode = 1;
+
+    } finally {
+        await client.end();
+    }
+}
+
+runMigrations();
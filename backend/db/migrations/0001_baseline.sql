@@ -0,0 +1,261 @@
+-- GuestList Pro Database Schema
+-- PostgreSQL / Neon Database
+--
+-- Migration 0001: baseline
+-- The schema as it stood when migrations were introduced. Only databases
+-- created from the last schema.sql match it; mark it applied there with
+-- `npm run db:migrate -- --baseline` instead of running it. The same flag
+-- upgrades a database from the schema.sql before events (guests, ushers and
+-- check_in_log only) with db/upgrades/pre-events.sql first.
+
+-- =====================================================
+-- Table: events  (One row per gala / party / ceremony)
+-- =====================================================
+CREATE TABLE events (
+    event_id      VARCHAR(10) PRIMARY KEY,
+    name          VARCHAR(200) NOT NULL,
+    venue         VARCHAR(200),
+    starts_at     TIMESTAMP,
+    ends_at       TIMESTAMP,
+    active        BOOLEAN      DEFAULT true,
+    undo_window_seconds INTEGER NOT NULL DEFAULT 30 CHECK (undo_window_seconds BETWEEN 0 AND 3600),
+    created_at    TIMESTAMP    DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for events table
+CREATE INDEX idx_events_active    ON events(active);
+CREATE INDEX idx_events_starts_at ON events(starts_at);
+
+-- =====================================================
+-- Table: ticket_types  (Ticket types each event sells, with capacity)
+-- =====================================================
+CREATE TABLE ticket_types (
+    ticket_type_id    VARCHAR(10)  PRIMARY KEY,
+    event_id          VARCHAR(10)  NOT NULL,
+    name              VARCHAR(50)  NOT NULL,  -- value stored in guests.ticket_type
+    display_name      VARCHAR(100) NOT NULL,
+    color             VARCHAR(7)   NOT NULL DEFAULT '#64748B' CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+    default_plus_ones INTEGER      NOT NULL DEFAULT 0 CHECK (default_plus_ones >= 0),
+    capacity          INTEGER      CHECK (capacity IS NULL OR capacity > 0),  -- people incl. companions; NULL is unlimited
+    capacity_action   VARCHAR(10)  NOT NULL DEFAULT 'block' CHECK (capacity_action IN ('warn', 'block')),
+    created_at        TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+
+-- Indexes for ticket_types table
+CREATE UNIQUE INDEX idx_ticket_types_event_name ON ticket_types(event_id, LOWER(name));
+
+-- =====================================================
+-- Table: guests  (Stores ALL guest information)
+-- =====================================================
+CREATE TABLE guests (
+    id                  VARCHAR(10) PRIMARY KEY,
+    event_id            VARCHAR(10)  NOT NULL,
+    first_name          VARCHAR(100) NOT NULL,
+    last_name           VARCHAR(100) NOT NULL,
+    email               VARCHAR(255),
+    phone               VARCHAR(20),
+    ticket_type         VARCHAR(50)  NOT NULL,
+    plus_ones_allowed   INTEGER      DEFAULT 0,
+    confirmation_code   VARCHAR(255),
+    check_in_time       TIMESTAMP,
+    plus_ones_checked_in INTEGER     DEFAULT 0,
+    status              VARCHAR(50)  DEFAULT 'Not Checked In',
+    on_site             BOOLEAN      NOT NULL DEFAULT false,  -- inside the venue right now (status keeps "has ever arrived")
+    notes               TEXT,
+    last_modified       TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    checked_in_by       VARCHAR(100),
+    ticket_version      INTEGER      NOT NULL DEFAULT 1,  -- bump to revoke issued QR tickets
+    created_at          TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_plus_ones_count CHECK (plus_ones_checked_in <= COALESCE(plus_ones_allowed,0)),
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+
+-- Indexes for guests table
+CREATE INDEX idx_guests_event ON guests(event_id);
+CREATE INDEX idx_guests_status ON guests(event_id, status);
+CREATE INDEX idx_guests_ticket_type ON guests(event_id, ticket_type);
+CREATE INDEX idx_guests_on_site ON guests(event_id) WHERE on_site;
+CREATE INDEX idx_guests_email ON guests(email);
+CREATE INDEX idx_guests_name ON guests(last_name, first_name);
+CREATE UNIQUE INDEX idx_guests_confirmation ON guests(confirmation_code);
+CREATE INDEX idx_guests_check_in_time ON guests(check_in_time);
+
+-- =====================================================
+-- Table: ushers  (Stores usher/admin user accounts)
+-- =====================================================
+CREATE TABLE ushers (
+    usher_id      VARCHAR(10) PRIMARY KEY,
+    username      VARCHAR(50) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    full_name     VARCHAR(100) NOT NULL,
+    role          VARCHAR(20)  DEFAULT 'Usher' CHECK (role IN ('Viewer', 'Usher', 'Supervisor', 'Admin')),
+    active        BOOLEAN      DEFAULT true,
+    token_version INTEGER      NOT NULL DEFAULT 1,  -- bumped to invalidate every token already issued
+    created_at    TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    last_login    TIMESTAMP
+);
+
+-- Indexes for ushers table
+CREATE INDEX idx_ushers_username ON ushers(username);
+CREATE INDEX idx_ushers_active   ON ushers(active);
+CREATE INDEX idx_ushers_role     ON ushers(role);
+
+-- =====================================================
+-- Table: zones  (Entrances or areas of an event and the tickets they admit)
+-- =====================================================
+CREATE TABLE zones (
+    zone_id       VARCHAR(10)  PRIMARY KEY,
+    event_id      VARCHAR(10)  NOT NULL,
+    name          VARCHAR(100) NOT NULL,
+    ticket_types  TEXT[]       NOT NULL DEFAULT '{}',  -- admitted ticket types, matched case-insensitively
+    created_at    TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, name),
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+
+-- Indexes for zones table
+CREATE INDEX idx_zones_event ON zones(event_id);
+
+-- =====================================================
+-- Table: usher_events  (Which events each usher may work)
+-- =====================================================
+CREATE TABLE usher_events (
+    usher_id      VARCHAR(10) NOT NULL,
+    event_id      VARCHAR(10) NOT NULL,
+    zone_id       VARCHAR(10),             -- entrance the usher works; NULL admits every ticket type
+    assigned_at   TIMESTAMP   DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (usher_id, event_id),
+    FOREIGN KEY (usher_id) REFERENCES ushers(usher_id) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+    FOREIGN KEY (zone_id) REFERENCES zones(zone_id) ON DELETE SET NULL
+);
+
+-- Indexes for usher_events table
+CREATE INDEX idx_usher_events_event ON usher_events(event_id);
+CREATE INDEX idx_usher_events_zone  ON usher_events(zone_id);
+
+-- =====================================================
+-- Table: auth_sessions  (Issued login tokens, keyed by JWT jti, for revocation)
+-- =====================================================
+CREATE TABLE auth_sessions (
+    jti            VARCHAR(64) PRIMARY KEY,
+    usher_id       VARCHAR(10) NOT NULL,
+    family_id      VARCHAR(64) NOT NULL,   -- one login; shared with its refresh tokens
+    issued_at      TIMESTAMP   DEFAULT CURRENT_TIMESTAMP,
+    expires_at     TIMESTAMP   NOT NULL,   -- rows past this are pruned
+    revoked_at     TIMESTAMP,
+    revoked_reason VARCHAR(100),
+    ip_address     VARCHAR(64),
+    user_agent     VARCHAR(255),
+    FOREIGN KEY (usher_id) REFERENCES ushers(usher_id) ON DELETE CASCADE
+);
+
+-- Indexes for auth_sessions table
+CREATE INDEX idx_auth_sessions_usher   ON auth_sessions(usher_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_auth_sessions_expires ON auth_sessions(expires_at);
+CREATE INDEX idx_auth_sessions_family  ON auth_sessions(family_id);
+
+-- =====================================================
+-- Table: refresh_tokens  (Single-use refresh tokens, rotated on every refresh)
+-- =====================================================
+CREATE TABLE refresh_tokens (
+    jti            VARCHAR(64) PRIMARY KEY,
+    usher_id       VARCHAR(10) NOT NULL,
+    family_id      VARCHAR(64) NOT NULL,
+    issued_at      TIMESTAMP   DEFAULT CURRENT_TIMESTAMP,
+    expires_at     TIMESTAMP   NOT NULL,
+    used_at        TIMESTAMP,              -- set when rotated; presenting it again is reuse
+    replaced_by    VARCHAR(64),
+    revoked_at     TIMESTAMP,
+    FOREIGN KEY (usher_id) REFERENCES ushers(usher_id) ON DELETE CASCADE
+);
+
+-- Indexes for refresh_tokens table
+CREATE INDEX idx_refresh_tokens_family  ON refresh_tokens(family_id);
+CREATE INDEX idx_refresh_tokens_usher   ON refresh_tokens(usher_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+
+-- =====================================================
+-- Table: login_lockouts  (Failed sign-in tracking per username and per IP)
+-- =====================================================
+CREATE TABLE login_lockouts (
+    scope          VARCHAR(10)  NOT NULL CHECK (scope IN ('username', 'ip')),
+    identifier     VARCHAR(100) NOT NULL,
+    failed_count   INTEGER      NOT NULL DEFAULT 0,  -- failures since the last lockout
+    lockout_count  INTEGER      NOT NULL DEFAULT 0,  -- lockouts so far; each one doubles the next
+    last_failed_at TIMESTAMP,
+    locked_until   TIMESTAMP,
+    PRIMARY KEY (scope, identifier)
+);
+
+-- Indexes for login_lockouts table
+CREATE INDEX idx_login_lockouts_locked ON login_lockouts(locked_until);
+
+-- =====================================================
+-- Table: check_in_log  (Audit trail for ALL check-in/undo operations)
+-- =====================================================
+CREATE TABLE check_in_log (
+    id                SERIAL PRIMARY KEY,
+    timestamp         TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    event_id          VARCHAR(10),
+    guest_id          VARCHAR(10),
+    guest_name        VARCHAR(200),
+    action            VARCHAR(50) NOT NULL,
+    usher_name        VARCHAR(100),
+    plus_ones_count   INTEGER DEFAULT 0,
+    notes             TEXT,
+    confirmation_code VARCHAR(255),
+    previous_state    JSONB,
+    new_state         JSONB,
+    FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE SET NULL,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+
+-- Indexes for check_in_log table
+CREATE INDEX idx_log_timestamp ON check_in_log(timestamp DESC);
+CREATE INDEX idx_log_event     ON check_in_log(event_id, timestamp DESC);
+CREATE INDEX idx_log_guest_id  ON check_in_log(guest_id);
+CREATE INDEX idx_log_action    ON check_in_log(action);
+CREATE INDEX idx_log_confirmation ON check_in_log(confirmation_code);
+
+-- =====================================================
+-- Table: sync_operations  (Offline queue items already applied, by idempotency key)
+-- =====================================================
+CREATE TABLE sync_operations (
+    usher_id          VARCHAR(10)  NOT NULL,
+    idempotency_key   VARCHAR(100) NOT NULL,  -- generated by the device when the item is queued
+    event_id          VARCHAR(10)  NOT NULL,
+    device_id         VARCHAR(100),
+    action            VARCHAR(30)  NOT NULL,
+    guest_id          VARCHAR(10),
+    client_timestamp  TIMESTAMP,              -- when the usher acted, by the device clock
+    result            JSONB        NOT NULL,  -- per-item result, returned again on replay
+    processed_at      TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (usher_id, idempotency_key),
+    FOREIGN KEY (usher_id) REFERENCES ushers(usher_id) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+
+-- Indexes for sync_operations table
+CREATE INDEX idx_sync_operations_event ON sync_operations(event_id, processed_at DESC);
+
+-- =====================================================
+-- Comments for documentation
+-- =====================================================
+COMMENT ON TABLE events IS 'Events (galas, parties) that guests, ushers and logs are scoped to';
+COMMENT ON TABLE ticket_types IS 'Ticket type catalogue per event; guests.ticket_type must name one of its rows';
+COMMENT ON TABLE guests IS 'Stores all event guest information';
+COMMENT ON TABLE ushers IS 'User accounts for ushers and administrators';
+COMMENT ON TABLE zones IS 'Entrances per event; an usher assigned to a zone may only admit its ticket types';
+COMMENT ON TABLE usher_events IS 'Assigns ushers to the events they may work';
+COMMENT ON TABLE auth_sessions IS 'Login sessions by token jti; a revoked session rejects its token';
+COMMENT ON TABLE refresh_tokens IS 'Refresh tokens by jti; reusing a rotated token revokes its whole family';
+COMMENT ON TABLE login_lockouts IS 'Failed sign-in counters and progressive lockouts by username and IP';
+COMMENT ON TABLE check_in_log IS 'Audit trail for check-in operations';
+COMMENT ON TABLE sync_operations IS 'Offline queue items already processed; replaying a key returns the stored result';
+COMMENT ON COLUMN guests.confirmation_code IS 'Generated when guest checks in: 8 Crockford base32 symbols with a check symbol, e.g. 7KQ2-M9X1';
+COMMENT ON COLUMN ticket_types.capacity_action IS 'Values: warn (check in and flag), block (refuse check-ins past capacity)';
+COMMENT ON COLUMN guests.status IS 'Values: Not Checked In, Checked In';
+COMMENT ON COLUMN ushers.role IS 'Values: Viewer, Usher, Supervisor, Admin (permissions in api/services/permissions.js)';
+COMMENT ON COLUMN check_in_log.action IS 'Values: Check In, Bulk Check In, Offline Check In, Undo Check In, Check In Reversed, Check Out, Re-Entry, Plus Ones Added, Plus Ones Removed, Duplicate Attempt, Guest Created, Guest Updated, Guest Deleted, Ticket Revoked, login_failed (no event)';
\ No newline at end of file
@@ -0,0 +1,26 @@
+-- =====================================================
+-- Migration 0002: guest search indexes
+-- Typo-tolerant, accent-insensitive guest search backed by trigram indexes.
+-- Both extensions ship with PostgreSQL (contrib) and are available on Neon.
+-- =====================================================
+CREATE EXTENSION IF NOT EXISTS pg_trgm SCHEMA public;
+CREATE EXTENSION IF NOT EXISTS unaccent SCHEMA public;
+
+-- unaccent() is only STABLE because its dictionary can be swapped, so it
+-- cannot appear in an index. Pinning the dictionary makes this wrapper safe
+-- to declare IMMUTABLE. Search queries must call it exactly as the indexes do.
+CREATE OR REPLACE FUNCTION search_normalize(value TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+AS $$ SELECT lower(public.unaccent('public.unaccent'::regdictionary, value)) $$;
+
+-- Phone numbers are matched on their digits only ("(555) 010-2" = "5550102")
+CREATE OR REPLACE FUNCTION phone_digits(value TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+AS $$ SELECT regexp_replace(value, '[^0-9]', '', 'g') $$;
+
+-- Trigram indexes serve both similarity (%, <%) and LIKE '%term%' lookups
+CREATE INDEX idx_guests_search_name  ON guests USING gin (search_normalize(first_name || ' ' || last_name) gin_trgm_ops);
+CREATE INDEX idx_guests_search_email ON guests USING gin (search_normalize(email) gin_trgm_ops);
+CREATE INDEX idx_guests_search_phone ON guests USING gin (phone_digits(phone) gin_trgm_ops);
@@ -0,0 +1,10 @@
+-- =====================================================
+-- Migration 0003: guest list sort indexes
+-- One index per guest list sort (api/services/guest-pagination.js), keyed
+-- the same way, so each page is an index seek past the previous cursor
+-- rather than a sort of the whole event.
+-- =====================================================
+CREATE INDEX idx_guests_sort_name          ON guests (event_id, last_name, first_name, id);
+CREATE INDEX idx_guests_sort_ticket_type   ON guests (event_id, ticket_type, last_name, first_name, id);
+CREATE INDEX idx_guests_sort_check_in_time ON guests (event_id, (check_in_time IS NULL), COALESCE(check_in_time, 'epoch'::timestamp), id);
+CREATE INDEX idx_guests_sort_last_modified ON guests (event_id, (last_modified IS NULL), COALESCE(last_modified, 'epoch'::timestamp), id);
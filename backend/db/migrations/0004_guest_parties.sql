@@ -0,0 +1,25 @@
+-- =====================================================
+-- Migration 0004: guest parties
+-- Guests who arrive together (a family, a corporate table) share a party.
+-- Members stay independent guests with their own tickets; the party lets an
+-- usher see who is still missing and check the rest in with one action.
+-- =====================================================
+CREATE TABLE parties (
+    party_id      VARCHAR(10)  PRIMARY KEY,
+    event_id      VARCHAR(10)  NOT NULL,
+    name          VARCHAR(100) NOT NULL,
+    lead_guest_id VARCHAR(10),  -- the member who booked; always one of the party's guests
+    notes         TEXT,
+    created_at    TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+    FOREIGN KEY (lead_guest_id) REFERENCES guests(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_parties_event ON parties(event_id);
+
+-- A guest belongs to at most one party; deleting the party leaves its guests
+ALTER TABLE guests ADD COLUMN party_id VARCHAR(10) REFERENCES parties(party_id) ON DELETE SET NULL;
+
+CREATE INDEX idx_guests_party ON guests(party_id) WHERE party_id IS NOT NULL;
+
+COMMENT ON TABLE parties IS 'Groups of guests who arrive together; members are still checked in as individual guests';
@@ -0,0 +1,17 @@
+-- =====================================================
+-- Migration 0005: record which usher checked a guest in
+-- checked_in_by holds the usher's display name, which two staff can share
+-- and which changes when a name is edited. The usher ID is what undo uses
+-- to decide whether a check-in is the caller's own.
+-- =====================================================
+ALTER TABLE guests ADD COLUMN checked_in_by_usher_id VARCHAR(10) REFERENCES ushers(usher_id) ON DELETE SET NULL;
+
+-- Existing check-ins: only where the display name identifies one usher
+UPDATE guests g
+SET checked_in_by_usher_id = u.usher_id
+FROM ushers u
+WHERE g.status = 'Checked In'
+  AND u.full_name = g.checked_in_by
+  AND (SELECT COUNT(*) FROM ushers same WHERE same.full_name = u.full_name) = 1;
+
+COMMENT ON COLUMN guests.checked_in_by_usher_id IS 'Usher who made the current check-in; checked_in_by is their name at the time';
@@ -0,0 +1,340 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Database Migrator
+ * Applies the numbered SQL files in db/migrations in order and records each
+ * one in schema_migrations with a checksum of its contents.
+ *
+ * Migration files are named NNNN_description.sql. Once applied, a file must
+ * not change; add a new migration instead. Each migration runs in its own
+ * transaction together with its schema_migrations row.
+ */
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+export const BASELINE_VERSION = '0001';
+
+// Brings a database from the schema.sql that predates events up to the baseline
+export const PRE_EVENTS_UPGRADE = path.join(__dirname, 'upgrades', 'pre-events.sql');
+
+// The tables that schema.sql created
+const PRE_EVENTS_TABLES = ['guests', 'ushers', 'check_in_log'];
+
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_-]+)\.sql$/;
+
+// Arbitrary key so two deploys cannot migrate the same database at once
+const MIGRATION_LOCK_KEY = 7302151;
+
+// Statements that remove tables, columns or rows
+const DESTRUCTIVE_PATTERNS = [
+    /\bDROP\s+(?:TABLE|SCHEMA|DATABASE|COLUMN|TYPE|OWNED)\b/i,
+    /\bALTER\s+TABLE\b[^;]*\bDROP\s+(?!CONSTRAINT\b|DEFAULT\b|NOT\s+NULL\b|IDENTITY\b|EXPRESSION\b)\w+/i,
+    /\bTRUNCATE\b/i,
+    /\bDELETE\s+FROM\b/i
+];
+
+/**
+ * Checksum of a migration file, ignoring line-ending differences
+ * @param {string} sql - File contents
+ * @returns {string} Hex SHA-256
+ */
+export function checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Read the migration files in version order
+ * @param {string} dir - Directory holding the migrations
+ * @returns {Array<object>} { version, name, filename, sql, checksum }
+ */
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = [];
+    const seen = new Map();
+
+    for (const filename of fs.readdirSync(dir).sort()) {
+        if (!filename.endsWith('.sql')) continue;
+
+        const match = filename.match(MIGRATION_FILE);
+        if (!match) {
+            throw new Error(`Migration file ${filename} must be named NNNN_description.sql`);
+        }
+
+        const [, version, name] = match;
+        if (seen.has(version)) {
+            throw new Error(`Migrations ${seen.get(version)} and ${filename} share version ${version}`);
+        }
+        seen.set(version, filename);
+
+        const sql = fs.readFileSync(path.join(dir, filename), 'utf8');
+        migrations.push({ version, name, filename, sql, checksum: checksum(sql) });
+    }
+
+    return migrations;
+}
+
+/**
+ * Find statements in a migration that would destroy data
+ * @param {string} sql - Migration SQL
+ * @returns {Array<string>} The offending statements, trimmed
+ */
+export function findDestructiveStatements(sql) {
+    const withoutComments = sql
+        .replace(/\/\*[\s\S]*?\*\//g, ' ')
+        .replace(/--[^\n]*/g, ' ');
+
+    return withoutComments
+        .split(';')
+        .map(statement => statement.replace(/\s+/g, ' ').trim())
+        .filter(statement => statement && DESTRUCTIVE_PATTERNS.some(pattern => pattern.test(statement)));
+}
+
+/**
+ * Tables a migration creates
+ * @param {string} sql - Migration SQL
+ * @returns {Array<string>} Table names, in file order
+ */
+export function findCreatedTables(sql) {
+    return [...sql.matchAll(/^\s*CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?"?(\w+)"?/gim)]
+        .map(match => match[1].toLowerCase());
+}
+
+/**
+ * Create the schema_migrations table if this database has never been migrated
+ * @param {object} client - Database client
+ */
+export async function ensureMigrationsTable(client) {
+    await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version      VARCHAR(10)  PRIMARY KEY,
+      name         VARCHAR(200) NOT NULL,
+      checksum     CHAR(64)     NOT NULL,
+      applied_at   TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+      execution_ms INTEGER,
+      baselined    BOOLEAN      NOT NULL DEFAULT false
+    )
+  `);
+}
+
+/**
+ * Tables in the current schema, other than schema_migrations, that hold rows
+ * @param {object} client - Database client
+ * @returns {Promise<Array<string>>} Table names
+ */
+export async function findNonEmptyTables(client) {
+    const tables = await client.query(`
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = current_schema()
+      AND table_type = 'BASE TABLE'
+      AND table_name <> 'schema_migrations'
+    ORDER BY table_name
+  `);
+
+    const nonEmpty = [];
+    for (const { table_name: table } of tables.rows) {
+        const result = await client.query(`SELECT EXISTS (SELECT 1 FROM "${table.replace(/"/g, '""')}") AS has_rows`);
+        if (result.rows[0].has_rows) {
+            nonEmpty.push(table);
+        }
+    }
+
+    return nonEmpty;
+}
+
+/**
+ * Compare the migration files with what the database has applied
+ * @param {object} client - Database client
+ * @param {object} options - { dir }
+ * @returns {Promise<object>} { migrations, pending, modified, missing }
+ *   migrations: every file with state applied | pending | modified
+ *   missing: applied versions whose file no longer exists
+ */
+export async function getMigrationStatus(client, { dir = MIGRATIONS_DIR } = {}) {
+    await ensureMigrationsTable(client);
+
+    const files = loadMigrations(dir);
+    const result = await client.query(`
+    SELECT version, name, checksum, applied_at, execution_ms, baselined
+    FROM schema_migrations
+    ORDER BY version
+  `);
+    const applied = new Map(result.rows.map(row => [row.version, row]));
+
+    const migrations = files.map(file => {
+        const row = applied.get(file.version);
+        let state = 'pending';
+        if (row) {
+            state = row.checksum === file.checksum ? 'applied' : 'modified';
+        }
+
+        return {
+            ...file,
+            state,
+            appliedAt: row?.applied_at ?? null,
+            executionMs: row?.execution_ms ?? null,
+            baselined: row?.baselined ?? false
+        };
+    });
+
+    const versions = new Set(files.map(file => file.version));
+
+    return {
+        migrations,
+        pending: migrations.filter(migration => migration.state === 'pending'),
+        modified: migrations.filter(migration => migration.state === 'modified'),
+        missing: result.rows.filter(row => !versions.has(row.version))
+    };
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {object} client - Database client (not inside a transaction)
+ * @param {object} options
+ * @param {boolean} options.allowDestructive - Run destructive SQL even if the database holds data
+ * @param {boolean} options.baseline - Record the baseline as applied without running it, for
+ *   databases created from the last schema.sql (one with every baseline table). A database
+ *   from the schema.sql before events is first upgraded with db/upgrades/pre-events.sql.
+ * @param {string} options.dir - Directory holding the migrations
+ * @param {function} options.onApply - Called with each migration before it runs
+ * @returns {Promise<object>} { applied: [migrations run], baselined: boolean, upgraded: boolean }
+ */
+export async function migrateUp(client, {
+    allowDestructive = false,
+    baseline = false,
+    dir = MIGRATIONS_DIR,
+    onApply = () => {}
+} = {}) {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+    try {
+        const status = await getMigrationStatus(client, { dir });
+
+        if (status.modified.length > 0) {
+            throw new Error(
+                `Applied migrations have changed since they ran: ${status.modified.map(m => m.filename).join(', ')}. ` +
+                'Restore the original files and put the change in a new migration.'
+            );
+        }
+
+        let pending = status.pending;
+        let baselined = false;
+        let upgraded = false;
+        const nothingApplied = status.migrations.every(migration => migration.state === 'pending');
+
+        if (nothingApplied && pending[0]?.version === BASELINE_VERSION) {
+            const baselineTables = findCreatedTables(pending[0].sql);
+            const existing = await client.query(`
+        SELECT table_name
+        FROM information_schema.tables
+        WHERE table_schema = current_schema() AND table_name = ANY($1)
+      `, [baselineTables]);
+
+            const found = new Set(existing.rows.map(row => row.table_name));
+            const missingTables = baselineTables.filter(table => !found.has(table));
+
+            // Exactly the tables of the schema.sql from before events: upgrade it in
+            // place. Any other partial set is a shape the upgrade does not know.
+            const preEvents = missingTables.length > 0 &&
+                found.size === PRE_EVENTS_TABLES.length &&
+                PRE_EVENTS_TABLES.every(table => found.has(table));
+
+            if (found.size > 0 && missingTables.length > 0 && !preEvents) {
+                throw new Error(
+                    `This database has some baseline tables (${[...found].join(', ')}) but lacks ${missingTables.join(', ')}. ` +
+                    'It matches no released schema.sql, so the baseline can neither run on it nor be recorded as applied.'
+                );
+            }
+
+            if (baseline) {
+                if (found.size === 0) {
+                    throw new Error('--baseline is only for databases created from a schema.sql; this one has no tables yet');
+                }
+
+                try {
+                    await client.query('BEGIN');
+                    if (preEvents) {
+                        await client.query(fs.readFileSync(PRE_EVENTS_UPGRADE, 'utf8'));
+                    }
+                    await client.query(`
+            INSERT INTO schema_migrations (version, name, checksum, execution_ms, baselined)
+            VALUES ($1, $2, $3, 0, true)
+          `, [pending[0].version, pending[0].name, pending[0].checksum]);
+                    await client.query('COMMIT');
+                } catch (err) {
+                    await client.query('ROLLBACK');
+                    throw preEvents ? new Error(`Upgrading the pre-events schema failed: ${err.message}`) : err;
+                }
+
+                pending = pending.slice(1);
+                baselined = true;
+                upgraded = preEvents;
+            } else if (preEvents) {
+                throw new Error(
+                    'This database was created from the schema.sql that predates events. ' +
+                    'Back it up and run with --baseline to upgrade it: its guests, ushers and log move into a default event.'
+                );
+            } else if (found.size > 0) {
+                throw new Error(
+                    'This database was created before migrations and already has the baseline tables. ' +
+                    'Run with --baseline to record the baseline as applied.'
+                );
+            }
+        }
+
+        if (pending.length === 0) {
+            return { applied: [], baselined, upgraded };
+        }
+
+        // Only look for data if a pending migration could destroy it
+        const destructive = pending
+            .map(migration => ({ migration, statements: findDestructiveStatements(migration.sql) }))
+            .filter(({ statements }) => statements.length > 0);
+
+        if (destructive.length > 0 && !allowDestructive) {
+            const nonEmpty = await findNonEmptyTables(client);
+
+            if (nonEmpty.length > 0) {
+                const details = destructive
+                    .map(({ migration, statements }) => `${migration.filename}: ${statements.join('; ')}`)
+                    .join('\n  ');
+
+                throw new Error(
+                    `Refusing to run destructive SQL against a database with data (${nonEmpty.join(', ')}):\n  ${details}\n` +
+                    'Back up the database and run again with --allow-destructive if this is intended.'
+                );
+            }
+        }
+
+        const applied = [];
+
+        for (const migration of pending) {
+            onApply(migration);
+            const started = Date.now();
+
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.sql);
+                await client.query(`
+          INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+          VALUES ($1, $2, $3, $4)
+        `, [migration.version, migration.name, migration.checksum, Date.now() - started]);
+                await client.query('COMMIT');
+            } catch (err) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${migration.filename} failed: ${err.message}`);
+            }
+
+            applied.push({ ...migration, executionMs: Date.now() - started });
+        }
+
+        return { applied, baselined, upgraded };
+
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+}
@@ -1,6 +1,25 @@
 -- GuestList Pro Seed Data
 -- Sample data for testing
 
+-- =====================================================
+-- Seed: Events
+-- =====================================================
+INSERT INTO events (event_id, name, venue, starts_at, ends_at, active, created_at) VALUES
+('E001', 'Spring Gala', 'Grand Ballroom', NOW() - INTERVAL '2 hours', NOW() + INTERVAL '4 hours', true, NOW()),
+('E002', 'Autumn Fundraiser', 'Riverside Hall', NOW() + INTERVAL '30 days', NOW() + INTERVAL '30 days 5 hours', true, NOW());
+
+-- =====================================================
+-- Seed: Ticket types
+-- The gala caps the VIP list; the fundraiser only warns
+-- =====================================================
+INSERT INTO ticket_types (ticket_type_id, event_id, name, display_name, color, default_plus_ones, capacity, capacity_action, created_at) VALUES
+('T001', 'E001', 'VIP', 'VIP', '#F59E0B', 2, 40, 'block', NOW()),
+('T002', 'E001', 'Premium', 'Premium', '#8B5CF6', 1, 60, 'block', NOW()),
+('T003', 'E001', 'General', 'General Admission', '#0EA5E9', 0, 200, 'block', NOW()),
+('T004', 'E002', 'VIP', 'VIP', '#F59E0B', 1, 20, 'warn', NOW()),
+('T005', 'E002', 'Premium', 'Premium', '#8B5CF6', 1, NULL, 'warn', NOW()),
+('T006', 'E002', 'General', 'General Admission', '#0EA5E9', 0, NULL, 'warn', NOW());
+
 -- =====================================================
 -- Seed: Ushers
 -- Password for all: "password123" (will be hashed properly in Batch 4)
@@ -8,28 +27,54 @@
 INSERT INTO ushers (usher_id, username, password_hash, full_name, role, active, created_at) VALUES
 ('U001', 'admin', '$2a$10$rKJ8TuJa5z.QQq0YvXqJnO7gVJ8LqXyHZqNxqJ8mJ9gKqXyHZqNxq', 'Admin User', 'Admin', true, NOW()),
 ('U002', 'usher1', '$2a$10$rKJ8TuJa5z.QQq0YvXqJnO7gVJ8LqXyHZqNxqJ8mJ9gKqXyHZqNxq', 'John Usher', 'Usher', true, NOW()),
-('U003', 'usher2', '$2a$10$rKJ8TuJa5z.QQq0YvXqJnO7gVJ8LqXyHZqNxqJ8mJ9gKqXyHZqNxq', 'Jane Usher', 'Usher', true, NOW());
+('U003', 'usher2', '$2a$10$rKJ8TuJa5z.QQq0YvXqJnO7gVJ8LqXyHZqNxqJ8mJ9gKqXyHZqNxq', 'Jane Usher', 'Usher', true, NOW()),
+('U004', 'supervisor1', '$2a$10$rKJ8TuJa5z.QQq0YvXqJnO7gVJ8LqXyHZqNxqJ8mJ9gKqXyHZqNxq', 'Sam Supervisor', 'Supervisor', true, NOW()),
+('U005', 'door1', '$2a$10$rKJ8TuJa5z.QQq0YvXqJnO7gVJ8LqXyHZqNxqJ8mJ9gKqXyHZqNxq', 'Door Display', 'Viewer', true, NOW());
+
+-- =====================================================
+-- Seed: Zones
+-- The gala has a main entrance for everyone and a VIP lounge door
+-- =====================================================
+INSERT INTO zones (zone_id, event_id, name, ticket_types, created_at) VALUES
+('Z001', 'E001', 'Main Entrance', ARRAY['General', 'Premium', 'VIP'], NOW()),
+('Z002', 'E001', 'VIP Lounge', ARRAY['VIP', 'Premium'], NOW());
+
+-- =====================================================
+-- Seed: Usher event assignments
+-- usher1 works the gala only, usher2 works both events;
+-- the supervisor and the door display cover the gala.
+-- usher2 works the VIP lounge door at the gala.
+-- =====================================================
+INSERT INTO usher_events (usher_id, event_id, zone_id) VALUES
+('U002', 'E001', NULL),
+('U003', 'E001', 'Z002'),
+('U003', 'E002', NULL),
+('U004', 'E001', NULL),
+('U005', 'E001', NULL);
 
 -- =====================================================
 -- Seed: Guests
 -- Mix of checked-in and not checked-in guests
 -- =====================================================
-INSERT INTO guests (id, first_name, last_name, email, phone, ticket_type, plus_ones_allowed, status, created_at) VALUES
-('G001', 'John', 'Smith', 'john.smith@email.com', '+1-555-0101', 'VIP', 2, 'Not Checked In', NOW()),
-('G002', 'Sarah', 'Johnson', 'sarah.j@email.com', '+1-555-0102', 'General', 1, 'Not Checked In', NOW()),
-('G003', 'Michael', 'Williams', 'm.williams@email.com', '+1-555-0103', 'VIP', 3, 'Not Checked In', NOW()),
-('G004', 'Emily', 'Brown', 'emily.brown@email.com', '+1-555-0104', 'General', 0, 'Not Checked In', NOW()),
-('G005', 'David', 'Jones', 'david.jones@email.com', '+1-555-0105', 'Premium', 2, 'Not Checked In', NOW()),
-('G006', 'Lisa', 'Garcia', 'lisa.garcia@email.com', '+1-555-0106', 'General', 1, 'Not Checked In', NOW()),
-('G007', 'James', 'Martinez', 'j.martinez@email.com', '+1-555-0107', 'VIP', 4, 'Not Checked In', NOW()),
-('G008', 'Maria', 'Rodriguez', 'maria.r@email.com', '+1-555-0108', 'General', 0, 'Not Checked In', NOW()),
-('G009', 'Robert', 'Davis', 'robert.davis@email.com', '+1-555-0109', 'Premium', 2, 'Not Checked In', NOW()),
-('G010', 'Jennifer', 'Lopez', 'jennifer.l@email.com', '+1-555-0110', 'VIP', 3, 'Not Checked In', NOW()),
-('G011', 'William', 'Miller', 'w.miller@email.com', '+1-555-0111', 'General', 1, 'Not Checked In', NOW()),
-('G012', 'Elizabeth', 'Wilson', 'e.wilson@email.com', '+1-555-0112', 'Premium', 2, 'Not Checked In', NOW()),
-('G013', 'Thomas', 'Moore', 'thomas.m@email.com', '+1-555-0113', 'VIP', 2, 'Not Checked In', NOW()),
-('G014', 'Linda', 'Taylor', 'linda.t@email.com', '+1-555-0114', 'General', 0, 'Not Checked In', NOW()),
-('G015', 'Christopher', 'Anderson', 'chris.a@email.com', '+1-555-0115', 'Premium', 3, 'Not Checked In', NOW());
+INSERT INTO guests (id, event_id, first_name, last_name, email, phone, ticket_type, plus_ones_allowed, status, created_at) VALUES
+('G001', 'E001', 'John', 'Smith', 'john.smith@email.com', '+1-555-0101', 'VIP', 2, 'Not Checked In', NOW()),
+('G002', 'E001', 'Sarah', 'Johnson', 'sarah.j@email.com', '+1-555-0102', 'General', 1, 'Not Checked In', NOW()),
+('G003', 'E001', 'Michael', 'Williams', 'm.williams@email.com', '+1-555-0103', 'VIP', 3, 'Not Checked In', NOW()),
+('G004', 'E001', 'Emily', 'Brown', 'emily.brown@email.com', '+1-555-0104', 'General', 0, 'Not Checked In', NOW()),
+('G005', 'E001', 'David', 'Jones', 'david.jones@email.com', '+1-555-0105', 'Premium', 2, 'Not Checked In', NOW()),
+('G006', 'E001', 'Lisa', 'Garcia', 'lisa.garcia@email.com', '+1-555-0106', 'General', 1, 'Not Checked In', NOW()),
+('G007', 'E001', 'James', 'Martinez', 'j.martinez@email.com', '+1-555-0107', 'VIP', 4, 'Not Checked In', NOW()),
+('G008', 'E001', 'Maria', 'Rodriguez', 'maria.r@email.com', '+1-555-0108', 'General', 0, 'Not Checked In', NOW()),
+('G009', 'E001', 'Robert', 'Davis', 'robert.davis@email.com', '+1-555-0109', 'Premium', 2, 'Not Checked In', NOW()),
+('G010', 'E001', 'Jennifer', 'Lopez', 'jennifer.l@email.com', '+1-555-0110', 'VIP', 3, 'Not Checked In', NOW()),
+('G011', 'E001', 'William', 'Miller', 'w.miller@email.com', '+1-555-0111', 'General', 1, 'Not Checked In', NOW()),
+('G012', 'E001', 'Elizabeth', 'Wilson', 'e.wilson@email.com', '+1-555-0112', 'Premium', 2, 'Not Checked In', NOW()),
+('G013', 'E001', 'Thomas', 'Moore', 'thomas.m@email.com', '+1-555-0113', 'VIP', 2, 'Not Checked In', NOW()),
+('G014', 'E001', 'Linda', 'Taylor', 'linda.t@email.com', '+1-555-0114', 'General', 0, 'Not Checked In', NOW()),
+('G015', 'E001', 'Christopher', 'Anderson', 'chris.a@email.com', '+1-555-0115', 'Premium', 3, 'Not Checked In', NOW()),
+('G016', 'E002', 'Olivia', 'Thompson', 'olivia.t@email.com', '+1-555-0116', 'VIP', 1, 'Not Checked In', NOW()),
+('G017', 'E002', 'Daniel', 'White', 'daniel.w@email.com', '+1-555-0117', 'General', 0, 'Not Checked In', NOW()),
+('G018', 'E002', 'Sophia', 'Harris', 'sophia.h@email.com', '+1-555-0118', 'Premium', 2, 'Not Checked In', NOW());
 
 -- =====================================================
 -- Pre-checked in guests (for testing)
@@ -37,41 +82,63 @@ INSERT INTO guests (id, first_name, last_name, email, phone, ticket_type, plus_o
 UPDATE guests 
 SET 
     status = 'Checked In',
+    on_site = true,
     check_in_time = NOW() - INTERVAL '30 minutes',
-    confirmation_code = 'usher1-johnsmith-1704067200000',
+    confirmation_code = '6YBY-RTT2',
     checked_in_by = 'John Usher',
+    checked_in_by_usher_id = 'U002',
     plus_ones_checked_in = 1
 WHERE id = 'G001';
 
 UPDATE guests 
 SET 
     status = 'Checked In',
+    on_site = true,
     check_in_time = NOW() - INTERVAL '45 minutes',
-    confirmation_code = 'usher2-sarahjohnson-1704067100000',
+    confirmation_code = '9C9Q-XMJ5',
     checked_in_by = 'Jane Usher',
+    checked_in_by_usher_id = 'U003',
     plus_ones_checked_in = 0
 WHERE id = 'G002';
 
 UPDATE guests 
 SET 
     status = 'Checked In',
+    on_site = true,
     check_in_time = NOW() - INTERVAL '1 hour',
-    confirmation_code = 'usher1-michaelwilliams-1704066600000',
+    confirmation_code = '2MPP-E59J',
     checked_in_by = 'John Usher',
+    checked_in_by_usher_id = 'U002',
     plus_ones_checked_in = 2
 WHERE id = 'G003';
 
+-- =====================================================
+-- Seed: Parties (guests arriving together)
+-- The Johnson family is partly in: Sarah arrived ahead of the others
+-- =====================================================
+INSERT INTO parties (party_id, event_id, name, lead_guest_id, notes, created_at) VALUES
+('P001', 'E001', 'Johnson family', 'G002', NULL, NOW()),
+('P002', 'E001', 'Davis & Co. table', 'G009', 'Table 12', NOW());
+
+UPDATE guests SET party_id = 'P001' WHERE id IN ('G002', 'G004', 'G006');
+UPDATE guests SET party_id = 'P002' WHERE id IN ('G009', 'G012', 'G015');
+
 -- =====================================================
 -- Seed: Check-in log entries for pre-checked guests
 -- =====================================================
-INSERT INTO check_in_log (guest_id, guest_name, action, usher_name, plus_ones_count, confirmation_code, timestamp) VALUES
-('G001', 'John Smith', 'Check In', 'John Usher', 1, 'usher1-johnsmith-1704067200000', NOW() - INTERVAL '30 minutes'),
-('G002', 'Sarah Johnson', 'Check In', 'Jane Usher', 0, 'usher2-sarahjohnson-1704067100000', NOW() - INTERVAL '45 minutes'),
-('G003', 'Michael Williams', 'Check In', 'John Usher', 2, 'usher1-michaelwilliams-1704066600000', NOW() - INTERVAL '1 hour');
+INSERT INTO check_in_log (event_id, guest_id, guest_name, action, usher_name, plus_ones_count, confirmation_code, timestamp) VALUES
+('E001', 'G001', 'John Smith', 'Check In', 'John Usher', 1, '6YBY-RTT2', NOW() - INTERVAL '30 minutes'),
+('E001', 'G002', 'Sarah Johnson', 'Check In', 'Jane Usher', 0, '9C9Q-XMJ5', NOW() - INTERVAL '45 minutes'),
+('E001', 'G003', 'Michael Williams', 'Check In', 'John Usher', 2, '2MPP-E59J', NOW() - INTERVAL '1 hour');
 
 -- =====================================================
 -- Display summary
 -- =====================================================
+SELECT 
+    'Events' as table_name, 
+    COUNT(*) as record_count 
+FROM events
+UNION ALL
 SELECT 
     'Ushers' as table_name, 
     COUNT(*) as record_count 
@@ -82,6 +149,11 @@ SELECT
     COUNT(*) as record_count 
 FROM guests
 UNION ALL
+SELECT 
+    'Parties' as table_name, 
+    COUNT(*) as record_count 
+FROM parties
+UNION ALL
 SELECT 
     'Check-in Logs' as table_name, 
     COUNT(*) as record_count 
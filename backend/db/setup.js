@@ -3,6 +3,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { findNonEmptyTables, migrateUp } from './migrator.js';
 
 dotenv.config();
 
@@ -12,7 +13,8 @@ const __dirname = path.dirname(__filename);
 
 /**
  * Database Setup Script
- * Runs schema.sql and seed.sql to initialize the database
+ * Applies the migrations in db/migrations, then loads seed.sql into an empty
+ * database. A database that already holds data keeps it and is not seeded.
  */
 
 async function setupDatabase() {
@@ -39,33 +41,38 @@ async function setupDatabase() {
         await client.connect();
         console.log('✅ Connected successfully\n');
 
-        // Read schema file
-        console.log('📋 Reading schema.sql...');
-        const schemaPath = path.join(__dirname, 'schema.sql');
-        const schemaSQL = fs.readFileSync(schemaPath, 'utf8');
-
-        // Execute schema
-        console.log('🏗️  Creating tables...');
-        await client.query(schemaSQL);
-        console.log('✅ Tables created\n');
-
-        // Read seed file
-        console.log('📋 Reading seed.sql...');
-        const seedPath = path.join(__dirname, 'seed.sql');
-        const seedSQL = fs.readFileSync(seedPath, 'utf8');
-
-        // Execute seed
-        console.log('🌱 Inserting seed data...');
-        await client.query(seedSQL);
-        console.log('✅ Seed data inserted\n');
+        // Apply migrations
+        console.log('🏗️  Applying migrations...');
+        const { applied } = await migrateUp(client, {
+            onApply: (migration) => console.log(`   ${migration.filename}`)
+        });
+        console.log(`✅ ${applied.length} migration(s) applied\n`);
+
+        const nonEmpty = await findNonEmptyTables(client);
+
+        if (nonEmpty.length > 0) {
+            console.log('⏭️  Database already has data; skipping seed.sql\n');
+        } else {
+            // Read seed file
+            console.log('📋 Reading seed.sql...');
+            const seedPath = path.join(__dirname, 'seed.sql');
+            const seedSQL = fs.readFileSync(seedPath, 'utf8');
+
+            // Execute seed
+            console.log('🌱 Inserting seed data...');
+            await client.query(seedSQL);
+            console.log('✅ Seed data inserted\n');
+        }
 
         // Verify setup
         console.log('🔍 Verifying setup...\n');
 
+        const eventsCount = await client.query('SELECT COUNT(*) FROM events');
         const guestsCount = await client.query('SELECT COUNT(*) FROM guests');
         const ushersCount = await client.query('SELECT COUNT(*) FROM ushers');
         const logsCount = await client.query('SELECT COUNT(*) FROM check_in_log');
 
+        console.log(`✅ Events: ${eventsCount.rows[0].count} records`);
         console.log(`✅ Guests: ${guestsCount.rows[0].count} records`);
         console.log(`✅ Ushers: ${ushersCount.rows[0].count} records`);
         console.log(`✅ Logs: ${logsCount.rows[0].count} records`);
@@ -0,0 +1,222 @@
+-- =====================================================
+-- Upgrade: the original schema.sql to the baseline (migration 0001)
+-- Databases created before events existed have guests, ushers and
+-- check_in_log only. `npm run db:migrate -- --baseline` runs this file in
+-- one transaction and then records 0001 as applied (db/migrator.js).
+--
+-- Everything already there moves into one event, E001 "Main Event", which
+-- admins can rename. Every usher is assigned to it, and each ticket type the
+-- guest list uses gets a catalogue entry without a capacity limit.
+-- =====================================================
+
+-- =====================================================
+-- Events, and the one that takes the existing data
+-- =====================================================
+CREATE TABLE events (
+    event_id      VARCHAR(10) PRIMARY KEY,
+    name          VARCHAR(200) NOT NULL,
+    venue         VARCHAR(200),
+    starts_at     TIMESTAMP,
+    ends_at       TIMESTAMP,
+    active        BOOLEAN      DEFAULT true,
+    undo_window_seconds INTEGER NOT NULL DEFAULT 30 CHECK (undo_window_seconds BETWEEN 0 AND 3600),
+    created_at    TIMESTAMP    DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_events_active    ON events(active);
+CREATE INDEX idx_events_starts_at ON events(starts_at);
+
+INSERT INTO events (event_id, name, active) VALUES ('E001', 'Main Event', true);
+
+-- =====================================================
+-- Ticket types in use, unlimited
+-- =====================================================
+CREATE TABLE ticket_types (
+    ticket_type_id    VARCHAR(10)  PRIMARY KEY,
+    event_id          VARCHAR(10)  NOT NULL,
+    name              VARCHAR(50)  NOT NULL,  -- value stored in guests.ticket_type
+    display_name      VARCHAR(100) NOT NULL,
+    color             VARCHAR(7)   NOT NULL DEFAULT '#64748B' CHECK (color ~ '^#[0-9A-Fa-f]{6}$'),
+    default_plus_ones INTEGER      NOT NULL DEFAULT 0 CHECK (default_plus_ones >= 0),
+    capacity          INTEGER      CHECK (capacity IS NULL OR capacity > 0),  -- people incl. companions; NULL is unlimited
+    capacity_action   VARCHAR(10)  NOT NULL DEFAULT 'block' CHECK (capacity_action IN ('warn', 'block')),
+    created_at        TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX idx_ticket_types_event_name ON ticket_types(event_id, LOWER(name));
+
+INSERT INTO ticket_types (ticket_type_id, event_id, name, display_name)
+SELECT 'T' || LPAD(ROW_NUMBER() OVER (ORDER BY LOWER(ticket_type))::text, 3, '0'), 'E001', ticket_type, ticket_type
+FROM (
+    SELECT DISTINCT ON (LOWER(ticket_type)) ticket_type
+    FROM guests
+    ORDER BY LOWER(ticket_type), ticket_type
+) used;
+
+-- =====================================================
+-- Guests: scoped to the event; checked-in guests are still inside
+-- =====================================================
+ALTER TABLE guests
+    ADD COLUMN event_id       VARCHAR(10),
+    ADD COLUMN on_site        BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN ticket_version INTEGER NOT NULL DEFAULT 1;
+
+UPDATE guests SET event_id = 'E001', on_site = (status = 'Checked In');
+
+ALTER TABLE guests
+    ALTER COLUMN event_id SET NOT NULL,
+    ADD CONSTRAINT guests_event_id_fkey FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE;
+
+-- Lookups lead with the event; confirmation codes are now unique
+DROP INDEX idx_guests_status;
+DROP INDEX idx_guests_confirmation;
+
+CREATE INDEX idx_guests_event ON guests(event_id);
+CREATE INDEX idx_guests_status ON guests(event_id, status);
+CREATE INDEX idx_guests_ticket_type ON guests(event_id, ticket_type);
+CREATE INDEX idx_guests_on_site ON guests(event_id) WHERE on_site;
+CREATE UNIQUE INDEX idx_guests_confirmation ON guests(confirmation_code);
+
+-- =====================================================
+-- Ushers: token versions and the four roles
+-- =====================================================
+ALTER TABLE ushers
+    ADD COLUMN token_version INTEGER NOT NULL DEFAULT 1,
+    ADD CONSTRAINT ushers_role_check CHECK (role IN ('Viewer', 'Usher', 'Supervisor', 'Admin'));
+
+-- =====================================================
+-- Entrances and event assignments; everyone works the imported event
+-- =====================================================
+CREATE TABLE zones (
+    zone_id       VARCHAR(10)  PRIMARY KEY,
+    event_id      VARCHAR(10)  NOT NULL,
+    name          VARCHAR(100) NOT NULL,
+    ticket_types  TEXT[]       NOT NULL DEFAULT '{}',  -- admitted ticket types, matched case-insensitively
+    created_at    TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, name),
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_zones_event ON zones(event_id);
+
+CREATE TABLE usher_events (
+    usher_id      VARCHAR(10) NOT NULL,
+    event_id      VARCHAR(10) NOT NULL,
+    zone_id       VARCHAR(10),             -- entrance the usher works; NULL admits every ticket type
+    assigned_at   TIMESTAMP   DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (usher_id, event_id),
+    FOREIGN KEY (usher_id) REFERENCES ushers(usher_id) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE,
+    FOREIGN KEY (zone_id) REFERENCES zones(zone_id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_usher_events_event ON usher_events(event_id);
+CREATE INDEX idx_usher_events_zone  ON usher_events(zone_id);
+
+INSERT INTO usher_events (usher_id, event_id)
+SELECT usher_id, 'E001' FROM ushers;
+
+-- =====================================================
+-- Sessions, refresh tokens and sign-in lockouts
+-- =====================================================
+CREATE TABLE auth_sessions (
+    jti            VARCHAR(64) PRIMARY KEY,
+    usher_id       VARCHAR(10) NOT NULL,
+    family_id      VARCHAR(64) NOT NULL,   -- one login; shared with its refresh tokens
+    issued_at      TIMESTAMP   DEFAULT CURRENT_TIMESTAMP,
+    expires_at     TIMESTAMP   NOT NULL,   -- rows past this are pruned
+    revoked_at     TIMESTAMP,
+    revoked_reason VARCHAR(100),
+    ip_address     VARCHAR(64),
+    user_agent     VARCHAR(255),
+    FOREIGN KEY (usher_id) REFERENCES ushers(usher_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_auth_sessions_usher   ON auth_sessions(usher_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_auth_sessions_expires ON auth_sessions(expires_at);
+CREATE INDEX idx_auth_sessions_family  ON auth_sessions(family_id);
+
+CREATE TABLE refresh_tokens (
+    jti            VARCHAR(64) PRIMARY KEY,
+    usher_id       VARCHAR(10) NOT NULL,
+    family_id      VARCHAR(64) NOT NULL,
+    issued_at      TIMESTAMP   DEFAULT CURRENT_TIMESTAMP,
+    expires_at     TIMESTAMP   NOT NULL,
+    used_at        TIMESTAMP,              -- set when rotated; presenting it again is reuse
+    replaced_by    VARCHAR(64),
+    revoked_at     TIMESTAMP,
+    FOREIGN KEY (usher_id) REFERENCES ushers(usher_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_refresh_tokens_family  ON refresh_tokens(family_id);
+CREATE INDEX idx_refresh_tokens_usher   ON refresh_tokens(usher_id) WHERE revoked_at IS NULL;
+CREATE INDEX idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+
+CREATE TABLE login_lockouts (
+    scope          VARCHAR(10)  NOT NULL CHECK (scope IN ('username', 'ip')),
+    identifier     VARCHAR(100) NOT NULL,
+    failed_count   INTEGER      NOT NULL DEFAULT 0,  -- failures since the last lockout
+    lockout_count  INTEGER      NOT NULL DEFAULT 0,  -- lockouts so far; each one doubles the next
+    last_failed_at TIMESTAMP,
+    locked_until   TIMESTAMP,
+    PRIMARY KEY (scope, identifier)
+);
+
+CREATE INDEX idx_login_lockouts_locked ON login_lockouts(locked_until);
+
+-- =====================================================
+-- Check-in log: scoped to the event, with before/after state
+-- =====================================================
+ALTER TABLE check_in_log
+    ADD COLUMN event_id       VARCHAR(10),
+    ADD COLUMN previous_state JSONB,
+    ADD COLUMN new_state      JSONB;
+
+UPDATE check_in_log SET event_id = 'E001';
+
+ALTER TABLE check_in_log
+    ADD CONSTRAINT check_in_log_event_id_fkey FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE;
+
+CREATE INDEX idx_log_event     ON check_in_log(event_id, timestamp DESC);
+CREATE INDEX idx_log_confirmation ON check_in_log(confirmation_code);
+
+-- =====================================================
+-- Offline sync
+-- =====================================================
+CREATE TABLE sync_operations (
+    usher_id          VARCHAR(10)  NOT NULL,
+    idempotency_key   VARCHAR(100) NOT NULL,  -- generated by the device when the item is queued
+    event_id          VARCHAR(10)  NOT NULL,
+    device_id         VARCHAR(100),
+    action            VARCHAR(30)  NOT NULL,
+    guest_id          VARCHAR(10),
+    client_timestamp  TIMESTAMP,              -- when the usher acted, by the device clock
+    result            JSONB        NOT NULL,  -- per-item result, returned again on replay
+    processed_at      TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (usher_id, idempotency_key),
+    FOREIGN KEY (usher_id) REFERENCES ushers(usher_id) ON DELETE CASCADE,
+    FOREIGN KEY (event_id) REFERENCES events(event_id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_sync_operations_event ON sync_operations(event_id, processed_at DESC);
+
+-- =====================================================
+-- Comments, as in the baseline
+-- =====================================================
+COMMENT ON TABLE events IS 'Events (galas, parties) that guests, ushers and logs are scoped to';
+COMMENT ON TABLE ticket_types IS 'Ticket type catalogue per event; guests.ticket_type must name one of its rows';
+COMMENT ON TABLE guests IS 'Stores all event guest information';
+COMMENT ON TABLE ushers IS 'User accounts for ushers and administrators';
+COMMENT ON TABLE zones IS 'Entrances per event; an usher assigned to a zone may only admit its ticket types';
+COMMENT ON TABLE usher_events IS 'Assigns ushers to the events they may work';
+COMMENT ON TABLE auth_sessions IS 'Login sessions by token jti; a revoked session rejects its token';
+COMMENT ON TABLE refresh_tokens IS 'Refresh tokens by jti; reusing a rotated token revokes its whole family';
+COMMENT ON TABLE login_lockouts IS 'Failed sign-in counters and progressive lockouts by username and IP';
+COMMENT ON TABLE check_in_log IS 'Audit trail for check-in operations';
+COMMENT ON TABLE sync_operations IS 'Offline queue items already processed; replaying a key returns the stored result';
+COMMENT ON COLUMN guests.confirmation_code IS 'Generated when guest checks in: 8 Crockford base32 symbols with a check symbol, e.g. 7KQ2-M9X1';
+COMMENT ON COLUMN ticket_types.capacity_action IS 'Values: warn (check in and flag), block (refuse check-ins past capacity)';
+COMMENT ON COLUMN guests.status IS 'Values: Not Checked In, Checked In';
+COMMENT ON COLUMN ushers.role IS 'Values: Viewer, Usher, Supervisor, Admin (permissions in api/services/permissions.js)';
+COMMENT ON COLUMN check_in_log.action IS 'Values: Check In, Bulk Check In, Offline Check In, Undo Check In, Check In Reversed, Check Out, Re-Entry, Plus Ones Added, Plus Ones Removed, Duplicate Attempt, Guest Created, Guest Updated, Guest Deleted, Ticket Revoked, login_failed (no event)';
@@ -19,27 +19,77 @@ import debugDbHandler from './api/debug-db.js';
 import loginHandler from './api/auth/login.js';
 import verifyHandler from './api/auth/verify.js';
 import logoutHandler from './api/auth/logout.js';
+import logoutAllHandler from './api/auth/logout-all.js';
+import refreshHandler from './api/auth/refresh.js';
 
 // Route handlers - Guest Read Operations (Batch 5)
 import guestListHandler from './api/guests/list.js';
 import guestSearchHandler from './api/guests/search.js';
 import guestGetByIdHandler from './api/guests/get-by-id.js';
+import guestScanHandler from './api/guests/scan.js';
+import guestVerifyConfirmationHandler from './api/guests/verify-confirmation.js';
 
 // Route handlers - Guest Check-In Operations (Batch 6)
 import guestCheckInHandler from './api/guests/check-in.js';
 import guestUndoCheckInHandler from './api/guests/undo-check-in.js';
 import guestBulkCheckInHandler from './api/guests/bulk-check-in.js';
+import guestPlusOnesHandler from './api/guests/plus-ones.js';
+import guestCheckOutHandler from './api/guests/check-out.js';
+import guestReEntryHandler from './api/guests/re-entry.js';
 
 // Route handlers - Admin Statistics & Export (Batch 7)
 import adminStatsHandler from './api/admin/stats.js';
 import adminAuditLogHandler from './api/admin/audit-log.js';
 import adminExportHandler from './api/admin/export.js';
 
+// Route handlers - Admin Guest Management
+import adminGuestImportHandler from './api/admin/guests/import.js';
+import adminGuestCreateHandler from './api/admin/guests/create.js';
+import adminGuestUpdateHandler from './api/admin/guests/update.js';
+import adminGuestDeleteHandler from './api/admin/guests/delete.js';
+import adminGuestTicketHandler from './api/admin/guests/ticket.js';
+import adminGuestRevokeTicketHandler from './api/admin/guests/revoke-ticket.js';
+import adminGuestReverseCheckInHandler from './api/admin/guests/reverse-check-in.js';
+import adminGuestQrHandler from './api/admin/guests/qr.js';
+import adminGuestBadgesHandler from './api/admin/guests/badges.js';
+
 // Route handlers - Admin User Management (Batch 8)
 import adminUsherListHandler from './api/admin/ushers/list.js';
 import adminUsherUpdateHandler from './api/admin/ushers/update.js';
 import adminUsherCreateHandler from './api/admin/ushers/create.js';
 import adminUsherDeleteHandler from './api/admin/ushers/delete.js';
+import adminUsherLogoutAllHandler from './api/admin/ushers/logout-all.js';
+import adminLockoutListHandler from './api/admin/lockouts/list.js';
+import adminLockoutClearHandler from './api/admin/lockouts/clear.js';
+
+// Route handlers - Events
+import eventListHandler from './api/events/list.js';
+import adminEventCreateHandler from './api/admin/events/create.js';
+import adminEventUpdateHandler from './api/admin/events/update.js';
+import adminZoneListHandler from './api/admin/zones/list.js';
+import adminZoneCreateHandler from './api/admin/zones/create.js';
+import adminZoneUpdateHandler from './api/admin/zones/update.js';
+import adminZoneDeleteHandler from './api/admin/zones/delete.js';
+
+// Route handlers - Ticket Types
+import ticketTypeListHandler from './api/ticket-types/list.js';
+import adminTicketTypeCreateHandler from './api/admin/ticket-types/create.js';
+import adminTicketTypeUpdateHandler from './api/admin/ticket-types/update.js';
+import adminTicketTypeDeleteHandler from './api/admin/ticket-types/delete.js';
+
+// Route handlers - Parties
+import partyGetByIdHandler from './api/parties/get-by-id.js';
+import partyCheckInHandler from './api/parties/check-in.js';
+import adminPartyCreateHandler from './api/admin/parties/create.js';
+import adminPartyUpdateHandler from './api/admin/parties/update.js';
+import adminPartyDeleteHandler from './api/admin/parties/delete.js';
+
+// Route handlers - Live updates
+import liveStreamHandler from './api/live/stream.js';
+
+// Route handlers - Offline sync
+import syncQueueHandler from './api/sync/queue.js';
+import syncStatusHandler from './api/sync/status.js';
 
 // Validate critical env vars (warn only to avoid crash in early setup)
 const requiredEnv = ['JWT_SECRET'];
@@ -52,12 +102,35 @@ for (const key of requiredEnv) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Client IPs (req.ip) feed the sign-in lockouts, so X-Forwarded-For is only
+// believed from proxies we run. TRUST_PROXY takes Express's trust proxy
+// setting: 'true', 'false', a hop count, or addresses/subnets (default: loopback).
+// Per-IP lockouts stay off until it is set ('false' when nothing sits in front).
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : 'loopback');
+if (trustProxy === 'true' || trustProxy === 'false') {
+    app.set('trust proxy', trustProxy === 'true');
+} else {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // ===== Global Middleware =====
 app.use(corsMiddleware);            // CORS
 app.use(rateLimitMiddleware);       // Rate limiting
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Express 5 exposes req.query as a read-only getter; copy it to a plain object
+// so the route wrappers below can hand URL params to handlers via req.query
+app.use((req, res, next) => {
+    Object.defineProperty(req, 'query', {
+        value: { ...req.query },
+        writable: true,
+        enumerable: true,
+        configurable: true
+    });
+    next();
+});
+
 // Request logging
 app.use((req, res, next) => {
     const startTime = Date.now();
@@ -91,6 +164,11 @@ app.post('/api/auth/login', async (req, res) => {
     catch (err) { logError('Login error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
 });
 
+app.post('/api/auth/refresh', async (req, res) => {
+    try { await refreshHandler(req, res); }
+    catch (err) { logError('Refresh error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
 app.get('/api/auth/verify', authenticate, async (req, res) => {
     try { await verifyHandler(req, res); }
     catch (err) { logError('Verify error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
@@ -101,6 +179,39 @@ app.post('/api/auth/logout', authenticate, async (req, res) => {
     catch (err) { logError('Logout error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
 });
 
+app.post('/api/auth/logout-all', authenticate, async (req, res) => {
+    try { await logoutAllHandler(req, res); }
+    catch (err) { logError('Logout everywhere error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+// ===== Events - Protected =====
+app.get('/api/events', authenticate, async (req, res) => {
+    try { await eventListHandler(req, res); }
+    catch (err) { logError('Event list error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.get('/api/ticket-types', authenticate, async (req, res) => {
+    try { await ticketTypeListHandler(req, res); }
+    catch (err) { logError('Ticket type list error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+// ===== Live Updates (Server-Sent Events) - Protected =====
+app.get('/api/live', authenticate, async (req, res) => {
+    try { await liveStreamHandler(req, res); }
+    catch (err) { logError('Live stream error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+// ===== Offline Sync - Protected =====
+app.post('/api/sync/queue', authenticate, async (req, res) => {
+    try { await syncQueueHandler(req, res); }
+    catch (err) { logError('Sync queue error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.get('/api/sync/status', authenticate, async (req, res) => {
+    try { await syncStatusHandler(req, res); }
+    catch (err) { logError('Sync status error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
 // ===== Guest Read Operations (Batch 5) - Protected =====
 app.get('/api/guests', authenticate, async (req, res) => {
     try { await guestListHandler(req, res); }
@@ -112,6 +223,20 @@ app.post('/api/guests/search', authenticate, async (req, res) => {
     catch (err) { logError('Guest search error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
 });
 
+app.post('/api/guests/scan', authenticate, async (req, res) => {
+    try { await guestScanHandler(req, res); }
+    catch (err) { logError('Guest scan error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.get('/api/guests/confirmations/:code', authenticate, async (req, res) => {
+    try {
+        // Extract code from params and put in query for handler
+        req.query.code = req.params.code;
+        await guestVerifyConfirmationHandler(req, res);
+    }
+    catch (err) { logError('Guest confirmation lookup error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
 app.get('/api/guests/:id', authenticate, async (req, res) => {
     try {
         // Extract ID from params and put in query for handler
@@ -137,6 +262,40 @@ app.post('/api/guests/bulk-check-in', authenticate, async (req, res) => {
     catch (err) { logError('Guest bulk check-in error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
 });
 
+app.post('/api/guests/plus-ones', authenticate, async (req, res) => {
+    try { await guestPlusOnesHandler(req, res); }
+    catch (err) { logError('Guest plus ones error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/guests/check-out', authenticate, async (req, res) => {
+    try { await guestCheckOutHandler(req, res); }
+    catch (err) { logError('Guest check-out error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/guests/re-entry', authenticate, async (req, res) => {
+    try { await guestReEntryHandler(req, res); }
+    catch (err) { logError('Guest re-entry error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+// ===== Parties - Protected =====
+app.get('/api/parties/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await partyGetByIdHandler(req, res);
+    }
+    catch (err) { logError('Party get by ID error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/parties/:id/check-in', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await partyCheckInHandler(req, res);
+    }
+    catch (err) { logError('Party check-in error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
 // ===== Admin Statistics & Export (Batch 7) - Admin Only =====
 app.get('/api/admin/stats', authenticate, async (req, res) => {
     try { await adminStatsHandler(req, res); }
@@ -153,6 +312,99 @@ app.post('/api/admin/export', authenticate, async (req, res) => {
     catch (err) { logError('Admin export error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
 });
 
+// ===== Admin Guest Management - Admin Only =====
+app.post('/api/admin/guests/import', authenticate, async (req, res) => {
+    try { await adminGuestImportHandler(req, res); }
+    catch (err) { logError('Admin guest import error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/admin/guests', authenticate, async (req, res) => {
+    try { await adminGuestCreateHandler(req, res); }
+    catch (err) { logError('Admin guest create error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.put('/api/admin/guests/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminGuestUpdateHandler(req, res);
+    }
+    catch (err) { logError('Admin guest update error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.delete('/api/admin/guests/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminGuestDeleteHandler(req, res);
+    }
+    catch (err) { logError('Admin guest delete error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.get('/api/admin/guests/:id/ticket', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminGuestTicketHandler(req, res);
+    }
+    catch (err) { logError('Admin guest ticket error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/admin/guests/:id/ticket/revoke', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminGuestRevokeTicketHandler(req, res);
+    }
+    catch (err) { logError('Admin guest ticket revoke error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/admin/guests/:id/reverse-check-in', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminGuestReverseCheckInHandler(req, res);
+    }
+    catch (err) { logError('Admin guest reverse check-in error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.get('/api/admin/guests/:id/qr', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminGuestQrHandler(req, res);
+    }
+    catch (err) { logError('Admin guest QR error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/admin/guests/badges', authenticate, async (req, res) => {
+    try { await adminGuestBadgesHandler(req, res); }
+    catch (err) { logError('Admin guest badges error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/admin/parties', authenticate, async (req, res) => {
+    try { await adminPartyCreateHandler(req, res); }
+    catch (err) { logError('Admin party create error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.put('/api/admin/parties/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminPartyUpdateHandler(req, res);
+    }
+    catch (err) { logError('Admin party update error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.delete('/api/admin/parties/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminPartyDeleteHandler(req, res);
+    }
+    catch (err) { logError('Admin party delete error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
 // ===== Admin User Management (Batch 8) - Admin Only =====
 app.get('/api/admin/ushers', authenticate, async (req, res) => {
     try { await adminUsherListHandler(req, res); }
@@ -182,6 +434,96 @@ app.delete('/api/admin/ushers/:id', authenticate, async (req, res) => {
     catch (err) { logError('Admin usher delete error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
 });
 
+app.post('/api/admin/ushers/:id/logout-all', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminUsherLogoutAllHandler(req, res);
+    }
+    catch (err) { logError('Admin usher logout everywhere error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.get('/api/admin/lockouts', authenticate, async (req, res) => {
+    try { await adminLockoutListHandler(req, res); }
+    catch (err) { logError('Admin lockout list error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.delete('/api/admin/lockouts/:scope/:identifier', authenticate, async (req, res) => {
+    try {
+        // Extract scope and identifier from params and put in query for handler
+        req.query.scope = req.params.scope;
+        req.query.identifier = req.params.identifier;
+        await adminLockoutClearHandler(req, res);
+    }
+    catch (err) { logError('Admin lockout clear error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+// ===== Admin Event Management - Admin Only =====
+app.post('/api/admin/events', authenticate, async (req, res) => {
+    try { await adminEventCreateHandler(req, res); }
+    catch (err) { logError('Admin event create error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.put('/api/admin/events/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminEventUpdateHandler(req, res);
+    }
+    catch (err) { logError('Admin event update error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.get('/api/admin/zones', authenticate, async (req, res) => {
+    try { await adminZoneListHandler(req, res); }
+    catch (err) { logError('Admin zone list error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/admin/zones', authenticate, async (req, res) => {
+    try { await adminZoneCreateHandler(req, res); }
+    catch (err) { logError('Admin zone create error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.put('/api/admin/zones/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminZoneUpdateHandler(req, res);
+    }
+    catch (err) { logError('Admin zone update error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.delete('/api/admin/zones/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminZoneDeleteHandler(req, res);
+    }
+    catch (err) { logError('Admin zone delete error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.post('/api/admin/ticket-types', authenticate, async (req, res) => {
+    try { await adminTicketTypeCreateHandler(req, res); }
+    catch (err) { logError('Admin ticket type create error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.put('/api/admin/ticket-types/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminTicketTypeUpdateHandler(req, res);
+    }
+    catch (err) { logError('Admin ticket type update error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
+app.delete('/api/admin/ticket-types/:id', authenticate, async (req, res) => {
+    try {
+        // Extract ID from params and put in query for handler
+        req.query.id = req.params.id;
+        await adminTicketTypeDeleteHandler(req, res);
+    }
+    catch (err) { logError('Admin ticket type delete error', err); res.status(500).json({ success: false, error: 'Internal server error', message: err.message }); }
+});
+
 // Root
 app.get('/', (req, res) => {
     res.json({
@@ -198,25 +540,72 @@ app.get('/', (req, res) => {
             ],
             auth: [
                 'POST /api/auth/login',
+                'POST /api/auth/refresh',
                 'GET /api/auth/verify (protected)',
-                'POST /api/auth/logout (protected)'
+                'POST /api/auth/logout (protected)',
+                'POST /api/auth/logout-all (protected)'
+            ],
+            events: [
+                'GET /api/events (protected)',
+                'GET /api/ticket-types (protected)',
+                'GET /api/live (protected, Server-Sent Events)'
             ],
             guests: [
                 'GET /api/guests (protected)',
                 'POST /api/guests/search (protected)',
+                'POST /api/guests/scan (protected)',
+                'GET /api/guests/confirmations/:code (protected)',
                 'GET /api/guests/:id (protected)',
                 'POST /api/guests/check-in (protected)',
                 'POST /api/guests/undo-check-in (protected)',
-                'POST /api/guests/bulk-check-in (protected)'
+                'POST /api/guests/bulk-check-in (protected)',
+                'POST /api/guests/plus-ones (protected)',
+                'POST /api/guests/check-out (protected)',
+                'POST /api/guests/re-entry (protected)'
+            ],
+            parties: [
+                'GET /api/parties/:id (protected)',
+                'POST /api/parties/:id/check-in (protected)'
+            ],
+            sync: [
+                'POST /api/sync/queue (protected)',
+                'GET /api/sync/status (protected)'
             ],
             admin: [
                 'GET /api/admin/stats (admin only)',
                 'GET /api/admin/audit-log (admin only)',
                 'POST /api/admin/export (admin only)',
+                'POST /api/admin/guests/import (admin only)',
+                'POST /api/admin/guests (admin only)',
+                'PUT /api/admin/guests/:id (admin only)',
+                'DELETE /api/admin/guests/:id (admin only)',
+                'GET /api/admin/guests/:id/ticket (admin only)',
+                'POST /api/admin/guests/:id/ticket/revoke (admin only)',
+                'POST /api/admin/guests/:id/reverse-check-in (admin only)',
+                'GET /api/admin/guests/:id/qr (admin only)',
+                'POST /api/admin/guests/badges (admin only)',
+                'POST /api/admin/parties (admin only)',
+                'PUT /api/admin/parties/:id (admin only)',
+                'DELETE /api/admin/parties/:id (admin only)',
                 'GET /api/admin/ushers (admin only)',
                 'POST /api/admin/ushers (admin only)',
                 'PUT /api/admin/ushers/:id (admin only)',
-                'DELETE /api/admin/ushers/:id (admin only)'
+                'DELETE /api/admin/ushers/:id (admin only)',
+                'POST /api/admin/ushers/:id/logout-all (admin only)',
+                'GET /api/admin/lockouts (admin only)',
+                'DELETE /api/admin/lockouts/:scope/:identifier (admin only)',
+                'POST /api/admin/events (admin only)',
+                'PUT /api/admin/events/:id (admin only)',
+                'GET /api/admin/zones (admin only)',
+                'POST /api/admin/zones (admin only)',
+                'PUT /api/admin/zones/:id (admin only)',
+                'DELETE /api/admin/zones/:id (admin only)',
+                'POST /api/admin/ticket-types (admin only)',
+                'PUT /api/admin/ticket-types/:id (admin only)',
+                'DELETE /api/admin/ticket-types/:id (admin only)'
+            ],
+            notes: [
+                'Guest, check-in, party, import, stats, audit-log, export, zone, ticket type, live and sync routes are scoped to an event via the X-Event-Id header'
             ]
         }
     });
@@ -270,6 +659,9 @@ if (process.env.NODE_ENV !== 'test') {
             if (!process.env.FRONTEND_URL) {
                 logError('⚠️  WARNING: FRONTEND_URL not set in production!');
             }
+            if (!process.env.TRUST_PROXY && !process.env.VERCEL) {
+                logError('⚠️  WARNING: TRUST_PROXY not set in production; per-IP sign-in lockouts are off!');
+            }
         }
     });
 
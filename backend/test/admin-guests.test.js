@@ -0,0 +1,193 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+describe('admin guest management', () => {
+    let app;
+
+    const getGuest = async (guestId) => {
+        const result = await app.db.query('SELECT * FROM guests WHERE id = $1', [guestId]);
+        return result.rows[0];
+    };
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('POST /api/admin/guests', () => {
+        it('adds a guest with the next ID and the ticket type default plus ones', async () => {
+            const res = await app.request('POST', '/api/admin/guests', {
+                body: { firstName: 'Grace', lastName: 'Hopper', ticketType: 'VIP', email: 'grace@example.com' }
+            });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.guest.id, 'G019');
+            assert.equal(res.body.data.guest.event_id, 'E001');
+            // VIP at the gala allows 2 companions by default
+            assert.equal(res.body.data.guest.plus_ones_allowed, 2);
+        });
+
+        it('rejects a ticket type outside the event catalogue', async () => {
+            const res = await app.request('POST', '/api/admin/guests', {
+                body: { firstName: 'Ada', lastName: 'Lovelace', ticketType: 'Backstage' }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Validation Error');
+        });
+
+        it('requires guests.manage', async () => {
+            const res = await app.request('POST', '/api/admin/guests', {
+                as: 'supervisor1',
+                body: { firstName: 'Ada', lastName: 'Lovelace', ticketType: 'VIP' }
+            });
+
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('PUT /api/admin/guests/:id', () => {
+        it('updates guest details', async () => {
+            const res = await app.request('PUT', '/api/admin/guests/G019', {
+                body: { phone: '+1-555-0199', plusOnesAllowed: 1 }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.guest.phone, '+1-555-0199');
+            assert.equal(res.body.data.guest.plus_ones_allowed, 1);
+        });
+
+        it('returns 404 for a guest of another event', async () => {
+            const res = await app.request('PUT', '/api/admin/guests/G016', { body: { phone: '123' } });
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('DELETE /api/admin/guests/:id', () => {
+        it('deletes a guest who is not checked in', async () => {
+            const res = await app.request('DELETE', '/api/admin/guests/G019');
+
+            assert.equal(res.status, 200);
+            assert.equal(await getGuest('G019'), undefined);
+        });
+
+        it('refuses to delete a checked-in guest', async () => {
+            const res = await app.request('DELETE', '/api/admin/guests/G001');
+
+            assert.notEqual(res.status, 200);
+            assert.ok(await getGuest('G001'));
+        });
+    });
+
+    describe('POST /api/admin/guests/import', () => {
+        const csv = [
+            'ID,First Name,Last Name,Email,Ticket Type,Plus Ones Allowed',
+            ',Katherine,Johnson,katherine@example.com,Premium,',
+            'G004,Emily,Brown-Smith,emily.brown@email.com,General,0'
+        ].join('\n');
+
+        it('reports what a dry run would do without writing', async () => {
+            const res = await app.request('POST', '/api/admin/guests/import', { body: { csv } });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.mode, 'dry-run');
+            assert.equal(res.body.data.summary.wouldInsert, 1);
+            assert.equal(res.body.data.summary.wouldUpdate, 1);
+            assert.equal((await getGuest('G004')).last_name, 'Brown');
+        });
+
+        it('imports every row in commit mode', async () => {
+            const res = await app.request('POST', '/api/admin/guests/import', { body: { csv, mode: 'commit' } });
+
+            assert.equal(res.status, 200);
+            assert.equal((await getGuest('G004')).last_name, 'Brown-Smith');
+
+            const inserted = await app.db.query(`SELECT * FROM guests WHERE email = 'katherine@example.com'`);
+            assert.equal(inserted.rows.length, 1);
+            assert.equal(inserted.rows[0].event_id, 'E001');
+        });
+
+        it('imports nothing when any row is invalid', async () => {
+            const res = await app.request('POST', '/api/admin/guests/import', {
+                body: {
+                    mode: 'commit',
+                    csv: [
+                        'First Name,Last Name,Ticket Type',
+                        'Dorothy,Vaughan,General',
+                        'Mary,Jackson,Backstage'
+                    ].join('\n')
+                }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Import Failed');
+
+            const dorothy = await app.db.query(`SELECT * FROM guests WHERE last_name = 'Vaughan'`);
+            assert.equal(dorothy.rows.length, 0);
+        });
+    });
+
+    describe('tickets', () => {
+        it('issues a ticket and renders it as PNG and SVG', async () => {
+            const ticket = await app.request('GET', '/api/admin/guests/G008/ticket');
+            assert.equal(ticket.status, 200);
+            assert.equal(ticket.body.data.version, 1);
+
+            const png = await app.request('GET', '/api/admin/guests/G008/qr');
+            assert.equal(png.status, 200);
+            assert.equal(png.headers.get('content-type'), 'image/png');
+
+            const svg = await app.request('GET', '/api/admin/guests/G008/qr?format=svg');
+            assert.equal(svg.status, 200);
+            assert.match(svg.headers.get('content-type'), /^image\/svg\+xml/);
+            assert.ok(svg.text.includes('<svg'));
+        });
+
+        it('revokes issued tickets so they no longer scan', async () => {
+            const ticket = await app.request('GET', '/api/admin/guests/G008/ticket');
+
+            const revoke = await app.request('POST', '/api/admin/guests/G008/ticket/revoke', { body: { reason: 'Reported lost' } });
+            assert.equal(revoke.status, 200);
+            assert.equal(revoke.body.data.version, 2);
+
+            const scan = await app.request('POST', '/api/guests/scan', { as: 'usher1', body: { code: ticket.body.data.code } });
+            assert.equal(scan.status, 400);
+        });
+
+        it('prints badges as a PDF', async () => {
+            const res = await app.request('POST', '/api/admin/guests/badges', { body: { ticketType: 'VIP' } });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.headers.get('content-type'), 'application/pdf');
+            assert.ok(res.text.startsWith('%PDF'));
+        });
+    });
+
+    describe('POST /api/admin/guests/:id/reverse-check-in', () => {
+        it('reverses a check-in after the undo window and records the previous state', async () => {
+            const res = await app.request('POST', '/api/admin/guests/G002/reverse-check-in', {
+                as: 'supervisor1',
+                body: { reason: 'Checked in the wrong Sarah' }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.previousState.checked_in_by, 'Jane Usher');
+            assert.equal((await getGuest('G002')).status, 'Not Checked In');
+        });
+
+        it('requires a reason and guests.undo.any', async () => {
+            const noReason = await app.request('POST', '/api/admin/guests/G003/reverse-check-in', { as: 'supervisor1', body: {} });
+            assert.equal(noReason.status, 400);
+
+            const usher = await app.request('POST', '/api/admin/guests/G003/reverse-check-in', {
+                as: 'usher1',
+                body: { reason: 'Mistake' }
+            });
+            assert.equal(usher.status, 403);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+const parseCsv = (text) => text.split('\n').map(line => line.split(','));
+
+describe('admin statistics, export and audit log', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('GET /api/admin/stats', () => {
+        it('summarises the active event from the seed data', async () => {
+            const res = await app.request('GET', '/api/admin/stats');
+
+            assert.equal(res.status, 200);
+            const { overview, byTicketType, capacity, event } = res.body.data;
+            assert.equal(event.eventId, 'E001');
+            assert.deepEqual(
+                {
+                    totalGuests: overview.totalGuests,
+                    checkedIn: overview.checkedIn,
+                    notCheckedIn: overview.notCheckedIn,
+                    totalPlusOnes: overview.totalPlusOnes,
+                    totalAttendees: overview.totalAttendees,
+                    currentlyInside: overview.currentlyInside,
+                    checkInPercentage: overview.checkInPercentage
+                },
+                {
+                    totalGuests: 15,
+                    checkedIn: 3,
+                    notCheckedIn: 12,
+                    totalPlusOnes: 3,
+                    totalAttendees: 6,
+                    currentlyInside: 6,
+                    checkInPercentage: 20
+                }
+            );
+
+            const vip = byTicketType.find(row => row.ticketType === 'VIP');
+            assert.deepEqual({ count: vip.count, plusOnes: vip.plusOnes }, { count: 2, plusOnes: 3 });
+
+            const vipCapacity = capacity.find(row => row.ticketType === 'VIP');
+            assert.equal(vipCapacity.capacity, 40);
+            assert.equal(vipCapacity.checkedIn, 5);
+        });
+
+        it('reflects new check-ins once the cache is cleared by the write', async () => {
+            await app.request('GET', '/api/admin/stats');
+            await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G004' } });
+
+            const res = await app.request('GET', '/api/admin/stats');
+            assert.equal(res.body.data.overview.checkedIn, 4);
+            assert.equal(res.body.data.recent.lastHour, 3);
+        });
+
+        it('is readable by viewers but not ushers', async () => {
+            const viewer = await app.request('GET', '/api/admin/stats', { as: 'door1' });
+            assert.equal(viewer.status, 200);
+
+            const usher = await app.request('GET', '/api/admin/stats', { as: 'usher1' });
+            assert.equal(usher.status, 403);
+        });
+    });
+
+    describe('POST /api/admin/export', () => {
+        it('downloads the event guest list as CSV', async () => {
+            const res = await app.request('POST', '/api/admin/export', { body: {} });
+
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/csv/);
+            assert.match(res.headers.get('content-disposition'), /attachment; filename="guestlist_export_e001_\d{4}-\d{2}-\d{2}\.csv"/);
+
+            const [header, ...rows] = parseCsv(res.text);
+            assert.equal(header[0], 'ID');
+            assert.equal(header[1], 'First Name');
+            assert.equal(rows.length, 15);
+            assert.deepEqual(rows[0].slice(0, 3), ['G015', 'Christopher', 'Anderson']);
+        });
+
+        it('filters by status and ticket type', async () => {
+            const res = await app.request('POST', '/api/admin/export', {
+                body: { status: 'Checked In', ticketType: 'VIP' }
+            });
+
+            const [, ...rows] = parseCsv(res.text);
+            assert.deepEqual(rows.map(row => row[0]).sort(), ['G001', 'G003']);
+        });
+
+        it('quotes fields containing commas and quotes', async () => {
+            await app.db.query(`UPDATE guests SET notes = 'Table 4, "near stage"' WHERE id = 'G013'`);
+
+            const res = await app.request('POST', '/api/admin/export', { body: { ticketType: 'VIP' } });
+
+            assert.ok(res.text.includes('"Table 4, ""near stage"""'));
+        });
+
+        it('rejects an invalid date filter', async () => {
+            const res = await app.request('POST', '/api/admin/export', { body: { startDate: 'yesterday' } });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Validation Error');
+        });
+
+        it('requires guests.manage', async () => {
+            const res = await app.request('POST', '/api/admin/export', { as: 'supervisor1', body: {} });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('GET /api/admin/audit-log', () => {
+        it('lists entries newest first and filters by action and guest', async () => {
+            const res = await app.request('GET', '/api/admin/audit-log?limit=10');
+
+            assert.equal(res.status, 200);
+            const timestamps = res.body.data.logs.map(log => new Date(log.timestamp).getTime());
+            assert.deepEqual(timestamps, [...timestamps].sort((a, b) => b - a));
+            assert.ok(res.body.data.logs.every(log => log.event_id === 'E001'));
+
+            const filtered = await app.request('GET', '/api/admin/audit-log?action=Check%20In&guestId=G004');
+            assert.equal(filtered.body.data.logs.length, 1);
+            assert.equal(filtered.body.data.logs[0].usher_name, 'John Usher');
+        });
+
+        it('is readable by supervisors but not ushers', async () => {
+            const supervisor = await app.request('GET', '/api/admin/audit-log', { as: 'supervisor1' });
+            assert.equal(supervisor.status, 200);
+
+            const usher = await app.request('GET', '/api/admin/audit-log', { as: 'usher1' });
+            assert.equal(usher.status, 403);
+        });
+    });
+});
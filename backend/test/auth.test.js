@@ -0,0 +1,168 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+describe('auth', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    it('logs in with the seed password and returns tokens and permissions', async () => {
+        const res = await app.request('POST', '/api/auth/login', {
+            as: null,
+            body: { username: 'usher1', password: 'password123' }
+        });
+
+        assert.equal(res.status, 200);
+        assert.ok(res.body.data.token);
+        assert.ok(res.body.data.refreshToken);
+        assert.equal(res.body.data.user.usherId, 'U002');
+        assert.equal(res.body.data.user.role, 'Usher');
+        assert.ok(res.body.data.user.permissions.includes('guests.checkin'));
+    });
+
+    it('rejects a wrong password and missing fields', async () => {
+        const wrong = await app.request('POST', '/api/auth/login', {
+            as: null,
+            body: { username: 'usher1', password: 'not-the-password' }
+        });
+        assert.equal(wrong.status, 401);
+        assert.equal(wrong.body.error, 'Authentication Failed');
+
+        const missing = await app.request('POST', '/api/auth/login', { as: null, body: { username: 'usher1' } });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.error, 'Validation Error');
+    });
+
+    it('locks a username out after repeated failures', async () => {
+        for (let i = 0; i < 5; i += 1) {
+            await app.request('POST', '/api/auth/login', {
+                as: null,
+                body: { username: 'usher2', password: 'wrong-password' }
+            });
+        }
+
+        const locked = await app.request('POST', '/api/auth/login', {
+            as: null,
+            body: { username: 'usher2', password: 'password123' }
+        });
+        assert.equal(locked.status, 429);
+        assert.ok(locked.body.retryAfter > 0);
+
+        // An admin can clear it
+        const cleared = await app.request('DELETE', '/api/admin/lockouts/username/usher2');
+        assert.equal(cleared.status, 200);
+
+        const again = await app.request('POST', '/api/auth/login', {
+            as: null,
+            body: { username: 'usher2', password: 'password123' }
+        });
+        assert.equal(again.status, 200);
+    });
+
+    it('counts failed sign-ins to a deactivated account', async () => {
+        await app.db.query(`UPDATE ushers SET active = false WHERE username = 'door1'`);
+
+        try {
+            const res = await app.request('POST', '/api/auth/login', {
+                as: null,
+                body: { username: 'door1', password: 'wrong-password' }
+            });
+            assert.equal(res.status, 401);
+
+            const counter = await app.db.query(`SELECT failed_count FROM login_lockouts WHERE scope = 'username' AND identifier = 'door1'`);
+            assert.equal(counter.rows[0].failed_count, 1);
+
+            const audit = await app.db.query(`SELECT COUNT(*) AS count FROM check_in_log WHERE action = 'login_failed' AND usher_name = 'door1'`);
+            assert.equal(parseInt(audit.rows[0].count), 1);
+        } finally {
+            await app.db.query(`UPDATE ushers SET active = true WHERE username = 'door1'`);
+        }
+    });
+
+    it('does not lock out by IP until TRUST_PROXY is set', async () => {
+        // Without it req.ip may be a proxy every client shares
+        const configured = process.env.TRUST_PROXY;
+        delete process.env.TRUST_PROXY;
+
+        try {
+            for (let i = 0; i < 21; i += 1) {
+                await app.request('POST', '/api/auth/login', {
+                    as: null,
+                    body: { username: `nobody${i}`, password: 'wrong-password' }
+                });
+            }
+
+            const ipCounters = await app.db.query(`SELECT COUNT(*) AS count FROM login_lockouts WHERE scope = 'ip' AND locked_until > NOW()`);
+            assert.equal(parseInt(ipCounters.rows[0].count), 0);
+
+            const login = await app.request('POST', '/api/auth/login', {
+                as: null,
+                body: { username: 'usher1', password: 'password123' }
+            });
+            assert.equal(login.status, 200);
+        } finally {
+            process.env.TRUST_PROXY = configured;
+        }
+    });
+
+    it('requires a token on protected routes', async () => {
+        const none = await app.request('GET', '/api/guests', { as: null });
+        assert.equal(none.status, 401);
+
+        const garbage = await app.request('GET', '/api/guests', { token: 'not-a-jwt' });
+        assert.equal(garbage.status, 401);
+    });
+
+    it('verifies a token', async () => {
+        const res = await app.request('GET', '/api/auth/verify', { as: 'supervisor1' });
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.user.username, 'supervisor1');
+        assert.equal(res.body.data.user.role, 'Supervisor');
+    });
+
+    it('rotates refresh tokens and ends the session when one is reused', async () => {
+        const { refreshToken } = await app.login('usher1');
+
+        const first = await app.request('POST', '/api/auth/refresh', { as: null, body: { refreshToken } });
+        assert.equal(first.status, 200);
+        assert.ok(first.body.data.token);
+        assert.notEqual(first.body.data.refreshToken, refreshToken);
+
+        const reused = await app.request('POST', '/api/auth/refresh', { as: null, body: { refreshToken } });
+        assert.equal(reused.status, 401);
+        assert.equal(reused.body.error, 'Refresh Token Reused');
+
+        // The token issued by the first refresh belonged to the same login and is revoked too
+        const after = await app.request('GET', '/api/auth/verify', { token: first.body.data.token });
+        assert.equal(after.status, 401);
+    });
+
+    it('revokes the token on logout', async () => {
+        const { token } = await app.login('usher1');
+
+        const logout = await app.request('POST', '/api/auth/logout', { token });
+        assert.equal(logout.status, 200);
+
+        const verify = await app.request('GET', '/api/auth/verify', { token });
+        assert.equal(verify.status, 401);
+    });
+
+    it('revokes every session on logout-all', async () => {
+        const first = await app.login('usher1');
+        const second = await app.login('usher1');
+
+        const res = await app.request('POST', '/api/auth/logout-all', { token: first.token });
+        assert.equal(res.status, 200);
+
+        const verify = await app.request('GET', '/api/auth/verify', { token: second.token });
+        assert.equal(verify.status, 401);
+    });
+});
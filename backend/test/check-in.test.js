@@ -0,0 +1,349 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+const CONFIRMATION_CODE = /^[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/;
+
+describe('check-in routes', () => {
+    let app;
+
+    const getGuest = async (guestId) => {
+        const result = await app.db.query('SELECT * FROM guests WHERE id = $1', [guestId]);
+        return result.rows[0];
+    };
+
+    const countLog = async (guestId, action) => {
+        const result = await app.db.query(
+            'SELECT COUNT(*) AS count FROM check_in_log WHERE guest_id = $1 AND action = $2',
+            [guestId, action]
+        );
+        return parseInt(result.rows[0].count);
+    };
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('POST /api/guests/check-in', () => {
+        it('checks a guest in with plus ones and logs it', async () => {
+            const res = await app.request('POST', '/api/guests/check-in', {
+                as: 'usher1',
+                body: { guestId: 'G005', plusOnes: 2, notes: 'Arrived early' }
+            });
+
+            assert.equal(res.status, 200);
+            assert.match(res.body.data.confirmationCode, CONFIRMATION_CODE);
+            assert.equal(res.body.data.undoWindowSeconds, 30);
+            assert.equal(res.body.data.guest.status, 'Checked In');
+            assert.equal(res.body.data.guest.checked_in_by, 'John Usher');
+
+            const guest = await getGuest('G005');
+            assert.equal(guest.plus_ones_checked_in, 2);
+            assert.equal(guest.on_site, true);
+            assert.equal(guest.confirmation_code, res.body.data.confirmationCode);
+            assert.equal(await countLog('G005', 'Check In'), 1);
+        });
+
+        it('refuses more plus ones than allowed', async () => {
+            const res = await app.request('POST', '/api/guests/check-in', {
+                as: 'usher1',
+                body: { guestId: 'G004', plusOnes: 1 }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal((await getGuest('G004')).status, 'Not Checked In');
+        });
+
+        it('refuses a guest already checked in and logs the duplicate attempt', async () => {
+            const res = await app.request('POST', '/api/guests/check-in', {
+                as: 'usher1',
+                body: { guestId: 'G001' }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.code, 'ALREADY_CHECKED_IN');
+            assert.equal(res.body.details.checkedInBy, 'John Usher');
+            assert.equal(await countLog('G001', 'Duplicate Attempt'), 1);
+        });
+
+        it('returns 404 for an unknown guest and 400 without a guest ID', async () => {
+            const unknown = await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G999' } });
+            assert.equal(unknown.status, 404);
+
+            const missing = await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: {} });
+            assert.equal(missing.status, 400);
+            assert.equal(missing.body.error, 'Validation Error');
+        });
+
+        it('refuses ticket types the usher entrance does not admit', async () => {
+            // usher2 works the VIP lounge; G008 holds a General ticket
+            const res = await app.request('POST', '/api/guests/check-in', { as: 'usher2', body: { guestId: 'G008' } });
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'WRONG_ENTRANCE');
+        });
+
+        it('is not allowed for viewers', async () => {
+            const res = await app.request('POST', '/api/guests/check-in', { as: 'door1', body: { guestId: 'G008' } });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('POST /api/guests/undo-check-in', () => {
+        it('undoes a check-in within the undo window', async () => {
+            const checkIn = await app.request('POST', '/api/guests/check-in', {
+                as: 'usher1',
+                body: { guestId: 'G006', plusOnes: 1 }
+            });
+            const { confirmationCode } = checkIn.body.data;
+
+            const res = await app.request('POST', '/api/guests/undo-check-in', {
+                as: 'usher1',
+                body: { confirmationCode, reason: 'Wrong guest' }
+            });
+
+            assert.equal(res.status, 200);
+            const guest = await getGuest('G006');
+            assert.equal(guest.status, 'Not Checked In');
+            assert.equal(guest.plus_ones_checked_in, 0);
+            assert.equal(guest.confirmation_code, null);
+            assert.equal(await countLog('G006', 'Undo Check In'), 1);
+        });
+
+        it('rejects an undo once the window has passed', async () => {
+            // G001 was checked in by usher1 30 minutes before the seed ran
+            const res = await app.request('POST', '/api/guests/undo-check-in', {
+                as: 'usher1',
+                body: { confirmationCode: '6YBY-RTT2' }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Time Window Expired');
+            assert.equal((await getGuest('G001')).status, 'Checked In');
+        });
+
+        it('follows the event undo window setting', async () => {
+            await app.db.query('UPDATE events SET undo_window_seconds = 0 WHERE event_id = $1', ['E001']);
+            // Events are cached per request; drop the cached copy
+            app.cache.clear();
+
+            try {
+                const checkIn = await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G007' } });
+                assert.equal(checkIn.body.data.undoWindowSeconds, 0);
+
+                await new Promise(resolve => setTimeout(resolve, 1100));
+
+                const res = await app.request('POST', '/api/guests/undo-check-in', {
+                    as: 'usher1',
+                    body: { confirmationCode: checkIn.body.data.confirmationCode }
+                });
+                assert.equal(res.status, 400);
+                assert.equal(res.body.error, 'Time Window Expired');
+            } finally {
+                await app.db.query('UPDATE events SET undo_window_seconds = 30 WHERE event_id = $1', ['E001']);
+                app.cache.clear();
+            }
+        });
+
+        it('allows an undo inside a short event window and refuses it once the window passes', async () => {
+            await app.db.query('UPDATE events SET undo_window_seconds = 2 WHERE event_id = $1', ['E001']);
+            app.cache.clear();
+
+            const checkInAndUndo = async (waitMs) => {
+                const checkIn = await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G006' } });
+                assert.equal(checkIn.body.data.undoWindowSeconds, 2);
+
+                await new Promise(resolve => setTimeout(resolve, waitMs));
+
+                return app.request('POST', '/api/guests/undo-check-in', {
+                    as: 'usher1',
+                    body: { confirmationCode: checkIn.body.data.confirmationCode }
+                });
+            };
+
+            try {
+                // G006 is back to Not Checked In since the first undo test
+                const inside = await checkInAndUndo(0);
+                assert.equal(inside.status, 200);
+                assert.equal((await getGuest('G006')).status, 'Not Checked In');
+
+                const after = await checkInAndUndo(2500);
+                assert.equal(after.status, 400);
+                assert.equal(after.body.error, 'Time Window Expired');
+                assert.equal(after.body.details.maxAllowedSeconds, 2);
+                assert.equal((await getGuest('G006')).status, 'Checked In');
+            } finally {
+                await app.db.query('UPDATE events SET undo_window_seconds = 30 WHERE event_id = $1', ['E001']);
+                app.cache.clear();
+            }
+        });
+
+        it('only lets the usher who checked the guest in undo it', async () => {
+            const checkIn = await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G009' } });
+            const { confirmationCode } = checkIn.body.data;
+
+            const other = await app.request('POST', '/api/guests/undo-check-in', { as: 'usher2', body: { confirmationCode } });
+            assert.equal(other.status, 403);
+
+            const supervisor = await app.request('POST', '/api/guests/undo-check-in', { as: 'supervisor1', body: { confirmationCode } });
+            assert.equal(supervisor.status, 200);
+        });
+
+        it('tells ushers apart by ID, not by display name', async () => {
+            await app.db.query(`UPDATE ushers SET full_name = 'John Usher' WHERE username = 'usher2'`);
+
+            try {
+                const { token } = await app.login('usher2');
+                const checkIn = await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G009' } });
+                assert.equal((await getGuest('G009')).checked_in_by_usher_id, 'U002');
+
+                const namesake = await app.request('POST', '/api/guests/undo-check-in', {
+                    token,
+                    body: { confirmationCode: checkIn.body.data.confirmationCode }
+                });
+                assert.equal(namesake.status, 403);
+                assert.equal((await getGuest('G009')).status, 'Checked In');
+            } finally {
+                await app.db.query(`UPDATE ushers SET full_name = 'Jane Usher' WHERE username = 'usher2'`);
+                await app.login('usher2');
+            }
+        });
+
+        it('rejects the confirmation code of an earlier, undone check-in', async () => {
+            const first = await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G011' } });
+            await app.request('POST', '/api/guests/undo-check-in', {
+                as: 'usher1',
+                body: { confirmationCode: first.body.data.confirmationCode }
+            });
+            await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G011' } });
+
+            const res = await app.request('POST', '/api/guests/undo-check-in', {
+                as: 'usher1',
+                body: { confirmationCode: first.body.data.confirmationCode }
+            });
+
+            assert.equal(res.status, 409);
+            assert.equal((await getGuest('G011')).status, 'Checked In');
+        });
+
+        it('rejects a guest who is not checked in', async () => {
+            const res = await app.request('POST', '/api/guests/undo-check-in', { as: 'usher1', body: { guestId: 'G014' } });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Not Checked In');
+        });
+    });
+
+    describe('POST /api/guests/bulk-check-in', () => {
+        it('checks every guest in when all are valid', async () => {
+            const res = await app.request('POST', '/api/guests/bulk-check-in', {
+                as: 'usher1',
+                body: { guests: [{ guestId: 'G012', plusOnes: 1 }, { guestId: 'G013' }] }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.totalSuccessful, 2);
+            assert.equal((await getGuest('G012')).status, 'Checked In');
+            assert.equal((await getGuest('G013')).status, 'Checked In');
+        });
+
+        it('rolls back every check-in when one guest fails', async () => {
+            const res = await app.request('POST', '/api/guests/bulk-check-in', {
+                as: 'usher1',
+                body: { guests: [{ guestId: 'G014' }, { guestId: 'G999' }, { guestId: 'G015', plusOnes: 1 }] }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Bulk Check-In Failed');
+            assert.deepEqual(res.body.data.failed.map(failure => failure.error), ['NOT_FOUND']);
+            assert.equal((await getGuest('G014')).status, 'Not Checked In');
+            assert.equal((await getGuest('G015')).status, 'Not Checked In');
+            assert.equal(await countLog('G014', 'Check In'), 0);
+        });
+
+        it('validates the request', async () => {
+            const empty = await app.request('POST', '/api/guests/bulk-check-in', { as: 'usher1', body: { guests: [] } });
+            assert.equal(empty.status, 400);
+
+            const tooMany = await app.request('POST', '/api/guests/bulk-check-in', {
+                as: 'usher1',
+                body: { guests: Array.from({ length: 51 }, (_, i) => ({ guestId: `G${i}` })) }
+            });
+            assert.equal(tooMany.status, 400);
+        });
+
+        it('rejects a guest listed twice without touching the batch', async () => {
+            const res = await app.request('POST', '/api/guests/bulk-check-in', {
+                as: 'usher1',
+                body: { guests: [{ guestId: 'G014' }, { guestId: 'G015' }, { guestId: ' G014 ' }] }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Validation Error');
+            assert.deepEqual(res.body.details, { index: 2, guestId: 'G014' });
+            assert.equal((await getGuest('G014')).status, 'Not Checked In');
+            assert.equal(await countLog('G014', 'Duplicate Attempt'), 0);
+        });
+    });
+
+    describe('plus ones, check-out and re-entry', () => {
+        it('admits late companions up to the allowance', async () => {
+            // G010 is VIP with 3 plus ones
+            await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G010', plusOnes: 1 } });
+
+            const more = await app.request('POST', '/api/guests/plus-ones', { as: 'usher1', body: { guestId: 'G010', delta: 2 } });
+            assert.equal(more.status, 200);
+            assert.equal((await getGuest('G010')).plus_ones_checked_in, 3);
+
+            const tooMany = await app.request('POST', '/api/guests/plus-ones', { as: 'usher1', body: { guestId: 'G010', delta: 1 } });
+            assert.equal(tooMany.status, 400);
+            assert.equal((await getGuest('G010')).plus_ones_checked_in, 3);
+        });
+
+        it('refuses companions at an entrance that does not admit the guest', async () => {
+            // Jane works the VIP Lounge; G002 holds a General ticket with one plus one
+            const before = (await getGuest('G002')).plus_ones_checked_in;
+
+            const res = await app.request('POST', '/api/guests/plus-ones', { as: 'usher2', body: { guestId: 'G002', delta: 1 } });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'WRONG_ENTRANCE');
+            assert.equal((await getGuest('G002')).plus_ones_checked_in, before);
+        });
+
+        it('checks a guest out and back in without a new check-in', async () => {
+            const out = await app.request('POST', '/api/guests/check-out', { as: 'usher1', body: { guestId: 'G010' } });
+            assert.equal(out.status, 200);
+
+            let guest = await getGuest('G010');
+            assert.equal(guest.on_site, false);
+            assert.equal(guest.status, 'Checked In');
+
+            const back = await app.request('POST', '/api/guests/re-entry', { as: 'usher1', body: { guestId: 'G010' } });
+            assert.equal(back.status, 200);
+
+            guest = await getGuest('G010');
+            assert.equal(guest.on_site, true);
+            assert.equal(await countLog('G010', 'Check In'), 1);
+        });
+
+        it('treats a guest who stepped out as re-entering on scan and check-in alike', async () => {
+            // G003 was checked in by the seed
+            await app.request('POST', '/api/guests/check-out', { as: 'usher1', body: { guestId: 'G003' } });
+            const ticket = await app.request('GET', '/api/admin/guests/G003/ticket');
+
+            const scan = await app.request('POST', '/api/guests/scan', { as: 'usher1', body: { code: ticket.body.data.code } });
+            assert.equal(scan.status, 200);
+            assert.equal(scan.body.data.duplicateAttempt, null);
+
+            const checkIn = await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G003' } });
+            assert.equal(checkIn.status, 400);
+            assert.equal(checkIn.body.code, 'STEPPED_OUT');
+
+            assert.equal(await countLog('G003', 'Duplicate Attempt'), 0);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+describe('event setup routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('events', () => {
+        it('creates an event with the next ID', async () => {
+            const res = await app.request('POST', '/api/admin/events', {
+                eventId: null,
+                body: { name: 'Winter Ball', venue: 'Ice Hall', undoWindowSeconds: 60 }
+            });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.event.event_id, 'E003');
+            assert.equal(res.body.data.event.undo_window_seconds, 60);
+
+            const list = await app.request('GET', '/api/events', { eventId: null });
+            assert.ok(list.body.data.events.some(event => event.event_id === 'E003'));
+        });
+
+        it('updates an event', async () => {
+            const res = await app.request('PUT', '/api/admin/events/E003', {
+                eventId: null,
+                body: { venue: 'Glass Pavilion' }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.event.venue, 'Glass Pavilion');
+        });
+
+        it('validates the input and requires events.manage', async () => {
+            const invalid = await app.request('POST', '/api/admin/events', { eventId: null, body: { name: '' } });
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.error, 'Validation Error');
+
+            const supervisor = await app.request('POST', '/api/admin/events', {
+                as: 'supervisor1',
+                eventId: null,
+                body: { name: 'Not Allowed' }
+            });
+            assert.equal(supervisor.status, 403);
+        });
+    });
+
+    describe('zones', () => {
+        let zoneId;
+
+        it('lists the zones of the active event', async () => {
+            const res = await app.request('GET', '/api/admin/zones');
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.zones.map(zone => zone.name).sort(), ['Main Entrance', 'VIP Lounge']);
+        });
+
+        it('creates, renames and deletes a zone', async () => {
+            const created = await app.request('POST', '/api/admin/zones', {
+                body: { name: 'Terrace', ticketTypes: ['premium'] }
+            });
+            assert.equal(created.status, 201);
+            assert.deepEqual(created.body.data.zone.ticketTypes, ['Premium']);
+            zoneId = created.body.data.zone.zoneId;
+
+            const updated = await app.request('PUT', `/api/admin/zones/${zoneId}`, { body: { name: 'Roof Terrace' } });
+            assert.equal(updated.status, 200);
+            assert.equal(updated.body.data.zone.name, 'Roof Terrace');
+
+            const deleted = await app.request('DELETE', `/api/admin/zones/${zoneId}`);
+            assert.equal(deleted.status, 200);
+
+            const missing = await app.request('DELETE', `/api/admin/zones/${zoneId}`);
+            assert.equal(missing.status, 404);
+        });
+
+        it('rejects ticket types outside the event catalogue and duplicate names', async () => {
+            const unknown = await app.request('POST', '/api/admin/zones', {
+                body: { name: 'Backstage', ticketTypes: ['Crew'] }
+            });
+            assert.equal(unknown.status, 400);
+            assert.ok(unknown.body.details.ticketTypes);
+
+            const duplicate = await app.request('POST', '/api/admin/zones', {
+                body: { name: 'VIP Lounge', ticketTypes: ['VIP'] }
+            });
+            assert.equal(duplicate.status, 409);
+        });
+    });
+
+    describe('ticket types', () => {
+        it('creates a ticket type and deletes it while unused', async () => {
+            const created = await app.request('POST', '/api/admin/ticket-types', {
+                body: { name: 'Press', displayName: 'Press Pass', color: '#10b981', capacity: 10 }
+            });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.data.ticketType.color, '#10B981');
+            assert.equal(created.body.data.ticketType.capacityAction, 'block');
+
+            const duplicate = await app.request('POST', '/api/admin/ticket-types', { body: { name: 'press' } });
+            assert.equal(duplicate.status, 409);
+
+            const deleted = await app.request('DELETE', `/api/admin/ticket-types/${created.body.data.ticketType.ticketTypeId}`);
+            assert.equal(deleted.status, 200);
+        });
+
+        it('refuses to delete a ticket type guests still hold', async () => {
+            const res = await app.request('DELETE', '/api/admin/ticket-types/T001');
+
+            assert.equal(res.status, 409);
+            assert.ok(res.body.details.guestCount > 0);
+        });
+
+        it('renames the ticket type on guests and zones', async () => {
+            const res = await app.request('PUT', '/api/admin/ticket-types/T002', { body: { name: 'Gold' } });
+            assert.equal(res.status, 200);
+
+            const guests = await app.db.query(
+                `SELECT COUNT(*) AS count FROM guests WHERE event_id = 'E001' AND ticket_type = 'Premium'`
+            );
+            assert.equal(parseInt(guests.rows[0].count), 0);
+
+            const zones = await app.request('GET', '/api/admin/zones');
+            const lounge = zones.body.data.zones.find(zone => zone.name === 'VIP Lounge');
+            assert.deepEqual([...lounge.ticketTypes].sort(), ['Gold', 'VIP']);
+        });
+
+        it('blocks check-ins past a blocking capacity', async () => {
+            // Five VIP attendees are inside; G010 would bring the count past it
+            const update = await app.request('PUT', '/api/admin/ticket-types/T001', { body: { capacity: 5 } });
+            assert.equal(update.status, 200);
+
+            const res = await app.request('POST', '/api/guests/check-in', {
+                as: 'usher1',
+                body: { guestId: 'G010' }
+            });
+
+            assert.equal(res.status, 409);
+            assert.equal(res.body.code, 'CAPACITY_REACHED');
+        });
+    });
+});
@@ -0,0 +1,308 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+// Seed: the gala (E001) has 15 guests, G001-G003 checked in; the fundraiser (E002) has 3
+describe('guest read routes', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('GET /api/guests', () => {
+        it('lists the active event guests sorted by name, a cursor page at a time', async () => {
+            const res = await app.request('GET', '/api/guests?limit=10', { as: 'usher1' });
+
+            assert.equal(res.status, 200);
+            const { guests, pagination } = res.body.data;
+            assert.equal(guests.length, 10);
+            assert.ok(guests.every(guest => guest.event_id === 'E001'));
+            assert.ok(guests.every(guest => !('sort_key' in guest)));
+            assert.equal(guests[0].last_name, 'Anderson');
+            assert.deepEqual(
+                { total: pagination.total, hasMore: pagination.hasMore },
+                { total: 15, hasMore: true }
+            );
+            assert.ok(pagination.nextCursor);
+
+            const second = await app.request('GET', `/api/guests?limit=10&cursor=${pagination.nextCursor}`, { as: 'usher1' });
+            assert.equal(second.body.data.guests.length, 5);
+            assert.equal(second.body.data.pagination.hasMore, false);
+            assert.equal(second.body.data.pagination.nextCursor, null);
+
+            const ids = [...guests, ...second.body.data.guests].map(guest => guest.id);
+            assert.equal(new Set(ids).size, 15);
+        });
+
+        it('pages through every sort in both directions without gaps or repeats', async () => {
+            const pageThrough = async (sortBy, sortOrder) => {
+                const ids = [];
+                let cursor = null;
+                do {
+                    const query = `sortBy=${sortBy}&sortOrder=${sortOrder}&limit=4${cursor ? `&cursor=${cursor}` : ''}`;
+                    const res = await app.request('GET', `/api/guests?${query}`, { as: 'usher1' });
+                    assert.equal(res.status, 200);
+                    ids.push(...res.body.data.guests.map(guest => guest.id));
+                    cursor = res.body.data.pagination.nextCursor;
+                } while (cursor);
+                return ids;
+            };
+
+            for (const sortBy of ['name', 'checkInTime', 'ticketType', 'lastModified']) {
+                for (const sortOrder of ['asc', 'desc']) {
+                    const ids = await pageThrough(sortBy, sortOrder);
+                    assert.equal(ids.length, 15, `${sortBy} ${sortOrder}`);
+                    assert.equal(new Set(ids).size, 15, `${sortBy} ${sortOrder}`);
+                }
+            }
+
+            // Latest arrivals first; guests who have not arrived come last
+            const byArrival = await pageThrough('checkInTime', 'desc');
+            assert.deepEqual(byArrival.slice(0, 3), ['G001', 'G002', 'G003']);
+        });
+
+        it('rejects unknown sorts and cursors made for another sort', async () => {
+            const unknown = await app.request('GET', '/api/guests?sortBy=email', { as: 'usher1' });
+            assert.equal(unknown.status, 400);
+            assert.equal(unknown.body.details.field, 'sortBy');
+
+            const first = await app.request('GET', '/api/guests?limit=5', { as: 'usher1' });
+            const { nextCursor } = first.body.data.pagination;
+
+            const otherSort = await app.request('GET', `/api/guests?sortBy=ticketType&cursor=${nextCursor}`, { as: 'usher1' });
+            assert.equal(otherSort.status, 400);
+            assert.equal(otherSort.body.details.field, 'cursor');
+
+            const garbage = await app.request('GET', '/api/guests?cursor=not-a-cursor', { as: 'usher1' });
+            assert.equal(garbage.status, 400);
+        });
+
+        it('filters by status and ticket type', async () => {
+            const checkedIn = await app.request('GET', '/api/guests?status=Checked%20In', { as: 'usher1' });
+            assert.deepEqual(checkedIn.body.data.guests.map(guest => guest.id).sort(), ['G001', 'G002', 'G003']);
+
+            const vip = await app.request('GET', '/api/guests?ticketType=VIP', { as: 'usher1' });
+            assert.ok(vip.body.data.guests.length > 0);
+            assert.ok(vip.body.data.guests.every(guest => guest.ticket_type === 'VIP'));
+        });
+
+        it('scopes guests to the event in X-Event-Id', async () => {
+            const res = await app.request('GET', '/api/guests', { eventId: 'E002' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.guests.map(guest => guest.id).sort(), ['G016', 'G017', 'G018']);
+        });
+
+        it('refuses events the usher is not assigned to', async () => {
+            const res = await app.request('GET', '/api/guests', { as: 'usher1', eventId: 'E002' });
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'You are not assigned to this event');
+        });
+
+        it('returns 404 for an unknown event', async () => {
+            const res = await app.request('GET', '/api/guests', { eventId: 'E999' });
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('POST /api/guests/search', () => {
+        it('matches name, email, phone and ID', async () => {
+            const byName = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: 'jennifer lo' } });
+            assert.equal(byName.status, 200);
+            assert.deepEqual(byName.body.data.guests.map(guest => guest.id), ['G010']);
+
+            const byEmail = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: 'w.miller@' } });
+            assert.deepEqual(byEmail.body.data.guests.map(guest => guest.id), ['G011']);
+
+            const byPhone = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: '555-0112' } });
+            assert.deepEqual(byPhone.body.data.guests.map(guest => guest.id), ['G012']);
+
+            const byId = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: 'G005' } });
+            assert.deepEqual(byId.body.data.guests.map(guest => guest.id), ['G005']);
+        });
+
+        it('does not return guests of other events', async () => {
+            const res = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: 'Olivia' } });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.total, 0);
+        });
+
+        it('applies filters and sorting', async () => {
+            const res = await app.request('POST', '/api/guests/search', {
+                as: 'usher1',
+                body: { status: 'Checked In', sortBy: 'checkInTime', sortOrder: 'desc' }
+            });
+
+            // G001 arrived 30 minutes ago, G002 45, G003 an hour
+            assert.deepEqual(res.body.data.guests.map(guest => guest.id), ['G001', 'G002', 'G003']);
+        });
+
+        it('tolerates typos in names and reports the score and matched fields', async () => {
+            const res = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: 'Jon Smyth' } });
+
+            const [first] = res.body.data.guests;
+            assert.equal(first.id, 'G001');
+            assert.deepEqual(first.matched_fields, ['name']);
+            assert.ok(first.score > 0 && first.score < 0.6);
+        });
+
+        it('ignores accents in either direction', async () => {
+            await app.db.query(`
+                INSERT INTO guests (id, event_id, first_name, last_name, email, ticket_type)
+                VALUES ('G019', 'E001', 'José', 'Álvarez', 'jose.alvarez@email.com', 'General')
+            `);
+
+            const plain = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: 'jose alvarez' } });
+            assert.equal(plain.body.data.guests[0].id, 'G019');
+
+            const accented = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: 'Álvarez' } });
+            assert.equal(accented.body.data.guests[0].id, 'G019');
+            assert.ok(accented.body.data.guests[0].matched_fields.includes('name'));
+        });
+
+        it('matches phone numbers on their digits', async () => {
+            const res = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: '(555) 0112' } });
+
+            assert.deepEqual(res.body.data.guests.map(guest => guest.id), ['G012']);
+            assert.deepEqual(res.body.data.guests[0].matched_fields, ['phone']);
+        });
+
+        it('ranks an exact ID or confirmation code first', async () => {
+            const byId = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: 'g001' } });
+            assert.equal(byId.body.data.guests[0].id, 'G001');
+            assert.equal(byId.body.data.guests[0].score, 1);
+
+            // Ushers often leave out the dash
+            const byCode = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: '6ybyrtt2' } });
+            assert.equal(byCode.body.data.guests[0].id, 'G001');
+            assert.deepEqual(byCode.body.data.guests[0].matched_fields, ['confirmation_code']);
+            assert.equal(byCode.body.data.guests[0].score, 1);
+        });
+
+        it('pages through ranked results with a cursor', async () => {
+            // Every gala guest email ends in @email.com
+            const first = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: '@email.com', limit: 10 } });
+            assert.equal(first.body.data.guests.length, 10);
+            assert.equal(first.body.data.hasMore, true);
+
+            const second = await app.request('POST', '/api/guests/search', {
+                as: 'usher1',
+                body: { query: '@email.com', limit: 10, cursor: first.body.data.nextCursor }
+            });
+            assert.equal(second.body.data.hasMore, false);
+
+            const results = [...first.body.data.guests, ...second.body.data.guests];
+            assert.equal(new Set(results.map(guest => guest.id)).size, results.length);
+            assert.ok(results.every((guest, index) => index === 0 || results[index - 1].score >= guest.score));
+        });
+
+        it('treats LIKE wildcards in the query literally', async () => {
+            const res = await app.request('POST', '/api/guests/search', { as: 'usher1', body: { query: '%' } });
+            assert.equal(res.body.data.total, 0);
+        });
+    });
+
+    describe('GET /api/guests/:id', () => {
+        it('returns the guest with check-in history', async () => {
+            const res = await app.request('GET', '/api/guests/G001', { as: 'usher1' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.guest.first_name, 'John');
+            assert.equal(res.body.data.historyCount, 1);
+            assert.equal(res.body.data.checkInHistory[0].action, 'Check In');
+        });
+
+        it('returns 404 for a guest of another event', async () => {
+            const res = await app.request('GET', '/api/guests/G016', { as: 'usher1' });
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('POST /api/guests/scan', () => {
+        it('resolves a signed ticket to its guest', async () => {
+            const ticket = await app.request('GET', '/api/admin/guests/G005/ticket');
+            assert.equal(ticket.status, 200);
+
+            const res = await app.request('POST', '/api/guests/scan', { as: 'usher1', body: { code: ticket.body.data.code } });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.guest.id, 'G005');
+            assert.equal(res.body.data.entrance.allowed, true);
+            assert.equal(res.body.data.duplicateAttempt, null);
+        });
+
+        it('rejects a tampered ticket', async () => {
+            const ticket = await app.request('GET', '/api/admin/guests/G005/ticket');
+            const code = `${ticket.body.data.code.slice(0, -2)}xx`;
+
+            const res = await app.request('POST', '/api/guests/scan', { as: 'usher1', body: { code } });
+            assert.equal(res.status, 400);
+        });
+
+        it('reports the wrong entrance for a zone that does not admit the ticket type', async () => {
+            // usher2 works the VIP lounge, which does not admit General tickets
+            const ticket = await app.request('GET', '/api/admin/guests/G004/ticket');
+
+            const res = await app.request('POST', '/api/guests/scan', {
+                as: 'usher2',
+                body: { code: ticket.body.data.code }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.entrance.allowed, false);
+            assert.equal(res.body.data.entrance.zone, 'VIP Lounge');
+        });
+
+        it('records a duplicate attempt only for staff who can check guests in', async () => {
+            // G001 is inside
+            const ticket = await app.request('GET', '/api/admin/guests/G001/ticket');
+            const countAttempts = async () => parseInt((await app.db.query(
+                `SELECT COUNT(*) AS count FROM check_in_log WHERE guest_id = 'G001' AND action = 'Duplicate Attempt'`
+            )).rows[0].count);
+            const before = await countAttempts();
+
+            const viewer = await app.request('POST', '/api/guests/scan', { as: 'door1', body: { code: ticket.body.data.code } });
+            assert.equal(viewer.status, 200);
+            assert.equal(viewer.body.data.duplicateAttempt, null);
+            assert.equal(await countAttempts(), before);
+
+            const usher = await app.request('POST', '/api/guests/scan', { as: 'usher1', body: { code: ticket.body.data.code } });
+            assert.equal(usher.body.data.duplicateAttempt.checkedInBy, 'John Usher');
+            assert.equal(await countAttempts(), before + 1);
+        });
+    });
+
+    describe('GET /api/guests/confirmations/:code', () => {
+        it('confirms the current check-in of a guest', async () => {
+            const res = await app.request('GET', '/api/guests/confirmations/6YBY-RTT2', { as: 'usher1' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.valid, true);
+            assert.equal(res.body.data.guest.id, 'G001');
+        });
+    });
+
+    describe('GET /api/events and /api/ticket-types', () => {
+        it('lists only the events an usher is assigned to', async () => {
+            const usher = await app.request('GET', '/api/events', { as: 'usher1', eventId: null });
+            assert.deepEqual(usher.body.data.events.map(event => event.event_id), ['E001']);
+
+            const admin = await app.request('GET', '/api/events', { eventId: null });
+            assert.deepEqual(admin.body.data.events.map(event => event.event_id).sort(), ['E001', 'E002']);
+        });
+
+        it('lists the ticket types of the active event', async () => {
+            const res = await app.request('GET', '/api/ticket-types', { as: 'usher1' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.ticketTypes.map(type => type.name).sort(), ['General', 'Premium', 'VIP']);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+import { createTestDatabase, SEED_PASSWORD } from './database.js';
+
+/**
+ * Test App
+ * Starts server.js on a random port against a fresh test database and
+ * signs in seed accounts on demand.
+ *
+ * Environment is set before the app is imported because several services
+ * read it when their module loads.
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-that-is-at-least-32-characters';
+process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-ticket-secret';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.RATE_LIMIT_MAX = process.env.RATE_LIMIT_MAX || '100000';
+// Live streams re-check their session on each heartbeat
+process.env.LIVE_HEARTBEAT_MS = process.env.LIVE_HEARTBEAT_MS || '100';
+// Tests connect over loopback; serve them as if no proxy sat in front, which
+// also turns on per-IP sign-in lockouts
+process.env.TRUST_PROXY = 'false';
+
+export const DEFAULT_EVENT_ID = 'E001';
+
+/**
+ * Start the app
+ * @param {object} options - { seed } passed to createTestDatabase
+ * @returns {Promise<object>} { baseUrl, request, login, db, cache, close }
+ */
+export async function startApp({ seed = true } = {}) {
+    const pool = await createTestDatabase({ seed });
+
+    const { default: db } = await import('../../api/services/database.js');
+    const { default: cache } = await import('../../api/services/cache.js');
+    db.pool = pool;
+    db.initialized = true;
+
+    const { default: app } = await import('../../server.js');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const tokens = new Map();
+
+    /**
+     * Sign in a seed account
+     * @param {string} username - Seed username
+     * @returns {Promise<object>} Login response data ({ token, refreshToken, user })
+     */
+    async function login(username, password = SEED_PASSWORD) {
+        const response = await fetch(`${baseUrl}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const body = await response.json();
+
+        if (!body.success) {
+            throw new Error(`Login as ${username} failed: ${body.message}`);
+        }
+
+        tokens.set(username, body.data.token);
+        return body.data;
+    }
+
+    /**
+     * Call the API
+     * @param {string} method - HTTP method
+     * @param {string} url - Path, e.g. /api/guests
+     * @param {object} options
+     * @param {object|string} options.body - JSON body
+     * @param {string|null} options.as - Seed username to sign in as (null for no token)
+     * @param {string} options.token - Use this token instead
+     * @param {string|null} options.eventId - X-Event-Id header (null to omit)
+     * @param {object} options.headers - Extra headers
+     * @returns {Promise<object>} { status, headers, body, text }
+     */
+    async function request(method, url, {
+        body,
+        as = 'admin',
+        token,
+        eventId = DEFAULT_EVENT_ID,
+        headers = {}
+    } = {}) {
+        const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+
+        if (eventId) {
+            requestHeaders['X-Event-Id'] = eventId;
+        }
+
+        let bearer = token;
+        if (!bearer && as) {
+            bearer = tokens.get(as) || (await login(as)).token;
+        }
+        if (bearer) {
+            requestHeaders.Authorization = `Bearer ${bearer}`;
+        }
+
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: requestHeaders,
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            body: isJson && text ? JSON.parse(text) : null,
+            text
+        };
+    }
+
+    async function close() {
+        await new Promise(resolve => server.close(resolve));
+        await pool.end();
+    }
+
+    return { baseUrl, request, login, db, cache, close };
+}
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import bcrypt from 'bcryptjs';
+import { PGlite } from '@electric-sql/pglite';
+import { pg_trgm } from '@electric-sql/pglite/contrib/pg_trgm';
+import { unaccent } from '@electric-sql/pglite/contrib/unaccent';
+import { migrateUp } from '../../db/migrator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Test Database
+ * An in-process Postgres (PGlite) behind the subset of the pg Pool interface
+ * the app uses, migrated with db/migrations and loaded with db/seed.sql.
+ *
+ * PGlite has a single connection, so checked-out clients are handed out one
+ * at a time: a query made while another client holds the connection waits
+ * for it to be released, as with a pool of size one.
+ */
+
+export const SEED_PASSWORD = 'password123';
+
+const SEED_PATH = path.join(__dirname, '..', '..', 'db', 'seed.sql');
+
+// A query that waits this long for the connection is stuck behind a client
+// that is never released; fail the test instead of hanging it
+const CONNECTION_TIMEOUT_MS = 5000;
+
+function toResult(result) {
+    return {
+        rows: result.rows,
+        rowCount: result.affectedRows ?? result.rows.length,
+        fields: result.fields
+    };
+}
+
+class TestPool {
+    constructor(pglite) {
+        this.pglite = pglite;
+        this.queue = Promise.resolve();
+    }
+
+    // Resolves with a release function once the connection is free
+    acquire() {
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        const ready = this.queue;
+        this.queue = ready.then(() => held);
+
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Timed out waiting for the test database connection')), CONNECTION_TIMEOUT_MS);
+        });
+
+        return Promise.race([ready, timeout])
+            .then(() => release, (err) => {
+                // Give up our turn so later queries are not stuck behind it
+                ready.then(release);
+                throw err;
+            })
+            .finally(() => clearTimeout(timer));
+    }
+
+    // Multi-statement SQL without parameters (migrations, seed) needs exec
+    async run(text, params = []) {
+        if (params.length === 0 && text.split(';').filter(statement => statement.trim()).length > 1) {
+            const results = await this.pglite.exec(text);
+            return toResult(results[results.length - 1] || { rows: [] });
+        }
+
+        return toResult(await this.pglite.query(text, params));
+    }
+
+    async query(text, params) {
+        const release = await this.acquire();
+        try {
+            return await this.run(text, params);
+        } finally {
+            release();
+        }
+    }
+
+    async connect() {
+        const release = await this.acquire();
+        let released = false;
+
+        return {
+            query: (text, params) => this.run(text, params),
+            release: () => {
+                if (!released) {
+                    released = true;
+                    release();
+                }
+            }
+        };
+    }
+
+    on() {}
+
+    async end() {
+        await this.pglite.close();
+    }
+}
+
+/**
+ * Create a migrated database, loaded with the seed data unless seed is false
+ * @param {object} options - { seed }
+ * @returns {Promise<TestPool>} Pool to assign to the database service
+ */
+export async function createTestDatabase({ seed = true } = {}) {
+    // Guest search relies on these contrib extensions (migration 0002)
+    const pool = new TestPool(await PGlite.create({ extensions: { pg_trgm, unaccent } }));
+
+    const client = await pool.connect();
+    try {
+        await migrateUp(client);
+
+        if (seed) {
+            await client.query(fs.readFileSync(SEED_PATH, 'utf8'));
+
+            // seed.sql carries placeholder hashes; give every account the documented password
+            await client.query('UPDATE ushers SET password_hash = $1', [bcrypt.hashSync(SEED_PASSWORD, 4)]);
+        }
+    } finally {
+        client.release();
+    }
+
+    return pool;
+}
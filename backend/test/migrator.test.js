@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PGlite } from '@electric-sql/pglite';
+import { pg_trgm } from '@electric-sql/pglite/contrib/pg_trgm';
+import { unaccent } from '@electric-sql/pglite/contrib/unaccent';
+import { loadMigrations, migrateUp } from '../db/migrator.js';
+
+// Single-statement queries through query; migration files through exec
+const clientFor = (pglite) => ({
+    query: async (text, params = []) => {
+        if (params.length === 0 && text.split(';').filter(statement => statement.trim()).length > 1) {
+            await pglite.exec(text);
+            return { rows: [], rowCount: 0 };
+        }
+        const result = await pglite.query(text, params);
+        return { rows: result.rows, rowCount: result.affectedRows ?? result.rows.length };
+    }
+});
+
+describe('migrator', () => {
+    let pglite;
+    let client;
+
+    beforeEach(async () => {
+        pglite = await PGlite.create({ extensions: { pg_trgm, unaccent } });
+        client = clientFor(pglite);
+    });
+
+    afterEach(async () => {
+        await pglite.close();
+    });
+
+    const appliedVersions = async () =>
+        (await pglite.query('SELECT version FROM schema_migrations ORDER BY version')).rows.map(row => row.version);
+
+    // db/schema.sql as it stood before events, with a little of each kind of row
+    const PRE_EVENTS_SCHEMA = `
+      CREATE TABLE guests (
+        id VARCHAR(10) PRIMARY KEY, first_name VARCHAR(100) NOT NULL, last_name VARCHAR(100) NOT NULL,
+        email VARCHAR(255), phone VARCHAR(20), ticket_type VARCHAR(50) NOT NULL,
+        plus_ones_allowed INTEGER DEFAULT 0, confirmation_code VARCHAR(255), check_in_time TIMESTAMP,
+        plus_ones_checked_in INTEGER DEFAULT 0, status VARCHAR(50) DEFAULT 'Not Checked In', notes TEXT,
+        last_modified TIMESTAMP DEFAULT CURRENT_TIMESTAMP, checked_in_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT chk_plus_ones_count CHECK (plus_ones_checked_in <= COALESCE(plus_ones_allowed,0))
+      );
+      CREATE INDEX idx_guests_status ON guests(status);
+      CREATE INDEX idx_guests_email ON guests(email);
+      CREATE INDEX idx_guests_name ON guests(last_name, first_name);
+      CREATE INDEX idx_guests_confirmation ON guests(confirmation_code);
+      CREATE INDEX idx_guests_check_in_time ON guests(check_in_time);
+
+      CREATE TABLE ushers (
+        usher_id VARCHAR(10) PRIMARY KEY, username VARCHAR(50) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL, full_name VARCHAR(100) NOT NULL,
+        role VARCHAR(20) DEFAULT 'Usher', active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, last_login TIMESTAMP
+      );
+      CREATE INDEX idx_ushers_username ON ushers(username);
+      CREATE INDEX idx_ushers_active ON ushers(active);
+      CREATE INDEX idx_ushers_role ON ushers(role);
+
+      CREATE TABLE check_in_log (
+        id SERIAL PRIMARY KEY, timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP, guest_id VARCHAR(10),
+        guest_name VARCHAR(200), action VARCHAR(50) NOT NULL, usher_name VARCHAR(100),
+        plus_ones_count INTEGER DEFAULT 0, notes TEXT, confirmation_code VARCHAR(255),
+        FOREIGN KEY (guest_id) REFERENCES guests(id) ON DELETE SET NULL
+      );
+      CREATE INDEX idx_log_timestamp ON check_in_log(timestamp DESC);
+      CREATE INDEX idx_log_guest_id ON check_in_log(guest_id);
+      CREATE INDEX idx_log_action ON check_in_log(action);
+
+      INSERT INTO guests (id, first_name, last_name, ticket_type, status, confirmation_code, check_in_time)
+      VALUES ('G001', 'Ada', 'Lovelace', 'VIP', 'Checked In', 'ABCD-1234', NOW()),
+             ('G002', 'Alan', 'Turing', 'General', 'Not Checked In', NULL, NULL),
+             ('G003', 'Grace', 'Hopper', 'vip', 'Not Checked In', NULL, NULL);
+      INSERT INTO ushers (usher_id, username, password_hash, full_name, role)
+      VALUES ('U001', 'admin', 'hash-1', 'Admin', 'Admin'), ('U002', 'usher1', 'hash-2', 'John Usher', 'Usher');
+      INSERT INTO check_in_log (guest_id, guest_name, action, usher_name)
+      VALUES ('G001', 'Ada Lovelace', 'Check In', 'John Usher');
+    `;
+
+    // Columns, indexes and constraints, to compare two databases' schemas
+    const describeSchema = async (db) => ({
+        columns: (await db.query(`
+      SELECT table_name, column_name, data_type, character_maximum_length, is_nullable, column_default
+      FROM information_schema.columns
+      WHERE table_schema = current_schema()
+      ORDER BY table_name, column_name
+    `)).rows,
+        indexes: (await db.query(`
+      SELECT tablename, indexname, indexdef
+      FROM pg_indexes
+      WHERE schemaname = current_schema()
+      ORDER BY tablename, indexname
+    `)).rows,
+        constraints: (await db.query(`
+      SELECT conrelid::regclass::text AS table_name, contype, pg_get_constraintdef(oid) AS definition
+      FROM pg_constraint
+      WHERE connamespace = current_schema()::regnamespace
+      ORDER BY 1, 2, 3
+    `)).rows
+    });
+
+    it('upgrades a database from the schema.sql that predates events', async () => {
+        await pglite.exec(PRE_EVENTS_SCHEMA);
+
+        await assert.rejects(migrateUp(client), /predates events.*--baseline to upgrade it/);
+        assert.deepEqual(await appliedVersions(), []);
+
+        const result = await migrateUp(client, { baseline: true });
+
+        assert.equal(result.baselined, true);
+        assert.equal(result.upgraded, true);
+        assert.deepEqual(await appliedVersions(), loadMigrations().map(migration => migration.version));
+
+        const guests = (await pglite.query('SELECT id, event_id, on_site FROM guests ORDER BY id')).rows;
+        assert.deepEqual(guests, [
+            { id: 'G001', event_id: 'E001', on_site: true },
+            { id: 'G002', event_id: 'E001', on_site: false },
+            { id: 'G003', event_id: 'E001', on_site: false }
+        ]);
+
+        const ushers = (await pglite.query(`
+      SELECT u.usher_id, u.password_hash, ue.event_id
+      FROM ushers u JOIN usher_events ue ON ue.usher_id = u.usher_id
+      ORDER BY u.usher_id
+    `)).rows;
+        assert.deepEqual(ushers, [
+            { usher_id: 'U001', password_hash: 'hash-1', event_id: 'E001' },
+            { usher_id: 'U002', password_hash: 'hash-2', event_id: 'E001' }
+        ]);
+
+        const log = (await pglite.query('SELECT event_id FROM check_in_log')).rows;
+        assert.deepEqual(log, [{ event_id: 'E001' }]);
+
+        // VIP and vip are one ticket type
+        const ticketTypes = (await pglite.query('SELECT name, capacity FROM ticket_types ORDER BY name')).rows;
+        assert.deepEqual(ticketTypes, [{ name: 'General', capacity: null }, { name: 'VIP', capacity: null }]);
+
+        // Same columns and indexes as a database migrated from empty
+        const fresh = await PGlite.create({ extensions: { pg_trgm, unaccent } });
+        try {
+            await migrateUp(clientFor(fresh));
+            assert.deepEqual(await describeSchema(pglite), await describeSchema(fresh));
+        } finally {
+            await fresh.close();
+        }
+    });
+
+    it('refuses a database with only some baseline tables that no schema.sql made', async () => {
+        await pglite.exec(`
+      CREATE TABLE guests (id VARCHAR(10) PRIMARY KEY, first_name VARCHAR(100), last_name VARCHAR(100));
+      CREATE TABLE ushers (usher_id VARCHAR(10) PRIMARY KEY, username VARCHAR(50) UNIQUE NOT NULL);
+    `);
+
+        await assert.rejects(migrateUp(client), /has some baseline tables \(.*\) but lacks events,/);
+        await assert.rejects(migrateUp(client, { baseline: true }), /can neither run on it nor be recorded/);
+        assert.deepEqual(await appliedVersions(), []);
+    });
+
+    it('baselines a database from the last schema.sql and applies the rest', async () => {
+        const [baselineMigration, ...rest] = loadMigrations();
+        await pglite.exec(baselineMigration.sql);
+
+        await assert.rejects(migrateUp(client), /Run with --baseline/);
+
+        const result = await migrateUp(client, { baseline: true });
+
+        assert.equal(result.baselined, true);
+        assert.deepEqual(result.applied.map(migration => migration.version), rest.map(migration => migration.version));
+        assert.deepEqual(await appliedVersions(), ['0001', ...rest.map(migration => migration.version)]);
+    });
+});
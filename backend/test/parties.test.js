@@ -0,0 +1,183 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+describe('guest parties', () => {
+    let app;
+
+    const getGuest = async (id) => (await app.db.query('SELECT * FROM guests WHERE id = $1', [id])).rows[0];
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('GET /api/parties/:id', () => {
+        it('returns the members, lead first, with how many have arrived', async () => {
+            const res = await app.request('GET', '/api/parties/p001', { as: 'door1' });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.party.name, 'Johnson family');
+            assert.equal(res.body.data.party.leadGuestId, 'G002');
+            assert.deepEqual(res.body.data.members.map(member => member.id), ['G002', 'G004', 'G006']);
+            assert.deepEqual(res.body.data.summary, { total: 3, arrived: 1, remaining: 2 });
+        });
+
+        it('exposes the party on the guest record', async () => {
+            const res = await app.request('GET', '/api/guests/G004', { as: 'usher1' });
+            assert.equal(res.body.data.guest.party_id, 'P001');
+        });
+
+        it('only finds parties of the active event', async () => {
+            const missing = await app.request('GET', '/api/parties/P999', { as: 'usher1' });
+            assert.equal(missing.status, 404);
+
+            const otherEvent = await app.request('GET', '/api/parties/P001', { eventId: 'E002' });
+            assert.equal(otherEvent.status, 404);
+        });
+    });
+
+    describe('POST /api/parties/:id/check-in', () => {
+        it('checks in every member who has not arrived', async () => {
+            const res = await app.request('POST', '/api/parties/P001/check-in', { as: 'usher1' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.checkedIn.map(guest => guest.guestId), ['G004', 'G006']);
+            assert.deepEqual(res.body.data.summary, { total: 3, arrived: 3, remaining: 0 });
+            assert.equal((await getGuest('G006')).checked_in_by, 'John Usher');
+
+            // Logged like any bulk check-in, so undo and verification treat them alike
+            const log = await app.db.query(`SELECT COUNT(*) AS count FROM check_in_log WHERE guest_id = 'G004' AND action = 'Bulk Check In'`);
+            assert.equal(parseInt(log.rows[0].count), 1);
+        });
+
+        it('reports a conflict once everyone has arrived', async () => {
+            const res = await app.request('POST', '/api/parties/P001/check-in', { as: 'usher1' });
+
+            assert.equal(res.status, 409);
+            assert.equal(res.body.error, 'Conflict');
+        });
+
+        it('checks in selected members only', async () => {
+            const res = await app.request('POST', '/api/parties/P002/check-in', {
+                as: 'usher1',
+                body: { guests: [{ guestId: 'g009', plusOnes: 1 }] }
+            });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.summary, { total: 3, arrived: 1, remaining: 2 });
+            assert.equal((await getGuest('G009')).plus_ones_checked_in, 1);
+            assert.equal((await getGuest('G012')).status, 'Not Checked In');
+        });
+
+        it('rejects a member listed twice', async () => {
+            const res = await app.request('POST', '/api/parties/P002/check-in', {
+                as: 'usher1',
+                body: { guests: [{ guestId: 'G012' }, { guestId: 'g012' }] }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.details.guestId, 'G012');
+            assert.equal((await getGuest('G012')).status, 'Not Checked In');
+        });
+
+        it('rejects guests outside the party', async () => {
+            const res = await app.request('POST', '/api/parties/P002/check-in', {
+                as: 'usher1',
+                body: { guests: [{ guestId: 'G012' }, { guestId: 'G005' }] }
+            });
+
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.details.notInParty, ['G005']);
+            assert.equal((await getGuest('G012')).status, 'Not Checked In');
+        });
+
+        it('admits nobody when one member cannot be checked in', async () => {
+            const created = await app.request('POST', '/api/admin/parties', {
+                body: { name: 'Martinez table', leadGuestId: 'G007', memberIds: ['G008'] }
+            });
+            assert.equal(created.status, 201);
+
+            // Jane works the VIP Lounge, which does not admit G008's General ticket
+            const res = await app.request('POST', `/api/parties/${created.body.data.party.partyId}/check-in`, { as: 'usher2' });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Party Check-In Failed');
+            assert.deepEqual(res.body.data.failed.map(failure => failure.guestId), ['G008']);
+            assert.equal((await getGuest('G007')).status, 'Not Checked In');
+        });
+
+        it('requires guests.checkin', async () => {
+            const res = await app.request('POST', '/api/parties/P002/check-in', { as: 'door1' });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('party management', () => {
+        it('creates a party with the lead as a member', async () => {
+            const res = await app.request('POST', '/api/admin/parties', {
+                body: { name: 'Wilson & Moore', leadGuestId: 'G011', memberIds: ['G013'], notes: 'Arriving late' }
+            });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.party.partyId, 'P004');
+            assert.deepEqual(res.body.data.members.map(member => member.id), ['G011', 'G013']);
+        });
+
+        it('rejects unknown guests and guests of another party', async () => {
+            const unknown = await app.request('POST', '/api/admin/parties', {
+                body: { name: 'Nobody', leadGuestId: 'G999' }
+            });
+            assert.equal(unknown.status, 400);
+            assert.deepEqual(unknown.body.details.unknown, ['G999']);
+
+            const taken = await app.request('POST', '/api/admin/parties', {
+                body: { name: 'Poachers', leadGuestId: 'G014', memberIds: ['G004'] }
+            });
+            assert.equal(taken.status, 409);
+            assert.deepEqual(taken.body.details.taken, [{ guestId: 'G004', partyId: 'P001' }]);
+            assert.equal((await getGuest('G014')).party_id, null);
+        });
+
+        it('replaces the members but keeps the lead', async () => {
+            const res = await app.request('PUT', '/api/admin/parties/P004', {
+                body: { memberIds: ['G014'] }
+            });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.members.map(member => member.id), ['G011', 'G014']);
+            assert.equal((await getGuest('G013')).party_id, null);
+        });
+
+        it('adds a new lead to the party', async () => {
+            const res = await app.request('PUT', '/api/admin/parties/P004', {
+                body: { leadGuestId: 'G013', name: 'Moore & Wilson' }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.party.name, 'Moore & Wilson');
+            assert.deepEqual(res.body.data.members.map(member => member.id), ['G013', 'G011', 'G014']);
+        });
+
+        it('disbands a party and keeps its guests', async () => {
+            const res = await app.request('DELETE', '/api/admin/parties/P004');
+
+            assert.equal(res.status, 200);
+            assert.equal((await getGuest('G011')).party_id, null);
+
+            const gone = await app.request('GET', '/api/parties/P004', { as: 'usher1' });
+            assert.equal(gone.status, 404);
+        });
+
+        it('requires guests.manage', async () => {
+            const res = await app.request('POST', '/api/admin/parties', {
+                as: 'supervisor1',
+                body: { name: 'Not Allowed', leadGuestId: 'G005' }
+            });
+            assert.equal(res.status, 403);
+        });
+    });
+});
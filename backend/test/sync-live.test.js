@@ -0,0 +1,255 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+describe('offline sync, live updates and health', () => {
+    let app;
+
+    const queued = (idempotencyKey, guestId, extra = {}) => ({
+        idempotencyKey,
+        action: 'check-in',
+        guestId,
+        clientTimestamp: new Date(Date.now() - 60000).toISOString(),
+        ...extra
+    });
+
+    /**
+     * Read a Server-Sent Events stream until an event of the given type arrives
+     * @param {ReadableStreamDefaultReader} reader - Stream reader
+     * @param {string} type - Event type to wait for
+     * @returns {Promise<object>} The event data
+     */
+    async function readUntil(reader, type) {
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) throw new Error(`Stream ended before a ${type} event`);
+
+            buffer += decoder.decode(value, { stream: true });
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+
+            for (const message of messages) {
+                const lines = message.split('\n');
+                if (lines.includes(`event: ${type}`)) {
+                    const data = lines.find(line => line.startsWith('data: '));
+                    return JSON.parse(data.slice('data: '.length));
+                }
+            }
+        }
+    }
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('POST /api/sync/queue', () => {
+        it('applies queued check-ins and reports conflicts and unknown guests', async () => {
+            const res = await app.request('POST', '/api/sync/queue', {
+                as: 'usher1',
+                body: {
+                    deviceId: 'door-tablet-1',
+                    items: [
+                        queued('k-1', 'G004'),
+                        queued('k-2', 'G001'),
+                        queued('k-3', 'G999')
+                    ]
+                }
+            });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.results.map(result => result.status), ['applied', 'conflict', 'rejected']);
+            assert.equal(res.body.data.summary.applied, 1);
+
+            const guest = await app.db.query(`SELECT status FROM guests WHERE id = 'G004'`);
+            assert.equal(guest.rows[0].status, 'Checked In');
+        });
+
+        it('replays stored results for keys already processed', async () => {
+            const res = await app.request('POST', '/api/sync/queue', {
+                as: 'usher1',
+                body: { items: [queued('k-1', 'G004')] }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.results[0].status, 'applied');
+            assert.equal(res.body.data.results[0].replayed, true);
+
+            const log = await app.db.query(`SELECT COUNT(*) AS count FROM check_in_log WHERE guest_id = 'G004' AND action = 'Offline Check In'`);
+            assert.equal(parseInt(log.rows[0].count), 1);
+        });
+
+        it('rejects items the usher entrance does not admit', async () => {
+            // Jane works the VIP Lounge, which does not admit G008's General ticket
+            const res = await app.request('POST', '/api/sync/queue', {
+                as: 'usher2',
+                body: { items: [queued('k-entrance', 'G008')] }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.results[0].status, 'rejected');
+            assert.equal(res.body.data.results[0].code, 'WRONG_ENTRANCE');
+
+            const guest = await app.db.query(`SELECT status FROM guests WHERE id = 'G008'`);
+            assert.equal(guest.rows[0].status, 'Not Checked In');
+        });
+
+        it('rejects items past a blocking capacity', async () => {
+            await app.db.query(`UPDATE ticket_types SET capacity = 2 WHERE ticket_type_id = 'T003'`);
+
+            try {
+                // G002 and G004 already fill the two General places
+                const res = await app.request('POST', '/api/sync/queue', {
+                    as: 'usher1',
+                    body: { items: [queued('k-capacity', 'G014')] }
+                });
+
+                assert.equal(res.body.data.results[0].status, 'rejected');
+                assert.equal(res.body.data.results[0].code, 'CAPACITY_REACHED');
+
+                const guest = await app.db.query(`SELECT status FROM guests WHERE id = 'G014'`);
+                assert.equal(guest.rows[0].status, 'Not Checked In');
+            } finally {
+                await app.db.query(`UPDATE ticket_types SET capacity = 200 WHERE ticket_type_id = 'T003'`);
+            }
+        });
+
+        it('rejects items with more plus ones than the guest is allowed', async () => {
+            // G011 may bring one companion
+            const res = await app.request('POST', '/api/sync/queue', {
+                as: 'usher1',
+                body: { items: [queued('k-plus-ones', 'G011', { plusOnes: 3 })] }
+            });
+
+            const [result] = res.body.data.results;
+            assert.equal(result.status, 'rejected');
+            assert.equal(result.code, 'TOO_MANY_PLUS_ONES');
+            assert.deepEqual(result.details, { requested: 3, allowed: 1 });
+
+            const guest = await app.db.query(`SELECT status, plus_ones_checked_in FROM guests WHERE id = 'G011'`);
+            assert.deepEqual(guest.rows[0], { status: 'Not Checked In', plus_ones_checked_in: 0 });
+        });
+
+        it('rejects items queued longer ago than the offline window', async () => {
+            const twoDaysAgo = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+            const res = await app.request('POST', '/api/sync/queue', {
+                as: 'usher1',
+                body: { items: [queued('k-stale', 'G006', { clientTimestamp: twoDaysAgo })] }
+            });
+
+            const [result] = res.body.data.results;
+            assert.equal(result.status, 'rejected');
+            assert.equal(result.code, 'STALE_ITEM');
+            assert.equal(result.details.offlineWindowHours, 24);
+
+            const guest = await app.db.query(`SELECT status FROM guests WHERE id = 'G006'`);
+            assert.equal(guest.rows[0].status, 'Not Checked In');
+        });
+
+        it('marks malformed items invalid and rejects an empty queue', async () => {
+            const res = await app.request('POST', '/api/sync/queue', {
+                as: 'usher1',
+                body: { items: [{ action: 'check-in', guestId: 'G005' }] }
+            });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.results[0].status, 'invalid');
+
+            const empty = await app.request('POST', '/api/sync/queue', { as: 'usher1', body: { items: [] } });
+            assert.equal(empty.status, 400);
+        });
+    });
+
+    describe('GET /api/sync/status', () => {
+        it('reports which idempotency keys the server has processed', async () => {
+            const res = await app.request('GET', '/api/sync/status?keys=k-1,k-unknown', { as: 'usher1' });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.processedKeys, ['k-1']);
+            assert.equal(res.body.data.guests.total, 15);
+        });
+    });
+
+    describe('GET /api/live', () => {
+        it('streams check-ins of the event to connected dashboards', async () => {
+            const { token } = await app.login('supervisor1');
+            const controller = new AbortController();
+            const response = await fetch(`${app.baseUrl}/api/live`, {
+                headers: { Authorization: `Bearer ${token}`, 'X-Event-Id': 'E001' },
+                signal: controller.signal
+            });
+
+            try {
+                assert.equal(response.status, 200);
+                assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+                const reader = response.body.getReader();
+                await readUntil(reader, 'ready');
+
+                await app.request('POST', '/api/guests/check-in', { as: 'usher1', body: { guestId: 'G008' } });
+
+                const data = await readUntil(reader, 'check-in');
+                assert.equal(data.guest.id, 'G008');
+            } finally {
+                controller.abort();
+            }
+        });
+
+        it('closes the stream once its session is revoked', async () => {
+            const { token } = await app.login('supervisor1');
+            const controller = new AbortController();
+            const response = await fetch(`${app.baseUrl}/api/live`, {
+                headers: { Authorization: `Bearer ${token}`, 'X-Event-Id': 'E001' },
+                signal: controller.signal
+            });
+
+            try {
+                const reader = response.body.getReader();
+                await readUntil(reader, 'ready');
+
+                const logout = await app.request('POST', '/api/auth/logout', { token });
+                assert.equal(logout.status, 200);
+
+                await assert.rejects(readUntil(reader, 'check-in'), /Stream ended/);
+            } finally {
+                controller.abort();
+            }
+        });
+
+        it('requires a signed-in user', async () => {
+            const res = await app.request('GET', '/api/live', { as: null });
+            assert.equal(res.status, 401);
+        });
+    });
+
+    describe('GET /api/health', () => {
+        it('reports degraded until the required configuration is present', async () => {
+            const saved = { DATABASE_URL: process.env.DATABASE_URL, FRONTEND_URL: process.env.FRONTEND_URL };
+
+            try {
+                delete process.env.DATABASE_URL;
+                delete process.env.FRONTEND_URL;
+
+                const degraded = await app.request('GET', '/api/health', { as: null, eventId: null });
+                assert.equal(degraded.status, 503);
+                assert.deepEqual(degraded.body.checks.environment.missing, ['DATABASE_URL', 'FRONTEND_URL']);
+
+                process.env.DATABASE_URL = 'postgres://localhost/guestlist_test';
+                process.env.FRONTEND_URL = 'http://localhost:3000';
+
+                const healthy = await app.request('GET', '/api/health', { as: null, eventId: null });
+                assert.equal(healthy.body.checks.environment.status, 'healthy');
+            } finally {
+                for (const [name, value] of Object.entries(saved)) {
+                    if (value === undefined) delete process.env[name];
+                    else process.env[name] = value;
+                }
+            }
+        });
+    });
+});
@@ -0,0 +1,184 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+describe('usher management', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp();
+    });
+
+    after(async () => {
+        await app.close();
+    });
+
+    describe('GET /api/admin/ushers', () => {
+        it('lists staff with their event assignments and no password hashes', async () => {
+            const res = await app.request('GET', '/api/admin/ushers');
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.total, 5);
+
+            const usher2 = res.body.data.ushers.find(usher => usher.username === 'usher2');
+            assert.deepEqual([...usher2.event_ids].sort(), ['E001', 'E002']);
+            assert.ok(res.body.data.ushers.every(usher => !('password_hash' in usher)));
+        });
+
+        it('requires ushers.manage', async () => {
+            const res = await app.request('GET', '/api/admin/ushers', { as: 'supervisor1' });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('POST /api/admin/ushers', () => {
+        it('creates an usher who can then log in to their events', async () => {
+            const res = await app.request('POST', '/api/admin/ushers', {
+                body: {
+                    username: 'usher3',
+                    password: 'door-staff-pass',
+                    fullName: 'Alex Door',
+                    role: 'Usher',
+                    eventIds: ['E002']
+                }
+            });
+
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.usher.usher_id, 'U6');
+            assert.deepEqual(res.body.data.usher.event_ids, ['E002']);
+
+            const { token } = await app.login('usher3', 'door-staff-pass');
+            const events = await app.request('GET', '/api/events', { token, eventId: null });
+            assert.deepEqual(events.body.data.events.map(event => event.event_id), ['E002']);
+        });
+
+        it('validates the input', async () => {
+            const res = await app.request('POST', '/api/admin/ushers', {
+                body: { username: 'bad name!', password: 'short', fullName: '', role: 'Owner' }
+            });
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.error, 'Validation Error');
+            assert.ok(res.body.details);
+        });
+
+        it('rejects a username that is taken', async () => {
+            const res = await app.request('POST', '/api/admin/ushers', {
+                body: { username: 'usher1', password: 'password123', fullName: 'Copy', role: 'Usher' }
+            });
+
+            assert.equal(res.status, 409);
+        });
+    });
+
+    describe('PUT /api/admin/ushers/:id', () => {
+        it('updates details and event assignments', async () => {
+            const res = await app.request('PUT', '/api/admin/ushers/U6', {
+                body: { fullName: 'Alex Doorman', eventIds: ['E001', 'E002'] }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.usher.full_name, 'Alex Doorman');
+            assert.deepEqual([...res.body.data.usher.event_ids].sort(), ['E001', 'E002']);
+        });
+
+        it('ends the usher sessions when their role changes', async () => {
+            const { token } = await app.login('usher3', 'door-staff-pass');
+
+            const res = await app.request('PUT', '/api/admin/ushers/U6', { body: { role: 'Supervisor' } });
+            assert.equal(res.status, 200);
+
+            const verify = await app.request('GET', '/api/auth/verify', { token });
+            assert.equal(verify.status, 401);
+
+            const again = await app.login('usher3', 'door-staff-pass');
+            assert.equal(again.user.role, 'Supervisor');
+        });
+
+        it('does not let admins deactivate themselves', async () => {
+            const res = await app.request('PUT', '/api/admin/ushers/U001', { body: { active: false } });
+            assert.equal(res.status, 400);
+        });
+
+        it('returns 404 for an unknown usher', async () => {
+            const res = await app.request('PUT', '/api/admin/ushers/U999', { body: { fullName: 'Nobody' } });
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('POST /api/admin/ushers/:id/logout-all', () => {
+        it('revokes every session of the usher', async () => {
+            const first = await app.login('usher1');
+            await app.login('usher1');
+
+            const res = await app.request('POST', '/api/admin/ushers/U002/logout-all');
+
+            assert.equal(res.status, 200);
+            assert.ok(res.body.data.revokedCount >= 2);
+
+            const verify = await app.request('GET', '/api/auth/verify', { token: first.token });
+            assert.equal(verify.status, 401);
+        });
+    });
+
+    describe('DELETE /api/admin/ushers/:id', () => {
+        it('deactivates the account so it can no longer log in', async () => {
+            const res = await app.request('DELETE', '/api/admin/ushers/U6');
+            assert.equal(res.status, 200);
+
+            const login = await app.request('POST', '/api/auth/login', {
+                as: null,
+                body: { username: 'usher3', password: 'door-staff-pass' }
+            });
+            assert.equal(login.status, 401);
+        });
+
+        it('does not let admins delete themselves', async () => {
+            const res = await app.request('DELETE', '/api/admin/ushers/U001');
+
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'You cannot delete your own account');
+        });
+    });
+
+    describe('sign-in lockouts', () => {
+        it('lists and clears lockouts', async () => {
+            for (let i = 0; i < 5; i += 1) {
+                await app.request('POST', '/api/auth/login', {
+                    as: null,
+                    body: { username: 'supervisor1', password: 'wrong-password' }
+                });
+            }
+
+            const list = await app.request('GET', '/api/admin/lockouts');
+            assert.equal(list.status, 200);
+            assert.ok(list.body.data.lockouts.some(lockout => lockout.scope === 'username' && lockout.identifier === 'supervisor1'));
+
+            const cleared = await app.request('DELETE', '/api/admin/lockouts/username/supervisor1');
+            assert.equal(cleared.status, 200);
+
+            const missing = await app.request('DELETE', '/api/admin/lockouts/username/supervisor1');
+            assert.equal(missing.status, 404);
+
+            const badScope = await app.request('DELETE', '/api/admin/lockouts/device/supervisor1');
+            assert.equal(badScope.status, 400);
+        });
+
+        it('lists failed sign-ins, which belong to no event', async () => {
+            const failed = await app.request('POST', '/api/auth/login', {
+                as: null,
+                body: { username: 'usher1', password: 'wrong-password' },
+                headers: { 'X-Forwarded-For': '203.0.113.9' }
+            });
+            assert.equal(failed.status, 401);
+
+            const list = await app.request('GET', '/api/admin/lockouts');
+            const failure = list.body.data.recentFailures.find(row => row.username === 'usher1');
+            assert.ok(failure);
+            assert.equal(failure.reason, 'invalid_password');
+
+            // A client cannot pick the IP its failures are counted against
+            assert.notEqual(failure.ipAddress, '203.0.113.9');
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Badge PDF Utilities
+ * Lays out printable guest badges or tickets, one QR per guest
+ */
+
+// Page grid per layout (US Letter, points)
+export const BADGE_LAYOUTS = {
+    badge: { columns: 2, rows: 3, qrSize: 120 },
+    ticket: { columns: 1, rows: 4, qrSize: 130 }
+};
+
+const PAGE_MARGIN = 36;
+const CARD_GAP = 12;
+
+/**
+ * Generate a badge/ticket PDF
+ * @param {Array<object>} badges - [{ guest, qrPng }] where qrPng is a PNG buffer of the guest's ticket QR
+ * @param {object} event - Event row (name, venue, starts_at)
+ * @param {string} layout - Key of BADGE_LAYOUTS
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export function generateBadgePdf(badges, event, layout = 'badge') {
+    const { columns, rows, qrSize } = BADGE_LAYOUTS[layout];
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'LETTER',
+            margin: PAGE_MARGIN,
+            info: { Title: `${event.name} - Guest ${layout === 'ticket' ? 'Tickets' : 'Badges'}` }
+        });
+
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const cardWidth = (doc.page.width - PAGE_MARGIN * 2 - CARD_GAP * (columns - 1)) / columns;
+        const cardHeight = (doc.page.height - PAGE_MARGIN * 2 - CARD_GAP * (rows - 1)) / rows;
+        const perPage = columns * rows;
+
+        badges.forEach(({ guest, qrPng }, index) => {
+            if (index > 0 && index % perPage === 0) {
+                doc.addPage();
+            }
+
+            const slot = index % perPage;
+            const x = PAGE_MARGIN + (slot % columns) * (cardWidth + CARD_GAP);
+            const y = PAGE_MARGIN + Math.floor(slot / columns) * (cardHeight + CARD_GAP);
+
+            drawCard(doc, { x, y, width: cardWidth, height: cardHeight, qrSize }, guest, qrPng, event);
+        });
+
+        doc.end();
+    });
+}
+
+/**
+ * Draw a single badge card
+ * @param {PDFDocument} doc - Target document
+ * @param {object} box - { x, y, width, height, qrSize }
+ * @param {object} guest - Guest row
+ * @param {Buffer} qrPng - QR image
+ * @param {object} event - Event row
+ */
+function drawCard(doc, box, guest, qrPng, event) {
+    const { x, y, width, height, qrSize } = box;
+    const padding = 14;
+    const textWidth = width - qrSize - padding * 3;
+    const plusOnes = guest.plus_ones_allowed || 0;
+
+    doc.save()
+        .roundedRect(x, y, width, height, 8)
+        .lineWidth(1)
+        .dash(4, { space: 3 })
+        .stroke('#94a3b8')
+        .restore();
+
+    doc.image(qrPng, x + width - qrSize - padding, y + (height - qrSize) / 2, { width: qrSize });
+
+    let cursorY = y + padding;
+
+    doc.fillColor('#64748b').font('Helvetica').fontSize(8)
+        .text(event.name.toUpperCase(), x + padding, cursorY, { width: textWidth, characterSpacing: 1 });
+    cursorY = doc.y + 10;
+
+    doc.fillColor('#0f172a').font('Helvetica-Bold').fontSize(18)
+        .text(`${guest.first_name} ${guest.last_name}`, x + padding, cursorY, { width: textWidth });
+    cursorY = doc.y + 8;
+
+    doc.fillColor('#0369a1').font('Helvetica-Bold').fontSize(12)
+        .text(guest.ticket_type, x + padding, cursorY, { width: textWidth });
+    cursorY = doc.y + 4;
+
+    doc.fillColor('#334155').font('Helvetica').fontSize(10)
+        .text(plusOnes > 0 ? `Admits guest + ${plusOnes}` : 'Admits guest only', x + padding, cursorY, { width: textWidth });
+
+    const footer = [guest.id, event.venue].filter(Boolean).join(' · ');
+    doc.fillColor('#94a3b8').font('Helvetica').fontSize(8)
+        .text(footer, x + padding, y + height - padding - 10, { width: textWidth });
+}
@@ -0,0 +1,111 @@
+/**
+ * CSV helpers shared by guest export and import
+ */
+
+/**
+ * Guest CSV columns, in the order the export writes them
+ */
+export const GUEST_CSV_HEADERS = [
+    'ID',
+    'First Name',
+    'Last Name',
+    'Email',
+    'Phone',
+    'Ticket Type',
+    'Plus Ones Allowed',
+    'Status',
+    'Check-In Time',
+    'Plus Ones Checked In',
+    'Confirmation Code',
+    'Checked In By',
+    'Notes',
+    'Created At'
+];
+
+/**
+ * Escape CSV field (handle commas, quotes, newlines)
+ * @param {string} field - Field value
+ * @returns {string} Escaped field
+ */
+export function escapeCSV(field) {
+    if (field == null) return '';
+
+    const str = String(field);
+
+    // If field contains comma, quote, or newline, wrap in quotes and escape quotes
+    if (str.includes(',') || str.includes('"') || str.includes('\n') || str.includes('\r')) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+
+    return str;
+}
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, CRLF)
+ * Blank lines are skipped. Each row records the line it started on.
+ * @param {string} text - CSV content
+ * @returns {Array<{line: number, fields: Array<string>}>} Parsed rows
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseCSV(text) {
+    const input = String(text ?? '').replace(/^\uFEFF/, '');
+    const rows = [];
+
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0].trim() !== '') {
+            rows.push({ line: rowLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+
+    if (field !== '' || fields.length > 0) {
+        endRow();
+    }
+
+    return rows;
+}
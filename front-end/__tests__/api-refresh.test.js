@@ -0,0 +1,118 @@
+import { apiDownloadBadges, apiGetEvents } from "@/lib/api";
+
+const LEASE_KEY = "guestlist_refresh_lease";
+
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+  };
+}
+
+const unauthorized = () => jsonResponse(401, { success: false, message: "Token expired" });
+
+const refreshed = (token, refreshToken) => jsonResponse(200, {
+  success: true,
+  data: { token, refreshToken, user: { username: "usher1" } },
+});
+
+const isRefresh = (url) => url.endsWith("/api/auth/refresh");
+
+describe("session refresh", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem("guestlist_token", "old-token");
+    localStorage.setItem("guestlist_refresh_token", "refresh-1");
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it("refreshes and retries a badge download after a 401", async () => {
+    global.fetch
+      .mockResolvedValueOnce(unauthorized())
+      .mockResolvedValueOnce(refreshed("new-token", "refresh-2"))
+      .mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'attachment; filename="badges.pdf"' },
+        blob: async () => "pdf",
+      });
+
+    const file = await apiDownloadBadges({ layout: "badge" });
+
+    expect(file).toEqual({ blob: "pdf", filename: "badges.pdf" });
+    expect(global.fetch.mock.calls[2][1].headers.Authorization).toBe("Bearer new-token");
+    expect(localStorage.getItem("guestlist_refresh_token")).toBe("refresh-2");
+  });
+
+  it("uses a token another tab stored instead of refreshing again", async () => {
+    global.fetch.mockImplementation(async () => {
+      if (global.fetch.mock.calls.length === 1) {
+        // Another tab rotated the tokens while this request was in flight
+        localStorage.setItem("guestlist_token", "other-tab-token");
+        localStorage.setItem("guestlist_refresh_token", "refresh-2");
+        return unauthorized();
+      }
+      return jsonResponse(200, { success: true, data: { events: [] } });
+    });
+
+    await expect(apiGetEvents()).resolves.toEqual({ events: [] });
+
+    expect(global.fetch.mock.calls.some(([url]) => isRefresh(url))).toBe(false);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe("Bearer other-tab-token");
+  });
+
+  it("waits for the tab holding the refresh lease", async () => {
+    localStorage.setItem(LEASE_KEY, String(Date.now() + 10000));
+    global.fetch
+      .mockResolvedValueOnce(unauthorized())
+      .mockResolvedValueOnce(jsonResponse(200, { success: true, data: { events: [] } }));
+
+    const request = apiGetEvents();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    // The other tab stores its new pair, then releases the lease
+    localStorage.setItem("guestlist_token", "other-tab-token");
+    localStorage.removeItem(LEASE_KEY);
+    window.dispatchEvent(new StorageEvent("storage", { key: LEASE_KEY }));
+
+    await expect(request).resolves.toEqual({ events: [] });
+    expect(global.fetch.mock.calls.some(([url]) => isRefresh(url))).toBe(false);
+    expect(global.fetch.mock.calls[1][1].headers.Authorization).toBe("Bearer other-tab-token");
+  });
+
+  it("re-reads the stored token when its own refresh is rejected", async () => {
+    global.fetch.mockImplementation(async (url) => {
+      if (isRefresh(url)) {
+        // Lost the race to a tab that refreshed without a lock
+        localStorage.setItem("guestlist_token", "other-tab-token");
+        return unauthorized();
+      }
+      return global.fetch.mock.calls.length === 1
+        ? unauthorized()
+        : jsonResponse(200, { success: true, data: { events: [] } });
+    });
+
+    await expect(apiGetEvents()).resolves.toEqual({ events: [] });
+    expect(localStorage.getItem("guestlist_token")).toBe("other-tab-token");
+  });
+
+  it("signs out when the session cannot be renewed", async () => {
+    const forcedLogout = jest.fn();
+    window.addEventListener("guestlist:auth-forced-logout", forcedLogout);
+
+    global.fetch
+      .mockResolvedValueOnce(unauthorized())
+      .mockResolvedValueOnce(jsonResponse(401, { success: false, message: "Session revoked" }));
+
+    await expect(apiDownloadBadges()).rejects.toMatchObject({ status: 401 });
+    expect(forcedLogout).toHaveBeenCalledTimes(1);
+    expect(localStorage.getItem("guestlist_token")).toBeNull();
+
+    window.removeEventListener("guestlist:auth-forced-logout", forcedLogout);
+  });
+});
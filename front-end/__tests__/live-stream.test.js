@@ -0,0 +1,123 @@
+import { TextDecoder, TextEncoder } from "util";
+
+import { connectLiveStream, createEventStreamParser } from "@/lib/live";
+import { apiOpenLiveStream } from "@/lib/api";
+
+jest.mock("@/lib/api", () => ({
+  apiOpenLiveStream: jest.fn(),
+}));
+
+global.TextDecoder = TextDecoder;
+
+const encoder = new TextEncoder();
+
+// A fetch response whose body yields the given chunks, then ends
+function streamResponse(chunks) {
+  const queue = chunks.map((chunk) => encoder.encode(chunk));
+  return {
+    body: {
+      getReader: () => ({
+        read: async () => (queue.length > 0
+          ? { done: false, value: queue.shift() }
+          : { done: true, value: undefined }),
+      }),
+    },
+  };
+}
+
+const flush = async () => {
+  for (let i = 0; i < 10; i += 1) {
+    await Promise.resolve();
+  }
+};
+
+describe("createEventStreamParser", () => {
+  it("joins messages split across chunks and skips comments", () => {
+    const messages = [];
+    const retries = [];
+    const push = createEventStreamParser({
+      onMessage: (message) => messages.push(message),
+      onRetry: (ms) => retries.push(ms),
+    });
+
+    push("retry: 3000\n\n: heartbeat\n\nid: abc-1\nevent: check-");
+    push("in\ndata: {\"guest\":{\"id\":\"G001\"}}\n");
+    expect(messages).toHaveLength(0);
+
+    push("\nid: abc-2\r\nevent: stats-changed\r\ndata: {}\r\n\r\n");
+
+    expect(retries).toEqual([3000]);
+    expect(messages).toEqual([
+      { id: "abc-1", type: "check-in", data: "{\"guest\":{\"id\":\"G001\"}}" },
+      { id: "abc-2", type: "stats-changed", data: "{}" },
+    ]);
+  });
+
+  it("joins multi-line data and defaults the type", () => {
+    const messages = [];
+    const push = createEventStreamParser({ onMessage: (message) => messages.push(message) });
+
+    push("data: first\ndata: second\n\n");
+
+    expect(messages).toEqual([{ id: null, type: "message", data: "first\nsecond" }]);
+  });
+});
+
+describe("connectLiveStream", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    apiOpenLiveStream.mockReset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("reconnects with the last event ID and reports its status", async () => {
+    apiOpenLiveStream
+      .mockResolvedValueOnce(streamResponse([
+        "retry: 1000\n\nid: abc-0\nevent: ready\ndata: {}\n\n",
+        "id: abc-1\nevent: check-in\ndata: {\"guest\":{\"id\":\"G001\"}}\n\n",
+      ]))
+      .mockResolvedValueOnce(streamResponse([
+        "id: abc-2\nevent: undo\ndata: {\"guest\":{\"id\":\"G001\"}}\n\nid: abc-2\nevent: ready\ndata: {}\n\n",
+      ]))
+      .mockReturnValue(new Promise(() => {}));
+
+    const onMessage = jest.fn();
+    const statuses = [];
+    const close = connectLiveStream({ onMessage, onStatusChange: (status) => statuses.push(status) });
+
+    await flush();
+    expect(apiOpenLiveStream).toHaveBeenCalledTimes(1);
+    expect(apiOpenLiveStream.mock.calls[0][0].lastEventId).toBeNull();
+    expect(onMessage).toHaveBeenCalledWith({ id: "abc-1", type: "check-in", data: { guest: { id: "G001" } } });
+    expect(statuses).toEqual(["connecting", "live", "reconnecting"]);
+
+    // The stream ended; the next attempt waits for the server's retry interval
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    expect(apiOpenLiveStream).toHaveBeenCalledTimes(2);
+    expect(apiOpenLiveStream.mock.calls[1][0].lastEventId).toBe("abc-1");
+    expect(onMessage).toHaveBeenLastCalledWith({ id: "abc-2", type: "undo", data: { guest: { id: "G001" } } });
+
+    close();
+  });
+
+  it("stops retrying when the server refuses the stream", async () => {
+    apiOpenLiveStream.mockRejectedValue(Object.assign(new Error("Unauthorized"), { status: 401 }));
+
+    const statuses = [];
+    const close = connectLiveStream({ onMessage: jest.fn(), onStatusChange: (status) => statuses.push(status) });
+
+    await flush();
+    jest.advanceTimersByTime(60000);
+    await flush();
+
+    expect(apiOpenLiveStream).toHaveBeenCalledTimes(1);
+    expect(statuses).toEqual(["connecting", "offline"]);
+
+    close();
+  });
+});
@@ -0,0 +1,101 @@
+import { act, fireEvent, render, screen } from "@testing-library/react";
+
+import UsherPage from "@/pages/usher";
+import { apiCheckInParty, apiGetParty, apiSearchGuests } from "@/lib/api";
+
+jest.mock("@/lib/api", () => ({
+  apiSearchGuests: jest.fn(),
+  apiScanTicket: jest.fn(),
+  apiCheckInGuest: jest.fn(),
+  apiUndoCheckIn: jest.fn(),
+  apiUpdatePlusOnes: jest.fn(),
+  apiCheckOutGuest: jest.fn(),
+  apiReEntryGuest: jest.fn(),
+  apiGetParty: jest.fn(),
+  apiCheckInParty: jest.fn(),
+  apiGetGuests: jest.fn(),
+  apiSyncQueue: jest.fn(),
+  apiGetSyncStatus: jest.fn(),
+}));
+
+jest.mock("@/context/AuthContext", () => ({
+  useAuth: () => ({ user: { username: "usher1", fullName: "Usher One" } }),
+}));
+
+jest.mock("@/context/EventContext", () => ({
+  useEvent: () => ({ eventId: "E001" }),
+}));
+
+jest.mock("@/components/RouteGuard", () => ({ children }) => children);
+jest.mock("@/components/layout/MainLayout", () => ({ children }) => children);
+jest.mock("next/dynamic", () => () => () => null);
+
+const member = (id, first_name, last_name, status = "Not Checked In") => ({
+  id,
+  first_name,
+  last_name,
+  ticket_type: "General",
+  plus_ones_allowed: 0,
+  plus_ones_checked_in: 0,
+  status,
+  party_id: "P001",
+});
+
+const partyWith = (arrivedIds) => {
+  const members = [
+    member("G002", "Sarah", "Johnson"),
+    member("G004", "Emily", "Brown"),
+    member("G006", "Lisa", "Garcia"),
+  ].map((guest) => (arrivedIds.includes(guest.id) ? { ...guest, status: "Checked In" } : guest));
+
+  return {
+    party: { partyId: "P001", name: "Johnson family", leadGuestId: "G002" },
+    members,
+    summary: { total: 3, arrived: arrivedIds.length, remaining: 3 - arrivedIds.length },
+  };
+};
+
+// Flush pending promise callbacks (toast.promise resolves asynchronously)
+const flush = () => act(async () => {});
+
+const advance = (ms) => act(async () => {
+  jest.advanceTimersByTime(ms);
+});
+
+describe("usher party panel", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("shows how many of the party arrived and checks in the rest in one tap", async () => {
+    apiSearchGuests.mockResolvedValue({ guests: [member("G004", "Emily", "Brown")] });
+    apiGetParty.mockResolvedValueOnce(partyWith(["G002"])).mockResolvedValueOnce(partyWith(["G002", "G004", "G006"]));
+    apiCheckInParty.mockResolvedValue({ totalSuccessful: 2, capacityWarnings: [] });
+
+    render(<UsherPage />);
+
+    fireEvent.change(screen.getByPlaceholderText("Name, Email or Phone"), { target: { value: "emily" } });
+    await advance(300);
+    await flush();
+
+    fireEvent.click(screen.getByText("Emily Brown"));
+    await flush();
+
+    expect(apiGetParty).toHaveBeenCalledWith("P001");
+    expect(screen.getByText("1 of 3 in party arrived")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Check in remaining (2)" }));
+    await flush();
+
+    expect(apiCheckInParty).toHaveBeenCalledWith("P001");
+    expect(screen.getByText("3 of 3 in party arrived")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Everyone has arrived" })).toBeDisabled();
+  });
+});
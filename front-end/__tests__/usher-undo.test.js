@@ -0,0 +1,121 @@
+import { act, fireEvent, render, screen } from "@testing-library/react";
+
+import UsherPage from "@/pages/usher";
+import { apiCheckInGuest, apiSearchGuests, apiUndoCheckIn } from "@/lib/api";
+
+jest.mock("@/lib/api", () => ({
+  apiSearchGuests: jest.fn(),
+  apiScanTicket: jest.fn(),
+  apiCheckInGuest: jest.fn(),
+  apiUndoCheckIn: jest.fn(),
+  apiUpdatePlusOnes: jest.fn(),
+  apiCheckOutGuest: jest.fn(),
+  apiReEntryGuest: jest.fn(),
+  apiGetParty: jest.fn(),
+  apiCheckInParty: jest.fn(),
+  apiGetGuests: jest.fn(),
+  apiSyncQueue: jest.fn(),
+  apiGetSyncStatus: jest.fn(),
+}));
+
+jest.mock("@/context/AuthContext", () => ({
+  useAuth: () => ({ user: { username: "usher1", fullName: "Usher One" } }),
+}));
+
+jest.mock("@/context/EventContext", () => ({
+  useEvent: () => ({ eventId: "E001" }),
+}));
+
+jest.mock("@/components/RouteGuard", () => ({ children }) => children);
+jest.mock("@/components/layout/MainLayout", () => ({ children }) => children);
+jest.mock("next/dynamic", () => () => () => null);
+
+// Component test: the API is mocked, so this covers the countdown and undo
+// card only. The server's window is tested end to end in
+// backend/test/check-in.test.js.
+const guest = {
+  id: "G005",
+  first_name: "David",
+  last_name: "Jones",
+  email: "david.jones@email.com",
+  ticket_type: "Premium",
+  plus_ones_allowed: 0,
+  plus_ones_checked_in: 0,
+  status: "Not Checked In",
+};
+
+// Flush pending promise callbacks (toast.promise resolves asynchronously)
+const flush = () => act(async () => {});
+
+const advance = (ms) => act(async () => {
+  jest.advanceTimersByTime(ms);
+});
+
+async function checkInGuest({ undoWindowSeconds = 30 } = {}) {
+  apiSearchGuests.mockResolvedValue({ guests: [guest] });
+  apiCheckInGuest.mockResolvedValue({
+    confirmationCode: "7KQ2-M9X1",
+    undoWindowSeconds,
+  });
+
+  render(<UsherPage />);
+
+  fireEvent.change(screen.getByPlaceholderText("Name, Email or Phone"), { target: { value: "david" } });
+  await advance(300);
+  await flush();
+
+  fireEvent.click(screen.getByText("David Jones"));
+  fireEvent.click(screen.getByText("Confirm check-in"));
+  fireEvent.click(screen.getByRole("button", { name: "Confirm Check-In" }));
+  await flush();
+}
+
+describe("usher undo countdown (component)", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it("counts down from 30 seconds and hides the undo card when it runs out", async () => {
+    await checkInGuest();
+
+    expect(screen.getByText("7KQ2-M9X1")).toBeInTheDocument();
+    expect(screen.getByText(/Undo available for 30s/)).toBeInTheDocument();
+
+    await advance(19000);
+    expect(screen.getByText(/Undo available for 11s/)).toBeInTheDocument();
+
+    await advance(1000);
+    expect(screen.getByText(/⚠️ Undo available for 10s/)).toBeInTheDocument();
+
+    await advance(10000);
+    expect(screen.queryByText(/Undo available/)).not.toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "Undo" })).not.toBeInTheDocument();
+  });
+
+  it("undoes by confirmation code while the countdown is running", async () => {
+    apiUndoCheckIn.mockResolvedValue({});
+    await checkInGuest();
+
+    await advance(25000);
+    expect(screen.getByText(/Undo available for 5s/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Undo" }));
+    await flush();
+
+    expect(apiUndoCheckIn).toHaveBeenCalledWith("7KQ2-M9X1", "G005");
+    expect(screen.queryByText(/Undo available/)).not.toBeInTheDocument();
+  });
+
+  it("uses the event's undo window from the check-in response", async () => {
+    await checkInGuest({ undoWindowSeconds: 90 });
+
+    expect(screen.getByText(/Undo available for 90s/)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,39 @@
+import { toast } from "sonner";
+
+import { useAuth } from "@/context/AuthContext";
+import { useEvent } from "@/context/EventContext";
+import useLiveEvents from "@/hooks/useLiveEvents";
+import { hasPermission } from "@/lib/permissions";
+
+const formatTime = (value) => {
+    if (!value) return "an unknown time";
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? "an unknown time" : date.toLocaleTimeString();
+};
+
+// Tells supervisors, wherever they are in the app, when a checked-in guest's
+// ticket is presented again. Renders nothing; the server only sends these
+// alerts to roles that can reverse check-ins.
+export default function DuplicateAttemptAlerts() {
+    const { user } = useAuth();
+    const { eventId } = useEvent();
+    const canSupervise = hasPermission(user, "guests.undo.any");
+
+    useLiveEvents(canSupervise ? eventId : null, (message) => {
+        if (message.type !== "duplicate-attempt") return;
+
+        const { guestName, original = {}, attempt = {}, attemptCount } = message.data;
+
+        toast.warning(`Duplicate scan: ${guestName}`, {
+            id: `duplicate-${message.id}`,
+            duration: 15000,
+            description: [
+                `${attempt.usherName || "An usher"} tried again at ${formatTime(attempt.at)}.`,
+                `Checked in by ${original.usherName || "unknown"} at ${formatTime(original.at)}.`,
+                attemptCount > 1 ? `Attempt ${attemptCount} for this guest.` : null,
+            ].filter(Boolean).join(" "),
+        });
+    });
+
+    return null;
+}
@@ -1,13 +1,13 @@
 import { useEffect } from 'react';
 import { useRouter } from 'next/router';
 import { useAuth } from '@/context/AuthContext';
+import { hasPermission, homePathFor } from '@/lib/permissions';
 import { Loader2 } from 'lucide-react';
 
-export default function RouteGuard({ children, requiredRole }) {
+export default function RouteGuard({ children, requiredPermission }) {
     const { isAuthenticated, user, loading } = useAuth();
     const router = useRouter();
-    const normalizedRole = user?.role?.toLowerCase();
-    const guardRole = requiredRole?.toLowerCase();
+    const isAllowed = !requiredPermission || hasPermission(user, requiredPermission);
 
     useEffect(() => {
         if (loading) {
@@ -19,24 +19,14 @@ export default function RouteGuard({ children, requiredRole }) {
             return;
         }
 
-        // Role-based protection
-        if (guardRole && normalizedRole !== guardRole) {
-            if (normalizedRole === 'admin') {
-                router.replace('/admin');
-                return;
-            }
-
-            if (normalizedRole === 'usher') {
-                router.replace('/usher');
-                return;
-            }
-
-            router.replace('/login');
+        // Permission-based protection: send the user to a page they can use
+        if (!isAllowed) {
+            router.replace(homePathFor(user));
         }
-    }, [isAuthenticated, user, loading, router, guardRole, normalizedRole]);
+    }, [isAuthenticated, user, loading, router, isAllowed]);
 
     // While checking auth, show a loading screen
-    if (loading || !isAuthenticated || !user || (guardRole && normalizedRole !== guardRole)) {
+    if (loading || !isAuthenticated || !user || !isAllowed) {
         return (
             <div className="flex h-screen w-full items-center justify-center">
                 <Loader2 className="h-12 w-12 animate-spin text-slate-500" />
@@ -46,4 +36,4 @@ export default function RouteGuard({ children, requiredRole }) {
 
     // If authenticated and authorized, render the page
     return children;
-}
\ No newline at end of file
+}
@@ -1,17 +1,20 @@
 import Link from "next/link";
 import { useRouter } from "next/router";
-import { LogOut, ShieldCheck, LayoutDashboard, Users, List } from "lucide-react";
+import { LogOut, ShieldCheck, LayoutDashboard, Users, List, ScanLine } from "lucide-react";
 
 import { useAuth } from "@/context/AuthContext";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
+import EventSwitcher from "@/components/layout/EventSwitcher";
 import { cn } from "@/lib/utils";
+import { hasPermission } from "@/lib/permissions";
 
 const navItems = [
-    { href: "/admin", label: "Dashboard", icon: LayoutDashboard },
-    { href: "/admin/users", label: "User Management", icon: Users },
-    { href: "/guests", label: "Guest List", icon: List },
+    { href: "/admin", label: "Dashboard", icon: LayoutDashboard, permission: "stats.read" },
+    { href: "/usher", label: "Check-In", icon: ScanLine, permission: "guests.checkin" },
+    { href: "/admin/users", label: "User Management", icon: Users, permission: "ushers.manage" },
+    { href: "/guests", label: "Guest List", icon: List, permission: "guests.read" },
 ];
 
 export default function AdminLayout({ children, stats, statsLoading = false }) {
@@ -61,6 +64,7 @@ export default function AdminLayout({ children, stats, statsLoading = false }) {
                     <div>
                         <p className="text-sm text-shadow-purple-400 font-bold uppercase tracking-[0.35em] text-slate-400">Admin Console</p>
                     </div>
+                    <EventSwitcher />
                     <Card className="hidden items-center gap-4 rounded-10 border-0 bg-slate-950 px-4 py-2 text-sm text-slate-200 shadow-sm md:flex md:flex-row">
                         <div className="flex flex-col">
                             <span className="font-medium">{user?.fullName || user?.username}</span>
@@ -86,7 +90,7 @@ export default function AdminLayout({ children, stats, statsLoading = false }) {
                             </div>
 
                             <nav className="space-y-2">
-                                {navItems.map((item) => (
+                                {navItems.filter((item) => hasPermission(user, item.permission)).map((item) => (
                                     <Link key={item.href} href={item.href}>
                                         <div
                                             className={cn(
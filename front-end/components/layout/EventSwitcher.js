@@ -0,0 +1,44 @@
+import { CalendarDays } from "lucide-react";
+
+import { useEvent } from "@/context/EventContext";
+import {
+    Select,
+    SelectContent,
+    SelectItem,
+    SelectTrigger,
+    SelectValue,
+} from "@/components/ui/select";
+import { cn } from "@/lib/utils";
+
+export default function EventSwitcher({ className }) {
+    const { events, eventId, selectEvent, loading } = useEvent();
+
+    if (!loading && events.length === 0) {
+        return (
+            <div className={cn("flex items-center gap-2 text-xs text-slate-400", className)}>
+                <CalendarDays className="h-4 w-4" />
+                <span>No events assigned</span>
+            </div>
+        );
+    }
+
+    return (
+        <Select value={eventId ?? undefined} onValueChange={selectEvent} disabled={loading}>
+            <SelectTrigger
+                aria-label="Active event"
+                className={cn("min-w-[12rem] border-slate-700 bg-slate-900/70 text-slate-100", className)}
+            >
+                <CalendarDays className="h-4 w-4 text-emerald-300" />
+                <SelectValue placeholder={loading ? "Loading events…" : "Select event"} />
+            </SelectTrigger>
+            <SelectContent className="border-slate-700 bg-slate-900 text-slate-100">
+                {events.map((event) => (
+                    <SelectItem key={event.event_id} value={event.event_id}>
+                        {event.name}
+                        {!event.active && <span className="text-xs text-slate-500"> (inactive)</span>}
+                    </SelectItem>
+                ))}
+            </SelectContent>
+        </Select>
+    );
+}
@@ -1,15 +1,18 @@
 import { useEffect, useRef, useState } from "react";
 import Link from "next/link";
 import { useRouter } from "next/router";
+import { toast } from "sonner";
 import { ChevronDown, LogOut, Menu, UserCircle } from "lucide-react";
 
 import { useAuth } from "@/context/AuthContext";
 import { Button } from "@/components/ui/button";
 import { Card } from "@/components/ui/card";
+import EventSwitcher from "@/components/layout/EventSwitcher";
 import { cn } from "@/lib/utils";
+import { hasPermission } from "@/lib/permissions";
 
 export default function MainLayout({ children }) {
-    const { user, logout } = useAuth();
+    const { user, logout, logoutEverywhere } = useAuth();
     const router = useRouter();
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     const [isProfileMenuOpen, setIsProfileMenuOpen] = useState(false);
@@ -52,10 +55,20 @@ export default function MainLayout({ children }) {
         return () => document.removeEventListener("pointerdown", handlePointerDown);
     }, [isProfileMenuOpen]);
 
+    // Ends this and every other device's session, e.g. after a lost phone
+    const handleLogoutEverywhere = () => {
+        toast.promise(logoutEverywhere(), {
+            loading: 'Logging out of all devices...',
+            success: 'Logged out everywhere.',
+            error: (err) => `Failed to log out everywhere: ${err.message}`
+        });
+    };
+
     const navItems = [
-        { href: "/usher", label: "Check-In" },
-        { href: "/guests", label: "Guest List" },
-    ];
+        { href: "/usher", label: "Check-In", permission: "guests.checkin" },
+        { href: "/guests", label: "Guest List", permission: "guests.read" },
+        { href: "/admin", label: "Dashboard", permission: "stats.read" },
+    ].filter((item) => hasPermission(user, item.permission));
 
     const displayName = user?.fullName || user?.username || "Guest";
 
@@ -108,6 +121,7 @@ export default function MainLayout({ children }) {
                         </Button>
                     </div>
                     <div className="hidden flex-1 md:flex md:items-center md:justify-end md:gap-4">
+                        <EventSwitcher />
                         <nav className="flex items-center gap-2">
                             {navItems.map((item) => (
                                 <Link
@@ -173,6 +187,18 @@ export default function MainLayout({ children }) {
                                         <LogOut className="h-4 w-4" />
                                         Logout
                                     </Button>
+                                    <Button
+                                        variant="ghost"
+                                        className="flex w-full items-center justify-start gap-2 rounded-none px-4 py-3 text-sm text-slate-300 hover:bg-slate-800 font-fancy"
+                                        onClick={(event) => {
+                                            event.stopPropagation();
+                                            setIsProfileMenuOpen(false);
+                                            handleLogoutEverywhere();
+                                        }}
+                                    >
+                                        <LogOut className="h-4 w-4" />
+                                        Log out everywhere
+                                    </Button>
                                 </div>
                             )}
                         </div>
@@ -181,6 +207,7 @@ export default function MainLayout({ children }) {
                 {isMobileMenuOpen && (
                     <div className="border-t border-white/5 bg-slate-950/95 px-4 pb-6 md:hidden">
                         <div className="flex flex-col gap-4">
+                            <EventSwitcher className="w-full" />
                             <nav className="flex flex-col gap-2">{navItems.map(renderNavLink)}</nav>
                             <div ref={mobileProfileRef}>
                                 <Card
@@ -230,6 +257,21 @@ export default function MainLayout({ children }) {
                                             Logout
                                         </Button>
                                     )}
+                                    {isProfileMenuOpen && (
+                                        <Button
+                                            variant="ghost"
+                                            className="w-full justify-center text-slate-300 hover:bg-slate-800 hover:text-white"
+                                            onClick={(event) => {
+                                                event.stopPropagation();
+                                                setIsProfileMenuOpen(false);
+                                                setIsMobileMenuOpen(false);
+                                                handleLogoutEverywhere();
+                                            }}
+                                        >
+                                            <LogOut className="mr-2 h-4 w-4" />
+                                            Log out everywhere
+                                        </Button>
+                                    )}
                                 </Card>
                             </div>
                         </div>
@@ -1,5 +1,7 @@
 import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
+import { apiLogout, apiLogoutEverywhere } from '@/lib/api';
+import { homePathFor } from '@/lib/permissions';
 
 const STORAGE_KEYS = {
     user: 'guestlist_user',
@@ -41,7 +43,14 @@ export function AuthProvider({ children }) {
         if (storedUser && storedUser !== 'undefined') {
             try {
                 const parsedUser = JSON.parse(storedUser);
-                setUser(normalizeUser(parsedUser));
+
+                // Sessions saved before the server sent permissions must sign in again
+                if (Array.isArray(parsedUser?.permissions)) {
+                    setUser(normalizeUser(parsedUser));
+                } else {
+                    Object.values(STORAGE_KEYS).forEach((key) => localStorage.removeItem(key));
+                    setToken(null);
+                }
             } catch (error) {
                 console.warn('Failed to parse stored user:', error);
                 localStorage.removeItem(STORAGE_KEYS.user);
@@ -63,18 +72,11 @@ export function AuthProvider({ children }) {
             localStorage.setItem(STORAGE_KEYS.refreshToken, refreshToken);
         }
 
-        // Redirect based on role
-        const role = normalizedUser?.role;
-        if (role === 'admin') {
-            router.replace('/admin');
-        } else if (role === 'usher') {
-            router.replace('/usher');
-        } else {
-            router.replace('/login');
-        }
+        // Redirect to the first page the user's permissions allow
+        router.replace(homePathFor(normalizedUser));
     }, [router]);
 
-    const logout = useCallback(() => {
+    const clearSession = useCallback(() => {
         setUser(null);
         setToken(null);
         localStorage.removeItem(STORAGE_KEYS.user);
@@ -83,18 +85,47 @@ export function AuthProvider({ children }) {
         router.replace('/login');
     }, [router]);
 
+    // Revoke the token server-side; the local session ends even if that request fails
+    const logout = useCallback(async () => {
+        try {
+            await apiLogout();
+        } catch (error) {
+            console.warn('Server logout failed:', error);
+        }
+        clearSession();
+    }, [clearSession]);
+
+    const logoutEverywhere = useCallback(async () => {
+        await apiLogoutEverywhere();
+        clearSession();
+    }, [clearSession]);
+
     useEffect(() => {
         if (typeof window === 'undefined') return undefined;
 
+        // The server already rejected the token, so only clear it locally
         const handleForcedLogout = () => {
-            logout();
+            clearSession();
+        };
+
+        // lib/api already stored the new tokens; pick up the token and any role or name change
+        const handleRefreshed = (event) => {
+            setToken(event.detail.token);
+
+            if (event.detail.user) {
+                const normalizedUser = normalizeUser(event.detail.user);
+                setUser(normalizedUser);
+                localStorage.setItem(STORAGE_KEYS.user, JSON.stringify(normalizedUser));
+            }
         };
 
         window.addEventListener('guestlist:auth-forced-logout', handleForcedLogout);
+        window.addEventListener('guestlist:auth-refreshed', handleRefreshed);
         return () => {
             window.removeEventListener('guestlist:auth-forced-logout', handleForcedLogout);
+            window.removeEventListener('guestlist:auth-refreshed', handleRefreshed);
         };
-    }, [logout]);
+    }, [clearSession]);
 
     const value = {
         user,
@@ -103,6 +134,7 @@ export function AuthProvider({ children }) {
         loading,
         login,
         logout,
+        logoutEverywhere,
     };
 
     return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,83 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+
+import { useAuth } from '@/context/AuthContext';
+import { apiGetEvents, EVENT_STORAGE_KEY } from '@/lib/api';
+
+const EventContext = createContext();
+
+function pickDefaultEvent(events, storedId) {
+    const stored = events.find((event) => event.event_id === storedId);
+    if (stored) {
+        return stored;
+    }
+
+    return events.find((event) => event.active) || events[0] || null;
+}
+
+export function useEvent() {
+    return useContext(EventContext);
+}
+
+export function EventProvider({ children }) {
+    const { isAuthenticated, loading: authLoading } = useAuth();
+    const [events, setEvents] = useState([]);
+    const [eventId, setEventId] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const selectEvent = useCallback((nextEventId) => {
+        setEventId(nextEventId);
+
+        if (nextEventId) {
+            localStorage.setItem(EVENT_STORAGE_KEY, nextEventId);
+        } else {
+            localStorage.removeItem(EVENT_STORAGE_KEY);
+        }
+    }, []);
+
+    const refreshEvents = useCallback(async () => {
+        setLoading(true);
+
+        try {
+            const data = await apiGetEvents();
+            const list = Array.isArray(data?.events) ? data.events : [];
+            const nextEvent = pickDefaultEvent(list, localStorage.getItem(EVENT_STORAGE_KEY));
+
+            setEvents(list);
+            selectEvent(nextEvent?.event_id ?? null);
+        } catch (error) {
+            console.warn('Failed to load events:', error);
+            setEvents([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [selectEvent]);
+
+    useEffect(() => {
+        if (authLoading) return;
+
+        if (!isAuthenticated) {
+            setEvents([]);
+            selectEvent(null);
+            setLoading(false);
+            return;
+        }
+
+        refreshEvents();
+    }, [authLoading, isAuthenticated, refreshEvents, selectEvent]);
+
+    const currentEvent = useMemo(
+        () => events.find((event) => event.event_id === eventId) || null,
+        [events, eventId]
+    );
+
+    const value = {
+        events,
+        eventId,
+        currentEvent,
+        loading,
+        selectEvent,
+        refreshEvents,
+    };
+
+    return <EventContext.Provider value={value}>{children}</EventContext.Provider>;
+}
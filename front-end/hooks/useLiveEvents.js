@@ -0,0 +1,29 @@
+import { useState, useEffect, useRef } from 'react';
+
+import { subscribeLiveEvents } from '@/lib/live';
+
+export default function useLiveEvents(eventId, onMessage) {
+    const [status, setStatus] = useState('offline');
+    const handlerRef = useRef(onMessage);
+
+    // Always call the latest handler without reopening the stream
+    useEffect(() => {
+        handlerRef.current = onMessage;
+    }, [onMessage]);
+
+    useEffect(() => {
+        if (!eventId) {
+            setStatus('offline');
+            return undefined;
+        }
+
+        // Components watching the same event share one stream; switching
+        // events starts over without replay
+        return subscribeLiveEvents(eventId, {
+            onMessage: (message) => handlerRef.current?.(message),
+            onStatusChange: setStatus,
+        });
+    }, [eventId]);
+
+    return status;
+}
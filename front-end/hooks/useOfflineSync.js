@@ -0,0 +1,186 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { toast } from 'sonner';
+
+import { apiGetGuests, apiGetSyncStatus, apiSyncQueue } from '@/lib/api';
+import {
+    enqueueCheckIn,
+    findSnapshotGuestByTicket,
+    getDeviceId,
+    loadGuestSnapshot,
+    loadQueue,
+    removeFromQueue,
+    saveGuestSnapshot,
+    searchGuestSnapshot,
+} from '@/lib/offline';
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 100;
+const SYNC_BATCH_SIZE = 200;
+// While check-ins are waiting, retry this often even if the browser claims to be online
+const RETRY_INTERVAL_MS = 30000;
+
+const isOnlineNow = () => (typeof navigator === 'undefined' ? true : navigator.onLine !== false);
+
+const snapshotSummary = (data) => (data ? {
+    count: data.guests.length,
+    savedAt: data.savedAt,
+    lastModified: data.lastModified,
+} : null);
+
+export default function useOfflineSync(eventId) {
+    const [isOnline, setIsOnline] = useState(isOnlineNow);
+    const [queue, setQueue] = useState([]);
+    const [snapshot, setSnapshot] = useState(null);
+    const [isSyncing, setIsSyncing] = useState(false);
+    // Queued check-ins the server did not apply as they were (conflicts, rejections)
+    const [problems, setProblems] = useState([]);
+    const syncingRef = useRef(false);
+
+    // Download the whole guest list of the event for use without a connection
+    const refreshSnapshot = useCallback(async () => {
+        if (!eventId) return;
+
+        try {
+            const status = await apiGetSyncStatus();
+            const current = loadGuestSnapshot(eventId);
+            if (current && current.lastModified === status?.guests?.lastModified
+                && current.guests.length === status?.guests?.total) {
+                return;
+            }
+
+            const guests = [];
+            let cursor = null;
+            for (let page = 1; page <= MAX_PAGES; page += 1) {
+                const data = await apiGetGuests({ cursor, limit: PAGE_SIZE });
+                guests.push(...(data?.guests || []));
+                cursor = data?.pagination?.nextCursor;
+                if (!cursor) break;
+            }
+
+            saveGuestSnapshot(eventId, guests, status?.guests?.lastModified ?? null);
+            setSnapshot(snapshotSummary(loadGuestSnapshot(eventId)));
+        } catch (error) {
+            console.warn('Failed to save guest list for offline use:', error);
+        }
+    }, [eventId]);
+
+    // Replay queued check-ins; items the server processed leave the queue
+    const syncNow = useCallback(async () => {
+        if (!eventId || syncingRef.current) return;
+
+        const pending = loadQueue(eventId);
+        if (pending.length === 0) return;
+
+        syncingRef.current = true;
+        setIsSyncing(true);
+
+        try {
+            const deviceId = getDeviceId();
+            const results = [];
+
+            for (let i = 0; i < pending.length; i += SYNC_BATCH_SIZE) {
+                const data = await apiSyncQueue(pending.slice(i, i + SYNC_BATCH_SIZE), deviceId);
+                results.push(...(data?.results || []));
+            }
+
+            const done = results.filter((result) => !result.retryable).map((result) => result.idempotencyKey);
+            setQueue(removeFromQueue(eventId, done));
+
+            const newProblems = results.filter((result) => ['conflict', 'rejected', 'invalid'].includes(result.status)
+                && !result.retryable);
+            setProblems((prev) => [...newProblems, ...prev]);
+
+            const applied = results.filter((result) => result.status === 'applied').length;
+            if (newProblems.length > 0) {
+                toast.warning('Offline check-ins synced with issues', {
+                    description: `${applied} applied, ${newProblems.length} need attention.`,
+                });
+            } else if (applied > 0) {
+                toast.success(`${applied} offline check-in(s) synced`);
+            }
+
+            setIsOnline(true);
+            await refreshSnapshot();
+        } catch (error) {
+            if (error.isNetworkError) {
+                setIsOnline(false);
+            } else {
+                toast.error('Sync failed', { description: error.message });
+            }
+        } finally {
+            syncingRef.current = false;
+            setIsSyncing(false);
+        }
+    }, [eventId, refreshSnapshot]);
+
+    // Load what this device has stored for the event
+    useEffect(() => {
+        if (!eventId) {
+            setQueue([]);
+            setSnapshot(null);
+            setProblems([]);
+            return;
+        }
+
+        setQueue(loadQueue(eventId));
+        setSnapshot(snapshotSummary(loadGuestSnapshot(eventId)));
+        setProblems([]);
+
+        if (isOnlineNow()) {
+            syncNow().then(refreshSnapshot);
+        }
+    }, [eventId, syncNow, refreshSnapshot]);
+
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            syncNow();
+        };
+        const handleOffline = () => setIsOnline(false);
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, [syncNow]);
+
+    useEffect(() => {
+        if (queue.length === 0) return undefined;
+
+        const timer = setInterval(syncNow, RETRY_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [queue.length, syncNow]);
+
+    const queueCheckIn = useCallback((guestId, options = {}) => {
+        const item = enqueueCheckIn(eventId, { guestId, ...options });
+        setQueue(loadQueue(eventId));
+        return item;
+    }, [eventId]);
+
+    const searchOffline = useCallback((term) => searchGuestSnapshot(eventId, term), [eventId]);
+
+    const findOfflineTicket = useCallback((code) => findSnapshotGuestByTicket(eventId, code), [eventId]);
+
+    // Requests made by the page tell us more than navigator.onLine does
+    const markOffline = useCallback(() => setIsOnline(false), []);
+    const markOnline = useCallback(() => setIsOnline(true), []);
+
+    const dismissProblems = useCallback(() => setProblems([]), []);
+
+    return {
+        isOnline,
+        pendingCount: queue.length,
+        isSyncing,
+        snapshot,
+        problems,
+        queueCheckIn,
+        searchOffline,
+        findOfflineTicket,
+        markOffline,
+        markOnline,
+        syncNow,
+        dismissProblems,
+    };
+}
@@ -0,0 +1,4 @@
+import "@testing-library/jest-dom";
+
+// jsdom does not implement layout APIs the pages call
+Element.prototype.scrollIntoView = function scrollIntoView() {};
@@ -1,31 +1,166 @@
 const API_URL = process.env.NEXT_PUBLIC_API_URL;
 
-// Enhanced fetcher that automatically includes the auth token
-async function fetcher(endpoint, options = {}) {
-    const url = `${API_URL}${endpoint}`;
+export const EVENT_STORAGE_KEY = 'guestlist_event_id';
+
+// Access token stored at sign-in or by the last refresh
+function storedToken() {
+    return typeof window !== 'undefined' ? localStorage.getItem('guestlist_token') : null;
+}
 
-    // Get token from localStorage
-    const token = typeof window !== 'undefined' ? localStorage.getItem('guestlist_token') : null;
+// Request headers with the auth token and active event from localStorage
+function buildHeaders(extraHeaders = {}) {
+    const token = storedToken();
+    const eventId = typeof window !== 'undefined' ? localStorage.getItem(EVENT_STORAGE_KEY) : null;
 
     const headers = {
         'Content-Type': 'application/json',
-        ...options.headers,
+        ...extraHeaders,
     };
 
     if (token) {
         headers['Authorization'] = `Bearer ${token}`;
     }
 
+    if (eventId && !headers['X-Event-Id']) {
+        headers['X-Event-Id'] = eventId;
+    }
+
+    return headers;
+}
+
+// Auth endpoints whose 401s mean bad credentials, not an expired access token
+const NO_REFRESH_ENDPOINTS = ['/api/auth/login', '/api/auth/refresh', '/api/auth/logout'];
+
+const REFRESH_LOCK_NAME = 'guestlist_refresh';
+const REFRESH_LEASE_KEY = 'guestlist_refresh_lease';
+const REFRESH_LEASE_MS = 10000;
+
+let refreshPromise = null;
+
+// True once another tab (or an earlier refresh) stored a token other than the rejected one
+function tokenChangedSince(rejectedToken) {
+    const current = storedToken();
+    return Boolean(current) && current !== rejectedToken;
+}
+
+// Resolve when the tab holding the refresh lease releases it, or the lease runs out
+function waitForRefreshLease(timeoutMs) {
+    return new Promise((resolve) => {
+        const done = () => {
+            clearTimeout(timer);
+            window.removeEventListener('storage', handleStorage);
+            resolve();
+        };
+        const handleStorage = (event) => {
+            if (event.key === REFRESH_LEASE_KEY || event.key === null) done();
+        };
+        const timer = setTimeout(done, timeoutMs);
+        window.addEventListener('storage', handleStorage);
+    });
+}
+
+// Run task while no other tab of this origin is refreshing. Uses Web Locks where
+// the browser has them, otherwise a short lease in localStorage that other tabs
+// hear about through the storage event.
+async function withRefreshLock(task) {
+    if (navigator.locks?.request) {
+        return navigator.locks.request(REFRESH_LOCK_NAME, task);
+    }
+
+    const leaseUntil = Number(localStorage.getItem(REFRESH_LEASE_KEY)) || 0;
+    if (leaseUntil > Date.now()) {
+        await waitForRefreshLease(leaseUntil - Date.now());
+        return withRefreshLock(task);
+    }
+
+    localStorage.setItem(REFRESH_LEASE_KEY, String(Date.now() + REFRESH_LEASE_MS));
+    try {
+        return await task();
+    } finally {
+        localStorage.removeItem(REFRESH_LEASE_KEY);
+    }
+}
+
+// Swap the stored refresh token for a new pair. The server treats a second use of
+// the same refresh token as theft, so concurrent 401s share one request and tabs
+// take turns; a tab that finds a newer token than the rejected one just uses it.
+function refreshSession(rejectedToken) {
+    if (!refreshPromise) {
+        refreshPromise = withRefreshLock(async () => {
+            if (tokenChangedSince(rejectedToken)) return true;
+
+            const refreshToken = localStorage.getItem('guestlist_refresh_token');
+            if (!refreshToken) return false;
+
+            try {
+                const response = await fetch(`${API_URL}/api/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken }),
+                });
+                // Another tab may have refreshed without the lock (an older browser)
+                if (!response.ok) return tokenChangedSince(rejectedToken);
+
+                const { data } = await response.json();
+                localStorage.setItem('guestlist_token', data.token);
+                localStorage.setItem('guestlist_refresh_token', data.refreshToken);
+
+                window.dispatchEvent(new CustomEvent('guestlist:auth-refreshed', {
+                    detail: {
+                        token: data.token,
+                        user: data.user,
+                    },
+                }));
+                return true;
+            } catch (error) {
+                return tokenChangedSince(rejectedToken);
+            }
+        }).finally(() => {
+            refreshPromise = null;
+        });
+    }
+
+    return refreshPromise;
+}
+
+// After a 401: true when the access token was renewed and the request should be
+// replayed once; otherwise the local session is cleared
+async function renewAfterUnauthorized(endpoint, rejectedToken, data, retried) {
+    if (typeof window === 'undefined') return false;
+
+    if (!retried && !NO_REFRESH_ENDPOINTS.includes(endpoint) && await refreshSession(rejectedToken)) {
+        return true;
+    }
+
+    localStorage.removeItem('guestlist_user');
+    localStorage.removeItem('guestlist_token');
+    localStorage.removeItem('guestlist_refresh_token');
+
+    window.dispatchEvent(new CustomEvent('guestlist:auth-forced-logout', {
+        detail: {
+            reason: data?.message || 'Unauthorized',
+        },
+    }));
+    return false;
+}
+
+// Enhanced fetcher that automatically includes the auth token and active event
+async function fetcher(endpoint, options = {}, { retried = false } = {}) {
+    const url = `${API_URL}${endpoint}`;
+
+    const sentToken = storedToken();
     const config = {
         ...options,
-        headers,
+        headers: buildHeaders(options.headers),
     };
 
     let response;
     try {
         response = await fetch(url, config);
     } catch (error) {
-        throw new Error("Network error, please try again.");
+        const networkError = new Error("Network error, please try again.");
+        networkError.isNetworkError = true;
+        throw networkError;
     }
 
     let data;
@@ -36,16 +171,8 @@ async function fetcher(endpoint, options = {}) {
     }
 
     if (!response.ok) {
-        if (response.status === 401 && typeof window !== 'undefined') {
-            localStorage.removeItem('guestlist_user');
-            localStorage.removeItem('guestlist_token');
-            localStorage.removeItem('guestlist_refresh_token');
-
-            window.dispatchEvent(new CustomEvent('guestlist:auth-forced-logout', {
-                detail: {
-                    reason: data?.message || 'Unauthorized',
-                },
-            }));
+        if (response.status === 401 && await renewAfterUnauthorized(endpoint, sentToken, data, retried)) {
+            return fetcher(endpoint, options, { retried: true });
         }
 
         const error = new Error(data?.message || 'An error occurred.');
@@ -59,6 +186,39 @@ async function fetcher(endpoint, options = {}) {
     return data.data || data;
 }
 
+// Fetch a binary response (PDF, image) and return it with its server-suggested filename
+async function fetchFile(endpoint, options = {}, { retried = false } = {}) {
+    const sentToken = storedToken();
+
+    let response;
+    try {
+        response = await fetch(`${API_URL}${endpoint}`, {
+            ...options,
+            headers: buildHeaders(options.headers),
+        });
+    } catch (error) {
+        throw new Error("Network error, please try again.");
+    }
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401 && await renewAfterUnauthorized(endpoint, sentToken, data, retried)) {
+            return fetchFile(endpoint, options, { retried: true });
+        }
+
+        const error = new Error(data?.message || 'An error occurred.');
+        error.status = response.status;
+        error.body = data;
+        throw error;
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'download';
+
+    return { blob: await response.blob(), filename };
+}
+
 // --- Auth Endpoints ---
 export const apiLogin = async (username, password) => {
     const response = await fetcher('/api/auth/login', {
@@ -68,6 +228,33 @@ export const apiLogin = async (username, password) => {
     return response;
 };
 
+export const apiLogout = async () => {
+    return fetcher('/api/auth/logout', { method: 'POST' });
+};
+
+export const apiLogoutEverywhere = async () => {
+    return fetcher('/api/auth/logout-all', { method: 'POST' });
+};
+
+// --- Event Endpoints ---
+export const apiGetEvents = async () => {
+    return fetcher('/api/events');
+};
+
+export const apiCreateEvent = async (eventData) => {
+    return fetcher('/api/admin/events', {
+        method: 'POST',
+        body: JSON.stringify(eventData),
+    });
+};
+
+export const apiUpdateEvent = async (eventId, eventData) => {
+    return fetcher(`/api/admin/events/${eventId}`, {
+        method: 'PUT',
+        body: JSON.stringify(eventData),
+    });
+};
+
 // --- Guest Management Endpoints (NEW) ---
 export const apiSearchGuests = async (searchTerm) => {
     return fetcher('/api/guests/search', {
@@ -75,9 +262,20 @@ export const apiSearchGuests = async (searchTerm) => {
         body: JSON.stringify({ query: searchTerm }),
     });
 };
+export const apiScanTicket = async (code) => {
+    return fetcher('/api/guests/scan', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+    });
+};
+export const apiGetTicketTypes = async () => {
+    return fetcher('/api/ticket-types');
+};
 export const apiGetGuests = async (params = {}) => {
-    // params can include { page = 1, limit = 20, status = '', ticketType = '' }
-    const query = new URLSearchParams(params).toString();
+    // params can include { cursor, limit = 50, sortBy = 'name', sortOrder = 'asc', status = '', ticketType = '' }
+    // Pass pagination.nextCursor from the previous response to get the next page
+    const defined = Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    const query = new URLSearchParams(defined).toString();
     return fetcher(`/api/guests?${query}`);
 };
 
@@ -97,12 +295,97 @@ export const apiCheckInGuest = async (guestId, plusOnes, notes = '') => {
     });
 };
 
-export const apiUndoCheckIn = async (confirmationCode) => {
+export const apiGetParty = async (partyId) => {
+    return fetcher(`/api/parties/${partyId}`);
+};
+
+export const apiCheckInParty = async (partyId, guests) => {
+    // Without guests the server checks in every member who has not arrived yet
+    return fetcher(`/api/parties/${partyId}/check-in`, {
+        method: 'POST',
+        body: JSON.stringify(guests ? { guests } : {}),
+    });
+};
+
+export const apiCreateGuest = async (guestData) => {
+    return fetcher('/api/admin/guests', {
+        method: 'POST',
+        body: JSON.stringify(guestData),
+    });
+};
+
+export const apiUpdateGuest = async (guestId, guestData) => {
+    return fetcher(`/api/admin/guests/${guestId}`, {
+        method: 'PUT',
+        body: JSON.stringify(guestData),
+    });
+};
+
+export const apiDeleteGuest = async (guestId) => {
+    return fetcher(`/api/admin/guests/${guestId}`, {
+        method: 'DELETE',
+    });
+};
+
+export const apiUpdatePlusOnes = async (guestId, delta, notes = '') => {
+    return fetcher('/api/guests/plus-ones', {
+        method: 'POST',
+        body: JSON.stringify({ guestId, delta, notes }),
+    });
+};
+
+export const apiCheckOutGuest = async (guestId, notes = '') => {
+    return fetcher('/api/guests/check-out', {
+        method: 'POST',
+        body: JSON.stringify({ guestId, notes }),
+    });
+};
+
+export const apiReEntryGuest = async (guestId, notes = '') => {
+    return fetcher('/api/guests/re-entry', {
+        method: 'POST',
+        body: JSON.stringify({ guestId, notes }),
+    });
+};
+
+export const apiGetGuestTicket = async (guestId) => {
+    return fetcher(`/api/admin/guests/${guestId}/ticket`);
+};
+
+export const apiRevokeGuestTicket = async (guestId, reason = '') => {
+    return fetcher(`/api/admin/guests/${guestId}/ticket/revoke`, {
+        method: 'POST',
+        body: JSON.stringify({ reason }),
+    });
+};
+
+export const apiReverseCheckIn = async (guestId, reason) => {
+    return fetcher(`/api/admin/guests/${guestId}/reverse-check-in`, {
+        method: 'POST',
+        body: JSON.stringify({ reason }),
+    });
+};
+
+export const apiDownloadBadges = async (filters = {}) => {
+    // filters can include { status, ticketType, layout: 'badge' | 'ticket' }
+    return fetchFile('/api/admin/guests/badges', {
+        method: 'POST',
+        body: JSON.stringify(filters),
+    });
+};
+
+export const apiUndoCheckIn = async (confirmationCode, guestId) => {
+    // The code pins the undo to this exact check-in; guestId is a fallback when no code was returned
     return fetcher('/api/guests/undo-check-in', {
         method: 'POST',
-        body: JSON.stringify({ confirmationCode }),
+        body: JSON.stringify({ confirmationCode, guestId }),
     });
 };
+
+export const apiVerifyConfirmationCode = async (code) => {
+    return fetcher(`/api/guests/confirmations/${encodeURIComponent(code)}`);
+};
+
 export const apiGetStats = async () => {
     return fetcher('/api/admin/stats');
 };
@@ -129,4 +412,52 @@ export const apiDeactivateUsher = async (userId) => {
     return fetcher(`/api/admin/ushers/${userId}`, {
         method: 'DELETE',
     });
-};
\ No newline at end of file
+};
+
+export const apiLogoutUsherEverywhere = async (userId) => {
+    return fetcher(`/api/admin/ushers/${userId}/logout-all`, {
+        method: 'POST',
+    });
+};
+// --- Live Updates ---
+// Open the Server-Sent Events stream of the active event. EventSource cannot
+// send the Authorization header, so the stream is read from a fetch response.
+export const apiOpenLiveStream = async ({ eventId, lastEventId, signal } = {}, { retried = false } = {}) => {
+    const headers = buildHeaders(eventId
+        ? { Accept: 'text/event-stream', 'X-Event-Id': eventId }
+        : { Accept: 'text/event-stream' });
+    delete headers['Content-Type'];
+    if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+    }
+
+    const sentToken = storedToken();
+    const response = await fetch(`${API_URL}/api/live`, { headers, signal, cache: 'no-store' });
+
+    if (response.status === 401 && !retried && await refreshSession(sentToken)) {
+        return apiOpenLiveStream({ eventId, lastEventId, signal }, { retried: true });
+    }
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        const error = new Error(data?.message || 'Could not open live updates.');
+        error.status = response.status;
+        error.body = data;
+        throw error;
+    }
+
+    return response;
+};
+
+// --- Offline Sync ---
+export const apiSyncQueue = async (items, deviceId) => {
+    return fetcher('/api/sync/queue', {
+        method: 'POST',
+        body: JSON.stringify({ items, deviceId }),
+    });
+};
+
+export const apiGetSyncStatus = async (keys = []) => {
+    const query = keys.length > 0 ? `?keys=${encodeURIComponent(keys.join(','))}` : '';
+    return fetcher(`/api/sync/status${query}`);
+};
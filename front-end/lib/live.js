@@ -0,0 +1,175 @@
+import { apiOpenLiveStream } from '@/lib/api';
+
+const DEFAULT_RETRY_MS = 3000;
+const MAX_RETRY_MS = 30000;
+
+// Statuses that retrying will not fix (bad event, signed out, no permission)
+const FATAL_STATUSES = [400, 401, 403];
+
+// Split a text/event-stream body into messages. Returns a function to feed
+// decoded chunks to; complete messages are passed to onMessage as
+// { id, type, data } where id is the last ID seen so far, as the spec requires.
+export function createEventStreamParser({ onMessage, onRetry = () => {} }) {
+    let buffer = '';
+    let lastEventId = null;
+    let type = '';
+    let data = [];
+
+    const dispatch = () => {
+        if (data.length > 0) {
+            onMessage({ id: lastEventId, type: type || 'message', data: data.join('\n') });
+        }
+        type = '';
+        data = [];
+    };
+
+    const processLine = (line) => {
+        if (line === '') {
+            dispatch();
+            return;
+        }
+        if (line.startsWith(':')) {
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) {
+            value = value.slice(1);
+        }
+
+        if (field === 'event') {
+            type = value;
+        } else if (field === 'data') {
+            data.push(value);
+        } else if (field === 'id' && !value.includes('\0')) {
+            lastEventId = value;
+        } else if (field === 'retry' && /^\d+$/.test(value)) {
+            onRetry(Number(value));
+        }
+    };
+
+    return (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split(/\r\n|\r|\n/);
+        // The last piece may be an incomplete line; keep it for the next chunk
+        buffer = lines.pop();
+        lines.forEach(processLine);
+    };
+}
+
+// Keep a live stream of the active event open, reconnecting with backoff and
+// asking the server to replay what was missed via Last-Event-ID.
+// onStatusChange receives 'connecting', 'live', 'reconnecting' or 'offline'.
+// Returns a function that closes the stream for good.
+export function connectLiveStream({ eventId, onMessage, onStatusChange = () => {} }) {
+    const controller = new AbortController();
+    let lastEventId = null;
+    let retryMs = DEFAULT_RETRY_MS;
+    let failures = 0;
+    let closed = false;
+    let timer = null;
+
+    const handleMessage = (message) => {
+        if (message.id) {
+            lastEventId = message.id;
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(message.data);
+        } catch (error) {
+            payload = {};
+        }
+
+        if (message.type === 'ready') {
+            failures = 0;
+            onStatusChange('live');
+            return;
+        }
+
+        onMessage({ id: message.id, type: message.type, data: payload });
+    };
+
+    const run = async () => {
+        if (closed) return;
+        onStatusChange(failures === 0 && !lastEventId ? 'connecting' : 'reconnecting');
+
+        try {
+            const response = await apiOpenLiveStream({ eventId, lastEventId, signal: controller.signal });
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            const parser = createEventStreamParser({
+                onMessage: handleMessage,
+                onRetry: (ms) => {
+                    retryMs = ms;
+                },
+            });
+
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                parser(decoder.decode(value, { stream: true }));
+            }
+        } catch (error) {
+            if (closed) return;
+            if (FATAL_STATUSES.includes(error.status)) {
+                onStatusChange('offline');
+                return;
+            }
+        }
+
+        if (closed) return;
+
+        // The server ends the stream when the access token expires, so a clean
+        // close is followed by a prompt reconnect; repeated failures back off
+        failures += 1;
+        onStatusChange('reconnecting');
+        timer = setTimeout(run, Math.min(retryMs * 2 ** (failures - 1), MAX_RETRY_MS));
+    };
+
+    run();
+
+    return () => {
+        closed = true;
+        clearTimeout(timer);
+        controller.abort();
+    };
+}
+
+// Open streams shared by every component watching the same event
+const sharedStreams = new Map();
+
+// Listen to the live stream of an event, opening it for the first listener
+// and closing it after the last one leaves. listener is
+// { onMessage, onStatusChange }; it is told the current status right away.
+// Returns a function that removes the listener.
+export function subscribeLiveEvents(eventId, listener) {
+    let stream = sharedStreams.get(eventId);
+
+    if (!stream) {
+        const created = { status: 'connecting', listeners: new Set(), close: null };
+        created.close = connectLiveStream({
+            eventId,
+            onMessage: (message) => created.listeners.forEach((entry) => entry.onMessage?.(message)),
+            onStatusChange: (status) => {
+                created.status = status;
+                created.listeners.forEach((entry) => entry.onStatusChange?.(status));
+            },
+        });
+        sharedStreams.set(eventId, created);
+        stream = created;
+    }
+
+    stream.listeners.add(listener);
+    listener.onStatusChange?.(stream.status);
+
+    return () => {
+        stream.listeners.delete(listener);
+        if (stream.listeners.size === 0) {
+            stream.close();
+            sharedStreams.delete(eventId);
+        }
+    };
+}
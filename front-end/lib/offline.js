@@ -0,0 +1,145 @@
+// Offline copy of the active event's guest list and the queue of check-ins
+// made without a connection. Both live in localStorage per event so a
+// reload while offline keeps them; the queue is replayed via /api/sync/queue.
+
+const SNAPSHOT_PREFIX = 'guestlist_offline_guests:';
+const QUEUE_PREFIX = 'guestlist_sync_queue:';
+const DEVICE_KEY = 'guestlist_device_id';
+const SEARCH_LIMIT = 20;
+
+const readJson = (key, fallback) => {
+    if (typeof window === 'undefined') return fallback;
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+        return fallback;
+    }
+};
+
+const writeJson = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        // Storage full or disabled; the app keeps working online
+        console.warn('Failed to save offline data:', error);
+        return false;
+    }
+};
+
+const randomId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`);
+
+// Stable per-browser identifier, shown in the audit log of synced check-ins
+export function getDeviceId() {
+    let deviceId = readJson(DEVICE_KEY, null);
+    if (!deviceId) {
+        deviceId = `device-${randomId().slice(0, 8)}`;
+        writeJson(DEVICE_KEY, deviceId);
+    }
+    return deviceId;
+}
+
+// --- Guest list snapshot ---
+export function saveGuestSnapshot(eventId, guests, lastModified = null) {
+    return writeJson(`${SNAPSHOT_PREFIX}${eventId}`, {
+        guests,
+        lastModified,
+        savedAt: new Date().toISOString(),
+    });
+}
+
+export function loadGuestSnapshot(eventId) {
+    return readJson(`${SNAPSHOT_PREFIX}${eventId}`, null);
+}
+
+// Lowercase and drop accents so "jose" finds "José", as the server search does
+const fold = (value) => String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Same fields the server search matches: name, email, phone, guest ID and
+// confirmation code. Substring matches only; typo tolerance needs the server.
+export function searchGuestSnapshot(eventId, term) {
+    const snapshot = loadGuestSnapshot(eventId);
+    const query = fold(String(term || '').trim());
+    if (!snapshot || !query) return [];
+
+    // Phone numbers compare on digits, ignoring spaces and punctuation
+    const digits = /^[\d\s()+.-]+$/.test(query) ? query.replace(/\D/g, '') : '';
+
+    return snapshot.guests.filter((guest) => {
+        const haystack = fold([
+            guest.id,
+            `${guest.first_name} ${guest.last_name}`,
+            guest.email,
+            guest.phone,
+            guest.confirmation_code,
+        ].filter(Boolean).join(' '));
+        if (haystack.includes(query)) return true;
+
+        return digits.length >= 3 && String(guest.phone || '').replace(/\D/g, '').includes(digits);
+    }).slice(0, SEARCH_LIMIT);
+}
+
+// Read the guest a QR ticket names. The signature cannot be checked offline;
+// the server verifies the code when the check-in syncs.
+export function findSnapshotGuestByTicket(eventId, code) {
+    const parts = String(code || '').trim().split('.');
+    if (parts.length !== 3) return null;
+
+    try {
+        const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+        const payload = JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+        if (payload.e !== eventId) return null;
+
+        const snapshot = loadGuestSnapshot(eventId);
+        return snapshot?.guests.find((guest) => guest.id === payload.g) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function updateSnapshotGuest(eventId, guestId, changes) {
+    const snapshot = loadGuestSnapshot(eventId);
+    if (!snapshot) return;
+
+    snapshot.guests = snapshot.guests.map((guest) => (guest.id === guestId ? { ...guest, ...changes } : guest));
+    writeJson(`${SNAPSHOT_PREFIX}${eventId}`, snapshot);
+}
+
+// --- Check-in queue ---
+export function loadQueue(eventId) {
+    return readJson(`${QUEUE_PREFIX}${eventId}`, []);
+}
+
+// Queue a check-in and show the guest as checked in on this device
+export function enqueueCheckIn(eventId, { guestId, plusOnes = 0, notes = '', ticketCode = null, usherName = null }) {
+    const item = {
+        idempotencyKey: randomId(),
+        action: 'check-in',
+        guestId,
+        plusOnes,
+        notes,
+        ticketCode,
+        clientTimestamp: new Date().toISOString(),
+    };
+
+    writeJson(`${QUEUE_PREFIX}${eventId}`, [...loadQueue(eventId), item]);
+    updateSnapshotGuest(eventId, guestId, {
+        status: 'Checked In',
+        on_site: true,
+        plus_ones_checked_in: plusOnes,
+        check_in_time: item.clientTimestamp,
+        checked_in_by: usherName,
+    });
+
+    return item;
+}
+
+export function removeFromQueue(eventId, idempotencyKeys) {
+    const done = new Set(idempotencyKeys);
+    const remaining = loadQueue(eventId).filter((item) => !done.has(item.idempotencyKey));
+    writeJson(`${QUEUE_PREFIX}${eventId}`, remaining);
+    return remaining;
+}
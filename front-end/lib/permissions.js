@@ -0,0 +1,13 @@
+// Permissions come from the server with the signed-in user (see backend api/services/permissions.js)
+export function hasPermission(user, permission) {
+    return Array.isArray(user?.permissions) && user.permissions.includes(permission);
+}
+
+// Landing page for a user: staff managers get the dashboard, check-in staff the check-in screen
+export function homePathFor(user) {
+    if (hasPermission(user, 'ushers.manage')) return '/admin';
+    if (hasPermission(user, 'guests.checkin')) return '/usher';
+    if (hasPermission(user, 'stats.read')) return '/admin';
+    if (hasPermission(user, 'guests.read')) return '/guests';
+    return '/login';
+}
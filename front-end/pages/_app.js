@@ -1,6 +1,8 @@
 import '@/styles/globals.css';
 import { AuthProvider } from '@/context/AuthContext';
+import { EventProvider } from '@/context/EventContext';
 import { Toaster } from "@/components/ui/sonner"
+import DuplicateAttemptAlerts from '@/components/DuplicateAttemptAlerts';
 import { Plus_Jakarta_Sans } from 'next/font/google';
 
 const appFont = Plus_Jakarta_Sans({
@@ -13,10 +15,13 @@ const appFont = Plus_Jakarta_Sans({
 export default function App({ Component, pageProps }) {
   return (
     <AuthProvider>
-      <div className={`${appFont.className} ${appFont.variable}`}>
-        <Component {...pageProps} />
-        <Toaster position="top-right" richColors />
-      </div>
+      <EventProvider>
+        <div className={`${appFont.className} ${appFont.variable}`}>
+          <Component {...pageProps} />
+          <Toaster position="top-right" richColors />
+          <DuplicateAttemptAlerts />
+        </div>
+      </EventProvider>
     </AuthProvider>
   );
 }
\ No newline at end of file
@@ -1,19 +1,33 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { toast } from "sonner";
-import { Users, UserCheck, Clock, PlusCircle, UserPlus, UserMinus, Ticket, BarChart3 } from "lucide-react";
+import { Users, UserCheck, Clock, PlusCircle, UserPlus, UserMinus, Ticket, BarChart3, DoorOpen, Gauge } from "lucide-react";
 
 import RouteGuard from "@/components/RouteGuard";
 import AdminLayout from "@/components/layout/AdminLayout";
 import StatCard from "@/components/admin/statCard";
 import { Separator } from "@/components/ui/separator";
+import { useEvent } from "@/context/EventContext";
 import { apiGetStats } from "@/lib/api";
+import useLiveEvents from "@/hooks/useLiveEvents";
 
-function AdminDashboard({ stats, loading }) {
+// Burst of check-ins at the door: refetch the stats at most once per interval
+const STATS_REFRESH_DELAY_MS = 1000;
+
+const LIVE_STATUS = {
+    live: { label: "Live updates on", className: "text-emerald-300" },
+    connecting: { label: "Connecting to live updates…", className: "text-amber-300" },
+    reconnecting: { label: "Reconnecting to live updates…", className: "text-amber-300" },
+    offline: { label: "Live updates off", className: "text-slate-400" },
+};
+
+function AdminDashboard({ stats, loading, liveStatus = "offline" }) {
     const overview = stats?.overview ?? {};
     const recent = stats?.recent ?? {};
     const ticketMix = Array.isArray(stats?.byTicketType) ? stats.byTicketType : [];
+    const capacity = Array.isArray(stats?.capacity) ? stats.capacity : [];
     const busiestHours = Array.isArray(stats?.busiestHours) ? stats.busiestHours : [];
     const generatedAt = stats?.generatedAt ?? null;
+    const live = LIVE_STATUS[liveStatus] ?? LIVE_STATUS.offline;
     const totalAttendance = typeof overview.totalAttendees === "number"
         ? overview.totalAttendees
         : (overview.checkedIn ?? 0) + (overview.totalPlusOnes ?? 0);
@@ -56,7 +70,7 @@ function AdminDashboard({ stats, loading }) {
                     </div>
                     <div className="grid gap-2 text-right text-sm text-slate-300/80">
                         <span>Last sync {formattedGeneratedAt !== "—" ? formattedGeneratedAt : "awaiting data"}</span>
-                        <span className="font-semibold text-emerald-300">Systems nominal</span>
+                        <span role="status" className={`font-semibold ${live.className}`}>{live.label}</span>
                     </div>
                 </div>
             </header>
@@ -102,6 +116,12 @@ function AdminDashboard({ stats, loading }) {
                     icon={UserPlus}
                     loading={loading}
                 />
+                <StatCard
+                    title="Currently Inside"
+                    value={formatNumber(overview.currentlyInside)}
+                    icon={DoorOpen}
+                    loading={loading}
+                />
             </div>
 
             <div className="grid gap-6 xl:grid-cols-[1.4fr_1fr]">
@@ -164,6 +184,11 @@ function AdminDashboard({ stats, loading }) {
                                 <p className="mt-2 text-2xl font-semibold text-white">{formatNumber(overview.totalPlusOnes)}</p>
                                 <p className="text-xs text-slate-300/80">Included in total attendees</p>
                             </div>
+                            <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+                                <p className="text-xs uppercase tracking-wide text-slate-400">Stepped out</p>
+                                <p className="mt-2 text-2xl font-semibold text-white">{formatNumber(overview.checkedOut)}</p>
+                                <p className="text-xs text-slate-300/80">Checked-in guests currently outside</p>
+                            </div>
                         </div>
                         <Separator className="my-6 border-white/10" />
                         <div>
@@ -204,6 +229,58 @@ function AdminDashboard({ stats, loading }) {
                     </div>
                 </div>
             </div>
+
+            <div className="rounded-2xl border border-white/10 bg-slate-900/40 p-6">
+                <div className="flex items-center justify-between gap-3">
+                    <h2 className="text-lg font-semibold text-white">Capacity</h2>
+                    <Gauge className="h-5 w-5 text-amber-300/80" />
+                </div>
+                <p className="mt-2 text-xs uppercase tracking-wide text-slate-400">Places left per ticket type, companions included</p>
+                <div className="mt-4 grid gap-3 md:grid-cols-2 xl:grid-cols-3">
+                    {!loading && capacity.length === 0 && (
+                        <div className="rounded-2xl border border-dashed border-white/10 bg-white/5 p-6 text-center text-sm text-slate-300/80 md:col-span-2 xl:col-span-3">
+                            No ticket types set up for this event.
+                        </div>
+                    )}
+                    {loading ? (
+                        Array(3).fill(0).map((_, index) => (
+                            <div key={index} className="h-24 animate-pulse rounded-2xl bg-white/10" />
+                        ))
+                    ) : (
+                        capacity.map((type) => {
+                            const used = type.capacity
+                                ? Math.min(100, Math.round((type.checkedIn / type.capacity) * 100))
+                                : 0;
+                            return (
+                                <div
+                                    key={type.ticketType}
+                                    className={`rounded-2xl border p-4 ${type.full ? "border-rose-400/50 bg-rose-500/10" : "border-white/10 bg-white/5"}`}
+                                >
+                                    <div className="flex items-center justify-between gap-3">
+                                        <p className="flex items-center gap-2 text-sm font-semibold text-white">
+                                            <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ backgroundColor: type.color }} />
+                                            {type.displayName}
+                                        </p>
+                                        <p className={`text-lg font-semibold ${type.full ? "text-rose-200" : "text-white"}`}>
+                                            {type.remaining === null ? "∞" : formatNumber(type.remaining)}
+                                        </p>
+                                    </div>
+                                    <p className="mt-1 text-xs text-slate-300/80">
+                                        {type.capacity === null
+                                            ? `${formatNumber(type.checkedIn)} checked in • no limit`
+                                            : `${formatNumber(type.checkedIn)} of ${formatNumber(type.capacity)} checked in${type.full ? (type.capacityAction === "block" ? " • check-ins blocked" : " • check-ins flagged") : ""}`}
+                                    </p>
+                                    {type.capacity !== null && (
+                                        <div className="mt-3 h-1.5 overflow-hidden rounded-full bg-white/10">
+                                            <div className="h-full rounded-full" style={{ width: `${used}%`, backgroundColor: type.color }} />
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })
+                    )}
+                </div>
+            </div>
         </section>
     );
 }
@@ -211,18 +288,41 @@ function AdminDashboard({ stats, loading }) {
 export default function ProtectedAdminDashboard() {
     const [stats, setStats] = useState(null);
     const [loading, setLoading] = useState(true);
+    const { eventId } = useEvent();
+    const refreshTimer = useRef(null);
 
     useEffect(() => {
+        if (!eventId) return;
+        setLoading(true);
         apiGetStats()
             .then(setStats)
             .catch((err) => toast.error("Failed to load stats", { description: err.message }))
             .finally(() => setLoading(false));
+    }, [eventId]);
+
+    // Quietly refetch once the burst that triggered it has settled
+    const scheduleStatsRefresh = useCallback(() => {
+        if (refreshTimer.current) return;
+        refreshTimer.current = setTimeout(() => {
+            refreshTimer.current = null;
+            apiGetStats()
+                .then(setStats)
+                .catch((err) => console.warn("Failed to refresh stats:", err));
+        }, STATS_REFRESH_DELAY_MS);
     }, []);
 
+    useEffect(() => () => clearTimeout(refreshTimer.current), []);
+
+    const liveStatus = useLiveEvents(eventId, useCallback((message) => {
+        if (message.type === "stats-changed" || message.type === "resync") {
+            scheduleStatsRefresh();
+        }
+    }, [scheduleStatsRefresh]));
+
     return (
-        <RouteGuard requiredRole="admin">
+        <RouteGuard requiredPermission="stats.read">
             <AdminLayout stats={stats} statsLoading={loading}>
-                <AdminDashboard stats={stats} loading={loading} />
+                <AdminDashboard stats={stats} loading={loading} liveStatus={liveStatus} />
             </AdminLayout>
         </RouteGuard>
     );
@@ -5,9 +5,10 @@ import * as z from "zod";
 
 import RouteGuard from "@/components/RouteGuard";
 import AdminLayout from "@/components/layout/AdminLayout";
-import { apiGetUshers, apiCreateUsher, apiUpdateUsher, apiDeactivateUsher } from "@/lib/api";
+import { apiGetUshers, apiCreateUsher, apiUpdateUsher, apiDeactivateUsher, apiLogoutUsherEverywhere } from "@/lib/api";
 import { Button } from "@/components/ui/button";
 import { useAuth } from "@/context/AuthContext";
+import { useEvent } from "@/context/EventContext";
 import { Skeleton } from "@/components/ui/skeleton";
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from "@/components/ui/alert-dialog";
 import {
@@ -41,11 +42,20 @@ import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
 import { cn } from "@/lib/utils";
 
+// Roles the API accepts; what each may do is defined server-side
+const ROLE_OPTIONS = [
+    { value: "viewer", label: "Viewer" },
+    { value: "usher", label: "Usher" },
+    { value: "supervisor", label: "Supervisor" },
+    { value: "admin", label: "Admin" },
+];
+
 const userFormSchema = z.object({
     username: z.string().min(3, "Username must be at least 3 characters."),
     fullName: z.string().min(1, "Full name is required."),
     password: z.string().optional(),
-    role: z.enum(["usher", "admin"]),
+    role: z.enum(ROLE_OPTIONS.map((option) => option.value)),
+    eventIds: z.array(z.string()),
 });
 
 const normalizeUsher = (usher) => {
@@ -63,6 +73,7 @@ const normalizeUsher = (usher) => {
         isActive: typeof usher.isActive === "boolean" ? usher.isActive : Boolean(usher.active),
         createdAt: usher.createdAt ?? usher.created_at ?? null,
         lastLogin: usher.lastLogin ?? usher.last_login ?? null,
+        eventIds: usher.eventIds ?? usher.event_ids ?? [],
     };
 };
 
@@ -80,7 +91,7 @@ const extractUsers = (payload) => {
     return [];
 };
 
-const formatRoleForApi = (role) => (role === "admin" ? "Admin" : "Usher");
+const formatRoleForApi = (role) => ROLE_OPTIONS.find((option) => option.value === role)?.label ?? "Usher";
 
 const formatDateTime = (value) => {
     if (!value) return "—";
@@ -96,6 +107,7 @@ const formatDateTime = (value) => {
 
 function UserManagementPage() {
     const { user: currentUser } = useAuth();
+    const { events } = useEvent();
     const [users, setUsers] = useState([]);
     const [loading, setLoading] = useState(true);
 
@@ -124,7 +136,7 @@ function UserManagementPage() {
 
     const form = useForm({
         resolver: zodResolver(userFormSchema),
-        defaultValues: { username: "", fullName: "", password: "", role: "usher" },
+        defaultValues: { username: "", fullName: "", password: "", role: "usher", eventIds: [] },
     });
 
     const fetchUsers = () => {
@@ -154,7 +166,7 @@ function UserManagementPage() {
     };
 
     const openCreateForm = () => {
-        form.reset({ username: "", fullName: "", password: "", role: "usher" });
+        form.reset({ username: "", fullName: "", password: "", role: "usher", eventIds: [] });
         setEditingUser(null);
         setIsFormOpen(true);
     };
@@ -165,6 +177,7 @@ function UserManagementPage() {
             fullName: user.fullName ?? "",
             password: "",
             role: user.role ?? "usher",
+            eventIds: user.eventIds ?? [],
         });
         setEditingUser(user);
         setIsFormOpen(true);
@@ -181,6 +194,7 @@ function UserManagementPage() {
             fullName: values.fullName?.trim() ?? "",
             role: values.role,
             password: values.password?.trim() ?? "",
+            eventIds: values.eventIds ?? [],
         };
 
         if (!editingUser && !trimmedValues.password) {
@@ -192,6 +206,7 @@ function UserManagementPage() {
             ? {
                 fullName: trimmedValues.fullName,
                 role: formatRoleForApi(trimmedValues.role),
+                eventIds: trimmedValues.eventIds,
                 ...(trimmedValues.password ? { password: trimmedValues.password } : {}),
             }
             : {
@@ -199,6 +214,7 @@ function UserManagementPage() {
                 fullName: trimmedValues.fullName,
                 password: trimmedValues.password,
                 role: formatRoleForApi(trimmedValues.role),
+                eventIds: trimmedValues.eventIds,
             };
 
         const apiCall = editingUser
@@ -232,6 +248,14 @@ function UserManagementPage() {
         });
     };
 
+    const handleEndSessions = (user) => {
+        toast.promise(apiLogoutUsherEverywhere(user.id), {
+            loading: 'Ending sessions...',
+            success: (data) => `Ended ${data.revokedCount} session(s) for ${user.username}.`,
+            error: (err) => `Failed to end sessions: ${err.message}`
+        });
+    };
+
     return (
         <div className="space-y-8">
             <header className="flex flex-col justify-between gap-4 rounded-3xl border border-white/10 bg-slate-900/60 p-6 md:flex-row md:items-center">
@@ -265,8 +289,9 @@ function UserManagementPage() {
                             </SelectTrigger>
                             <SelectContent className="border-slate-800 bg-slate-900 text-slate-100">
                                 <SelectItem value="all">All roles</SelectItem>
-                                <SelectItem value="admin">Admins</SelectItem>
-                                <SelectItem value="usher">Ushers</SelectItem>
+                                {ROLE_OPTIONS.map((option) => (
+                                    <SelectItem key={option.value} value={option.value}>{option.label}s</SelectItem>
+                                ))}
                             </SelectContent>
                         </Select>
                         <Select
@@ -367,6 +392,16 @@ function UserManagementPage() {
                                                     >
                                                         Edit details
                                                     </DropdownMenuItem>
+                                                    <DropdownMenuItem
+                                                        onClick={(event) => {
+                                                            event.stopPropagation();
+                                                            handleEndSessions(user);
+                                                        }}
+                                                        disabled={currentUser?.usherId && user.id === currentUser.usherId}
+                                                        className="focus:bg-slate-800 disabled:opacity-40"
+                                                    >
+                                                        Log out everywhere
+                                                    </DropdownMenuItem>
                                                     <DropdownMenuItem
                                                         onClick={(event) => {
                                                             event.stopPropagation();
@@ -495,6 +530,24 @@ function UserManagementPage() {
                                         </div>
                                     </dl>
                                 </div>
+
+                                <div>
+                                    <h3 className="text-sm font-semibold text-white">Assigned events</h3>
+                                    <Separator className="my-3 border-white/10" />
+                                    {selectedUser.role === "admin" ? (
+                                        <p className="text-sm text-slate-300/90">Admins can work every event.</p>
+                                    ) : selectedUser.eventIds.length > 0 ? (
+                                        <div className="flex flex-wrap gap-2">
+                                            {selectedUser.eventIds.map((id) => (
+                                                <Badge key={id} variant="outline" className="border-white/20 bg-white/5 text-slate-200">
+                                                    {events.find((event) => event.event_id === id)?.name ?? id}
+                                                </Badge>
+                                            ))}
+                                        </div>
+                                    ) : (
+                                        <p className="text-sm text-slate-400">Not assigned to any event yet.</p>
+                                    )}
+                                </div>
                             </div>
 
                             <DialogFooter className="mt-6 flex flex-col gap-2 sm:flex-row sm:justify-end">
@@ -597,14 +650,56 @@ function UserManagementPage() {
                                                 </SelectTrigger>
                                             </FormControl>
                                             <SelectContent className="border-slate-800 bg-slate-900 text-slate-100">
-                                                <SelectItem value="usher">Usher</SelectItem>
-                                                <SelectItem value="admin">Admin</SelectItem>
+                                                {ROLE_OPTIONS.map((option) => (
+                                                    <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                                                ))}
                                             </SelectContent>
                                         </Select>
                                         <FormMessage />
                                     </FormItem>
                                 )}
                             />
+                            <FormField
+                                name="eventIds"
+                                control={form.control}
+                                render={({ field }) => (
+                                    <FormItem>
+                                        <FormLabel className="text-sm text-slate-300">Assigned events</FormLabel>
+                                        <div className="max-h-40 space-y-2 overflow-y-auto rounded-xl border border-slate-700 bg-slate-900/70 p-3">
+                                            {events.length === 0 ? (
+                                                <p className="text-xs text-slate-500">No events have been created yet.</p>
+                                            ) : (
+                                                events.map((event) => {
+                                                    const checked = field.value?.includes(event.event_id) ?? false;
+                                                    return (
+                                                        <label
+                                                            key={event.event_id}
+                                                            className="flex cursor-pointer items-center gap-3 text-sm text-slate-200"
+                                                        >
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={checked}
+                                                                onChange={() => {
+                                                                    const current = field.value ?? [];
+                                                                    field.onChange(
+                                                                        checked
+                                                                            ? current.filter((id) => id !== event.event_id)
+                                                                            : [...current, event.event_id]
+                                                                    );
+                                                                }}
+                                                                className="h-4 w-4 accent-emerald-500"
+                                                            />
+                                                            <span>{event.name}</span>
+                                                            {!event.active && <span className="text-xs text-slate-500">(inactive)</span>}
+                                                        </label>
+                                                    );
+                                                })
+                                            )}
+                                        </div>
+                                        <FormMessage />
+                                    </FormItem>
+                                )}
+                            />
                             <Button
                                 type="submit"
                                 disabled={form.formState.isSubmitting}
@@ -641,7 +736,7 @@ function UserManagementPage() {
 
 export default function ProtectedUserManagementPage() {
     return (
-        <RouteGuard requiredRole="admin">
+        <RouteGuard requiredPermission="ushers.manage">
             <AdminLayout>
                 <UserManagementPage />
             </AdminLayout>
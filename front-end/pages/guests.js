@@ -1,12 +1,16 @@
 import { useEffect, useState, useMemo } from "react";
 import { toast } from "sonner";
-import { Info } from "lucide-react";
+import { ArrowDown, ArrowUp, ArrowUpDown, Ban, Info, Loader2, Pencil, PlusCircle, Printer, Trash2, Undo2 } from "lucide-react";
+import * as z from "zod";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
 
 import RouteGuard from "@/components/RouteGuard";
 import { useAuth } from "@/context/AuthContext";
+import { useEvent } from "@/context/EventContext";
 import AdminLayout from "@/components/layout/AdminLayout";
 import MainLayout from "@/components/layout/MainLayout";
-import { apiGetGuests } from "@/lib/api";
+import { apiGetGuests, apiGetTicketTypes, apiCreateGuest, apiUpdateGuest, apiDeleteGuest, apiRevokeGuestTicket, apiReverseCheckIn, apiDownloadBadges } from "@/lib/api";
 import {
     Table,
     TableBody,
@@ -20,9 +24,7 @@ import { Button } from "@/components/ui/button";
 import {
     Pagination,
     PaginationContent,
-    PaginationEllipsis,
     PaginationItem,
-    PaginationLink,
     PaginationNext,
     PaginationPrevious,
 } from "@/components/ui/pagination";
@@ -43,7 +45,78 @@ import {
     DialogTitle,
 } from "@/components/ui/dialog";
 import { Separator } from "@/components/ui/separator";
+import {
+    DropdownMenu,
+    DropdownMenuContent,
+    DropdownMenuItem,
+    DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { Input } from "@/components/ui/input";
+import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from "@/components/ui/form";
+import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from "@/components/ui/alert-dialog";
 import { cn } from "@/lib/utils";
+import { hasPermission, homePathFor } from "@/lib/permissions";
+import useLiveEvents from "@/hooks/useLiveEvents";
+
+const guestFormSchema = z.object({
+    firstName: z.string().trim().min(1, "First name is required.").max(100),
+    lastName: z.string().trim().min(1, "Last name is required.").max(100),
+    email: z.union([z.literal(""), z.string().trim().email("Enter a valid email address.")]),
+    phone: z.string().trim().max(20, "Phone must be 20 characters or fewer."),
+    ticketType: z.string().trim().min(1, "Select a ticket type."),
+    plusOnesAllowed: z.coerce.number().int("Must be a whole number.").min(0, "Cannot be negative."),
+    notes: z.string(),
+});
+
+// Filter values on this page -> status labels stored by the backend
+const STATUS_FILTER_LABELS = {
+    checked_in: "Checked In",
+    not_checked_in: "Not Checked In",
+};
+
+const PAGE_SIZE = 20;
+
+// Sortable columns; times start with the most recent
+const DEFAULT_SORT_ORDER = {
+    name: "asc",
+    ticketType: "asc",
+    checkInTime: "desc",
+    lastModified: "desc",
+};
+
+function SortableHead({ field, sort, onSort, className, children }) {
+    const active = sort.field === field;
+    const Icon = !active ? ArrowUpDown : sort.order === "asc" ? ArrowUp : ArrowDown;
+
+    return (
+        <TableHead
+            className={className}
+            aria-sort={active ? (sort.order === "asc" ? "ascending" : "descending") : "none"}
+        >
+            <button
+                type="button"
+                onClick={() => onSort(field)}
+                className={cn(
+                    "inline-flex items-center gap-1.5 rounded-md transition hover:text-white focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-400/60",
+                    active && "text-white"
+                )}
+            >
+                {children}
+                <Icon className={cn("h-3.5 w-3.5", !active && "opacity-40")} />
+            </button>
+        </TableHead>
+    );
+}
+
+const emptyGuestForm = {
+    firstName: "",
+    lastName: "",
+    email: "",
+    phone: "",
+    ticketType: "",
+    plusOnesAllowed: 0,
+    notes: "",
+};
 
 // Normalization function inspired by your admin/users.js
 const normalizeGuest = (guest) => {
@@ -109,49 +182,142 @@ const normalizeGuest = (guest) => {
 
 function GuestListPage() {
     const [guests, setGuests] = useState([]);
-    const [pagination, setPagination] = useState({ page: 1, totalPages: 1, totalGuests: 0 });
+    const [pagination, setPagination] = useState({ totalGuests: 0, nextCursor: null });
+    // Cursor of every page visited so far; the last one is the current page
+    const [cursors, setCursors] = useState([null]);
+    const [sort, setSort] = useState({ field: "name", order: "asc" });
     const [filters, setFilters] = useState({ status: "", ticketType: "" });
     const [loading, setLoading] = useState(true);
     const [selectedGuest, setSelectedGuest] = useState(null);
     const [isDetailsOpen, setIsDetailsOpen] = useState(false);
+    const [isFormOpen, setIsFormOpen] = useState(false);
+    const [editingGuest, setEditingGuest] = useState(null);
+    const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+    const [isRevokeOpen, setIsRevokeOpen] = useState(false);
+    const [isReverseOpen, setIsReverseOpen] = useState(false);
+    const [reverseReason, setReverseReason] = useState("");
+    const [isPrinting, setIsPrinting] = useState(false);
+    const [ticketCatalogue, setTicketCatalogue] = useState([]);
+    const { eventId } = useEvent();
+    const { user } = useAuth();
+    const canManageGuests = hasPermission(user, "guests.manage");
+    const canReverseCheckIn = hasPermission(user, "guests.undo.any");
+
+    const form = useForm({
+        resolver: zodResolver(guestFormSchema),
+        defaultValues: emptyGuestForm,
+    });
 
-    const fetchGuests = (page, currentFilters) => {
-        setLoading(true);
-        const params = { page, limit: 20, ...currentFilters };
+    const cursor = cursors[cursors.length - 1];
+    const pageNumber = cursors.length;
+    const totalPages = Math.max(1, Math.ceil(pagination.totalGuests / PAGE_SIZE));
+
+    // quiet: refresh in the background (live updates) without the loading skeleton
+    const fetchGuests = (pageCursor, currentFilters, currentSort, { quiet = false } = {}) => {
+        if (!quiet) setLoading(true);
+        const params = {
+            cursor: pageCursor,
+            limit: PAGE_SIZE,
+            sortBy: currentSort.field,
+            sortOrder: currentSort.order,
+            status: STATUS_FILTER_LABELS[currentFilters.status] || "",
+            ticketType: currentFilters.ticketType,
+        };
         apiGetGuests(params)
             .then((data) => {
                 setGuests(data.guests.map(normalizeGuest));
                 setPagination({
-                    page: data.pagination.currentPage,
-                    totalPages: data.pagination.totalPages,
-                    totalGuests: data.pagination.totalItems,
+                    totalGuests: data.pagination.total,
+                    nextCursor: data.pagination.nextCursor,
                 });
             })
-            .catch((err) => toast.error("Failed to load guests", { description: err.message }))
-            .finally(() => setLoading(false));
+            .catch((err) => {
+                if (!quiet) toast.error("Failed to load guests", { description: err.message });
+            })
+            .finally(() => {
+                if (!quiet) setLoading(false);
+            });
     };
 
+    const refreshGuests = (options) => fetchGuests(cursor, filters, sort, options);
+
+    useEffect(() => {
+        if (!eventId) return;
+        fetchGuests(cursor, filters, sort);
+    }, [cursor, filters, sort, eventId]);
+
+    // A new event starts from its first page
     useEffect(() => {
-        fetchGuests(pagination.page, filters);
-    }, [pagination.page, filters]);
+        setCursors([null]);
+    }, [eventId]);
+
+    // Ticket types come from the event's catalogue
+    useEffect(() => {
+        if (!eventId) return;
+        apiGetTicketTypes()
+            .then((data) => setTicketCatalogue(data.ticketTypes || []))
+            .catch((err) => toast.error("Failed to load ticket types", { description: err.message }));
+    }, [eventId]);
+
+    // Check-ins at the door show up here as they happen
+    const applyLiveGuest = (guestRow) => {
+        const updated = normalizeGuest(guestRow);
+        if (!updated) return;
+
+        setGuests(prev => prev.map(guest => (guest.id === updated.id ? updated : guest)));
+        setSelectedGuest(prev => (prev?.id === updated.id ? updated : prev));
+    };
+
+    const liveStatus = useLiveEvents(eventId, (message) => {
+        switch (message.type) {
+            case "check-in":
+            case "undo":
+            case "guest-updated":
+                // A status filter may no longer match the guest; let the server decide
+                if (filters.status) {
+                    refreshGuests({ quiet: true });
+                } else {
+                    applyLiveGuest(message.data.guest);
+                }
+                break;
+            case "bulk-check-in":
+            case "resync":
+                refreshGuests({ quiet: true });
+                break;
+            default:
+                break;
+        }
+    });
 
     const handleFilterChange = (filterName, value) => {
         setFilters(prev => ({ ...prev, [filterName]: value === "all" ? "" : value }));
-        setPagination(prev => ({ ...prev, page: 1 }));
+        setCursors([null]);
     };
 
-    const handlePageChange = (newPage) => {
-        if (newPage >= 1 && newPage <= pagination.totalPages) {
-            setPagination(prev => ({ ...prev, page: newPage }));
+    // Clicking the sorted column flips its direction
+    const handleSortChange = (field) => {
+        setSort(prev => (prev.field === field
+            ? { field, order: prev.order === "asc" ? "desc" : "asc" }
+            : { field, order: DEFAULT_SORT_ORDER[field] }));
+        setCursors([null]);
+    };
+
+    const handleNextPage = () => {
+        if (pagination.nextCursor) {
+            setCursors(prev => [...prev, pagination.nextCursor]);
         }
     };
 
+    const handlePreviousPage = () => {
+        setCursors(prev => (prev.length > 1 ? prev.slice(0, -1) : prev));
+    };
+
     const ticketTypes = useMemo(() => ([
         { value: "all", label: "All tickets" },
-        { value: "VIP", label: "VIP" },
-        { value: "Premium", label: "Premium" },
-        { value: "General", label: "General" },
-    ]), []);
+        ...ticketCatalogue.map((type) => ({ value: type.name, label: type.displayName, color: type.color })),
+    ]), [ticketCatalogue]);
+
+    const ticketColor = (name) => ticketTypes.find((type) => type.value === name)?.color || null;
 
     const statuses = useMemo(() => ([
         { value: "all", label: "All statuses" },
@@ -159,35 +325,6 @@ function GuestListPage() {
         { value: "not_checked_in", label: "Not Checked In" },
     ]), []);
 
-    const paginationRange = useMemo(() => {
-        const total = Math.max(1, pagination.totalPages || 1);
-        const current = Math.min(Math.max(1, pagination.page || 1), total);
-
-        if (total <= 5) {
-            return Array.from({ length: total }, (_, index) => index + 1);
-        }
-
-        const range = [1];
-        const left = Math.max(2, current - 1);
-        const right = Math.min(total - 1, current + 1);
-
-        if (left > 2) {
-            range.push("ellipsis-left");
-        }
-
-        for (let page = left; page <= right; page += 1) {
-            range.push(page);
-        }
-
-        if (right < total - 1) {
-            range.push("ellipsis-right");
-        }
-
-        range.push(total);
-
-        return range;
-    }, [pagination.page, pagination.totalPages]);
-
     const statusBadgeClass = (status) => (
         status === "checked_in"
             ? "border-emerald-400/50 bg-emerald-500/10 text-emerald-200"
@@ -204,12 +341,139 @@ function GuestListPage() {
         setSelectedGuest(null);
     };
 
+    const openCreateForm = () => {
+        form.reset(emptyGuestForm);
+        setEditingGuest(null);
+        setIsFormOpen(true);
+    };
+
+    const openEditForm = (guest) => {
+        form.reset({
+            firstName: guest.firstName,
+            lastName: guest.lastName,
+            email: guest.email,
+            phone: guest.phone,
+            ticketType: guest.ticketType,
+            plusOnesAllowed: guest.plusOnesAllowed,
+            notes: guest.notes,
+        });
+        setEditingGuest(guest);
+        setIsDetailsOpen(false);
+        setIsFormOpen(true);
+    };
+
+    const onSubmit = async (values) => {
+        const apiCall = editingGuest
+            ? apiUpdateGuest(editingGuest.id, values)
+            : apiCreateGuest(values);
+
+        const promise = apiCall.then(() => {
+            setIsFormOpen(false);
+            setEditingGuest(null);
+            refreshGuests();
+        });
+
+        toast.promise(promise, {
+            loading: `${editingGuest ? 'Updating' : 'Adding'} guest...`,
+            success: `Guest ${editingGuest ? 'updated' : 'added'} successfully!`,
+            error: (err) => `Failed to ${editingGuest ? 'update' : 'add'} guest: ${err.message}`
+        });
+    };
+
+    const handleDelete = async () => {
+        if (!selectedGuest) return;
+        const promise = apiDeleteGuest(selectedGuest.id).then(() => {
+            setIsDeleteOpen(false);
+            closeGuestDetails();
+            refreshGuests();
+        });
+
+        toast.promise(promise, {
+            loading: 'Deleting guest...',
+            success: 'Guest deleted successfully!',
+            error: (err) => `Failed to delete guest: ${err.message}`
+        });
+    };
+
+    const handleRevokeTicket = async () => {
+        if (!selectedGuest) return;
+        const promise = apiRevokeGuestTicket(selectedGuest.id, "Revoked from guest directory").then(() => {
+            setIsRevokeOpen(false);
+        });
+
+        toast.promise(promise, {
+            loading: 'Revoking ticket...',
+            success: 'Ticket revoked. Previously issued QR codes will no longer scan.',
+            error: (err) => `Failed to revoke ticket: ${err.message}`
+        });
+    };
+
+    const openReverseCheckIn = () => {
+        setReverseReason("");
+        setIsReverseOpen(true);
+    };
+
+    const handleReverseCheckIn = async () => {
+        const reason = reverseReason.trim();
+        if (!selectedGuest || !reason) return;
+        const promise = apiReverseCheckIn(selectedGuest.id, reason).then(() => {
+            setIsReverseOpen(false);
+            closeGuestDetails();
+            refreshGuests();
+        });
+
+        toast.promise(promise, {
+            loading: 'Reversing check-in...',
+            success: 'Check-in reversed.',
+            error: (err) => `Failed to reverse check-in: ${err.message}`
+        });
+    };
+
+    const handlePrintBadges = async (layout) => {
+        setIsPrinting(true);
+        const promise = apiDownloadBadges({
+            layout,
+            status: STATUS_FILTER_LABELS[filters.status] || "",
+            ticketType: filters.ticketType,
+        }).then(({ blob, filename }) => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        }).finally(() => setIsPrinting(false));
+
+        toast.promise(promise, {
+            loading: `Generating ${layout === "ticket" ? "tickets" : "badges"}...`,
+            success: "PDF ready to print.",
+            error: (err) => `Failed to generate PDF: ${err.message}`
+        });
+    };
+
     return (
         <section className="space-y-8">
             <header className="flex flex-col gap-4 rounded-3xl border border-white/10 bg-gradient-to-br from-slate-900/80 via-slate-900/60 to-slate-800/50 p-6 sm:flex-row sm:items-end sm:justify-between">
                 <div>
                     <p className="text-xs uppercase tracking-[0.35em] text-slate-400">Guest Registry</p>
-                    <h1 className="mt-2 text-3xl font-semibold text-white">Guest Directory</h1>
+                    <h1 className="mt-2 flex items-center gap-3 text-3xl font-semibold text-white">
+                        Guest Directory
+                        <span
+                            role="status"
+                            title={liveStatus === "live" ? "Check-ins appear as they happen" : "Live updates paused"}
+                            className={cn(
+                                "inline-flex items-center gap-1.5 rounded-full border px-2.5 py-0.5 text-xs font-medium",
+                                liveStatus === "live"
+                                    ? "border-emerald-400/40 bg-emerald-500/10 text-emerald-200"
+                                    : "border-white/15 bg-white/5 text-slate-400"
+                            )}
+                        >
+                            <span className={cn("h-1.5 w-1.5 rounded-full", liveStatus === "live" ? "bg-emerald-400" : "bg-slate-500")} />
+                            {liveStatus === "live" ? "Live" : liveStatus === "offline" ? "Offline" : "Reconnecting"}
+                        </span>
+                    </h1>
                     <p className="mt-2 text-sm text-slate-300/90">
                         Browse arrivals, manage ticket tiers, and keep a pulse on who has checked in.
                     </p>
@@ -245,6 +509,34 @@ function GuestListPage() {
                             ))}
                         </SelectContent>
                     </Select>
+                    {canManageGuests && (
+                        <DropdownMenu>
+                            <DropdownMenuTrigger asChild>
+                                <Button
+                                    variant="outline"
+                                    disabled={isPrinting}
+                                    className="w-full gap-2 rounded-full border-white/20 bg-white/10 text-slate-100 hover:bg-white/20 sm:w-auto"
+                                >
+                                    {isPrinting ? <Loader2 className="h-4 w-4 animate-spin" /> : <Printer className="h-4 w-4" />}
+                                    Print badges
+                                </Button>
+                            </DropdownMenuTrigger>
+                            <DropdownMenuContent align="end" className="min-w-[200px] border-slate-800 bg-slate-900 text-slate-100">
+                                <DropdownMenuItem onClick={() => handlePrintBadges("badge")} className="focus:bg-slate-800">
+                                    Badges (6 per page)
+                                </DropdownMenuItem>
+                                <DropdownMenuItem onClick={() => handlePrintBadges("ticket")} className="focus:bg-slate-800">
+                                    Tickets (4 per page)
+                                </DropdownMenuItem>
+                            </DropdownMenuContent>
+                        </DropdownMenu>
+                    )}
+                    {canManageGuests && (
+                        <Button onClick={openCreateForm} className="w-full gap-2 rounded-full bg-emerald-500/90 text-emerald-950 hover:bg-emerald-500 sm:w-auto">
+                            <PlusCircle className="h-4 w-4" />
+                            Add guest
+                        </Button>
+                    )}
                 </div>
             </header>
 
@@ -256,20 +548,21 @@ function GuestListPage() {
                     <Table>
                         <TableHeader>
                             <TableRow className="border-b border-white/10">
-                                <TableHead className="w-[22%] text-slate-300/80">Guest</TableHead>
-                                <TableHead className="w-[20%] text-slate-300/80">Email</TableHead>
-                                <TableHead className="w-[14%] text-slate-300/80">Phone</TableHead>
-                                <TableHead className="w-[12%] text-slate-300/80">Ticket</TableHead>
-                                <TableHead className="w-[14%] text-slate-300/80">Plus-Ones</TableHead>
+                                <SortableHead field="name" sort={sort} onSort={handleSortChange} className="w-[20%] text-slate-300/80">Guest</SortableHead>
+                                <TableHead className="w-[18%] text-slate-300/80">Email</TableHead>
+                                <TableHead className="w-[12%] text-slate-300/80">Phone</TableHead>
+                                <SortableHead field="ticketType" sort={sort} onSort={handleSortChange} className="w-[11%] text-slate-300/80">Ticket</SortableHead>
+                                <TableHead className="w-[10%] text-slate-300/80">Plus-Ones</TableHead>
                                 <TableHead className="w-[10%] text-slate-300/80">Status</TableHead>
-                                <TableHead className="text-right text-slate-300/80">Last Check-in</TableHead>
+                                <SortableHead field="checkInTime" sort={sort} onSort={handleSortChange} className="text-right text-slate-300/80">Last Check-in</SortableHead>
+                                <SortableHead field="lastModified" sort={sort} onSort={handleSortChange} className="text-right text-slate-300/80">Updated</SortableHead>
                             </TableRow>
                         </TableHeader>
                         <TableBody>
                             {loading ? (
                                 Array(6).fill(0).map((_, i) => (
                                     <TableRow key={i} className="border-b border-white/5">
-                                        <TableCell colSpan={7}>
+                                        <TableCell colSpan={8}>
                                             <Skeleton className="h-12 w-full rounded-xl bg-slate-900/60" />
                                         </TableCell>
                                     </TableRow>
@@ -299,6 +592,12 @@ function GuestListPage() {
                                         <TableCell className="text-slate-300/80">{guest.phone || "—"}</TableCell>
                                         <TableCell>
                                             <Badge variant="outline" className="border-sky-400/40 bg-sky-500/10 text-sky-200">
+                                                {ticketColor(guest.ticketType) && (
+                                                    <span
+                                                        className="mr-1.5 inline-block h-2 w-2 rounded-full"
+                                                        style={{ backgroundColor: ticketColor(guest.ticketType) }}
+                                                    />
+                                                )}
                                                 {guest.ticketType}
                                             </Badge>
                                         </TableCell>
@@ -315,11 +614,14 @@ function GuestListPage() {
                                         <TableCell className="text-right text-sm text-slate-300/80">
                                             {guest.checkInTimeDisplay}
                                         </TableCell>
+                                        <TableCell className="text-right text-sm text-slate-300/80">
+                                            {guest.lastModifiedDisplay}
+                                        </TableCell>
                                     </TableRow>
                                 ))
                             ) : (
                                 <TableRow>
-                                    <TableCell colSpan={7} className="py-12 text-center text-sm text-slate-400">
+                                    <TableCell colSpan={8} className="py-12 text-center text-sm text-slate-400">
                                         No guests match the current filters. Try adjusting your criteria.
                                     </TableCell>
                                 </TableRow>
@@ -366,7 +668,7 @@ function GuestListPage() {
 
             <div className="flex flex-row gap-2 rounded-3xl border border-white/10 bg-slate-950/60 p-4 sm:flex-row sm:items-center sm:justify-between">
                 <span className="text-sm text-slate-300/80">
-                    Page {pagination.page} of {pagination.totalPages || 1}
+                    Page {pageNumber} of {totalPages}
                 </span>
                 <Pagination className="justify-end sm:justify-end">
                     <PaginationContent>
@@ -375,53 +677,29 @@ function GuestListPage() {
                                 href="#"
                                 onClick={(event) => {
                                     event.preventDefault();
-                                    handlePageChange(pagination.page - 1);
+                                    handlePreviousPage();
                                 }}
-                                aria-disabled={pagination.page <= 1}
-                                tabIndex={pagination.page <= 1 ? -1 : 0}
+                                aria-disabled={pageNumber <= 1}
+                                tabIndex={pageNumber <= 1 ? -1 : 0}
                                 className={cn(
                                     "rounded-full border-white/20 bg-white/5 text-slate-100 hover:bg-white/10",
-                                    pagination.page <= 1 && "pointer-events-none opacity-40"
+                                    pageNumber <= 1 && "pointer-events-none opacity-40"
                                 )}
                             />
                         </PaginationItem>
 
-                        {paginationRange.map((value) => (
-                            value === "ellipsis-left" || value === "ellipsis-right"
-                                ? (
-                                    <PaginationItem key={value}>
-                                        <PaginationEllipsis />
-                                    </PaginationItem>
-                                )
-                                : (
-                                    <PaginationItem key={value}>
-                                        <PaginationLink
-                                            href="#"
-                                            onClick={(event) => {
-                                                event.preventDefault();
-                                                handlePageChange(value);
-                                            }}
-                                            isActive={value === pagination.page}
-                                            className="rounded-full"
-                                        >
-                                            {value}
-                                        </PaginationLink>
-                                    </PaginationItem>
-                                )
-                        ))}
-
                         <PaginationItem>
                             <PaginationNext
                                 href="#"
                                 onClick={(event) => {
                                     event.preventDefault();
-                                    handlePageChange(pagination.page + 1);
+                                    handleNextPage();
                                 }}
-                                aria-disabled={pagination.page >= pagination.totalPages}
-                                tabIndex={pagination.page >= pagination.totalPages ? -1 : 0}
+                                aria-disabled={!pagination.nextCursor}
+                                tabIndex={pagination.nextCursor ? 0 : -1}
                                 className={cn(
                                     "rounded-full border-white/20 bg-white/5 text-slate-100 hover:bg-white/10",
-                                    pagination.page >= pagination.totalPages && "pointer-events-none opacity-40"
+                                    !pagination.nextCursor && "pointer-events-none opacity-40"
                                 )}
                             />
                         </PaginationItem>
@@ -518,7 +796,46 @@ function GuestListPage() {
                                 </div>
                             </div>
 
-                            <DialogFooter className="mt-6">
+                            <DialogFooter className="mt-6 gap-2">
+                                {canReverseCheckIn && selectedGuest.status === "checked_in" && (
+                                    <Button
+                                        variant="outline"
+                                        onClick={openReverseCheckIn}
+                                        className="gap-2 rounded-full border-amber-400/30 bg-amber-500/10 text-amber-200 hover:bg-amber-500/20"
+                                    >
+                                        <Undo2 className="h-4 w-4" />
+                                        Reverse check-in
+                                    </Button>
+                                )}
+                                {canManageGuests && (
+                                    <>
+                                        <Button
+                                            variant="outline"
+                                            onClick={() => openEditForm(selectedGuest)}
+                                            className="gap-2 rounded-full border-white/20 bg-white/5 text-slate-100 hover:bg-white/10"
+                                        >
+                                            <Pencil className="h-4 w-4" />
+                                            Edit
+                                        </Button>
+                                        <Button
+                                            variant="outline"
+                                            onClick={() => setIsRevokeOpen(true)}
+                                            className="gap-2 rounded-full border-amber-400/30 bg-amber-500/10 text-amber-200 hover:bg-amber-500/20"
+                                        >
+                                            <Ban className="h-4 w-4" />
+                                            Revoke ticket
+                                        </Button>
+                                        <Button
+                                            variant="outline"
+                                            onClick={() => setIsDeleteOpen(true)}
+                                            disabled={selectedGuest.status === "checked_in"}
+                                            className="gap-2 rounded-full border-rose-500/30 bg-rose-500/10 text-rose-200 hover:bg-rose-500/20"
+                                        >
+                                            <Trash2 className="h-4 w-4" />
+                                            Delete
+                                        </Button>
+                                    </>
+                                )}
                                 <Button onClick={closeGuestDetails} className="ml-auto rounded-full bg-emerald-500 text-emerald-950 hover:bg-emerald-400">
                                     Close details
                                 </Button>
@@ -532,17 +849,223 @@ function GuestListPage() {
                     )}
                 </DialogContent>
             </Dialog>
+
+            {/* Form Dialog for Create/Edit */}
+            <Dialog open={isFormOpen} onOpenChange={setIsFormOpen}>
+                <DialogContent className="sm:max-w-[480px] border-slate-700 bg-slate-900 text-slate-100">
+                    <DialogHeader>
+                        <DialogTitle className="text-lg font-semibold text-white">
+                            {editingGuest ? `Edit ${editingGuest.fullName}` : "Add guest"}
+                        </DialogTitle>
+                        <DialogDescription className="text-sm text-slate-300/80">
+                            {editingGuest ? `Guest ID: ${editingGuest.id}` : "A guest ID is assigned automatically."}
+                        </DialogDescription>
+                    </DialogHeader>
+                    <Form {...form}>
+                        <form onSubmit={form.handleSubmit(onSubmit)} className="space-y-4 py-4">
+                            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                                <FormField
+                                    name="firstName"
+                                    control={form.control}
+                                    render={({ field }) => (
+                                        <FormItem>
+                                            <FormLabel className="text-sm text-slate-300">First name</FormLabel>
+                                            <FormControl>
+                                                <Input {...field} className="border-slate-700 bg-slate-900/70 text-white" />
+                                            </FormControl>
+                                            <FormMessage />
+                                        </FormItem>
+                                    )}
+                                />
+                                <FormField
+                                    name="lastName"
+                                    control={form.control}
+                                    render={({ field }) => (
+                                        <FormItem>
+                                            <FormLabel className="text-sm text-slate-300">Last name</FormLabel>
+                                            <FormControl>
+                                                <Input {...field} className="border-slate-700 bg-slate-900/70 text-white" />
+                                            </FormControl>
+                                            <FormMessage />
+                                        </FormItem>
+                                    )}
+                                />
+                            </div>
+                            <FormField
+                                name="email"
+                                control={form.control}
+                                render={({ field }) => (
+                                    <FormItem>
+                                        <FormLabel className="text-sm text-slate-300">Email</FormLabel>
+                                        <FormControl>
+                                            <Input type="email" {...field} className="border-slate-700 bg-slate-900/70 text-white" />
+                                        </FormControl>
+                                        <FormMessage />
+                                    </FormItem>
+                                )}
+                            />
+                            <FormField
+                                name="phone"
+                                control={form.control}
+                                render={({ field }) => (
+                                    <FormItem>
+                                        <FormLabel className="text-sm text-slate-300">Phone</FormLabel>
+                                        <FormControl>
+                                            <Input type="tel" {...field} className="border-slate-700 bg-slate-900/70 text-white" />
+                                        </FormControl>
+                                        <FormMessage />
+                                    </FormItem>
+                                )}
+                            />
+                            <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                                <FormField
+                                    name="ticketType"
+                                    control={form.control}
+                                    render={({ field }) => (
+                                        <FormItem>
+                                            <FormLabel className="text-sm text-slate-300">Ticket type</FormLabel>
+                                            <Select
+                                                onValueChange={(value) => {
+                                                    field.onChange(value);
+                                                    // New guests start with the ticket type's default plus-ones
+                                                    if (!editingGuest) {
+                                                        const type = ticketCatalogue.find((entry) => entry.name === value);
+                                                        if (type) form.setValue("plusOnesAllowed", type.defaultPlusOnes);
+                                                    }
+                                                }}
+                                                value={field.value}
+                                            >
+                                                <FormControl>
+                                                    <SelectTrigger className="border-slate-700 bg-slate-900/70 text-white">
+                                                        <SelectValue placeholder="Select a ticket type" />
+                                                    </SelectTrigger>
+                                                </FormControl>
+                                                <SelectContent className="border-slate-800 bg-slate-900 text-slate-100">
+                                                    {ticketTypes.filter((type) => type.value !== "all").map((type) => (
+                                                        <SelectItem key={type.value} value={type.value}>
+                                                            {type.label}
+                                                        </SelectItem>
+                                                    ))}
+                                                </SelectContent>
+                                            </Select>
+                                            <FormMessage />
+                                        </FormItem>
+                                    )}
+                                />
+                                <FormField
+                                    name="plusOnesAllowed"
+                                    control={form.control}
+                                    render={({ field }) => (
+                                        <FormItem>
+                                            <FormLabel className="text-sm text-slate-300">Plus-ones allowed</FormLabel>
+                                            <FormControl>
+                                                <Input type="number" min={editingGuest?.plusOnesCheckedIn ?? 0} {...field} className="border-slate-700 bg-slate-900/70 text-white" />
+                                            </FormControl>
+                                            <FormMessage />
+                                        </FormItem>
+                                    )}
+                                />
+                            </div>
+                            <FormField
+                                name="notes"
+                                control={form.control}
+                                render={({ field }) => (
+                                    <FormItem>
+                                        <FormLabel className="text-sm text-slate-300">Notes</FormLabel>
+                                        <FormControl>
+                                            <Input {...field} className="border-slate-700 bg-slate-900/70 text-white" />
+                                        </FormControl>
+                                        <FormMessage />
+                                    </FormItem>
+                                )}
+                            />
+                            <Button
+                                type="submit"
+                                disabled={form.formState.isSubmitting}
+                                className="w-full rounded-full bg-emerald-500 text-emerald-950 hover:bg-emerald-400"
+                            >
+                                {form.formState.isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                {editingGuest ? "Save changes" : "Add guest"}
+                            </Button>
+                        </form>
+                    </Form>
+                </DialogContent>
+            </Dialog>
+
+            {/* Alert Dialog for Deletion */}
+            <AlertDialog open={isDeleteOpen} onOpenChange={setIsDeleteOpen}>
+                <AlertDialogContent className="border border-rose-500/30 bg-slate-950/90 text-slate-100">
+                    <AlertDialogHeader>
+                        <AlertDialogTitle className="text-lg font-semibold text-white">Delete guest?</AlertDialogTitle>
+                        <AlertDialogDescription className="text-sm text-slate-300/80">
+                            {selectedGuest?.fullName} will be removed from this event&apos;s guest list. Past audit entries are kept.
+                        </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                        <AlertDialogCancel className="border-slate-700 bg-slate-900 text-slate-200 hover:bg-slate-800">Cancel</AlertDialogCancel>
+                        <AlertDialogAction onClick={handleDelete} className="border border-rose-500/30 bg-rose-500/90 text-rose-50 hover:bg-rose-500">
+                            Delete guest
+                        </AlertDialogAction>
+                    </AlertDialogFooter>
+                </AlertDialogContent>
+            </AlertDialog>
+
+            {/* Alert Dialog for Ticket Revocation */}
+            <AlertDialog open={isRevokeOpen} onOpenChange={setIsRevokeOpen}>
+                <AlertDialogContent className="border border-amber-400/30 bg-slate-950/90 text-slate-100">
+                    <AlertDialogHeader>
+                        <AlertDialogTitle className="text-lg font-semibold text-white">Revoke ticket?</AlertDialogTitle>
+                        <AlertDialogDescription className="text-sm text-slate-300/80">
+                            Every QR ticket issued to {selectedGuest?.fullName} so far will be rejected at the door. Issue a new ticket to let them in.
+                        </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                        <AlertDialogCancel className="border-slate-700 bg-slate-900 text-slate-200 hover:bg-slate-800">Cancel</AlertDialogCancel>
+                        <AlertDialogAction onClick={handleRevokeTicket} className="border border-amber-400/30 bg-amber-500/90 text-amber-950 hover:bg-amber-500">
+                            Revoke ticket
+                        </AlertDialogAction>
+                    </AlertDialogFooter>
+                </AlertDialogContent>
+            </AlertDialog>
+
+            {/* Alert Dialog for Check-in Reversal */}
+            <AlertDialog open={isReverseOpen} onOpenChange={setIsReverseOpen}>
+                <AlertDialogContent className="border border-amber-400/30 bg-slate-950/90 text-slate-100">
+                    <AlertDialogHeader>
+                        <AlertDialogTitle className="text-lg font-semibold text-white">Reverse check-in?</AlertDialogTitle>
+                        <AlertDialogDescription className="text-sm text-slate-300/80">
+                            {selectedGuest?.fullName} will be marked as not checked in and their plus ones cleared. The reason is kept in the audit log.
+                        </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <Input
+                        value={reverseReason}
+                        onChange={(e) => setReverseReason(e.target.value)}
+                        placeholder="Reason (required)"
+                        className="border-slate-700 bg-slate-900/70 text-white"
+                    />
+                    <AlertDialogFooter>
+                        <AlertDialogCancel className="border-slate-700 bg-slate-900 text-slate-200 hover:bg-slate-800">Cancel</AlertDialogCancel>
+                        <AlertDialogAction
+                            onClick={handleReverseCheckIn}
+                            disabled={!reverseReason.trim()}
+                            className="border border-amber-400/30 bg-amber-500/90 text-amber-950 hover:bg-amber-500"
+                        >
+                            Reverse check-in
+                        </AlertDialogAction>
+                    </AlertDialogFooter>
+                </AlertDialogContent>
+            </AlertDialog>
         </section>
     );
 }
 
 export default function ProtectedGuestListPage() {
     const { user } = useAuth();
-    // Conditionally render the layout based on user role
-    const Layout = user?.role === 'admin' ? AdminLayout : MainLayout;
+    // Staff who land on the check-in screen keep its layout
+    const Layout = homePathFor(user) === '/usher' ? MainLayout : AdminLayout;
 
     return (
-        <RouteGuard> {/* No requiredRole, so both roles can access */}
+        <RouteGuard requiredPermission="guests.read">
             <Layout>
                 <GuestListPage />
             </Layout>
@@ -2,6 +2,7 @@ import { useEffect } from 'react';
 import { useRouter } from 'next/router';
 import { Loader2 } from 'lucide-react';
 import { useAuth } from '@/context/AuthContext';
+import { homePathFor } from '@/lib/permissions';
 
 export default function HomePage() {
   const router = useRouter();
@@ -17,8 +18,7 @@ export default function HomePage() {
       return;
     }
 
-    const destination = user?.role === 'admin' ? '/admin' : '/usher';
-    router.replace(destination);
+    router.replace(homePathFor(user));
   }, [loading, isAuthenticated, user, router]);
 
   return (
@@ -1,4 +1,4 @@
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
@@ -11,7 +11,8 @@ import { Form, FormControl, FormField, FormItem, FormLabel, FormMessage } from "
 import { Input } from "@/components/ui/input";
 import { useAuth } from '@/context/AuthContext';
 import { apiLogin } from '@/lib/api';
-import { Check, Loader2 } from 'lucide-react';
+import { homePathFor } from '@/lib/permissions';
+import { Check, Loader2, Lock } from 'lucide-react';
 import { Playfair_Display } from 'next/font/google';
 
 const heroFont = Playfair_Display({
@@ -25,6 +26,16 @@ const formSchema = z.object({
     password: z.string().min(1, { message: "Password is required." }),
 });
 
+// Remaining lockout as m:ss, or plain seconds under a minute
+function formatLockTime(seconds) {
+    if (seconds < 60) {
+        return `${seconds}s`;
+    }
+
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 const highlights = [
     "Real-time guest analytics",
     "Fast QR and badge scanning",
@@ -34,6 +45,8 @@ const highlights = [
 export default function LoginPage() {
     const { login, isAuthenticated, user, loading } = useAuth();
     const router = useRouter();
+    const [lockSecondsLeft, setLockSecondsLeft] = useState(0);
+    const isLocked = lockSecondsLeft > 0;
 
     const form = useForm({
         resolver: zodResolver(formSchema),
@@ -46,8 +59,7 @@ export default function LoginPage() {
     // Redirect if already logged in
     useEffect(() => {
         if (!loading && isAuthenticated && user) {
-            const role = user.role?.toLowerCase();
-            const destination = role === 'admin' ? '/admin' : '/usher';
+            const destination = homePathFor(user);
 
             if (router.pathname !== destination) {
                 router.replace(destination);
@@ -55,6 +67,15 @@ export default function LoginPage() {
         }
     }, [isAuthenticated, user, loading, router]);
 
+    // Count down a lockout reported by the server
+    useEffect(() => {
+        if (!isLocked) return;
+        const timer = setInterval(() => {
+            setLockSecondsLeft(prev => (prev <= 1 ? 0 : prev - 1));
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [isLocked]);
+
     async function onSubmit(values) {
         try {
             const data = await apiLogin(values.username, values.password);
@@ -63,6 +84,11 @@ export default function LoginPage() {
                 description: "You have been logged in successfully.",
             });
         } catch (error) {
+            if (error.status === 429 && error.body?.retryAfter) {
+                setLockSecondsLeft(error.body.retryAfter);
+                return;
+            }
+
             toast.error("Login Failed", {
                 description: error.message || "Invalid credentials. Please try again.",
             });
@@ -177,13 +203,22 @@ export default function LoginPage() {
                                         </FormItem>
                                     )}
                                 />
+                                {isLocked && (
+                                    <div role="alert" className="flex items-start gap-3 rounded-xl border border-amber-400/30 bg-amber-400/10 p-3 text-sm text-amber-100">
+                                        <Lock className="mt-0.5 h-4 w-4 shrink-0 text-amber-300" />
+                                        <span>
+                                            Too many failed sign-in attempts. Try again in{' '}
+                                            <span className="font-mono font-semibold">{formatLockTime(lockSecondsLeft)}</span>.
+                                        </span>
+                                    </div>
+                                )}
                                 <Button
                                     type="submit"
                                     className="h-11 w-full rounded-full bg-slate-900 text-white hover:bg-slate-800"
-                                    disabled={form.formState.isSubmitting}
+                                    disabled={form.formState.isSubmitting || isLocked}
                                 >
                                     {form.formState.isSubmitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
-                                    Sign in
+                                    {isLocked ? `Locked · ${formatLockTime(lockSecondsLeft)}` : 'Sign in'}
                                 </Button>
                             </form>
                         </Form>
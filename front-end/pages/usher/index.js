@@ -1,7 +1,7 @@
 import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import dynamic from 'next/dynamic';
 import { toast } from "sonner";
-import { Camera, Loader2, Minus, Plus, Search, Sparkles, UserCheck, Undo2, Users, X, Check, AlertCircle, RefreshCw } from 'lucide-react';
+import { Camera, Loader2, Minus, Plus, Search, Sparkles, UserCheck, Undo2, Users, X, Check, AlertCircle, RefreshCw, LogIn, LogOut, Ban, CloudOff } from 'lucide-react';
 
 import RouteGuard from '@/components/RouteGuard';
 import MainLayout from '@/components/layout/MainLayout';
@@ -25,7 +25,10 @@ import {
     DialogTitle,
 } from '@/components/ui/dialog';
 import useDebounce from '@/hooks/useDebounce';
-import { apiSearchGuests, apiCheckInGuest, apiUndoCheckIn } from '@/lib/api';
+import useOfflineSync from '@/hooks/useOfflineSync';
+import { useAuth } from '@/context/AuthContext';
+import { useEvent } from '@/context/EventContext';
+import { apiSearchGuests, apiScanTicket, apiCheckInGuest, apiUndoCheckIn, apiUpdatePlusOnes, apiCheckOutGuest, apiReEntryGuest, apiGetParty, apiCheckInParty } from '@/lib/api';
 
 const ScannerComponent = dynamic(
     () => import('@yudiel/react-qr-scanner').then((mod) => mod.Scanner),
@@ -133,12 +136,38 @@ const normalizeGuest = (guest) => {
                 : 0,
         confirmationCode: guest.confirmation_code || guest.confirmationCode || '',
         status: guest.status === 'Checked In' || guest.status === 'checked_in' ? 'checked_in' : 'pending',
+        onSite: Boolean(guest.on_site ?? guest.onSite),
         checkInTime: guest.check_in_time || guest.checkInTime || null,
         checkedInBy: guest.checked_in_by || guest.checkedInBy || null,
         notes: guest.notes || '',
+        partyId: guest.party_id || guest.partyId || null,
+        matchedFields: guest.matched_fields || guest.matchedFields || [],
     };
 };
 
+// Tint the parts of a search result that matched the query
+const matchHighlight = (guest, ...fields) => (fields.some((field) => guest.matchedFields?.includes(field))
+    ? 'rounded bg-emerald-400/15 px-1 text-emerald-100'
+    : '');
+
+// Server details of a guest refused at this usher's entrance
+const toWrongEntrance = (guest, details = {}) => ({
+    guestName: `${guest.firstName} ${guest.lastName}`.trim(),
+    ticketType: details.ticketType || guest.ticketType,
+    zone: details.zone || 'This entrance',
+    admittedTicketTypes: details.admittedTicketTypes || [],
+    admittingZones: details.admittingZones || [],
+});
+
+// Who admitted a guest whose ticket was presented again
+const toAlreadyCheckedIn = (guest, details = {}) => ({
+    guestName: `${guest.firstName} ${guest.lastName}`.trim(),
+    ticketType: guest.ticketType,
+    checkedInBy: details.checkedInBy || guest.checkedInBy || null,
+    checkInTime: details.checkInTime || guest.checkInTime || null,
+    attemptCount: details.attemptCount ?? 1,
+});
+
 const getGuestKey = (guest) => {
     if (!guest) return '';
     if (guest.id != null) return String(guest.id);
@@ -171,21 +200,52 @@ function UsherDashboard() {
 
     // BATCH 3: Undo card positioning
     const [lastCheckIn, setLastCheckIn] = useState(null);
+    const [isUpdatingArrivals, setIsUpdatingArrivals] = useState(false);
     const [undoTimeLeft, setUndoTimeLeft] = useState(30);
 
     // BATCH 3: Network error state
     const [networkError, setNetworkError] = useState(null);
     const [isRetrying, setIsRetrying] = useState(false);
 
+    // Guest whose ticket type this usher's zone does not admit
+    const [wrongEntrance, setWrongEntrance] = useState(null);
+
+    // Guest already admitted elsewhere whose ticket was presented again
+    const [alreadyCheckedIn, setAlreadyCheckedIn] = useState(null);
+
+    // Party of the selected guest ({ party, members, summary })
+    const [party, setParty] = useState(null);
+    const [isCheckingInParty, setIsCheckingInParty] = useState(false);
+
+    const { eventId } = useEvent();
+    const { user } = useAuth();
+
+    // Saved guest list and check-ins queued while the connection is down
+    const offline = useOfflineSync(eventId);
+    const { markOnline, markOffline, searchOffline, findOfflineTicket, snapshot: offlineSnapshot } = offline;
+
     const debouncedSearchTerm = useDebounce(searchTerm, 300);
     const searchInputRef = useRef(null);
     const lastScanRef = useRef({ code: '', timestamp: 0 });
+    // Ticket scanned offline, sent with the queued check-in for the server to verify
+    const offlineTicketRef = useRef(null);
     const resultsListRef = useRef(null);
 
     useEffect(() => {
         searchInputRef.current?.focus();
     }, []);
 
+    // Switching events invalidates guests and check-ins from the previous event
+    useEffect(() => {
+        setSelectedGuest(null);
+        setResults([]);
+        setLastCheckIn(null);
+        setShowConfirmModal(false);
+        setWrongEntrance(null);
+        setAlreadyCheckedIn(null);
+        offlineTicketRef.current = null;
+    }, [eventId]);
+
     useEffect(() => {
         if (selectedGuest && resultsListRef.current) {
             const selectedElement = resultsListRef.current.querySelector(`[data-guest-id="${getGuestKey(selectedGuest)}"]`);
@@ -200,13 +260,15 @@ function UsherDashboard() {
 
         const normalized = normalizeGuest(guest);
 
+        // Checked-in guests stay selectable for late companions, check-out and re-entry
         if (normalized.status === 'checked_in') {
-            toast.info(`${normalized.firstName} is already checked in.`, {
+            toast.info(normalized.onSite
+                ? `${normalized.firstName} is already checked in.`
+                : `${normalized.firstName} checked in earlier and stepped out.`, {
                 description: normalized.checkedInBy && normalized.checkInTime
                     ? `Checked in by ${normalized.checkedInBy} at ${new Date(normalized.checkInTime).toLocaleTimeString()}`
                     : 'This guest has already been checked in.'
             });
-            return;
         }
 
         setSelectedGuest(normalized);
@@ -223,7 +285,7 @@ function UsherDashboard() {
         }
     }, []);
 
-    const performSearch = useCallback(async (query, { viaScan = false } = {}) => {
+    const performSearch = useCallback(async (query) => {
         if (!query) {
             setResults([]);
             setIsSearching(false);
@@ -238,49 +300,113 @@ function UsherDashboard() {
             const data = await apiSearchGuests(query);
             const guests = (data.guests || []).map(normalizeGuest);
             setResults(guests);
-
-            if (viaScan) {
-                if (guests.length === 0) {
-                    toast.error('No guests matched this QR code.');
-                } else if (guests.length === 1) {
-                    toast.success(`Found: ${guests[0].firstName} ${guests[0].lastName}`);
-                    handleSelectGuest(guests[0], { fromScan: true });
-                } else {
-                    toast.success(`Found ${guests.length} matches for that code.`);
-                }
-            }
-
+            markOnline();
             return guests;
         } catch (error) {
             const description = error.message || 'Please try again.';
 
             // BATCH 3: Better error handling
-            const isNetworkError = error.message?.toLowerCase().includes('network') ||
+            const isNetworkError = error.isNetworkError ||
+                error.message?.toLowerCase().includes('network') ||
                 error.message?.toLowerCase().includes('fetch') ||
                 error.message?.toLowerCase().includes('connection');
 
+            // Without a connection, search the guest list saved on this device
+            if (isNetworkError && offlineSnapshot) {
+                markOffline();
+                const guests = searchOffline(query).map(normalizeGuest);
+                setResults(guests);
+                return guests;
+            }
+
             if (isNetworkError) {
-                setNetworkError({ message: description, query, viaScan });
+                markOffline();
+                setNetworkError({ message: description, query, viaScan: false });
             }
 
-            toast.error(viaScan ? 'QR lookup failed' : 'Search failed', { description });
+            toast.error('Search failed', { description });
             setResults([]);
-            if (viaScan) {
-                setScanError(description);
-            }
             return [];
         } finally {
             setIsSearching(false);
         }
-    }, [handleSelectGuest]);
+    }, [offlineSnapshot, markOnline, markOffline, searchOffline]);
+
+    // Scanned QR codes are signed tickets; the server resolves them to exactly one guest
+    const lookupTicket = useCallback(async (code) => {
+        setIsSearching(true);
+        setScanError(null);
+        setNetworkError(null);
+
+        try {
+            const data = await apiScanTicket(code);
+            const guest = normalizeGuest(data.guest);
+
+            // Valid ticket, wrong door: stop here instead of selecting the guest
+            if (data.entrance && !data.entrance.allowed) {
+                setResults([]);
+                setSelectedGuest(null);
+                setWrongEntrance(toWrongEntrance(guest, data.entrance));
+                return guest;
+            }
+
+            setWrongEntrance(null);
+            setAlreadyCheckedIn(data.duplicateAttempt ? toAlreadyCheckedIn(guest, data.duplicateAttempt) : null);
+            setResults([guest]);
+            markOnline();
+            offlineTicketRef.current = null;
+            toast.success(`Found: ${guest.firstName} ${guest.lastName}`);
+            handleSelectGuest(guest, { fromScan: true });
+            return guest;
+        } catch (error) {
+            const description = error.message || 'Please try again.';
+
+            const isNetworkError = error.isNetworkError ||
+                error.message?.toLowerCase().includes('network') ||
+                error.message?.toLowerCase().includes('fetch') ||
+                error.message?.toLowerCase().includes('connection');
+
+            // Without a connection, read the guest from the ticket and the saved list
+            const offlineGuest = isNetworkError ? findOfflineTicket(code) : null;
+            if (offlineGuest) {
+                markOffline();
+                const guest = normalizeGuest(offlineGuest);
+                offlineTicketRef.current = { guestId: guest.id, code };
+                setWrongEntrance(null);
+                setAlreadyCheckedIn(guest.status === 'checked_in' && guest.onSite ? toAlreadyCheckedIn(guest) : null);
+                setResults([guest]);
+                toast.info(`Found offline: ${guest.firstName} ${guest.lastName}`, {
+                    description: 'The ticket will be verified when this device syncs.'
+                });
+                handleSelectGuest(guest, { fromScan: true });
+                return guest;
+            }
+
+            if (isNetworkError) {
+                markOffline();
+                setNetworkError({ message: description, query: code, viaScan: true });
+            }
+
+            toast.error(isNetworkError ? 'QR lookup failed' : 'Ticket rejected', { description });
+            setResults([]);
+            setScanError(description);
+            return null;
+        } finally {
+            setIsSearching(false);
+        }
+    }, [handleSelectGuest, markOnline, markOffline, findOfflineTicket]);
 
     // BATCH 3: Retry search function
     const retrySearch = useCallback(async () => {
         if (!networkError) return;
         setIsRetrying(true);
-        await performSearch(networkError.query, { viaScan: networkError.viaScan });
+        if (networkError.viaScan) {
+            await lookupTicket(networkError.query);
+        } else {
+            await performSearch(networkError.query);
+        }
         setIsRetrying(false);
-    }, [networkError, performSearch]);
+    }, [networkError, performSearch, lookupTicket]);
 
     const refreshAvailableCameras = useCallback(async () => {
         if (typeof navigator === 'undefined' || !navigator.mediaDevices?.enumerateDevices) {
@@ -459,9 +585,9 @@ function UsherDashboard() {
         }, 1000);
 
         try {
-            const guests = await performSearch(code, { viaScan: true });
+            const guest = await lookupTicket(code);
 
-            if (guests.length === 1) {
+            if (guest) {
                 setTimeout(() => {
                     setIsScannerOpen(false);
                     setIsScanProcessing(false);
@@ -476,7 +602,7 @@ function UsherDashboard() {
             setIsScanProcessing(false);
             setScanError(error.message || 'Failed to process scan');
         }
-    }, [performSearch]);
+    }, [lookupTicket]);
 
     const handleScannerError = useCallback((error) => {
         console.error('QR Scanner error:', error);
@@ -492,7 +618,7 @@ function UsherDashboard() {
     }, [setCameraPermission, setIsCameraReady]);
 
     useEffect(() => {
-        if (selectedGuest) return;
+        if (selectedGuest || !eventId) return;
 
         if (debouncedSearchTerm) {
             performSearch(debouncedSearchTerm);
@@ -501,11 +627,11 @@ function UsherDashboard() {
             setIsSearching(false);
             setNetworkError(null);
         }
-    }, [debouncedSearchTerm, performSearch, selectedGuest]);
+    }, [debouncedSearchTerm, performSearch, selectedGuest, eventId]);
 
     useEffect(() => {
         if (!lastCheckIn) return;
-        setUndoTimeLeft(30);
+        setUndoTimeLeft(lastCheckIn.undoWindowSeconds);
         const timer = setInterval(() => {
             setUndoTimeLeft(prev => {
                 if (prev <= 1) {
@@ -525,8 +651,30 @@ function UsherDashboard() {
         };
     }, []);
 
+    // Families and tables arrive together: show who in the party is still expected
+    const selectedPartyId = selectedGuest?.partyId ?? null;
+    useEffect(() => {
+        if (!selectedPartyId || !offline.isOnline) {
+            setParty(null);
+            return undefined;
+        }
+
+        let cancelled = false;
+        apiGetParty(selectedPartyId)
+            .then((data) => {
+                if (!cancelled) setParty(data);
+            })
+            .catch((error) => {
+                console.error('Failed to load party:', error);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [selectedPartyId, offline.isOnline]);
+
     const handlePrepareCheckIn = useCallback(() => {
-        if (!selectedGuest) return;
+        if (!selectedGuest || selectedGuest.status === 'checked_in') return;
         setShowConfirmModal(true);
     }, [selectedGuest]);
 
@@ -549,24 +697,64 @@ function UsherDashboard() {
         // FIXED: Make sure we're passing the correct guest ID
         console.log('Checking in guest:', guestId, 'with plus ones:', normalizedPlusOnes);
 
-        const promise = apiCheckInGuest(guestId, normalizedPlusOnes);
+        const scannedTicket = offlineTicketRef.current?.guestId === guestId ? offlineTicketRef.current.code : null;
+        offlineTicketRef.current = null;
+
+        // Queued check-ins are sent to the server once the connection is back
+        const queueOffline = () => {
+            offline.queueCheckIn(guestId, {
+                plusOnes: normalizedPlusOnes,
+                ticketCode: scannedTicket,
+                usherName: user?.fullName || user?.username || null,
+            });
+            return { queued: true };
+        };
+
+        const promise = offline.isOnline
+            ? apiCheckInGuest(guestId, normalizedPlusOnes).catch((err) => {
+                if (!err.isNetworkError) throw err;
+                offline.markOffline();
+                return queueOffline();
+            })
+            : Promise.resolve().then(queueOffline);
 
         toast.promise(promise, {
             loading: 'Checking in guest...',
             success: (data) => {
-                setLastCheckIn({
+                // The event decides how long the undo card stays up; 0 disables it.
+                // Queued check-ins have nothing on the server to undo yet.
+                const undoWindowSeconds = data.queued ? 0 : data.undoWindowSeconds ?? 30;
+                setLastCheckIn(undoWindowSeconds > 0 ? {
                     guestName: `${selectedGuest.firstName} ${selectedGuest.lastName}`,
-                    confirmationCode: data.confirmationCode || selectedGuest.confirmationCode || guestId
-                });
+                    guestId,
+                    confirmationCode: data.confirmationCode || null,
+                    undoWindowSeconds
+                } : null);
                 setSelectedGuest(null);
                 setPlusOnes(0);
                 setResults([]);
                 setSearchTerm('');
                 setIsScannerOpen(false);
+                if (data.capacityWarning) {
+                    toast.warning('Capacity', { description: data.capacityWarning });
+                }
+                if (data.queued) {
+                    return `${selectedGuest.firstName} and ${normalizedPlusOnes} guest(s) saved offline; will sync when back online`;
+                }
                 return `${selectedGuest.firstName} and ${normalizedPlusOnes} guest(s) checked in successfully!`;
             },
             error: (err) => {
                 console.error('Check-in error:', err);
+                if (err.body?.code === 'WRONG_ENTRANCE') {
+                    setWrongEntrance(toWrongEntrance(selectedGuest, err.body.details));
+                    setSelectedGuest(null);
+                    return 'Wrong entrance';
+                }
+                if (err.body?.code === 'ALREADY_CHECKED_IN') {
+                    setAlreadyCheckedIn(toAlreadyCheckedIn(selectedGuest, err.body.details));
+                    setSelectedGuest(null);
+                    return 'Already checked in';
+                }
                 return `Check-in failed: ${err.message}`;
             },
         });
@@ -574,17 +762,104 @@ function UsherDashboard() {
 
     const handleUndoCheckIn = async () => {
         if (!lastCheckIn) return;
-        const promise = apiUndoCheckIn(lastCheckIn.confirmationCode);
+        const { guestName, confirmationCode, guestId } = lastCheckIn;
+        const promise = apiUndoCheckIn(confirmationCode, guestId);
         toast.promise(promise, {
             loading: 'Undoing check-in...',
-            success: (data) => {
+            success: () => {
                 setLastCheckIn(null);
-                return data.message;
+                return `Check-in for ${guestName} has been undone`;
             },
             error: (err) => `Undo failed: ${err.message}`,
         });
     };
 
+    // Companions arriving after (or removed from) an existing check-in
+    const handleAdjustArrivals = async (delta) => {
+        if (!selectedGuest || isUpdatingArrivals) return;
+
+        setIsUpdatingArrivals(true);
+        const promise = apiUpdatePlusOnes(selectedGuest.id, delta);
+
+        toast.promise(promise, {
+            loading: delta > 0 ? 'Checking in companion...' : 'Removing companion...',
+            success: (data) => {
+                setSelectedGuest(normalizeGuest(data.guest));
+                if (data.capacityWarning) {
+                    toast.warning('Capacity', { description: data.capacityWarning });
+                }
+                return data.message || 'Plus-ones updated';
+            },
+            error: (err) => `Update failed: ${err.message}`,
+        });
+
+        promise.catch(() => {}).finally(() => setIsUpdatingArrivals(false));
+    };
+
+    // Guest stepping out (check-out) or coming back (re-entry)
+    const handleTogglePresence = async () => {
+        if (!selectedGuest || isUpdatingArrivals) return;
+
+        const leaving = selectedGuest.onSite;
+        setIsUpdatingArrivals(true);
+        const promise = leaving
+            ? apiCheckOutGuest(selectedGuest.id)
+            : apiReEntryGuest(selectedGuest.id);
+
+        toast.promise(promise, {
+            loading: leaving ? 'Checking out...' : 'Recording re-entry...',
+            success: (data) => {
+                setSelectedGuest(normalizeGuest(data.guest));
+                return data.message || (leaving ? 'Guest checked out' : 'Guest re-entered');
+            },
+            error: (err) => {
+                if (err.body?.code === 'WRONG_ENTRANCE') {
+                    setWrongEntrance(toWrongEntrance(selectedGuest, err.body.details));
+                    setSelectedGuest(null);
+                    return 'Wrong entrance';
+                }
+                return `${leaving ? 'Check-out' : 'Re-entry'} failed: ${err.message}`;
+            },
+        });
+
+        promise.catch(() => {}).finally(() => setIsUpdatingArrivals(false));
+    };
+
+    // One tap admits every party member who has not arrived yet (all or nobody)
+    const handleCheckInParty = async () => {
+        if (!party || isCheckingInParty) return;
+
+        const { partyId, name } = party.party;
+        setIsCheckingInParty(true);
+        const promise = apiCheckInParty(partyId);
+
+        toast.promise(promise, {
+            loading: `Checking in ${name}...`,
+            success: (data) => {
+                if (data.capacityWarnings?.length) {
+                    toast.warning('Capacity', { description: data.capacityWarnings.join(' ') });
+                }
+                return `${data.totalSuccessful} guest(s) of ${name} checked in`;
+            },
+            error: (err) => {
+                const failure = err.body?.data?.failed?.[0];
+                return failure
+                    ? `Nobody was checked in: ${failure.guestName || failure.guestId} - ${failure.reason}`
+                    : `Party check-in failed: ${err.message}`;
+            },
+        });
+
+        promise
+            .then(() => apiGetParty(partyId))
+            .then((data) => {
+                setParty(data);
+                const member = data.members.find((guest) => String(guest.id) === selectedGuest?.id);
+                if (member) setSelectedGuest(normalizeGuest(member));
+            })
+            .catch(() => {})
+            .finally(() => setIsCheckingInParty(false));
+    };
+
     const resetState = useCallback(() => {
         setSearchTerm('');
         setResults([]);
@@ -600,6 +875,8 @@ function UsherDashboard() {
         setScanCooldown(0);
         setShowConfirmModal(false);
         setNetworkError(null);
+        setWrongEntrance(null);
+        setAlreadyCheckedIn(null);
         lastScanRef.current = { code: '', timestamp: 0 };
         searchInputRef.current?.focus();
     }, []);
@@ -722,7 +999,11 @@ function UsherDashboard() {
 
             // Escape - Reset/Cancel
             if (e.key === 'Escape') {
-                if (showConfirmModal) {
+                if (wrongEntrance) {
+                    setWrongEntrance(null);
+                } else if (alreadyCheckedIn) {
+                    setAlreadyCheckedIn(null);
+                } else if (showConfirmModal) {
                     setShowConfirmModal(false);
                 } else if (selectedGuest) {
                     resetState();
@@ -757,6 +1038,8 @@ function UsherDashboard() {
         isScannerOpen,
         isScanProcessing,
         showConfirmModal,
+        wrongEntrance,
+        alreadyCheckedIn,
         remainingPlusOnes,
         toggleScanner,
         handlePrepareCheckIn,
@@ -944,6 +1227,74 @@ function UsherDashboard() {
                         </div>
                     )}
 
+                    {(!offline.isOnline || offline.pendingCount > 0) && (
+                        <div className="rounded-2xl border border-sky-500/40 bg-sky-500/10 p-4">
+                            <div className="flex items-start gap-3">
+                                <CloudOff className="h-5 w-5 flex-shrink-0 text-sky-300" />
+                                <div className="flex-1">
+                                    <p className="text-sm font-medium text-sky-100">
+                                        {offline.isOnline ? 'Check-ins waiting to sync' : 'Offline mode'}
+                                    </p>
+                                    <p className="mt-1 text-xs text-sky-200/90">
+                                        {offline.pendingCount} check-in(s) queued on this device.
+                                        {' '}
+                                        {offline.snapshot
+                                            ? `Guest list of ${offline.snapshot.count} saved ${new Date(offline.snapshot.savedAt).toLocaleTimeString()}.`
+                                            : 'No guest list saved on this device yet.'}
+                                    </p>
+                                    {offline.pendingCount > 0 && (
+                                        <Button
+                                            onClick={offline.syncNow}
+                                            disabled={offline.isSyncing}
+                                            size="sm"
+                                            variant="outline"
+                                            className="mt-3 rounded-full border-sky-400/60 bg-sky-400/10 text-sky-100 hover:bg-sky-400/20"
+                                        >
+                                            {offline.isSyncing ? (
+                                                <>
+                                                    <Loader2 className="mr-2 h-3 w-3 animate-spin" />
+                                                    Syncing…
+                                                </>
+                                            ) : (
+                                                <>
+                                                    <RefreshCw className="mr-2 h-3 w-3" />
+                                                    Sync now
+                                                </>
+                                            )}
+                                        </Button>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {offline.problems.length > 0 && (
+                        <div className="rounded-2xl border border-rose-500/40 bg-rose-500/10 p-4">
+                            <div className="flex items-start gap-3">
+                                <AlertCircle className="h-5 w-5 flex-shrink-0 text-rose-400" />
+                                <div className="flex-1">
+                                    <p className="text-sm font-medium text-rose-100">Offline check-ins that need attention</p>
+                                    <ul className="mt-2 space-y-1 text-xs text-rose-200">
+                                        {offline.problems.map((problem) => (
+                                            <li key={problem.idempotencyKey || problem.guestId}>
+                                                {problem.message}
+                                                {problem.warnings?.length > 0 && ` (${problem.warnings.join('; ')})`}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                    <Button
+                                        onClick={offline.dismissProblems}
+                                        size="sm"
+                                        variant="outline"
+                                        className="mt-3 rounded-full border-rose-400/60 bg-rose-400/10 text-rose-100 hover:bg-rose-400/20"
+                                    >
+                                        Dismiss
+                                    </Button>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
                     {networkError && (
                         <div className="rounded-2xl border border-amber-500/40 bg-amber-500/10 p-4">
                             <div className="flex items-start gap-3">
@@ -1010,20 +1361,26 @@ function UsherDashboard() {
                                             <div className="flex items-center justify-between gap-4">
                                                 <div>
                                                     <p className="text-sm font-semibold text-white">
-                                                        {guest.firstName} {guest.lastName}
+                                                        <span className={matchHighlight(guest, 'name')}>{guest.firstName} {guest.lastName}</span>
                                                     </p>
-                                                    <p className="text-xs text-slate-400">{guest.email || 'No email on file'}</p>
-                                                    {guest.phone && <p className="text-xs text-slate-500">{guest.phone}</p>}
+                                                    <p className="text-xs text-slate-400">
+                                                        <span className={matchHighlight(guest, 'email')}>{guest.email || 'No email on file'}</span>
+                                                    </p>
+                                                    {guest.phone && (
+                                                        <p className="text-xs text-slate-500">
+                                                            <span className={matchHighlight(guest, 'phone')}>{guest.phone}</span>
+                                                        </p>
+                                                    )}
                                                 </div>
                                                 <Badge
                                                     variant="outline"
                                                     className={checkedIn ? 'border-emerald-400/60 bg-emerald-500/10 text-emerald-200' : 'border-white/20 bg-white/10 text-slate-200'}
                                                 >
-                                                    {checkedIn ? 'Checked in' : 'Awaiting'}
+                                                    {checkedIn ? (guest.onSite ? 'Checked in' : 'Stepped out') : 'Awaiting'}
                                                 </Badge>
                                             </div>
                                             <div className="mt-3 flex items-center justify-between text-xs text-slate-400">
-                                                <span>ID {guest.displayId || guest.confirmationCode || guest.id || guestKey || '—'}</span>
+                                                <span className={matchHighlight(guest, 'id', 'confirmation_code')}>ID {guest.displayId || guest.confirmationCode || guest.id || guestKey || '—'}</span>
                                                 <span>Plus-ones {guest.plusOnesCheckedIn}/{guest.plusOnesAllowed}</span>
                                             </div>
                                         </button>
@@ -1074,6 +1431,44 @@ function UsherDashboard() {
                                     <p className="text-xs uppercase tracking-wide text-slate-400">Guest ID</p>
                                     <p className="mt-1 font-mono text-white/90">{selectedGuest.displayId || selectedGuest.confirmationCode || getGuestKey(selectedGuest) || '—'}</p>
                                 </div>
+                                {party && party.party.partyId === selectedGuest.partyId && (
+                                    <div className="rounded-2xl border border-violet-400/30 bg-violet-500/10 p-4">
+                                        <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                                            <div>
+                                                <p className="text-xs uppercase tracking-wide text-slate-400">Party · {party.party.name}</p>
+                                                <p className="mt-1 font-semibold text-white">
+                                                    {party.summary.arrived} of {party.summary.total} in party arrived
+                                                </p>
+                                            </div>
+                                            <Button
+                                                type="button"
+                                                onClick={handleCheckInParty}
+                                                disabled={party.summary.remaining === 0 || isCheckingInParty || !offline.isOnline}
+                                                className="h-10 rounded-full bg-violet-500 text-violet-950 hover:bg-violet-400 disabled:opacity-40"
+                                            >
+                                                {isCheckingInParty ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <UserCheck className="mr-2 h-4 w-4" />}
+                                                {party.summary.remaining > 0 ? `Check in remaining (${party.summary.remaining})` : 'Everyone has arrived'}
+                                            </Button>
+                                        </div>
+                                        <ul className="mt-3 flex flex-wrap gap-2 text-xs">
+                                            {party.members.map((member) => {
+                                                const arrived = member.status === 'Checked In';
+                                                return (
+                                                    <li
+                                                        key={member.id}
+                                                        className={arrived
+                                                            ? "inline-flex items-center gap-1 rounded-full bg-emerald-500/15 px-2.5 py-1 text-emerald-200"
+                                                            : "inline-flex items-center gap-1 rounded-full bg-white/10 px-2.5 py-1 text-slate-300"}
+                                                    >
+                                                        {arrived && <Check className="h-3 w-3" />}
+                                                        {member.first_name} {member.last_name}
+                                                        {member.id === party.party.leadGuestId ? ' (lead)' : ''}
+                                                    </li>
+                                                );
+                                            })}
+                                        </ul>
+                                    </div>
+                                )}
                             </div>
                         ) : (
                             <div className="mt-4 rounded-2xl border border-dashed border-white/10 bg-slate-900/50 p-6 text-center text-sm text-slate-400">
@@ -1092,7 +1487,54 @@ function UsherDashboard() {
                             </Badge>
                             Confirm additional guests
                         </div>
-                        {selectedGuest ? (
+                        {selectedGuest && selectedGuest.status === 'checked_in' ? (
+                            <div className="mt-4 space-y-3">
+                                <div className="flex flex-wrap items-center gap-3 text-xs text-slate-400">
+                                    <Badge variant="outline" className="border-emerald-400/50 bg-emerald-500/10 text-emerald-200">
+                                        Arrived {alreadyChecked}/{allowedPlusOnes}
+                                    </Badge>
+                                    <Badge
+                                        variant="outline"
+                                        className={selectedGuest.onSite
+                                            ? "border-sky-400/50 bg-sky-500/10 text-sky-200"
+                                            : "border-amber-400/50 bg-amber-500/10 text-amber-200"}
+                                    >
+                                        {selectedGuest.onSite ? 'Inside' : 'Stepped out'}
+                                    </Badge>
+                                    <span>
+                                        Checked in{selectedGuest.checkedInBy ? ` by ${selectedGuest.checkedInBy}` : ''}
+                                        {selectedGuest.checkInTime ? ` at ${new Date(selectedGuest.checkInTime).toLocaleTimeString()}` : ''}
+                                    </span>
+                                </div>
+                                <div className="flex items-center gap-3">
+                                    <Button
+                                        type="button"
+                                        onClick={() => handleAdjustArrivals(1)}
+                                        disabled={remainingPlusOnes <= 0 || isUpdatingArrivals}
+                                        className="h-11 flex-1 rounded-full bg-emerald-500 text-emerald-950 hover:bg-emerald-400 disabled:opacity-40"
+                                    >
+                                        {isUpdatingArrivals ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Plus className="mr-2 h-4 w-4" />}
+                                        +1 arrived
+                                    </Button>
+                                    <Button
+                                        type="button"
+                                        size="icon"
+                                        variant="outline"
+                                        onClick={() => handleAdjustArrivals(-1)}
+                                        disabled={alreadyChecked <= 0 || isUpdatingArrivals}
+                                        aria-label="Remove a companion"
+                                        className="h-11 w-11 rounded-full border-white/20 bg-white/10 text-white hover:bg-white/20"
+                                    >
+                                        <Minus className="h-4 w-4" />
+                                    </Button>
+                                </div>
+                                <p className="text-xs text-slate-400">
+                                    {remainingPlusOnes > 0
+                                        ? `${remainingPlusOnes} companion${remainingPlusOnes === 1 ? '' : 's'} still expected.`
+                                        : 'All companions have arrived.'}
+                                </p>
+                            </div>
+                        ) : selectedGuest ? (
                             <div className="mt-4 space-y-3">
                                 <div className="flex flex-wrap items-center gap-3 text-xs text-slate-400">
                                     <Badge variant="outline" className="border-emerald-400/50 bg-emerald-500/10 text-emerald-200">
@@ -1149,19 +1591,34 @@ function UsherDashboard() {
 
                     <div className="space-y-3">
                         <div className="flex flex-col gap-2 sm:flex-row">
-                            <Button
-                                onClick={handlePrepareCheckIn}
-                                size="lg"
-                                disabled={!selectedGuest}
-                                className="flex-1 rounded-full bg-emerald-500 py-2.5 text-emerald-950 hover:bg-emerald-400 disabled:opacity-40"
-                            >
-                                <UserCheck className="mr-2 h-5 w-5" />
-                                Confirm check-in
-                                <span className="ml-2 inline-flex items-center gap-1 rounded-full bg-emerald-600/90 px-2 py-1 text-xs text-emerald-100">
-                                    <Users className="h-3.5 w-3.5" />
-                                    {selectedGuest ? 1 + Number(plusOnes) : 0}
-                                </span>
-                            </Button>
+                            {selectedGuest?.status === 'checked_in' ? (
+                                <Button
+                                    onClick={handleTogglePresence}
+                                    size="lg"
+                                    disabled={isUpdatingArrivals}
+                                    className={selectedGuest.onSite
+                                        ? "flex-1 rounded-full bg-amber-500 py-2.5 text-amber-950 hover:bg-amber-400 disabled:opacity-40"
+                                        : "flex-1 rounded-full bg-sky-500 py-2.5 text-sky-950 hover:bg-sky-400 disabled:opacity-40"}
+                                >
+                                    {selectedGuest.onSite
+                                        ? <><LogOut className="mr-2 h-5 w-5" />Check out</>
+                                        : <><LogIn className="mr-2 h-5 w-5" />Allow re-entry</>}
+                                </Button>
+                            ) : (
+                                <Button
+                                    onClick={handlePrepareCheckIn}
+                                    size="lg"
+                                    disabled={!selectedGuest}
+                                    className="flex-1 rounded-full bg-emerald-500 py-2.5 text-emerald-950 hover:bg-emerald-400 disabled:opacity-40"
+                                >
+                                    <UserCheck className="mr-2 h-5 w-5" />
+                                    Confirm check-in
+                                    <span className="ml-2 inline-flex items-center gap-1 rounded-full bg-emerald-600/90 px-2 py-1 text-xs text-emerald-100">
+                                        <Users className="h-3.5 w-3.5" />
+                                        {selectedGuest ? 1 + Number(plusOnes) : 0}
+                                    </span>
+                                </Button>
+                            )}
                             <Button
                                 onClick={resetState}
                                 size="lg"
@@ -1265,6 +1722,92 @@ function UsherDashboard() {
                 </DialogContent>
             </Dialog>
 
+            {/* Full-screen refusal so a wrong-door guest cannot be missed */}
+            {wrongEntrance && (
+                <div
+                    role="alertdialog"
+                    aria-labelledby="wrong-entrance-title"
+                    className="fixed inset-0 z-[60] flex items-center justify-center bg-red-700/95 p-6 text-white backdrop-blur-sm"
+                >
+                    <div className="flex w-full max-w-lg flex-col items-center gap-6 text-center">
+                        <Ban className="h-28 w-28" strokeWidth={2.5} />
+                        <div className="space-y-2">
+                            <h2 id="wrong-entrance-title" className="text-5xl font-black uppercase tracking-tight">
+                                Wrong entrance
+                            </h2>
+                            <p className="text-2xl font-semibold">{wrongEntrance.guestName}</p>
+                            <p className="text-lg text-red-100">
+                                {wrongEntrance.ticketType} ticket · {wrongEntrance.zone}
+                                {wrongEntrance.admittedTicketTypes.length > 0 && (
+                                    <> admits {wrongEntrance.admittedTicketTypes.join(', ')} only</>
+                                )}
+                            </p>
+                        </div>
+                        <div className="w-full rounded-2xl border border-white/30 bg-white/10 p-4">
+                            <p className="text-sm font-semibold uppercase tracking-wide text-red-100">Send guest to</p>
+                            <p className="mt-1 text-2xl font-bold">
+                                {wrongEntrance.admittingZones.length > 0
+                                    ? wrongEntrance.admittingZones.join(' or ')
+                                    : 'A supervisor'}
+                            </p>
+                        </div>
+                        <Button
+                            onClick={() => setWrongEntrance(null)}
+                            size="lg"
+                            className="h-14 w-full rounded-full bg-white text-lg font-semibold text-red-700 hover:bg-red-50"
+                            autoFocus
+                        >
+                            <X className="mr-2 h-5 w-5" />
+                            Dismiss
+                        </Button>
+                    </div>
+                </div>
+            )}
+
+            {/* Ticket presented again: show who let the guest in, and when */}
+            {alreadyCheckedIn && !wrongEntrance && (
+                <div
+                    role="alertdialog"
+                    aria-labelledby="already-checked-in-title"
+                    className="fixed inset-0 z-[60] flex items-center justify-center bg-amber-600/95 p-6 text-white backdrop-blur-sm"
+                >
+                    <div className="flex w-full max-w-lg flex-col items-center gap-6 text-center">
+                        <AlertCircle className="h-28 w-28" strokeWidth={2.5} />
+                        <div className="space-y-2">
+                            <h2 id="already-checked-in-title" className="text-5xl font-black uppercase tracking-tight">
+                                Already checked in
+                            </h2>
+                            <p className="text-2xl font-semibold">{alreadyCheckedIn.guestName}</p>
+                            <p className="text-lg text-amber-100">{alreadyCheckedIn.ticketType} ticket</p>
+                        </div>
+                        <div className="w-full rounded-2xl border border-white/30 bg-white/10 p-4">
+                            <p className="text-sm font-semibold uppercase tracking-wide text-amber-100">Checked in by</p>
+                            <p className="mt-1 text-2xl font-bold">{alreadyCheckedIn.checkedInBy || 'Unknown usher'}</p>
+                            <p className="mt-1 text-xl font-semibold">
+                                {alreadyCheckedIn.checkInTime
+                                    ? `at ${new Date(alreadyCheckedIn.checkInTime).toLocaleTimeString()}`
+                                    : 'at an unknown time'}
+                            </p>
+                        </div>
+                        <p className="text-sm text-amber-100">
+                            {alreadyCheckedIn.attemptCount > 1
+                                ? `Ticket presented ${alreadyCheckedIn.attemptCount} times after check-in. `
+                                : ''}
+                            A supervisor has been alerted.
+                        </p>
+                        <Button
+                            onClick={() => setAlreadyCheckedIn(null)}
+                            size="lg"
+                            className="h-14 w-full rounded-full bg-white text-lg font-semibold text-amber-700 hover:bg-amber-50"
+                            autoFocus
+                        >
+                            <X className="mr-2 h-5 w-5" />
+                            Dismiss
+                        </Button>
+                    </div>
+                </div>
+            )}
+
             {/* BATCH 3: Fixed Bottom-Right Undo Card */}
             {lastCheckIn && (
                 <div className="fixed bottom-6 right-6 z-50 animate-slide-in-up">
@@ -1273,6 +1816,9 @@ function UsherDashboard() {
                         <CardContent className="flex items-center gap-4 p-4">
                             <div className="flex-1">
                                 <p className="text-sm font-semibold">✓ Checked in {lastCheckIn.guestName}</p>
+                                {lastCheckIn.confirmationCode && (
+                                    <p className="font-mono text-xs tracking-widest text-emerald-100/90">{lastCheckIn.confirmationCode}</p>
+                                )}
                                 <p className={`text-xs ${undoTimeLeft <= 10 ? 'text-amber-200' : 'text-emerald-200/80'
                                     }`}>
                                     {undoTimeLeft <= 10 ? '⚠️ ' : ''}Undo available for {undoTimeLeft}s
@@ -1296,7 +1842,7 @@ function UsherDashboard() {
 
 export default function ProtectedUsherDashboard() {
     return (
-        <RouteGuard requiredRole="usher">
+        <RouteGuard requiredPermission="guests.checkin">
             <MainLayout>
                 <UsherDashboard />
             </MainLayout>